@@ -1,24 +1,40 @@
 #!/usr/bin/env bun
 // Minified JS Analyzer — CLI tool for reverse-engineering large minified bundles.
 
-import { readFileSync, writeFileSync } from 'node:fs';
-import { basename, resolve } from 'node:path';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { basename, dirname, relative, resolve } from 'node:path';
 import { beautify } from './lib/beautify.mjs';
-import { extractFunction, findFunctionStart, extractSignature, findFunctionStack } from './lib/extract-fn.mjs';
+import { extractFunction, findFunctionStart, extractSignature } from './lib/extract-fn.mjs';
 import { parseFile } from './lib/parse.mjs';
-import { buildScopeTree } from './lib/scope.mjs';
 import { traceIO } from './lib/trace-io.mjs';
-import { findInFunctions } from './lib/find.mjs';
-import { findRefs } from './lib/refs.mjs';
-import { findCalls } from './lib/calls.mjs';
-import { collectStrings } from './lib/strings.mjs';
-import { checkPatch } from './lib/patch-check.mjs';
-import { buildFunctionMap } from './lib/map.mjs';
+import { collectStrings, filterStrings, stringContents } from './lib/strings.mjs';
+import { checkPatch, checkASTPatch } from './lib/patch-check.mjs';
 import { diffFunctions } from './lib/diff-fns.mjs';
-import { decompileFunction } from './lib/decompile.mjs';
 import { matchPattern } from './lib/match.mjs';
+import { matchAST } from './lib/ast-match.mjs';
+import { buildPatchScript, patchMarker } from './lib/patch-build.mjs';
+import {
+  loadManifest, patchStatus, applyManifest, revertManifest, patchStatePath, readPatchState, STATE_VERSION,
+} from './lib/patch-manifest.mjs';
+import { portManifest } from './lib/patch-port.mjs';
+import { verifyPatch } from './lib/patch-verify.mjs';
+import { loadIndex, cacheDir, cacheEntries, clearCache } from './lib/cache.mjs';
+import { createAnalyzer, connectDaemon, defaultSocketPath, serveSocket, serveStream } from './lib/serve.mjs';
+import { createOffsetMap, charToLineColumn, lineColumnToChar } from './lib/offsets.mjs';
+import { renderChangelog } from './lib/changelog.mjs';
+import { buildSignatures, defaultSignaturesPath, inRanges, loadSignatures } from './lib/vendors.mjs';
+import { typeLabel } from './lib/schemas.mjs';
 
 const [,, command, ...args] = process.argv;
+const useCache = !args.includes('--no-cache') && !process.env.BUNDLE_ANALYZER_NO_CACHE;
+const useDaemon = !args.includes('--no-daemon') && !process.env.BUNDLE_ANALYZER_NO_DAEMON;
+
+// --json: exactly one JSON document on stdout (schemas under "JSON Output" in SKILL.md), with
+// progress messages on stderr. Bump JSON_SCHEMA_VERSION on any incompatible payload change.
+const JSON_SCHEMA_VERSION = 1;
+const isJson = args.includes('--json');
+// Progress goes to stderr whenever stdout carries a document (JSON, or changelog's Markdown)
+const log = isJson || command === 'changelog' ? console.error : console.log;
 
 const HELP = `
 Minified JS Analyzer — Reverse-engineering tool for large minified bundles
@@ -33,23 +49,77 @@ Commands:
   extract-fn <file> <char-offset>          Extract & beautify function at offset
     [--stack] [--depth N]
   context <file> <char-offset>             One-shot understanding at offset
+  offset <file> <char-offset>              Convert between char, UTF-8 byte and beautified
+    [--byte N] [--line L[:C]]              line:column positions
   scope <file> <char-offset> [--all]       List variables in scope at offset
   trace-io <file> <pattern>                Find I/O channel writers and readers
-  find <file> <pattern> [--regex]          Search for pattern, grouped by function
-    [--captures] [--compact] [--near N] [--count] [--limit N]
+  find <file> <pattern> [--regex|--ast]    Search for pattern, grouped by function
+    [--captures] [--compact] [--near N] [--count] [--limit N] [--module id] [--exclude-vendor]
+    [--cooked]                             Search decoded string contents (\\n, \\u2026 as the chars)
   match <file> <pattern>                   Regex match with patch semantics
-    [--replace S]                          Captures, uniqueness, replacement preview
+    [--replace S] [--ast]                  Captures, uniqueness, replacement preview
   refs <file> <char-offset>                External variables referenced by function
   calls <file> <char-offset>               Call graph (outgoing + incoming)
   strings <file> [--near N] [--filter S]   Index string literals
+    [--module id]
   strings --diff <f1> <f2>                Compare string sets between two files
     [--min-length N] [--limit N] [--raw] [--all]
-  patch-check <file> <pattern> [--replacement S] [--regex]  Validate patch pattern
+  patch-check <file> <pattern> [--replacement S] [--regex|--ast]  Validate patch pattern
+  patch-build <file> --name N --match P    Generate idempotent apply.mjs for a patch
+    --replace-template T [--captures a,b] [--output path]
+  patch status <manifest> <file>           Report each manifest step's state
+  patch apply <manifest> <file>            Apply manifest steps in order [--dry-run]
+  patch revert <manifest> <file>           Revert applied steps from stored pre-images
+  patch port <manifest> <old> <new>        Regenerate broken steps for a new bundle version [--output path]
+  patch verify <file> <pattern> --replace S  Apply in memory, re-parse and check scope [--ast]
   map <file> [--json] [--strings]          Build function index
+    [--module id] [--exclude-vendor]
+  modules <file> [--module id]             Recover bundler module boundaries, exports and imports
+    [--limit N] [--all]
+  telemetry <file> [--filter S]            Telemetry events emitted: emitters, payload keys, call sites
+    [--limit N] [--all]
+  telemetry --diff <old> <new>             Added and removed events, changed payloads
+  env <file> [--filter S]                  process.env reads and feature-gate checks: defaults, boolean use
+    [--limit N] [--all]
+  env --diff <old> <new>                   Added, removed and changed env vars and gates
+  cli-options <file>                       Command tree of a bundled commander CLI: commands, flags, defaults
+  cli-options --diff <old> <new>           Added, removed and changed commands, flags and arguments
+  schemas <file> [--filter S]              zod schemas as JSON Schema: properties, types, defaults, descriptions
+    [--limit N] [--all]
+  schemas --diff <old> <new>               Added and removed schemas, changed properties
+  tools <file> [--filter S]                Tool definitions: name, description, input schema, method offsets
+    [--limit N] [--all]
+  tools --diff <old> <new>                 Added and removed tools, changed descriptions and inputs
+  prompts <file> [--filter S]              Prompts and long prose reassembled from templates and concatenations
+    [--min-length N] [--full] [--limit N] [--all]
+  prompts --diff <old> <new>               Added, removed and reworded prompts, word by word
+    [--min-length N]
+  vendors <file> [--db path]               Identify vendored npm packages and their versions
+  vendors build <node_modules...>          Build the signature database from packages on disk
+    [--db path]
   diff-fns <file1> <file2> [options]       Compare function maps across versions
     [--json] [--limit N] [--all] [--name X] [--body]
-    [--filter P] [--summary] [--strings-only] [--raw]
+    [--filter P] [--summary] [--strings-only] [--raw] [--exclude-vendor]
+  changelog <old> <new> [--output path]    Markdown release notes for a version bump
+    [--limit N] [--all]
+  rename-map <old> <new> [--output path]   Map minified module-scope names old → new
+    [--min-confidence X] [--limit N] [--all]
+  diff3 <base> <ours> <theirs>             Replay our edits of base onto a new upstream
+    [--output edits.json] [--body]
   decompile <file> <char-offset>           Best-effort readable decompilation
+  cache [info|clear]                       Show or clear the on-disk index cache
+  serve [file...] [--stdio] [--socket P]   Keep bundles loaded and answer JSON-RPC requests
+  serve status | serve stop                Inspect or stop the running daemon
+
+Options:
+  --json                                   Print one versioned JSON document on stdout (every command);
+                                           progress goes to stderr, failures are {"error": ...} with exit 1
+  --no-cache                               Parse from scratch and skip the index cache
+                                           (also BUNDLE_ANALYZER_NO_CACHE=1; location: BUNDLE_ANALYZER_CACHE_DIR)
+  --no-daemon                              Run in-process even when a daemon is listening
+                                           (also BUNDLE_ANALYZER_NO_DAEMON=1; socket: BUNDLE_ANALYZER_SOCKET)
+  --module <id>                            Scope find, strings and map to one module (ids from \`modules\`)
+  --exclude-vendor [--db path]             Leave vendored packages out of find, map and diff-fns (see \`vendors\`)
 
 Shorthands (in regex patterns):
   %V%  →  [\\w$]+   (minified variable name)
@@ -61,16 +131,43 @@ Examples:
   bun $CLI extract-fn cli.js 7944719 --stack
   bun $CLI extract-fn cli.js 7944719 --depth 2
   bun $CLI context cli.js 7944719
+  bun $CLI offset cli.js --byte 7945102
   bun $CLI find cli.js "agent_progress"
   bun $CLI find cli.js '(%V%)\\(' --regex --captures
   bun $CLI find cli.js "queuedCommands" --compact --limit 10
+  bun $CLI find cli.js "Press Enter…" --cooked
   bun $CLI match cli.js 'async function (%V%)\\(' --replace 'async function $1_patched('
   bun $CLI patch-check cli.js "pattern" --regex --replacement "replacement"
+  bun $CLI match cli.js 'if ((await $X()).queuedCommands.length === 0) return' --ast --replace 'if(!$X)return;'
+  bun $CLI patch-build cli.js --name my-patch --match 'function (%V%)\\((%V%)\\)\\{' \\
+    --captures fn,arg --replace-template 'function \${fn}(\${arg}){/*PATCHED:my-patch*/' --output apply.mjs
+  bun $CLI patch status patches.json cli.js
+  bun $CLI patch apply patches.json cli.js --dry-run
+  bun $CLI patch port patches.json old-cli.js cli.js
+  bun $CLI patch verify cli.js 'if\\(!(%V%)\\)return;' --replace 'if(!$1||Z)return;'
   bun $CLI map cli.js --json --strings
+  bun $CLI modules cli.js --limit 20
+  bun $CLI find cli.js "apiKey" --module require_auth
+  bun $CLI telemetry cli.js --filter tengu_api
+  bun $CLI telemetry --diff old-cli.js cli.js
+  bun $CLI env cli.js --filter CLAUDE_CODE
+  bun $CLI env --diff old-cli.js cli.js
+  bun $CLI cli-options --diff old-cli.js cli.js
+  bun $CLI schemas cli.js --filter enableWeakerNetworkIsolation
+  bun $CLI schemas --diff old-cli.js cli.js --json
+  bun $CLI tools cli.js --filter Bash
+  bun $CLI tools --diff old-cli.js cli.js
+  bun $CLI prompts cli.js --filter "You are" --full --limit 1
+  bun $CLI prompts --diff old-cli.js cli.js
+  bun $CLI vendors build ~/src/claude-code/node_modules
+  bun $CLI diff-fns old-cli.js new-cli.js --exclude-vendor
   bun $CLI diff-fns old-cli.js new-cli.js
   bun $CLI diff-fns old-cli.js new-cli.js --body --limit 10
   bun $CLI diff-fns old-cli.js new-cli.js --filter "sandbox"
   bun $CLI diff-fns old-cli.js new-cli.js --summary
+  bun $CLI changelog old-cli.js cli.js --output changelog.md
+  bun $CLI rename-map old-cli.js cli.js --output renames.json
+  bun $CLI diff3 old-cli.js old-cli.patched.js cli.js --output edits.json
   bun $CLI strings --diff old-cli.js new-cli.js --min-length 20
 `.trim();
 
@@ -85,19 +182,148 @@ function ordinal(n) {
   return s[(v - 20) % 10] || s[v] || s[0];
 }
 
-function readSrc(filePath) {
-  console.log(`Reading ${basename(filePath)}...`);
-  const src = readFileSync(filePath, 'utf-8');
-  console.log(`File size: ${(src.length / 1e6).toFixed(1)} MB`);
+// progress: where the progress lines go (patch-build keeps them off a script on stdout)
+function readSrc(filePath, progress = log) {
+  progress(`Reading ${basename(filePath)}...`);
+  let src;
+  try {
+    src = readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    fail(`Cannot read ${filePath}: ${e.code || e.message}`);
+  }
+  progress(`File size: ${(src.length / 1e6).toFixed(1)} MB`);
   return src;
 }
 
+// Print a --json payload inside the common envelope: { command, schemaVersion, ...payload }.
+// command names the schema: the command plus subcommand or mode flag ("patch status", "strings --diff")
+function emitJson(payload, name = jsonCommandName()) {
+  console.log(JSON.stringify({ command: name, schemaVersion: JSON_SCHEMA_VERSION, ...payload }, null, 2));
+}
+
+function jsonCommandName() {
+  if (command === 'patch') return `patch ${args[0]}`;
+  if (command === 'cache') return args[0] === 'clear' ? 'cache clear' : 'cache info';
+  if (command === 'serve') return `serve ${args[0]}`;
+  if (command === 'vendors' && args[0] === 'build') return 'vendors build';
+  if (command === 'strings' && args.includes('--diff')) return 'strings --diff';
+  if (command === 'telemetry' && args.includes('--diff')) return 'telemetry --diff';
+  if (command === 'env' && args.includes('--diff')) return 'env --diff';
+  if (command === 'cli-options' && args.includes('--diff')) return 'cli-options --diff';
+  if (command === 'schemas' && args.includes('--diff')) return 'schemas --diff';
+  if (command === 'tools' && args.includes('--diff')) return 'tools --diff';
+  if (command === 'prompts' && args.includes('--diff')) return 'prompts --diff';
+  if (command === 'diff-fns' && args.includes('--strings-only')) return 'diff-fns --strings-only';
+  if (command === 'diff-fns' && args.includes('--summary')) return 'diff-fns --summary';
+  if (command === 'extract-fn' && args.includes('--stack')) return 'extract-fn --stack';
+  return command;
+}
+
+// Report a fatal error (as { error } under --json) and exit 1
+function fail(message) {
+  if (isJson) {
+    emitJson({ error: message });
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(1);
+}
+
+// Load index parts through the on-disk cache (lib/cache.mjs), reporting where they came from.
+async function loadCachedIndex(filePath, parts) {
+  const start = performance.now();
+  const index = await loadIndex(filePath, { parts, cache: useCache });
+  const secs = ((performance.now() - start) / 1000).toFixed(2);
+  log(index.cached ? `Loaded ${basename(filePath)} index from cache in ${secs}s` : `Parsed and indexed ${basename(filePath)} in ${secs}s`);
+  if (index.cacheError) log(`Warning: could not write index cache: ${index.cacheError}`);
+  return index;
+}
+
+// --module <id>: the module (from `modules`) that find, strings and map are scoped to, or null
+async function moduleScope(filePath) {
+  const id = getArg('--module');
+  if (id === undefined) return null;
+  const { modules } = await analyze('modules', { file: filePath });
+  const mod = modules.find(m => m.id === id);
+  if (!mod) fail(`No module ${id} in ${basename(filePath)} (list them with \`modules\`)`);
+  return mod;
+}
+
+function inModule(mod, start, end = start) {
+  return !mod || (start >= mod.start && end <= mod.end);
+}
+
+// telemetry: payload keys as {a, b}
+function formatKeys(keys) {
+  return `{${keys.join(', ')}}`;
+}
+
+// env: an entry's distinct defaults
+function formatDefaults(entry) {
+  return entry.defaults.length > 0 ? `  default ${entry.defaults.join(' | ')}` : '';
+}
+
+// schemas: a property as `key?: type = default  description`
+function formatProperty(key, prop, required) {
+  const fallback = 'default' in prop ? ` = ${JSON.stringify(prop.default)}` : prop['x-default'] ? ` = ${prop['x-default']}` : '';
+  return `${key}${required ? '' : '?'}: ${typeLabel(prop)}${fallback}${prop.description ? `  ${prop.description.split('\n')[0]}` : ''}`;
+}
+
+// tools, prompts: a text's first line, shortened
+function formatText(text, max = 100) {
+  if (text === null) return '(not a constant)';
+  const line = text.trim().split('\n')[0];
+  return line.length > max ? line.substring(0, max - 3) + '...' : line;
+}
+
+// prompts: a word edit as `…context [-removed-]{+added+} context…`, newlines shown as ↵
+function formatWordEdit(edit) {
+  const show = (text) => text.replace(/\n/g, '↵');
+  const removed = edit.removed ? `[-${show(edit.removed)}-]` : '';
+  const added = edit.added ? `{+${show(edit.added)}+}` : '';
+  return `…${show(edit.before)}${removed}${added}${show(edit.after)}…`;
+}
+
+// telemetry, env: one call site or read as `char N  label in fn (char M)`
+function formatSite(offset, label, fn) {
+  const where = fn ? `in ${fn.name} (char ${fn.start})` : 'at module scope';
+  return `char ${String(offset).padEnd(10)} ${label} ${where}`;
+}
+
+// --exclude-vendor: the bundle's vendor code ranges (see `vendors`), or null
+async function vendorRanges(filePath) {
+  if (!args.includes('--exclude-vendor')) return null;
+  const result = await analyze('vendors', { file: filePath, db: vendorDbPath() });
+  if (result.error) fail(result.error);
+  return result.ranges;
+}
+
+function vendorDbPath() {
+  return getArg('--db') ? resolve(getArg('--db')) : undefined;
+}
+
+// Run an analyzer method (lib/serve.mjs): in the daemon when one is listening, otherwise
+// in-process. Protocol errors (unreadable file, bad params) exit; { error } results are returned.
+let analyzer;
+async function analyze(method, params) {
+  if (!analyzer) {
+    analyzer = useDaemon ? await connectDaemon() : null;
+    if (analyzer) {
+      log(`Using analyzer daemon at ${defaultSocketPath()}`);
+    } else {
+      analyzer = createAnalyzer({ cache: useCache, log });
+    }
+  }
+  try {
+    return await analyzer.call(method, params);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
 function parseCharOffset(raw) {
   const n = parseInt(raw, 10);
-  if (isNaN(n)) {
-    console.error('Error: char-offset must be a number');
-    process.exit(1);
-  }
+  if (isNaN(n)) fail('char-offset must be a number');
   return n;
 }
 
@@ -149,6 +375,61 @@ function printStringDiff(diff, name1, name2) {
   console.log(`\nTotal: +${totalV2} new, -${totalV1} removed (of ${diff.v1Total} / ${diff.v2Total} unique strings)`);
 }
 
+// strings --diff / diff-fns --strings-only --json payload
+function stringDiffJson(diff) {
+  return {
+    onlyInV1: diff.onlyInV1,
+    onlyInV2: diff.onlyInV2,
+    totalOnlyInV1: diff.totalOnlyInV1,
+    totalOnlyInV2: diff.totalOnlyInV2,
+    common: diff.commonCount,
+    v1Total: diff.v1Total,
+    v2Total: diff.v2Total,
+  };
+}
+
+// match / patch-check --json: one shape for text, regex and AST patterns. AST metavariable
+// captures are keyed "$NAME", as in find --ast --captures.
+function matchesJson(result, isAst) {
+  return {
+    status: result.status,
+    matchCount: result.matchCount,
+    matches: result.matches.map(m => ({
+      offset: m.offset,
+      matchText: m.matchText,
+      context: m.context,
+      contextOffset: m.contextOffset,
+      captures: m.captures || [],
+      namedCaptures: isAst
+        ? Object.fromEntries(Object.entries(m.namedCaptures).map(([k, v]) => [`$${k}`, v]))
+        : (m.namedCaptures || null),
+    })),
+    preview: result.preview
+      ? { before: result.preview.before, after: result.preview.after, replacedText: result.preview.replacedText ?? null }
+      : null,
+  };
+}
+
+// { status: count } over patch step results
+function countStatuses(steps) {
+  const counts = {};
+  for (const s of steps) counts[s.status] = (counts[s.status] || 0) + 1;
+  return counts;
+}
+
+// extract-fn --json "function" object
+function extractedFunctionJson(result) {
+  return {
+    signature: result.signature,
+    start: result.start,
+    end: result.end,
+    length: result.length,
+    params: (result.paramList || []).map(p => ({ name: p.raw, index: p.index })),
+    via: result.fallbackReason ? 'ast' : 'state-machine',
+    beautified: result.beautified,
+  };
+}
+
 async function main() {
   switch (command) {
     case 'beautify': {
@@ -166,6 +447,10 @@ async function main() {
       writeFileSync(mapPath, JSON.stringify(offsetMap));
 
       const lines = text.split('\n').length;
+      if (isJson) {
+        emitJson({ file: filePath, output: outputPath, offsetMap: mapPath, lines, offsetMapEntries: offsetMap.length });
+        break;
+      }
       console.log(`Beautified: ${lines} lines written to ${basename(outputPath)}`);
       console.log(`Offset map: ${offsetMap.length} entries written to ${basename(mapPath)}`);
       console.log(`Time: ${elapsed}s`);
@@ -198,6 +483,11 @@ async function main() {
         code = beautify(code).text;
       }
 
+      if (isJson) {
+        emitJson({ file: filePath, start: sliceStart, end: sliceEnd, beautified: doBeautify, code });
+        break;
+      }
+
       console.log(`\nSlice at char ${sliceStart}–${sliceEnd} (${sliceEnd - sliceStart} chars${label}):\n`);
       console.log('─'.repeat(80));
       console.log(code);
@@ -205,6 +495,59 @@ async function main() {
       break;
     }
 
+    case 'offset': {
+      const filePath = resolve(args[0]);
+      const byteArg = getArg('--byte');
+      const lineArg = getArg('--line');
+
+      const src = readSrc(filePath);
+      const offsets = createOffsetMap(src);
+      const beautified = beautify(src);
+
+      let charOffset;
+      if (byteArg !== undefined) {
+        const byteOffset = parseInt(byteArg, 10);
+        if (isNaN(byteOffset) || byteOffset < 0 || byteOffset > offsets.byteLength) {
+          fail(`byte offset must be between 0 and ${offsets.byteLength}`);
+        }
+        charOffset = offsets.byteToChar(byteOffset);
+      } else if (lineArg !== undefined) {
+        const m = /^(\d+)(?::(\d+))?$/.exec(lineArg);
+        if (!m) {
+          fail('--line takes LINE or LINE:COLUMN (1-based)');
+        }
+        charOffset = lineColumnToChar(src, beautified, parseInt(m[1], 10), m[2] ? parseInt(m[2], 10) : 1);
+        if (charOffset.error) {
+          fail(charOffset.error);
+        }
+      } else {
+        charOffset = parseCharOffset(args[1]);
+        if (charOffset < 0 || charOffset > src.length) {
+          fail(`char offset must be between 0 and ${src.length}`);
+        }
+      }
+
+      const { line, column } = charToLineColumn(src, beautified, charOffset);
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          char: charOffset,
+          byte: offsets.charToByte(charOffset),
+          line,
+          column,
+          ascii: offsets.ascii,
+          text: src.slice(charOffset, charOffset + 40),
+        });
+        break;
+      }
+      const preview = src.slice(charOffset, charOffset + 40).replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+      console.log(`\n  char     ${charOffset}`);
+      console.log(`  byte     ${offsets.charToByte(charOffset)}${offsets.ascii ? '  (ASCII-only file: same as char)' : ''}`);
+      console.log(`  line     ${line}:${column}  (beautified)`);
+      console.log(`  text     ${JSON.stringify(preview)}`);
+      break;
+    }
+
     case 'extract-fn': {
       const filePath = resolve(args[0]);
       const charOffset = parseCharOffset(args[1]);
@@ -212,11 +555,23 @@ async function main() {
       const depthArg = getArg('--depth');
       const depth = depthArg !== undefined ? parseInt(depthArg, 10) : undefined;
 
-      const src = readSrc(filePath);
-
       if (showStack) {
+        const { stack } = await analyze('extractFn', { file: filePath, offset: charOffset, stack: true });
+        if (isJson) {
+          emitJson({
+            file: filePath,
+            offset: charOffset,
+            stack: stack.map((fn, i) => ({
+              depth: i,
+              signature: fn.signature,
+              start: fn.sigStart,
+              end: fn.end > 0 ? fn.end : null,
+              length: fn.size > 0 ? fn.size : null,
+            })),
+          });
+          break;
+        }
         console.log(`Function nesting at char ${charOffset}:\n`);
-        const stack = findFunctionStack(src, charOffset);
         if (stack.length === 0) {
           console.log('No enclosing functions found.');
           break;
@@ -232,16 +587,13 @@ async function main() {
       }
 
       if (depth !== undefined) {
-        const stack = findFunctionStack(src, charOffset);
-        if (depth >= stack.length) {
-          console.error(`Error: depth ${depth} out of range (max ${stack.length - 1})`);
-          process.exit(1);
-        }
-        const target = stack[depth];
-        const result = extractFunction(src, target.sigStart + 1);
+        const result = await analyze('extractFn', { file: filePath, offset: charOffset, depth });
         if (result.error) {
-          console.error(`Error: ${result.error}`);
-          process.exit(1);
+          fail(result.error);
+        }
+        if (isJson) {
+          emitJson({ file: filePath, offset: charOffset, depth, function: extractedFunctionJson(result) });
+          break;
         }
         console.log(`\nFunction (depth ${depth}): ${result.signature}`);
         console.log(`Offset:   ${result.start} → ${result.end} (${result.length} chars)`);
@@ -251,32 +603,22 @@ async function main() {
         break;
       }
 
-      console.log(`Extracting function at char offset ${charOffset}...`);
-      let result = extractFunction(src, charOffset);
-
-      if (result.error && !args.includes('--no-ast-fallback')) {
-        // Fallback to AST-based extraction
-        console.log('State-machine extraction failed, trying AST fallback...');
-        const { ast } = await parseFile(filePath);
-        const fns = buildFunctionMap(ast, src);
-        const enclosing = fns.find(fn => fn.start <= charOffset && fn.end >= charOffset);
-        if (enclosing) {
-          const raw = src.slice(enclosing.start, enclosing.end);
-          result = {
-            signature: enclosing.signature.substring(0, enclosing.signature.indexOf('{') >= 0 ? enclosing.signature.indexOf('{') : enclosing.signature.length).trim(),
-            start: enclosing.start,
-            end: enclosing.end,
-            length: enclosing.end - enclosing.start,
-            paramList: [],
-            beautified: beautify(raw).text,
-            note: '(extracted via AST fallback)',
-          };
-        }
-      }
+      log(`Extracting function at char offset ${charOffset}...`);
+      const result = await analyze('extractFn', {
+        file: filePath,
+        offset: charOffset,
+        astFallback: !args.includes('--no-ast-fallback'),
+      });
 
       if (result.error) {
-        console.error(`Error: ${result.error}`);
-        process.exit(1);
+        fail(result.error);
+      }
+      if (result.fallbackReason) {
+        log(`State-machine extraction failed (${result.fallbackReason}), used AST fallback`);
+      }
+      if (isJson) {
+        emitJson({ file: filePath, offset: charOffset, depth: null, function: extractedFunctionJson(result) });
+        break;
       }
 
       console.log(`\nFunction: ${result.signature}${result.note ? ' ' + result.note : ''}`);
@@ -293,23 +635,32 @@ async function main() {
       const filePath = resolve(args[0]);
       const charOffset = parseCharOffset(args[1]);
 
-      console.log(`Parsing ${basename(filePath)} with SWC...`);
-      const start = performance.now();
-      const { ast, src } = await parseFile(filePath);
-      const parseTime = ((performance.now() - start) / 1000).toFixed(2);
-      console.log(`Parsed in ${parseTime}s\n`);
+      const { chain } = await analyze('scope', { file: filePath, offset: charOffset });
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          offset: charOffset,
+          scopes: chain.map((scope, depth) => ({
+            depth,
+            type: scope.type,
+            start: scope.start,
+            end: scope.end,
+            vars: scope.vars.map(v => ({ name: v.name, kind: v.kind, offset: v.offset })),
+          })),
+          total: chain.reduce((sum, scope) => sum + scope.vars.length, 0),
+        });
+        break;
+      }
+      console.log();
 
-      const { findScopeAt } = buildScopeTree(ast, src.length);
-      const targetScope = findScopeAt(charOffset);
+      const targetScope = chain[0];
 
       console.log(`Scope at char ${charOffset} (${targetScope.type}, char ${targetScope.start}–${targetScope.end}):\n`);
 
       const showAll = args.includes('--all');
       const sections = [];
-      let scope = targetScope;
-      let depth = 0;
-
-      while (scope) {
+      for (let depth = 0; depth < chain.length; depth++) {
+        const scope = chain[depth];
         const label = depth === 0
           ? `# Immediate scope (${scope.type}, char ${scope.start}–${scope.end})`
           : `# Closure depth ${depth} (${scope.type}, char ${scope.start}–${scope.end})`;
@@ -317,8 +668,6 @@ async function main() {
         if (scope.vars.length > 0) {
           sections.push({ label, vars: scope.vars });
         }
-        scope = scope.parent;
-        depth++;
       }
 
       for (const section of sections) {
@@ -345,13 +694,25 @@ async function main() {
       const filePath = resolve(args[0]);
       const pattern = args[1];
       if (!pattern) {
-        console.error('Error: pattern is required (e.g., "process.stdout.write")');
-        process.exit(1);
+        fail('pattern is required (e.g., "process.stdout.write")');
       }
 
       const src = readSrc(filePath);
-      console.log(`Tracing I/O channel: ${pattern}\n`);
+      log(`Tracing I/O channel: ${pattern}\n`);
       const { writers, readers } = traceIO(src, pattern);
+      const hasBinaryWriter = writers.some(w => w.transport.startsWith('BINARY'));
+      const hasLineReader = readers.some(r => r.type.includes('line'));
+
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          pattern,
+          writers: writers.map(w => ({ offset: w.charOffset, function: w.funcName, transport: w.transport, context: w.context })),
+          readers: readers.map(r => ({ offset: r.charOffset, function: r.funcName, type: r.type })),
+          protocolMismatch: hasBinaryWriter && hasLineReader,
+        });
+        break;
+      }
 
       console.log(`Writers (${writers.length} found):`);
       for (const w of writers) {
@@ -365,8 +726,6 @@ async function main() {
         }
       }
 
-      const hasBinaryWriter = writers.some(w => w.transport.startsWith('BINARY'));
-      const hasLineReader = readers.some(r => r.type.includes('line'));
       if (hasBinaryWriter && hasLineReader) {
         console.log('\nWarning: Protocol mismatch — binary writer(s) found but reader uses line-based protocol');
       }
@@ -377,11 +736,12 @@ async function main() {
       const filePath = resolve(args[0]);
       const pattern = args[1];
       if (!pattern) {
-        console.error('Error: pattern is required');
-        process.exit(1);
+        fail('pattern is required');
       }
 
       const isRegex = args.includes('--regex');
+      const isAst = args.includes('--ast');
+      const isCooked = args.includes('--cooked');
       const showCaptures = args.includes('--captures');
       const isCompact = args.includes('--compact');
       const isCount = args.includes('--count');
@@ -390,14 +750,74 @@ async function main() {
       const near = nearArg ? parseInt(nearArg, 10) : undefined;
       const limit = limitArg ? parseInt(limitArg, 10) : undefined;
 
-      const src = readSrc(filePath);
+      if (isCooked && isAst) {
+        fail('--cooked searches string contents and cannot be combined with --ast');
+      }
 
-      console.log(`Searching for ${isRegex ? '/' + pattern + '/' : `"${pattern}"`}...\n`);
-      const result = findInFunctions(src, pattern, {
+      log(`Searching for ${isAst ? `structure ${JSON.stringify(pattern)}` : isRegex ? '/' + pattern + '/' : `"${pattern}"`}${isCooked ? ' in decoded strings' : ''}...`);
+      const result = await analyze('find', {
+        file: filePath,
+        pattern,
         regex: isRegex,
+        ast: isAst,
         captures: showCaptures,
         near,
+        cooked: isCooked,
       });
+      log();
+      if (result.error) {
+        fail(result.error);
+      }
+      const mod = await moduleScope(filePath);
+      if (mod) {
+        result.groups = result.groups
+          .map(group => ({ ...group, matches: group.matches.filter(m => inModule(mod, m.offset)) }))
+          .filter(group => group.matches.length > 0);
+        result.totalMatches = result.groups.reduce((n, group) => n + group.matches.length, 0);
+        result.totalFunctions = result.groups.length;
+      }
+      const vendor = await vendorRanges(filePath);
+      if (vendor) {
+        result.groups = result.groups
+          .map(group => ({ ...group, matches: group.matches.filter(m => !inRanges(vendor, m.offset)) }))
+          .filter(group => group.matches.length > 0);
+        result.totalMatches = result.groups.reduce((n, group) => n + group.matches.length, 0);
+        result.totalFunctions = result.groups.length;
+      }
+
+      if (isJson) {
+        // --limit caps the matches listed; totals always cover every match
+        let remaining = limit || Infinity;
+        const groups = [];
+        for (const group of result.groups) {
+          if (remaining <= 0) break;
+          const matches = group.matches.slice(0, remaining);
+          remaining -= matches.length;
+          groups.push({
+            signature: group.signature,
+            start: group.funcStart >= 0 ? group.funcStart : null,
+            matches: matches.map(m => ({
+              offset: m.offset,
+              matchText: m.matchText,
+              context: m.context,
+              contextOffset: m.contextOffset,
+              ...(showCaptures ? { captures: m.captures || [], namedCaptures: m.namedCaptures || null } : {}),
+            })),
+          });
+        }
+        emitJson({
+          file: filePath,
+          pattern,
+          mode: isAst ? 'ast' : isRegex ? 'regex' : 'text',
+          cooked: isCooked,
+          module: mod?.id ?? null,
+          totalMatches: result.totalMatches,
+          totalFunctions: result.totalFunctions,
+          truncated: groups.reduce((n, g) => n + g.matches.length, 0) < result.totalMatches,
+          groups,
+        });
+        break;
+      }
 
       if (result.totalMatches === 0) {
         console.log('No matches found.');
@@ -431,7 +851,7 @@ async function main() {
           } else {
             const ctx = m.context.replace(/\n/g, '\\n').replace(/\t/g, '\\t');
             console.log(`    [${m.offset}] ...${ctx}...`);
-            if (showCaptures && m.captures && m.captures.length > 0) {
+            if (showCaptures && (m.captures?.length > 0 || (m.namedCaptures && Object.keys(m.namedCaptures).length > 0))) {
               console.log('    Captures:');
               for (let i = 0; i < m.captures.length; i++) {
                 console.log(`      $${i + 1}: ${m.captures[i]}`);
@@ -458,17 +878,25 @@ async function main() {
       const filePath = resolve(args[0]);
       const charOffset = parseCharOffset(args[1]);
 
-      console.log(`Parsing ${basename(filePath)} with SWC...`);
-      const start = performance.now();
-      const { ast, src } = await parseFile(filePath);
-      const parseTime = ((performance.now() - start) / 1000).toFixed(2);
-      console.log(`Parsed in ${parseTime}s\n`);
-
-      const result = findRefs(ast, src, charOffset);
+      const result = await analyze('refs', { file: filePath, offset: charOffset });
+      log();
 
       if (result.error) {
-        console.error(`Error: ${result.error}`);
-        process.exit(1);
+        fail(result.error);
+      }
+
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          offset: charOffset,
+          groups: result.groups.map(group => ({
+            scope: { type: group.scope.type, start: group.scope.start, end: group.scope.end, depth: group.scope.depth },
+            refs: group.refs.map(ref => ({ name: ref.name, kind: ref.sourceScope.kind, offsets: ref.offsets })),
+          })),
+          totalRefs: result.totalRefs,
+          uniqueNames: result.uniqueNames,
+        });
+        break;
       }
 
       console.log(`External references from function at char ${charOffset}:\n`);
@@ -495,17 +923,27 @@ async function main() {
       const filePath = resolve(args[0]);
       const charOffset = parseCharOffset(args[1]);
 
-      console.log(`Parsing ${basename(filePath)} with SWC...`);
-      const start = performance.now();
-      const { ast, src } = await parseFile(filePath);
-      const parseTime = ((performance.now() - start) / 1000).toFixed(2);
-      console.log(`Parsed in ${parseTime}s\n`);
-
-      const result = findCalls(ast, src, charOffset);
+      const result = await analyze('calls', { file: filePath, offset: charOffset });
+      log();
 
       if (result.error) {
-        console.error(`Error: ${result.error}`);
-        process.exit(1);
+        fail(result.error);
+      }
+
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          offset: charOffset,
+          function: { name: result.funcName, start: result.funcStart, end: result.funcEnd },
+          outgoing: result.outgoing.map(call => ({ name: call.name, offsets: call.offsets })),
+          incoming: result.incoming.map(call => ({
+            offset: call.offset,
+            caller: { signature: call.callerSignature, start: call.callerStart },
+            context: call.context,
+          })),
+          ambiguous: result.ambiguous,
+        });
+        break;
       }
 
       console.log(`Call graph for ${result.funcName} at char ${result.funcStart}:\n`);
@@ -538,8 +976,7 @@ async function main() {
         const filePath1 = resolve(fileArgs[0]);
         const filePath2 = fileArgs[1] ? resolve(fileArgs[1]) : undefined;
         if (!filePath2) {
-          console.error('Error: --diff requires two file paths');
-          process.exit(1);
+          fail('--diff requires two file paths');
         }
         const minLengthArg = getArg('--min-length');
         const minLength = minLengthArg ? parseInt(minLengthArg, 10) : 20;
@@ -548,33 +985,51 @@ async function main() {
         const limitArg = getArg('--limit');
         const limit = showAll ? 0 : (limitArg ? parseInt(limitArg, 10) : 100);
 
-        const src1 = readFileSync(filePath1, 'utf-8');
-        const src2 = readFileSync(filePath2, 'utf-8');
-        console.log(`Collecting strings from ${basename(filePath1)} (${(src1.length / 1e6).toFixed(1)} MB)...`);
-        const strings1 = collectStrings(src1, {});
-        console.log(`Collecting strings from ${basename(filePath2)} (${(src2.length / 1e6).toFixed(1)} MB)...`);
-        const strings2 = collectStrings(src2, {});
+        log(`Collecting strings from ${basename(filePath1)}...`);
+        const { strings: strings1 } = await loadCachedIndex(filePath1, ['strings']);
+        log(`Collecting strings from ${basename(filePath2)}...`);
+        const { strings: strings2 } = await loadCachedIndex(filePath2, ['strings']);
 
         const { diffStringSets } = await import('./lib/diff-fns.mjs');
         const diff = diffStringSets(
-          strings1.map(s => s.content),
-          strings2.map(s => s.content),
+          stringContents(strings1),
+          stringContents(strings2),
           { minLength, filterCode: !raw, limit },
         );
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, minLength, ...stringDiffJson(diff) });
+          break;
+        }
         printStringDiff(diff, basename(filePath1), basename(filePath2));
         break;
       }
 
       const filePath = resolve(args[0]);
-      const src = readSrc(filePath);
-
       const near = getArg('--near') ? parseInt(getArg('--near'), 10) : undefined;
       const filter = getArg('--filter');
 
       const label = near !== undefined ? ` near char ${near}` : '';
-      console.log(`Collecting strings${label}...\n`);
+      log(`Collecting strings${label}...`);
+      const { src, strings: allStrings } = await loadCachedIndex(filePath, ['strings']);
+      log();
 
-      const strings = collectStrings(src, { near, filter });
+      const mod = await moduleScope(filePath);
+      const strings = filterStrings(src, allStrings, { near, filter }).filter(s => inModule(mod, s.offset));
+
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          near: near ?? null,
+          filter: filter ?? null,
+          module: mod?.id ?? null,
+          strings: strings.map(s => ({
+            offset: s.offset, length: s.length, content: s.content, cooked: s.cooked, function: s.funcName ?? null,
+            template: s.template === true, quasi: s.quasi === true, depth: s.depth ?? null,
+          })),
+          total: strings.length,
+        });
+        break;
+      }
 
       if (strings.length === 0) {
         console.log('No strings found.');
@@ -582,9 +1037,10 @@ async function main() {
       }
 
       for (const s of strings) {
-        const content = s.content.length > 80 ? s.content.substring(0, 77) + '...' : s.content;
+        const content = s.cooked.length > 80 ? s.cooked.substring(0, 77) + '...' : s.cooked;
         const func = s.funcName ? `  in ${s.funcName}` : '';
-        console.log(`  char ${s.offset.toString().padEnd(10)} ${JSON.stringify(content)}${func}`);
+        const kind = s.quasi ? '  [template part]' : s.template && s.content.includes('${}') ? '  [template]' : '';
+        console.log(`  char ${s.offset.toString().padEnd(10)} ${JSON.stringify(content)}${func}${kind}`);
       }
 
       console.log(`\nFound ${strings.length} strings`);
@@ -595,16 +1051,36 @@ async function main() {
       const filePath = resolve(args[0]);
       const pattern = args[1];
       if (!pattern) {
-        console.error('Error: pattern is required');
-        process.exit(1);
+        fail('pattern is required');
       }
 
       const replacement = getArg('--replacement');
       const isRegex = args.includes('--regex');
-      const src = readSrc(filePath);
+      const isAst = args.includes('--ast');
+
+      let result;
+      if (isAst) {
+        log(`Parsing ${basename(filePath)}...`);
+        const { ast, src } = await parseFile(filePath);
+        log(`Checking structural pattern: ${JSON.stringify(pattern)}\n`);
+        result = await checkASTPatch(src, ast, pattern, replacement);
+      } else {
+        const src = readSrc(filePath);
+        log(`Checking pattern: ${isRegex ? '/' + pattern + '/' : JSON.stringify(pattern)}\n`);
+        result = checkPatch(src, pattern, replacement, { regex: isRegex });
+      }
 
-      console.log(`Checking pattern: ${isRegex ? '/' + pattern + '/' : JSON.stringify(pattern)}\n`);
-      const result = checkPatch(src, pattern, replacement, { regex: isRegex });
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          pattern,
+          mode: isAst ? 'ast' : isRegex ? 'regex' : 'text',
+          ...matchesJson(result, isAst),
+          warnings: result.warnings,
+        });
+        if (result.status !== 'UNIQUE') process.exit(1);
+        break;
+      }
 
       const statusIcon = result.status === 'UNIQUE' ? 'UNIQUE (1 match)' :
         result.status === 'NOT_FOUND' ? 'NOT FOUND (0 matches)' :
@@ -621,6 +1097,12 @@ async function main() {
             console.log(`      $${i + 1}: ${m.captures[i]}`);
           }
         }
+        if (isAst && Object.keys(m.namedCaptures).length > 0) {
+          console.log('    Captures:');
+          for (const [name, val] of Object.entries(m.namedCaptures)) {
+            console.log(`      $${name}: ${val}`);
+          }
+        }
         console.log();
       }
 
@@ -645,16 +1127,38 @@ async function main() {
       const filePath = resolve(args[0]);
       const pattern = args[1];
       if (!pattern) {
-        console.error('Error: regex pattern is required');
-        process.exit(1);
+        fail('regex pattern is required');
       }
 
       const replacement = getArg('--replace');
-      const src = readSrc(filePath);
+      const isAst = args.includes('--ast');
 
-      const result = matchPattern(src, pattern, replacement);
+      let result;
+      if (isAst) {
+        log(`Parsing ${basename(filePath)}...`);
+        const { ast, src } = await parseFile(filePath);
+        result = await matchAST(src, ast, pattern, replacement);
+        if (result.error) {
+          fail(result.error);
+        }
+      } else {
+        const src = readSrc(filePath);
+        result = matchPattern(src, pattern, replacement);
+      }
 
-      console.log(`Pattern: /${result.expandedPattern}/\n`);
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          pattern,
+          mode: isAst ? 'ast' : 'regex',
+          ...(isAst ? { metavars: result.metavars } : { expandedPattern: result.expandedPattern }),
+          ...matchesJson(result, isAst),
+        });
+        if (result.status === 'NOT_FOUND') process.exit(1);
+        if (result.status === 'AMBIGUOUS') process.exit(2);
+        break;
+      }
+      console.log(isAst ? `Pattern (AST): ${pattern}\n` : `Pattern: /${result.expandedPattern}/\n`);
 
       const statusIcon = result.status === 'UNIQUE' ? 'UNIQUE (1 match)' :
         result.status === 'NOT_FOUND' ? 'NOT FOUND (0 matches)' :
@@ -664,7 +1168,12 @@ async function main() {
       for (const m of result.matches) {
         console.log(`Match at char ${m.offset} (${m.matchText.length} chars):`);
         console.log(`  ${m.matchText.replace(/\n/g, '\\n')}`);
-        if (m.captures.length > 0) {
+        if (isAst) {
+          if (m.captures.length > 0) console.log('  Captures:');
+          for (const [name, val] of Object.entries(m.namedCaptures)) {
+            console.log(`    $${name}: ${val}`);
+          }
+        } else if (m.captures.length > 0) {
           console.log('  Captures:');
           for (let i = 0; i < m.captures.length; i++) {
             console.log(`    $${i + 1}: ${m.captures[i]}`);
@@ -689,99 +1198,1017 @@ async function main() {
       break;
     }
 
-    case 'map': {
+    case 'patch-build': {
       const filePath = resolve(args[0]);
-      const isJson = args.includes('--json');
-      const includeStrings = args.includes('--strings');
+      const name = getArg('--name');
+      const pattern = getArg('--match');
+      const replaceTemplate = getArg('--replace-template');
+      const capturesArg = getArg('--captures');
+      const outputArg = getArg('--output');
+      if (!name || !pattern || replaceTemplate === undefined) {
+        fail('--name, --match and --replace-template are required');
+      }
 
-      console.log(`Parsing ${basename(filePath)} with SWC...`);
-      const start = performance.now();
-      const { ast, src } = await parseFile(filePath);
-      const parseTime = ((performance.now() - start) / 1000).toFixed(2);
-      console.log(`Parsed in ${parseTime}s`);
+      // Without --output the script goes to stdout, so keep progress off it
+      const log = outputArg && !isJson ? console.log : console.error;
+      const src = readSrc(filePath, log);
 
-      const map = buildFunctionMap(ast, src, { strings: includeStrings });
+      const outputPath = outputArg ? resolve(outputArg) : undefined;
+      const cliPath = outputPath ? relative(dirname(outputPath), filePath) : filePath;
+      const captures = capturesArg ? capturesArg.split(',').map(c => c.trim()).filter(Boolean) : [];
 
-      if (isJson) {
-        const outputPath = filePath + '.map.json';
-        writeFileSync(outputPath, JSON.stringify(map, null, 2));
-        console.log(`Wrote ${map.length} functions to ${basename(outputPath)}`);
-      } else {
-        console.log(`\nFunction map for ${basename(filePath)} (${(src.length / 1e6).toFixed(1)} MB):\n`);
-        for (let i = 0; i < map.length; i++) {
-          const fn = map[i];
-          const flags = [fn.isAsync ? 'async' : '', fn.isGenerator ? 'gen' : ''].filter(Boolean).join(' ');
-          const sig = fn.signature.substring(0, 60);
-          console.log(`  #${(i + 1).toString().padEnd(6)} char ${fn.start.toString().padEnd(10)}–${fn.end.toString().padEnd(10)} ${sig.padEnd(62)} ${flags.padEnd(6)} ${fn.paramCount}p`);
+      const result = buildPatchScript(src, { name, match: pattern, captures, replaceTemplate, cliPath });
+
+      log(`Pattern: /${result.expandedPattern ?? pattern}/\n`);
+      if (result.status) {
+        const statusIcon = result.status === 'UNIQUE' ? 'UNIQUE (1 match)' :
+          result.status === 'NOT_FOUND' ? 'NOT FOUND (0 matches)' :
+          `AMBIGUOUS (${result.matchCount} matches)`;
+        log(`Status: ${statusIcon}\n`);
+      }
+      if (result.status === 'AMBIGUOUS') {
+        for (const m of result.matches.slice(0, 10)) {
+          log(`  Match at char ${m.offset}: ${m.matchText.substring(0, 100).replace(/\n/g, '\\n')}`);
+        }
+        log();
+      }
+
+      if (result.error) {
+        if (isJson) {
+          emitJson({
+            file: filePath,
+            name,
+            error: result.error,
+            status: result.status ?? null,
+            matchCount: result.matchCount ?? 0,
+            matches: (result.matches || []).map(m => ({ offset: m.offset, matchText: m.matchText })),
+          });
+        } else {
+          console.error(`Error: ${result.error}`);
+        }
+        process.exit(result.status === 'AMBIGUOUS' ? 2 : 1);
+      }
+
+      const m = result.matches[0];
+      log(`Match at char ${m.offset} (${m.matchText.length} chars)`);
+      if (Object.keys(result.bindings).length > 0) {
+        log('  Captures:');
+        for (const [capName, val] of Object.entries(result.bindings)) {
+          log(`    ${capName}: ${val}`);
         }
-        console.log(`\nTotal: ${map.length} functions`);
+      }
+      log('\nReplacement preview:');
+      log(`  - ${result.preview.before.replace(/\n/g, '\\n')}`);
+      log(`  + ${result.preview.after.replace(/\n/g, '\\n')}\n`);
+
+      for (const w of result.warnings) {
+        log(`Warning: ${w}`);
+      }
+
+      if (outputPath) {
+        mkdirSync(dirname(outputPath), { recursive: true });
+        writeFileSync(outputPath, result.script);
+        log(`Wrote ${basename(outputPath)} (${result.script.split('\n').length} lines) to ${dirname(outputPath)}`);
+      }
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          name,
+          status: result.status,
+          matchCount: result.matchCount,
+          matches: result.matches.map(m => ({ offset: m.offset, matchText: m.matchText })),
+          bindings: result.bindings,
+          preview: { before: result.preview.before, after: result.preview.after },
+          warnings: result.warnings,
+          output: outputPath ?? null,
+          script: outputPath ? null : result.script,
+        });
+      } else if (!outputPath) {
+        process.stdout.write(result.script);
       }
       break;
     }
 
-    case 'diff-fns': {
-      const filePath1 = resolve(args[0]);
-      const filePath2 = resolve(args[1]);
-      if (!filePath2) {
-        console.error('Error: two file paths required');
-        process.exit(1);
+    case 'patch': {
+      const sub = args[0];
+      if (!['status', 'apply', 'revert', 'port', 'verify'].includes(sub)) {
+        fail('usage: patch <status|apply|revert> <manifest> <file> | patch port <manifest> <old> <new> | patch verify <file> <pattern> --replace S');
       }
 
-      const isJson = args.includes('--json');
-      const showBody = args.includes('--body');
-      const showSummary = args.includes('--summary');
-      const stringsOnly = args.includes('--strings-only');
-      const showAll = args.includes('--all');
-      const limitArg = getArg('--limit');
-      const DEFAULT_DISPLAY_LIMIT = 50;
-      const limit = showAll ? Infinity : (limitArg ? parseInt(limitArg, 10) : DEFAULT_DISPLAY_LIMIT);
-      const nameArg = getArg('--name');
-      const filterArg = getArg('--filter');
-      const log = isJson ? console.error : console.log;
+      if (sub === 'verify') {
+        const [fileArg, pattern] = getPositionalArgs(args.slice(1), ['--replace']);
+        const replacement = getArg('--replace');
+        if (!fileArg || !pattern || replacement === undefined) {
+          fail('patch verify requires a bundle path, a pattern and --replace');
+        }
+        const isAst = args.includes('--ast');
+        const filePath = resolve(fileArg);
+
+        log(`Parsing ${basename(filePath)}...`);
+        const { ast, src } = await parseFile(filePath);
+        const result = isAst
+          ? await matchAST(src, ast, pattern, replacement)
+          : matchPattern(src, pattern, replacement);
+        if (result.error) {
+          fail(result.error);
+        }
+        if (result.status !== 'UNIQUE') {
+          const message = `pattern is ${result.status === 'NOT_FOUND' ? 'not found' : `ambiguous (${result.matchCount} matches)`} — nothing to verify`;
+          if (isJson) {
+            emitJson({ file: filePath, pattern, error: message, status: result.status, matchCount: result.matchCount });
+          } else {
+            console.error(`Error: ${message}`);
+          }
+          process.exit(result.status === 'AMBIGUOUS' ? 2 : 1);
+        }
+
+        const m = result.matches[0];
+        const v = await verifyPatch(src, ast, { offset: m.offset, length: m.matchText.length, replacement: result.preview.replacedText });
 
-      // --strings-only: skip AST, just diff string sets
-      if (stringsOnly) {
-        const raw = args.includes('--raw');
-        const src1 = readFileSync(filePath1, 'utf-8');
-        const src2 = readFileSync(filePath2, 'utf-8');
-        log(`Collecting strings from ${basename(filePath1)}...`);
-        const strings1 = collectStrings(src1, {});
-        log(`Collecting strings from ${basename(filePath2)}...`);
-        const strings2 = collectStrings(src2, {});
-        const { diffStringSets } = await import('./lib/diff-fns.mjs');
-        const diff = diffStringSets(
-          strings1.map(s => s.content),
-          strings2.map(s => s.content),
-          { minLength: 20, filterCode: !raw, limit: showAll ? 0 : 100 },
-        );
         if (isJson) {
-          console.log(JSON.stringify(diff, null, 2));
-        } else {
-          printStringDiff(diff, basename(filePath1), basename(filePath2));
+          emitJson({
+            file: filePath,
+            pattern,
+            mode: isAst ? 'ast' : 'regex',
+            offset: m.offset,
+            matchText: m.matchText,
+            replacedText: result.preview.replacedText,
+            ok: v.ok,
+            parseError: v.parseError ?? null,
+            delta: v.delta,
+            target: v.target ?? null,
+            functions: v.functions ?? null,
+            changed: v.changed ?? [],
+            unexpected: v.unexpected ?? [],
+            identifiers: v.identifiers ?? [],
+            errors: v.errors,
+          });
+          if (!v.ok) process.exit(1);
+          break;
+        }
+
+        console.log(`\nVerifying replacement at char ${m.offset} (${m.matchText.length} → ${result.preview.replacedText.length} chars):\n`);
+        console.log(`  Parse:       ${v.parseError ? `FAIL — ${v.parseError}` : 'OK'}`);
+        if (!v.parseError) {
+          if (v.target) {
+            const span = v.target.v2End !== undefined
+              ? ` — span ${v.target.v1Start}-${v.target.v1End} → ${v.target.v2Start}-${v.target.v2End}`
+              : '';
+            console.log(`  Target:      ${v.target.name} (char ${v.target.v1Start}) ${v.target.change}${span}`);
+          } else {
+            console.log('  Target:      [top-level]');
+          }
+          const f = v.functions;
+          console.log(`  Functions:   ${f.unchanged} unchanged, ${f.shifted} shifted by ${v.delta >= 0 ? '+' : ''}${v.delta}, ${f.enclosing} enclosing`);
+          for (const c of v.changed.filter(c => c.change === 'removed' || c.change === 'added')) {
+            console.log(`               ${c.change} inside replacement: ${c.name} (char ${c.v1Start ?? c.v2Start})`);
+          }
+          for (const u of v.unexpected) {
+            console.log(`               UNEXPECTED: ${u.name} (char ${u.v1Start ?? u.v2Start}) — ${u.change}`);
+          }
+          if (v.identifiers.length === 0) {
+            console.log('  Identifiers: no new identifiers');
+          } else {
+            console.log(`  Identifiers: ${v.identifiers.map(i => `${i.name} (${i.resolved ? i.scope.type : 'UNRESOLVED'})`).join(', ')}`);
+          }
+        }
+
+        if (!v.ok) {
+          console.error('\nFAIL:');
+          for (const e of v.errors) console.error(`  - ${e}`);
+          process.exit(1);
         }
+        console.log('\nPASS');
         break;
       }
 
-      log(`Parsing ${basename(filePath1)}...`);
-      const { ast: ast1, src: src1 } = await parseFile(filePath1);
-      log(`Parsing ${basename(filePath2)}...`);
-      const { ast: ast2, src: src2 } = await parseFile(filePath2);
+      if (sub === 'port') {
+        const [manifestArg, oldArg, newArg] = getPositionalArgs(args.slice(1), ['--output']);
+        if (!manifestArg || !oldArg || !newArg) {
+          fail('patch port requires a manifest, the old bundle and the new bundle');
+        }
+        const outputPath = resolve(getArg('--output') || manifestArg.replace(/(\.json|\.m?js)?$/, '.ported.json'));
 
-      const map1 = buildFunctionMap(ast1, src1, { strings: true });
-      const map2 = buildFunctionMap(ast2, src2, { strings: true });
+        const { manifest, error } = await loadManifest(manifestArg);
+        if (error) {
+          fail(error);
+        }
 
-      const result = diffFunctions(map1, map2);
+        const { src: src1, functions: map1 } = await loadCachedIndex(resolve(oldArg), ['functions']);
+        const { src: src2, functions: map2 } = await loadCachedIndex(resolve(newArg), ['functions']);
+        const diff = diffFunctions(map1, map2);
 
-      if (isJson) {
-        console.log(JSON.stringify(result, null, 2));
+        const { manifest: ported, report } = portManifest(manifest, { src1, src2, map1, diff });
+
+        // Default markers are implied by the step name — keep the written manifest minimal
+        const steps = ported.steps.map(({ marker, ...rest }) =>
+          marker === patchMarker(rest.name) ? rest : { ...rest, marker });
+        writeFileSync(outputPath, JSON.stringify({ name: ported.name, steps }, null, 2) + '\n');
+
+        if (isJson) {
+          emitJson({
+            manifest: manifest.name,
+            old: resolve(oldArg),
+            new: resolve(newArg),
+            output: outputPath,
+            steps: report.map(r => ({
+              name: r.name,
+              status: r.status,
+              confidence: r.confidence ?? null,
+              offset: r.newOffset ?? null,
+              reason: r.reason ?? null,
+              function: r.function ?? null,
+              renamed: r.renamed || {},
+              match: r.step?.match ?? null,
+              warnings: r.warnings || [],
+            })),
+            counts: countStatuses(report),
+          });
+          if (report.some(r => r.status === 'failed')) process.exit(1);
+          break;
+        }
+
+        console.log(`\nPorting ${manifest.name} (${manifest.steps.length} steps) from ${basename(oldArg)} to ${basename(newArg)}:\n`);
+        for (const r of report) {
+          const confidence = r.confidence ? ` [${r.confidence}]` : '';
+          const where = r.newOffset !== undefined ? ` at char ${r.newOffset}` : '';
+          console.log(`  ${r.status.toUpperCase().padEnd(9)} ${r.name}${confidence}${where}${r.reason ? ` — ${r.reason}` : ''}`);
+          if (r.function) {
+            const via = r.function.depth > 0 ? `${r.function.via}, ${r.function.depth} level(s) out` : r.function.via;
+            console.log(`            in ${r.function.name} (v1 char ${r.function.v1Start} → v2 char ${r.function.v2Start}, ${via})`);
+          }
+          const renames = Object.entries(r.renamed || {});
+          if (renames.length > 0) console.log(`            renamed: ${renames.map(([a, b]) => `${a} → ${b}`).join(', ')}`);
+          if (r.status === 'ported') console.log(`            match: ${r.step.match}`);
+          for (const w of r.warnings || []) console.log(`            Warning: ${w}`);
+        }
+
+        const counts = countStatuses(report);
+        console.log(`\nTotal: ${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ')}`);
+        console.log(`Wrote ${relative(process.cwd(), outputPath) || outputPath}`);
+        if (report.some(r => r.status === 'failed')) process.exit(1);
         break;
       }
 
-      console.log(`\nComparing ${basename(filePath1)} (${(src1.length / 1e6).toFixed(1)} MB, ${map1.length} fns) vs ${basename(filePath2)} (${(src2.length / 1e6).toFixed(1)} MB, ${map2.length} fns):\n`);
-      console.log(`  Unchanged: ${result.unchanged.length} functions`);
-      console.log(`  Modified:  ${result.modified.length} functions`);
-      console.log(`  Added:     ${result.added.length} functions (new in v2)`);
-      console.log(`  Removed:   ${result.removed.length} functions (gone from v2)`);
+      const [manifestArg, fileArg] = getPositionalArgs(args.slice(1));
+      if (!manifestArg || !fileArg) {
+        fail(`patch ${sub} requires a manifest and a bundle path`);
+      }
+      const filePath = resolve(fileArg);
+      const dryRun = args.includes('--dry-run');
+
+      const { manifest, error } = await loadManifest(manifestArg);
+      if (error) {
+        fail(error);
+      }
+
+      const src = readSrc(filePath);
+      if (sub === 'status') {
+        const { steps } = patchStatus(src, manifest);
+        if (isJson) {
+          emitJson({
+            manifest: manifest.name,
+            file: filePath,
+            steps: steps.map(s => ({ name: s.name, status: s.status, offset: s.offset ?? null, error: s.error ?? null })),
+            counts: countStatuses(steps),
+          });
+          if (steps.some(s => s.status === 'ambiguous' || s.status === 'broken')) process.exit(1);
+          break;
+        }
+        console.log(`\nPatch status for ${manifest.name} (${manifest.steps.length} steps) against ${basename(filePath)}:\n`);
+        for (const s of steps) {
+          const where = s.offset !== undefined ? ` at char ${s.offset}` : '';
+          const why = s.error ? ` — ${s.error}` : '';
+          console.log(`  ${s.status.toUpperCase().padEnd(11)} ${s.name}${where}${why}`);
+        }
+        const counts = countStatuses(steps);
+        console.log(`\nTotal: ${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ')}`);
+        if (steps.some(s => s.status === 'ambiguous' || s.status === 'broken')) process.exit(1);
+        break;
+      }
+
+      const statePath = patchStatePath(filePath);
+      const { state, error: stateError } = readPatchState(statePath, manifest.name);
+      if (stateError) {
+        fail(stateError);
+      }
+
+      const result = sub === 'apply'
+        ? applyManifest(src, manifest)
+        : revertManifest(src, manifest, state.preimages);
+
+      const write = !result.error && !dryRun && result.src !== src;
+      if (isJson) {
+        emitJson({
+          manifest: manifest.name,
+          file: filePath,
+          dryRun,
+          steps: result.steps.map(s => ({ name: s.name, status: s.status, offset: s.offset ?? null, reason: s.reason ?? null })),
+          error: result.error ?? null,
+          written: write,
+          delta: result.error ? 0 : result.src.length - src.length,
+        });
+      } else {
+        log(`\n${sub === 'apply' ? 'Applying' : 'Reverting'} ${manifest.name}${dryRun ? ' (dry run)' : ''}:\n`);
+        for (const s of result.steps) {
+          const where = s.offset !== undefined ? ` at char ${s.offset}` : '';
+          const why = s.reason ? ` — ${s.reason}` : '';
+          console.log(`  ${s.status.toUpperCase().padEnd(9)} ${s.name}${where}${why}`);
+        }
+      }
+
+      if (result.error) {
+        if (!isJson) console.error(`\nError: ${result.error} — ${basename(filePath)} left unchanged`);
+        process.exit(1);
+      }
+      if (!write) {
+        log(`\n${dryRun ? 'Dry run' : 'Nothing to do'} — ${basename(filePath)} not written`);
+        break;
+      }
+
+      writeFileSync(filePath, result.src);
+      const preimages = sub === 'apply'
+        ? [...state.preimages.filter(p => !result.preimages.some(n => n.name === p.name)), ...result.preimages]
+        : result.remaining;
+      if (preimages.length > 0) {
+        writeFileSync(statePath, JSON.stringify({ version: STATE_VERSION, manifest: manifest.name, preimages }, null, 2));
+      } else if (existsSync(statePath)) {
+        rmSync(statePath);
+      }
+      log(`\nWrote ${basename(filePath)} (${result.src.length - src.length >= 0 ? '+' : ''}${result.src.length - src.length} chars)`);
+      break;
+    }
+
+    case 'cache': {
+      const sub = args[0] || 'info';
+      if (sub === 'clear') {
+        const { removed, bytes } = clearCache();
+        if (isJson) {
+          emitJson({ dir: cacheDir(), removed, bytes });
+          break;
+        }
+        console.log(`Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'} (${(bytes / 1e6).toFixed(1)} MB) from ${cacheDir()}`);
+        break;
+      }
+      if (sub !== 'info') {
+        fail('usage: cache [info|clear]');
+      }
+      const entries = cacheEntries();
+      const total = entries.reduce((sum, e) => sum + e.bytes, 0);
+      if (isJson) {
+        emitJson({
+          dir: cacheDir(),
+          enabled: useCache,
+          entries: entries.map(e => ({ hash: e.hash, size: e.size ?? null, bytes: e.bytes, parts: e.parts })),
+          totalBytes: total,
+        });
+        break;
+      }
+      console.log(`Index cache: ${cacheDir()}${useCache ? '' : ' (disabled)'}\n`);
+      for (const e of entries) {
+        const size = e.size !== undefined ? `${(e.size / 1e6).toFixed(1)} MB bundle` : 'incomplete';
+        console.log(`  ${e.hash.substring(0, 16)}  ${size.padEnd(18)} ${(e.bytes / 1e6).toFixed(1).padStart(6)} MB on disk  [${e.parts.join(', ')}]`);
+      }
+      console.log(`\nTotal: ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}, ${(total / 1e6).toFixed(1)} MB`);
+      break;
+    }
+
+    case 'serve': {
+      const sub = args[0];
+      const socketPath = getArg('--socket') || defaultSocketPath();
+
+      if (sub === 'status' || sub === 'stop') {
+        const daemon = await connectDaemon(socketPath);
+        if (!daemon) {
+          if (isJson) {
+            emitJson({ socket: socketPath, running: false });
+          } else {
+            console.log(`No daemon listening on ${socketPath}`);
+          }
+          if (sub === 'status') process.exit(1);
+          break;
+        }
+        if (sub === 'stop') {
+          await daemon.call('shutdown');
+          if (isJson) {
+            emitJson({ socket: socketPath, running: false, stopped: true });
+          } else {
+            console.log(`Stopped daemon on ${socketPath}`);
+          }
+        } else if (isJson) {
+          emitJson({ socket: socketPath, running: true, ...await daemon.call('status') });
+        } else {
+          const status = await daemon.call('status');
+          console.log(`Daemon pid ${status.pid} on ${socketPath}, up ${status.uptime}s\n`);
+          for (const b of status.bundles) {
+            console.log(`  ${b.file}  ${(b.size / 1e6).toFixed(1)} MB  ${b.functions ?? '?'} fns  [${b.parts.join(', ')}]`);
+          }
+          console.log(`\nTotal: ${status.bundles.length} bundles loaded`);
+        }
+        daemon.close();
+        break;
+      }
+
+      // stdout carries responses in --stdio mode, so all logging goes to stderr
+      const daemonAnalyzer = createAnalyzer({ cache: useCache, log: (msg) => console.error(msg) });
+      for (const file of getPositionalArgs(args, ['--socket'])) {
+        try {
+          const { functions } = await daemonAnalyzer.call('load', { file: resolve(file) });
+          console.error(`Loaded ${basename(file)} (${functions} functions)`);
+        } catch (e) {
+          fail(e.message);
+        }
+      }
+
+      if (args.includes('--stdio')) {
+        await serveStream(process.stdin, process.stdout, daemonAnalyzer);
+        break;
+      }
+
+      const daemon = await serveSocket(socketPath, daemonAnalyzer);
+      if (daemon.error) {
+        fail(daemon.error);
+      }
+      console.error(`Listening on ${socketPath} (pid ${process.pid})`);
+      process.on('SIGINT', () => daemon.close());
+      process.on('SIGTERM', () => daemon.close());
+      await new Promise(done => daemon.server.once('close', done));
+      console.error('Daemon stopped');
+      break;
+    }
+
+    case 'map': {
+      const filePath = resolve(args[0]);
+      const includeStrings = args.includes('--strings');
+
+      const { src, functions } = await loadCachedIndex(filePath, ['functions']);
+      const mod = await moduleScope(filePath);
+      const vendor = await vendorRanges(filePath);
+      const scoped = functions.filter(fn => inModule(mod, fn.start, fn.end) && !(vendor && inRanges(vendor, fn.start)));
+      // The cached map always carries strings
+      const map = includeStrings ? scoped : scoped.map(({ strings, argStrings, ...fn }) => fn);
+
+      if (isJson) {
+        const outputPath = filePath + '.map.json';
+        writeFileSync(outputPath, JSON.stringify(map, null, 2));
+        log(`Wrote ${map.length} functions to ${basename(outputPath)}`);
+        emitJson({ file: filePath, output: outputPath, size: src.length, total: map.length, strings: includeStrings, module: mod?.id ?? null });
+      } else {
+        const scope = mod ? `, module ${mod.id}` : '';
+        console.log(`\nFunction map for ${basename(filePath)} (${(src.length / 1e6).toFixed(1)} MB${scope}):\n`);
+        for (let i = 0; i < map.length; i++) {
+          const fn = map[i];
+          const flags = [fn.isAsync ? 'async' : '', fn.isGenerator ? 'gen' : ''].filter(Boolean).join(' ');
+          const sig = fn.signature.substring(0, 60);
+          console.log(`  #${(i + 1).toString().padEnd(6)} char ${fn.start.toString().padEnd(10)}–${fn.end.toString().padEnd(10)} ${sig.padEnd(62)} ${flags.padEnd(6)} ${fn.paramCount}p`);
+        }
+        console.log(`\nTotal: ${map.length} functions`);
+      }
+      break;
+    }
+
+    case 'modules': {
+      const filePath = resolve(args[0]);
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? Infinity : (limitArg ? parseInt(limitArg, 10) : 50);
+
+      const { helpers, modules: all } = await analyze('modules', { file: filePath });
+      const mod = await moduleScope(filePath);
+      const modules = mod ? [mod] : all;
+      const counts = {};
+      for (const m of all) counts[m.kind] = (counts[m.kind] || 0) + 1;
+
+      if (isJson) {
+        emitJson({ file: filePath, helpers, total: all.length, counts, modules });
+        break;
+      }
+
+      if (all.length === 0) {
+        console.log('No module wrappers found (looked for esbuild/bun __commonJS/__esm helpers and webpack module tables).');
+        break;
+      }
+
+      const breakdown = Object.entries(counts).map(([kind, n]) => `${n} ${kind}`).join(', ');
+      console.log(`\nModules in ${basename(filePath)}: ${all.length} (${breakdown})`);
+      if (helpers.length > 0) {
+        console.log(`Wrapper helpers: ${helpers.map(h => `${h.name} (${h.kind}, char ${h.start})`).join(', ')}`);
+      }
+      console.log();
+
+      // One module in full, or a capped list with capped edges
+      const max = mod ? Infinity : 8;
+      const list = (items) => {
+        if (items.length === 0) return '—';
+        const shown = items.slice(0, max).join(', ');
+        return items.length > max ? `${shown}, ... (${items.length} total)` : shown;
+      };
+      for (const m of modules.slice(0, limit)) {
+        const path = m.path ? `  ${m.path}` : '';
+        console.log(`  ${m.id.padEnd(12)} ${m.kind.padEnd(8)} char ${m.start}–${m.end} (${((m.end - m.start) / 1e3).toFixed(1)} KB)${path}`);
+        console.log(`    exports: ${list(m.exports)}`);
+        console.log(`    imports: ${list(m.imports)}  ·  imported by: ${list(m.importedBy)}`);
+        if (m.strings.length > 0) console.log(`    strings: ${m.strings.map(str => JSON.stringify(str.length > 60 ? str.substring(0, 57) + '...' : str)).join(', ')}`);
+      }
+      if (modules.length > limit) console.log(`\n  ... and ${modules.length - limit} more (use --limit N or --all)`);
+      break;
+    }
+
+    case 'telemetry': {
+      if (args.includes('--diff')) {
+        const [old, cur] = getPositionalArgs(args, ['--limit', '--filter']);
+        if (!cur) {
+          fail('--diff requires two file paths');
+        }
+        const filePath1 = resolve(old);
+        const filePath2 = resolve(cur);
+        const { diffTelemetry } = await import('./lib/telemetry.mjs');
+        const diff = diffTelemetry(await analyze('telemetry', { file: filePath1 }), await analyze('telemetry', { file: filePath2 }));
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, ...diff });
+          break;
+        }
+
+        console.log(`\nTelemetry ${basename(filePath1)} → ${basename(filePath2)}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} with changed payload keys`);
+        if (diff.added.length > 0) {
+          console.log('\nAdded:');
+          for (const e of diff.added) console.log(`  + ${e.name}  ${formatKeys(e.keys)}  ${formatSite(e.calls[0].offset, e.calls[0].emitter ?? '<computed>', e.calls[0].function)}`);
+        }
+        if (diff.removed.length > 0) {
+          console.log('\nRemoved:');
+          for (const e of diff.removed) console.log(`  - ${e.name}  ${formatKeys(e.keys)}  ${formatSite(e.calls[0].offset, e.calls[0].emitter ?? '<computed>', e.calls[0].function)}`);
+        }
+        if (diff.changed.length > 0) {
+          console.log('\nChanged payloads:');
+          for (const c of diff.changed) {
+            console.log(`  ~ ${c.name}  ${[...c.added.map(k => `+${k}`), ...c.removed.map(k => `-${k}`)].join(' ')}`);
+          }
+        }
+        break;
+      }
+
+      const filePath = resolve(args[0]);
+      const filter = getArg('--filter');
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? Infinity : (limitArg ? parseInt(limitArg, 10) : 50);
+
+      const result = await analyze('telemetry', { file: filePath });
+      const events = filter ? result.events.filter(e => e.name.includes(filter)) : result.events;
+      if (isJson) {
+        emitJson({ file: filePath, filter: filter ?? null, total: events.length, calls: events.reduce((n, e) => n + e.calls.length, 0), events });
+        break;
+      }
+      if (events.length === 0) {
+        console.log(filter ? `No telemetry events matching "${filter}".` : 'No telemetry events found.');
+        break;
+      }
+
+      console.log(`\nTelemetry events in ${basename(filePath)}: ${events.length} (${events.reduce((n, e) => n + e.calls.length, 0)} calls)\n`);
+      for (const e of events.slice(0, limit)) {
+        console.log(`  ${e.name}  ${formatKeys(e.keys)}`);
+        for (const call of e.calls) {
+          const keys = call.keys === null ? '  (payload not an object literal)' : (e.calls.length > 1 ? `  ${formatKeys(call.keys)}` : '');
+          console.log(`    ${formatSite(call.offset, call.emitter ?? '<computed>', call.function)}${keys}`);
+        }
+      }
+      if (events.length > limit) console.log(`\n  ... and ${events.length - limit} more (use --limit N or --all)`);
+      break;
+    }
+
+    case 'env': {
+      if (args.includes('--diff')) {
+        const [old, cur] = getPositionalArgs(args, ['--limit', '--filter']);
+        if (!cur) {
+          fail('--diff requires two file paths');
+        }
+        const filePath1 = resolve(old);
+        const filePath2 = resolve(cur);
+        const { diffEnv } = await import('./lib/env.mjs');
+        const diff = diffEnv(await analyze('env', { file: filePath1 }), await analyze('env', { file: filePath2 }));
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, ...diff });
+          break;
+        }
+
+        console.log(`\nEnv and gates ${basename(filePath1)} → ${basename(filePath2)}`);
+        for (const [title, part] of [['Env vars', diff.env], ['Gates', diff.gates]]) {
+          console.log(`\n${title}: ${part.added.length} added, ${part.removed.length} removed, ${part.changed.length} changed`);
+          for (const e of part.added) console.log(`  + ${e.name}${formatDefaults(e)}  ${formatSite(e.reads[0].offset, e.reads[0].via, e.reads[0].function)}`);
+          for (const e of part.removed) console.log(`  - ${e.name}${formatDefaults(e)}  ${formatSite(e.reads[0].offset, e.reads[0].via, e.reads[0].function)}`);
+          for (const c of part.changed) {
+            const notes = [];
+            if (c.defaults.before.join() !== c.defaults.after.join()) notes.push(`defaults ${c.defaults.before.join(' | ') || '—'} → ${c.defaults.after.join(' | ') || '—'}`);
+            if (c.boolean.before !== c.boolean.after) notes.push(c.boolean.after ? 'now read as a boolean' : 'no longer read as a boolean');
+            console.log(`  ~ ${c.name}  ${notes.join('; ')}`);
+          }
+        }
+        break;
+      }
+
+      const filePath = resolve(args[0]);
+      const filter = getArg('--filter');
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? Infinity : (limitArg ? parseInt(limitArg, 10) : 50);
+
+      const result = await analyze('env', { file: filePath });
+      const matching = (entries) => filter ? entries.filter(e => e.name.includes(filter)) : entries;
+      const env = matching(result.env);
+      const gates = matching(result.gates);
+      if (isJson) {
+        emitJson({ file: filePath, filter: filter ?? null, totalEnv: env.length, totalGates: gates.length, env, gates });
+        break;
+      }
+      if (env.length === 0 && gates.length === 0) {
+        console.log(filter ? `No env vars or gates matching "${filter}".` : 'No env var reads or gate checks found.');
+        break;
+      }
+
+      for (const [title, entries] of [['Env vars', env], ['Gates', gates]]) {
+        if (entries.length === 0) continue;
+        console.log(`\n${title} in ${basename(filePath)}: ${entries.length} (${entries.reduce((n, e) => n + e.reads.length, 0)} reads)\n`);
+        for (const e of entries.slice(0, limit)) {
+          console.log(`  ${e.name}${formatDefaults(e)}${e.boolean ? '  [boolean]' : ''}`);
+          for (const r of e.reads) console.log(`    ${formatSite(r.offset, r.via, r.function)}`);
+        }
+        if (entries.length > limit) console.log(`\n  ... and ${entries.length - limit} more (use --limit N or --all)`);
+      }
+      break;
+    }
+
+    case 'cli-options': {
+      if (args.includes('--diff')) {
+        const [old, cur] = getPositionalArgs(args);
+        if (!cur) {
+          fail('--diff requires two file paths');
+        }
+        const filePath1 = resolve(old);
+        const filePath2 = resolve(cur);
+        const { diffCliOptions } = await import('./lib/cli-options.mjs');
+        const diff = diffCliOptions(await analyze('cliOptions', { file: filePath1 }), await analyze('cliOptions', { file: filePath2 }));
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, ...diff });
+          break;
+        }
+
+        console.log(`\nCLI ${basename(filePath1)} → ${basename(filePath2)}`);
+        const label = { commands: c => c.path, options: o => `${o.command} ${o.flags}`, arguments: a => `${a.command} ${a.name}` };
+        for (const kind of ['commands', 'options', 'arguments']) {
+          const part = diff[kind];
+          console.log(`\n${kind[0].toUpperCase()}${kind.slice(1)}: ${part.added.length} added, ${part.removed.length} removed, ${part.changed.length} changed`);
+          for (const item of part.added) console.log(`  + ${label[kind](item)}${item.description ? `  ${item.description}` : ''}`);
+          for (const item of part.removed) console.log(`  - ${label[kind](item)}${item.description ? `  ${item.description}` : ''}`);
+          for (const c of part.changed) {
+            const changes = Object.entries(c.changes).map(([field, { before, after }]) => `${field} ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+            console.log(`  ~ ${kind === 'commands' ? c.command : `${c.command} ${c.name}`}  ${changes.join('; ')}`);
+          }
+        }
+        break;
+      }
+
+      const filePath = resolve(args[0]);
+      const result = await analyze('cliOptions', { file: filePath });
+      if (isJson) {
+        emitJson({ file: filePath, ...result });
+        break;
+      }
+      if (result.programs.length === 0) {
+        console.log('No commander-style CLI definitions found (looked for .command/.option/.argument builder chains).');
+        break;
+      }
+
+      console.log(`\nCLI in ${basename(filePath)}: ${result.total.commands} commands, ${result.total.options} options, ${result.total.arguments} arguments`);
+      const printCommand = (cmd, indent) => {
+        const notes = [cmd.version && `v${cmd.version}`, cmd.aliases.length > 0 && `alias ${cmd.aliases.join(', ')}`, cmd.hidden && 'hidden'].filter(Boolean);
+        console.log(`\n${indent}${cmd.name ?? cmd.path}  (char ${cmd.offset})${notes.length > 0 ? `  [${notes.join(', ')}]` : ''}${cmd.description ? `  ${cmd.description.split('\n')[0]}` : ''}`);
+        for (const a of cmd.arguments) {
+          const spec = a.required ? `<${a.name}${a.variadic ? '...' : ''}>` : `[${a.name}${a.variadic ? '...' : ''}]`;
+          console.log(`${indent}    ${spec.padEnd(32)} ${a.description ?? ''}${a.default ? `  (default: ${a.default})` : ''}`);
+        }
+        for (const o of cmd.options) {
+          const extra = [o.default && `default: ${o.default}`, o.choices && `choices: ${o.choices.join('|')}`, o.env && `env: ${o.env}`, o.required && 'required', o.hidden && 'hidden'].filter(Boolean);
+          console.log(`${indent}    ${o.flags.padEnd(32)} ${o.description ?? ''}${extra.length > 0 ? `  (${extra.join(', ')})` : ''}`);
+        }
+        for (const sub of cmd.commands) printCommand(sub, indent + '  ');
+      };
+      for (const program of result.programs) printCommand(program, '');
+      break;
+    }
+
+    case 'schemas': {
+      if (args.includes('--diff')) {
+        const [old, cur] = getPositionalArgs(args, ['--limit', '--filter']);
+        if (!cur) {
+          fail('--diff requires two file paths');
+        }
+        const filePath1 = resolve(old);
+        const filePath2 = resolve(cur);
+        const { diffSchemas } = await import('./lib/schemas.mjs');
+        const diff = diffSchemas(await analyze('schemas', { file: filePath1 }), await analyze('schemas', { file: filePath2 }));
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, ...diff });
+          break;
+        }
+
+        const label = (s) => `${s.name ?? '(unnamed)'} (char ${s.offset})`;
+        const show = (value) => value === undefined ? '—' : typeof value === 'string' ? value : JSON.stringify(value);
+        console.log(`\nSchemas ${basename(filePath1)} → ${basename(filePath2)}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+        for (const s of diff.added) console.log(`  + ${label(s)}  ${s.properties} properties`);
+        for (const s of diff.removed) console.log(`  - ${label(s)}  ${s.properties} properties`);
+        for (const c of diff.changed) {
+          console.log(`\n  ~ ${label(c)}${c.v1.name !== c.name ? `  (was ${c.v1.name ?? '(unnamed)'})` : ''}`);
+          for (const path of c.properties.added) console.log(`      + ${path}`);
+          for (const path of c.properties.removed) console.log(`      - ${path}`);
+          for (const p of c.properties.changed) console.log(`      ~ ${p.path} ${p.field}: ${show(p.before)} → ${show(p.after)}`);
+        }
+        break;
+      }
+
+      const filePath = resolve(args[0]);
+      const filter = getArg('--filter');
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? Infinity : (limitArg ? parseInt(limitArg, 10) : 50);
+
+      const result = await analyze('schemas', { file: filePath });
+      // By schema name or top-level property: config keys are what one usually looks for
+      const schemas = filter
+        ? result.schemas.filter(s => s.name?.includes(filter) || Object.keys(s.schema.properties ?? {}).some(k => k.includes(filter)))
+        : result.schemas;
+      if (isJson) {
+        emitJson({ file: filePath, filter: filter ?? null, namespaces: result.namespaces, total: schemas.length, schemas });
+        break;
+      }
+      if (schemas.length === 0) {
+        console.log(filter ? `No schemas matching "${filter}".` : 'No zod schemas found.');
+        break;
+      }
+
+      console.log(`\nSchemas in ${basename(filePath)}: ${schemas.length} (zod namespace ${result.namespaces.join(', ')})`);
+      const printProperties = (schema, indent) => {
+        const required = new Set(schema.required ?? []);
+        for (const [key, prop] of Object.entries(schema.properties ?? {})) {
+          console.log(`${indent}${formatProperty(key, prop, required.has(key))}`);
+          const nested = prop.type === 'array' ? prop.items : typeof prop.additionalProperties === 'object' ? prop.additionalProperties : prop;
+          if (nested?.properties) printProperties(nested, indent + '  ');
+        }
+      };
+      for (const s of schemas.slice(0, limit)) {
+        const where = s.function ? `in ${s.function.name} (char ${s.function.start})` : 'at module scope';
+        const defs = Object.keys(s.schema.$defs ?? {});
+        console.log(`\n${s.name ?? '(unnamed)'}  (char ${s.offset}, ${where})  ${s.properties} properties${defs.length > 0 ? `  uses ${defs.join(', ')}` : ''}`);
+        if (s.schema.description) console.log(`  ${s.schema.description.split('\n')[0]}`);
+        printProperties(s.schema, '    ');
+      }
+      if (schemas.length > limit) console.log(`\n... and ${schemas.length - limit} more (use --limit N or --all)`);
+      break;
+    }
+
+    case 'tools': {
+      if (args.includes('--diff')) {
+        const [old, cur] = getPositionalArgs(args, ['--limit', '--filter']);
+        if (!cur) {
+          fail('--diff requires two file paths');
+        }
+        const filePath1 = resolve(old);
+        const filePath2 = resolve(cur);
+        const { diffTools } = await import('./lib/tools.mjs');
+        const diff = diffTools(await analyze('tools', { file: filePath1 }), await analyze('tools', { file: filePath2 }));
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, ...diff });
+          break;
+        }
+
+        console.log(`\nTools ${basename(filePath1)} → ${basename(filePath2)}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+        for (const t of diff.added) console.log(`  + ${t.name}  (char ${t.offset})${t.description ? `  ${formatText(t.description.text, 80)}` : ''}`);
+        for (const t of diff.removed) console.log(`  - ${t.name}  (char ${t.offset})`);
+        for (const c of diff.changed) {
+          console.log(`\n  ~ ${c.name}  (char ${c.offset})`);
+          const { description, prompt, readOnly, keys, input } = c.changes;
+          for (const [label, change] of [['description', description], ['prompt', prompt]]) {
+            if (!change) continue;
+            console.log(`      ${label}: ${formatText(change.before, 60)}`);
+            console.log(`      ${' '.repeat(label.length)}  → ${formatText(change.after, 60)}`);
+          }
+          if (readOnly) console.log(`      read-only: ${readOnly.before} → ${readOnly.after}`);
+          if (keys) console.log(`      keys: ${[...keys.added.map(k => `+${k}`), ...keys.removed.map(k => `-${k}`)].join(' ')}`);
+          if (input) {
+            for (const path of input.added) console.log(`      input + ${path}`);
+            for (const path of input.removed) console.log(`      input - ${path}`);
+            for (const p of input.changed) console.log(`      input ~ ${p.path} ${p.field}: ${JSON.stringify(p.before)} → ${JSON.stringify(p.after)}`);
+          }
+        }
+        break;
+      }
+
+      const filePath = resolve(args[0]);
+      const filter = getArg('--filter');
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? Infinity : (limitArg ? parseInt(limitArg, 10) : 50);
+
+      const result = await analyze('tools', { file: filePath });
+      const tools = filter ? result.tools.filter(t => t.name?.includes(filter)) : result.tools;
+      if (isJson) {
+        emitJson({ file: filePath, filter: filter ?? null, total: tools.length, tools });
+        break;
+      }
+      if (tools.length === 0) {
+        console.log(filter ? `No tools matching "${filter}".` : 'No tool definitions found (looked for objects with name plus inputSchema or call).');
+        break;
+      }
+
+      console.log(`\nTools in ${basename(filePath)}: ${tools.length}`);
+      for (const t of tools.slice(0, limit)) {
+        const where = t.function ? `in ${t.function.name} (char ${t.function.start})` : 'at module scope';
+        const readOnly = t.readOnly === null ? '' : t.readOnly ? '  [read-only]' : '  [writes]';
+        console.log(`\n${t.name ?? '(unnamed)'}  (char ${t.offset}, ${where})${readOnly}`);
+        if (t.description) console.log(`    ${'description'.padEnd(20)} char ${String(t.description.offset).padEnd(10)} ${formatText(t.description.text)}`);
+        if (t.prompt) console.log(`    ${'prompt'.padEnd(20)} char ${String(t.prompt.offset).padEnd(10)} ${formatText(t.prompt.text)}`);
+        if (t.inputSchema) {
+          const required = new Set(t.inputSchema.schema?.required ?? []);
+          const shape = t.inputSchema.schema ? `{${t.inputSchema.properties.map(p => (required.has(p) ? p : `${p}?`)).join(', ')}}` : t.inputSchema.source;
+          console.log(`    ${'input'.padEnd(20)} char ${String(t.inputSchema.offset).padEnd(10)} ${shape}`);
+        }
+        for (const [key, method] of Object.entries(t.methods)) {
+          if (key === 'description' || key === 'prompt' || key === 'inputSchema') continue;
+          console.log(`    ${key.padEnd(20)} char ${method.returns !== null ? `${String(method.offset).padEnd(10)} returns ${method.returns}` : method.offset}`);
+        }
+      }
+      if (tools.length > limit) console.log(`\n... and ${tools.length - limit} more (use --limit N or --all)`);
+      console.log(`\nRead a method with extract-fn or decompile at its char offset.`);
+      break;
+    }
+
+    case 'prompts': {
+      const minLengthArg = getArg('--min-length');
+      const minLength = minLengthArg ? parseInt(minLengthArg, 10) : undefined;
+      if (args.includes('--diff')) {
+        const [old, cur] = getPositionalArgs(args, ['--min-length', '--limit', '--filter']);
+        if (!cur) {
+          fail('--diff requires two file paths');
+        }
+        const filePath1 = resolve(old);
+        const filePath2 = resolve(cur);
+        const { diffPrompts } = await import('./lib/prompts.mjs');
+        const diff = diffPrompts(await analyze('prompts', { file: filePath1, minLength }), await analyze('prompts', { file: filePath2, minLength }));
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, ...diff });
+          break;
+        }
+
+        console.log(`\nPrompts ${basename(filePath1)} → ${basename(filePath2)}: ${diff.unchanged} unchanged, ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+        for (const c of diff.changed) {
+          console.log(`\n~ char ${c.offset} (was char ${c.v1Offset})  ${c.length.before} → ${c.length.after} chars: ${formatText(c.text, 80)}`);
+          for (const edit of c.words) console.log(`    ${formatWordEdit(edit)}`);
+        }
+        for (const p of diff.added) console.log(`\n+ char ${p.offset}  ${p.length} chars: ${formatText(p.text, 80)}`);
+        for (const p of diff.removed) console.log(`\n- char ${p.offset}  ${p.length} chars: ${formatText(p.text, 80)}`);
+        break;
+      }
+
+      const filePath = resolve(args[0]);
+      const filter = getArg('--filter');
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? Infinity : (limitArg ? parseInt(limitArg, 10) : 20);
+      const full = args.includes('--full');
+
+      const result = await analyze('prompts', { file: filePath, minLength, filter });
+      if (isJson) {
+        emitJson({ file: filePath, filter: filter ?? null, ...result });
+        break;
+      }
+      if (result.total === 0) {
+        console.log(filter ? `No prompts containing "${filter}".` : 'No prompts found (try a lower --min-length).');
+        break;
+      }
+
+      console.log(`\nPrompts in ${basename(filePath)}: ${result.total}, longest first`);
+      result.prompts.slice(0, limit).forEach((p, i) => {
+        const where = p.function ? `in ${p.function.name} (char ${p.function.start})` : 'at module scope';
+        const copies = p.offsets.length > 1 ? `  ×${p.offsets.length}` : '';
+        const names = [...new Set(p.placeholders.map(ph => ph.name))];
+        console.log(`\n#${i + 1}  ${p.length} chars  char ${p.offset} ${where}${copies}${names.length > 0 ? `  placeholders: ${names.join(', ')}` : ''}`);
+        const lines = p.text.split('\n');
+        for (const line of full ? lines : lines.slice(0, 3)) console.log(`    ${full ? line : formatText(line, 120)}`);
+        if (!full && lines.length > 3) console.log(`    ... ${lines.length - 3} more lines (use --full)`);
+      });
+      if (result.total > limit) console.log(`\n... and ${result.total - limit} more (use --limit N or --all)`);
+      break;
+    }
+
+    case 'vendors': {
+      if (args[0] === 'build') {
+        const dirs = getPositionalArgs(args.slice(1), ['--db']).map(d => resolve(d));
+        if (dirs.length === 0) {
+          fail('vendors build requires at least one node_modules directory');
+        }
+        const dbPath = vendorDbPath() ?? defaultSignaturesPath();
+        const existing = existsSync(dbPath) ? loadSignatures(dbPath) : null;
+        if (existing?.error) log(`Warning: ${existing.error}; starting a new database`);
+
+        log(`Reading packages under ${dirs.join(', ')}...`);
+        const db = await buildSignatures(dirs, { existing: existing?.error ? null : existing, log });
+        if (db.error) {
+          fail(db.error);
+        }
+        mkdirSync(dirname(dbPath), { recursive: true });
+        writeFileSync(dbPath, JSON.stringify(db));
+        const packages = db.packages.map(p => ({ name: p.name, version: p.version, strings: p.strings.length, shapes: p.shapes.length }));
+        if (isJson) {
+          emitJson({ db: dbPath, total: packages.length, packages });
+          break;
+        }
+        console.log(`\nWrote signatures for ${packages.length} package versions to ${dbPath}`);
+        break;
+      }
+
+      const filePath = resolve(args[0]);
+      const result = await analyze('vendors', { file: filePath, db: vendorDbPath() });
+      if (result.error) {
+        fail(result.error);
+      }
+      if (isJson) {
+        emitJson({ file: filePath, ...result });
+        break;
+      }
+      if (result.packages.length === 0) {
+        console.log('No vendored packages recognised (is the package in the signature database? see `vendors build`).');
+        break;
+      }
+
+      const vendorBytes = result.ranges.reduce((n, r) => n + r.end - r.start, 0);
+      console.log(`\nVendored packages in ${basename(filePath)}: ${result.packages.length} (${(vendorBytes / 1e6).toFixed(2)} MB located)\n`);
+      for (const p of result.packages) {
+        // Several versions with the same signature match: the version is a range, not a point
+        const version = p.candidates.length > 1 ? `${p.version} (or ${p.candidates.filter(v => v !== p.version).join(', ')})` : p.version;
+        const modules = p.modules.length > 0 ? `, modules ${p.modules.slice(0, 5).join(', ')}${p.modules.length > 5 ? ', ...' : ''}` : '';
+        console.log(`  ${`${p.name}@${version}`.padEnd(40)} score ${p.score.toFixed(2)}  strings ${p.strings.matched}/${p.strings.total}  shapes ${p.shapes.matched}/${p.shapes.total}`);
+        console.log(`    ${(p.bytes / 1e3).toFixed(1)} KB located, ${p.functions} functions${modules}`);
+      }
+      break;
+    }
+
+    case 'diff-fns': {
+      const filePath1 = resolve(args[0]);
+      const filePath2 = resolve(args[1]);
+      if (!filePath2) {
+        fail('two file paths required');
+      }
+
+      const showBody = args.includes('--body');
+      const showSummary = args.includes('--summary');
+      const stringsOnly = args.includes('--strings-only');
+      const showAll = args.includes('--all');
+      const limitArg = getArg('--limit');
+      const DEFAULT_DISPLAY_LIMIT = 50;
+      const limit = showAll ? Infinity : (limitArg ? parseInt(limitArg, 10) : DEFAULT_DISPLAY_LIMIT);
+      const nameArg = getArg('--name');
+      const filterArg = getArg('--filter');
+
+      // --strings-only: skip AST, just diff string sets
+      if (stringsOnly) {
+        const diff = await analyze('diffFns', {
+          file1: filePath1,
+          file2: filePath2,
+          stringsOnly: true,
+          raw: args.includes('--raw'),
+          all: showAll,
+        });
+        if (isJson) {
+          emitJson({ file1: filePath1, file2: filePath2, ...stringDiffJson(diff) });
+        } else {
+          printStringDiff(diff, basename(filePath1), basename(filePath2));
+        }
+        break;
+      }
+
+      const { v1, v2, diff: result, error } = await analyze('diffFns', {
+        file1: filePath1,
+        file2: filePath2,
+        excludeVendor: args.includes('--exclude-vendor'),
+        db: vendorDbPath(),
+      });
+      if (error) {
+        fail(error);
+      }
+
+      if (isJson && showSummary) {
+        const { categorizeDiff } = await import('./lib/diff-fns.mjs');
+        emitJson({ file1: filePath1, file2: filePath2, categories: categorizeDiff(result) });
+        break;
+      }
+      if (isJson) {
+        emitJson({ file1: filePath1, file2: filePath2, v1, v2, ...result });
+        break;
+      }
+
+      console.log(`\nComparing ${basename(filePath1)} (${(v1.size / 1e6).toFixed(1)} MB, ${v1.functions} fns) vs ${basename(filePath2)} (${(v2.size / 1e6).toFixed(1)} MB, ${v2.functions} fns):\n`);
+      if (v1.excluded + v2.excluded > 0) console.log(`  (vendor code left out: ${v1.excluded} + ${v2.excluded} functions)\n`);
+      const byShape = result.unchanged.filter(u => u.match === 'shape').length;
+      console.log(`  Unchanged: ${result.unchanged.length} functions${byShape > 0 ? ` (${byShape} matched by structure, names changed)` : ''}`);
+      console.log(`  Modified:  ${result.modified.length} functions`);
+      console.log(`  Added:     ${result.added.length} functions (new in v2)`);
+      console.log(`  Removed:   ${result.removed.length} functions (gone from v2)`);
+      if (result.split.length + result.merged.length + result.inlined.length > 0) {
+        console.log(`  Restructured: ${result.split.length} split, ${result.merged.length} merged, ${result.inlined.length} inlined`);
+      }
 
       // Apply --filter
       const filterFn = filterArg
@@ -823,8 +2250,7 @@ async function main() {
 
           if (showBody) {
             if (!nameArg || m.name === nameArg) {
-              const { diffFunctionBody } = await import('./lib/diff-fns.mjs');
-              const bodyDiff = diffFunctionBody(src1, m, src2);
+              const { diff: bodyDiff } = await analyze('diffBody', { file1: filePath1, file2: filePath2, modified: m });
               if (bodyDiff) {
                 console.log(`    ${'─'.repeat(70)}`);
                 for (const line of bodyDiff.split('\n')) {
@@ -874,6 +2300,27 @@ async function main() {
         }
       }
 
+      // Show split / merged / inlined relationships
+      const fnList = (fns) => fns.map(f => `${f.name} (char ${f.start}, ${Math.round(f.coverage * 100)}%)`).join(', ');
+      const restructured = [
+        [['Split functions', 'one v1 function → several in v2'], result.split.filter(filterFn),
+          (e) => `  ${e.name.padEnd(20)} v1: char ${e.v1Start}–${e.v1End} (${e.size}) → ${fnList(e.into)}`],
+        [['Merged functions', 'several v1 functions → one in v2'], result.merged.filter(filterFn),
+          (e) => `  ${e.name.padEnd(20)} v2: char ${e.v2Start}–${e.v2End} (${e.size}) ← ${fnList(e.from)}`],
+        [['Inlined functions', 'removed, body now inside a caller'], result.inlined.filter(filterFn),
+          (e) => `  ${e.name.padEnd(20)} v1: char ${e.v1Start}–${e.v1End} (${e.size}) → into ${e.into.name} (v2 char ${e.into.v2Start}, ${Math.round(e.coverage * 100)}%)`],
+      ];
+      for (const [[title, note], entries, format] of restructured) {
+        if (entries.length === 0) continue;
+        const displayCount = Math.min(limit, entries.length);
+        const showing = displayCount < entries.length ? `, showing ${displayCount}` : '';
+        console.log(`\n${title} (${entries.length}${showing}, ${note}):`);
+        for (const e of entries.slice(0, displayCount)) console.log(format(e));
+        if (displayCount < entries.length) {
+          console.log(`  ... and ${entries.length - displayCount} more (use --all to show all)`);
+        }
+      }
+
       // Show offset shifts for unchanged functions
       if (result.unchanged.length > 0) {
         const shifts = result.unchanged.filter(u => u.shift !== 0);
@@ -885,14 +2332,158 @@ async function main() {
       break;
     }
 
+    case 'changelog': {
+      const [oldArg, newArg] = getPositionalArgs(args, ['--output', '--limit']);
+      if (!oldArg || !newArg) {
+        fail('changelog requires the old and the new bundle');
+      }
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? 0 : (limitArg ? parseInt(limitArg, 10) : 50);
+      const outputArg = getArg('--output');
+
+      const changelog = await analyze('changelog', { file1: resolve(oldArg), file2: resolve(newArg) });
+      if (isJson) {
+        emitJson(changelog);
+        break;
+      }
+      const markdown = renderChangelog(changelog, { limit });
+      if (outputArg) {
+        writeFileSync(resolve(outputArg), markdown);
+        console.log(`Wrote ${outputArg}`);
+      } else {
+        process.stdout.write(markdown);
+      }
+      break;
+    }
+
+    case 'rename-map': {
+      const [oldArg, newArg] = getPositionalArgs(args, ['--output', '--limit', '--min-confidence']);
+      if (!oldArg || !newArg) {
+        fail('rename-map requires the old and the new bundle');
+      }
+      const limitArg = getArg('--limit');
+      const limit = args.includes('--all') ? Infinity : (limitArg ? parseInt(limitArg, 10) : 50);
+      const minConfidence = parseFloat(getArg('--min-confidence') ?? '0');
+      const outputArg = getArg('--output');
+
+      const result = await analyze('renameMap', { file1: resolve(oldArg), file2: resolve(newArg) });
+      const entries = result.entries.filter(e => e.confidence >= minConfidence);
+      const mapping = Object.fromEntries(entries.map(e => [e.old, e.new]));
+      const total = result.entries.length + result.unmapped.old.length;
+
+      if (outputArg) {
+        writeFileSync(resolve(outputArg), JSON.stringify(mapping, null, 2) + '\n');
+        log(`Wrote ${entries.length} names to ${outputArg}`);
+      }
+      if (isJson) {
+        emitJson({ file1: resolve(oldArg), file2: resolve(newArg), minConfidence, mapping, entries, unmapped: result.unmapped });
+        break;
+      }
+
+      const renamed = entries.filter(e => e.old !== e.new);
+      console.log(`\nRename map ${basename(oldArg)} → ${basename(newArg)}: ${entries.length} of ${total} module-scope names mapped (${renamed.length} renamed)\n`);
+      for (const e of renamed.slice(0, limit)) {
+        console.log(`  ${e.old.padEnd(12)} → ${e.new.padEnd(12)} ${e.kind.padEnd(9)} ${e.confidence.toFixed(2)}  ${e.via}`);
+      }
+      if (renamed.length > limit) console.log(`  ... and ${renamed.length - limit} more (use --all to show all)`);
+      if (result.unmapped.old.length > 0) {
+        const sample = result.unmapped.old.slice(0, 20).join(', ');
+        console.log(`\nUnmapped in ${basename(oldArg)} (${result.unmapped.old.length}): ${sample}${result.unmapped.old.length > 20 ? ', ...' : ''}`);
+      }
+      break;
+    }
+
+    case 'diff3': {
+      const [baseArg, oursArg, theirsArg] = getPositionalArgs(args, ['--output']);
+      if (!baseArg || !oursArg || !theirsArg) {
+        fail('diff3 requires the base, our patched copy and their new version');
+      }
+      const [base, ours, theirs] = [baseArg, oursArg, theirsArg].map(f => resolve(f));
+      const result = await analyze('diff3', { base, ours, theirs });
+      const conflicted = result.counts.conflict > 0;
+
+      const outputArg = getArg('--output');
+      if (outputArg) {
+        // The replayable part: clean and merged functions, with edits against theirs' bodies
+        const functions = result.functions
+          .filter(fn => fn.status !== 'conflict')
+          .map(({ name, status, theirs: at, renames, edits, newNames }) => ({ name, status, theirs: at, renames, edits, newNames }));
+        writeFileSync(resolve(outputArg), JSON.stringify({ base, ours, theirs, functions }, null, 2) + '\n');
+        log(`Wrote edits for ${functions.length} functions to ${outputArg}`);
+      }
+      if (isJson) {
+        emitJson({ base, ours, theirs, ...result });
+        if (conflicted) process.exit(1);
+        break;
+      }
+
+      const { counts } = result;
+      console.log(`\nThree-way diff: ${basename(oursArg)} (ours) against ${basename(baseArg)} (base) → ${basename(theirsArg)} (theirs)\n`);
+      console.log(`  Changed by us: ${counts.changed} functions — ${counts.clean} clean, ${counts.merged} merged, ${counts.conflict} in conflict`);
+      if (result.addedByUs.length > 0) console.log(`  Added by us:   ${result.addedByUs.length} functions (not in base; carry over by hand)`);
+
+      const showBody = args.includes('--body');
+      const printLines = (prefix, lines) => {
+        for (const line of lines) console.log(`      ${prefix} ${line}`);
+      };
+      for (const status of ['clean', 'merged', 'conflict']) {
+        const entries = result.functions.filter(fn => fn.status === status);
+        if (entries.length === 0) continue;
+        console.log(`\n${status === 'clean' ? 'Clean' : status === 'merged' ? 'Merged' : 'Conflicts'} (${entries.length}):`);
+        for (const fn of entries) {
+          const where = fn.theirs ? `theirs char ${fn.theirs.start}` : 'no counterpart in theirs';
+          console.log(`  ${fn.name.padEnd(20)} base char ${fn.base.start} → ${where}, ${fn.edits.length} edit(s)${fn.reason ? ` — ${fn.reason}` : ''}`);
+          const renames = Object.entries(fn.renames);
+          if (renames.length > 0) console.log(`    renamed: ${renames.slice(0, 8).map(([a, b]) => `${a} → ${b}`).join(', ')}${renames.length > 8 ? ', ...' : ''}`);
+          if (fn.newNames.length > 0) console.log(`    Warning: our edits use ${fn.newNames.join(', ')} — check the name in theirs (rename-map)`);
+          if (!showBody) continue;
+          if (fn.conflicts.length > 0) {
+            for (const c of fn.conflicts) {
+              console.log(`    conflict at base line ${c.line}:`);
+              printLines('base  |', c.base);
+              printLines('ours  |', c.ours);
+              printLines('theirs|', c.theirs);
+            }
+          } else {
+            for (const edit of fn.edits) {
+              console.log(`    line ${edit.line}:`);
+              printLines('-', edit.remove);
+              printLines('+', edit.add);
+            }
+          }
+        }
+      }
+      if (conflicted) process.exit(1);
+      break;
+    }
+
     case 'decompile': {
       const filePath = resolve(args[0]);
       const charOffset = parseCharOffset(args[1]);
 
-      const src = readSrc(filePath);
-      console.log(`Decompiling function at char ${charOffset}...\n`);
+      log(`Decompiling function at char ${charOffset}...`);
+      const result = await analyze('decompile', { file: filePath, offset: charOffset });
 
-      const result = await decompileFunction(src, charOffset);
+      if (isJson) {
+        if (result.error) {
+          emitJson({ file: filePath, offset: charOffset, error: result.error, beautified: result.beautified ?? null });
+          process.exit(1);
+        }
+        emitJson({
+          file: filePath,
+          offset: charOffset,
+          signature: result.signature,
+          start: result.start,
+          end: result.end,
+          confidence: result.confidence,
+          annotatedCount: result.annotatedCount,
+          totalSingleLetter: result.totalSingleLetter,
+          annotations: result.annotations,
+          annotatedSource: result.annotatedSource,
+        });
+        break;
+      }
+      console.log();
 
       if (result.error) {
         console.error(`Error: ${result.error}`);
@@ -924,12 +2515,46 @@ async function main() {
       const charOffset = parseCharOffset(args[1]);
       const src = readSrc(filePath);
 
-      console.log(`\nContext at char ${charOffset}:\n`);
-
       // Enclosing function info
       const funcStart = findFunctionStart(src, charOffset);
+      const fn = funcStart >= 0 ? extractFunction(src, charOffset) : null;
+      const parentStart = funcStart > 0 ? findFunctionStart(src, funcStart - 1) : -1;
+      const parentSig = parentStart >= 0 ? extractSignature(src, parentStart) : null;
+
+      // Nearby strings
+      const nearStrings = collectStrings(src, { near: charOffset, filter: undefined });
+
+      // Code at offset with beautify and marker
+      const sliceRadius = 200;
+      const sliceStart = Math.max(0, charOffset - sliceRadius);
+      const sliceEnd = Math.min(src.length, charOffset + sliceRadius);
+      const rawSlice = src.slice(sliceStart, sliceEnd);
+      const { text: beautified } = beautify(rawSlice);
+
+      // Try to insert a >>> marker at the approximate offset in the beautified output
+      const relativeOffset = charOffset - sliceStart;
+      // Find the character at the original offset to locate it in beautified text
+      const targetChar = rawSlice.substring(relativeOffset, relativeOffset + 20);
+      const lines = beautified.split('\n');
+      const markerLine = targetChar ? lines.findIndex(line => line.includes(targetChar.substring(0, 8))) : -1;
+
+      if (isJson) {
+        emitJson({
+          file: filePath,
+          offset: charOffset,
+          function: fn && !fn.error
+            ? { signature: fn.signature, start: fn.start, end: fn.end, length: fn.length, params: fn.paramList.map(p => ({ name: p.raw, index: p.index })) }
+            : null,
+          parent: parentSig !== null ? { signature: parentSig, start: parentStart } : null,
+          strings: nearStrings.map(s => ({ offset: s.offset, content: s.content, cooked: s.cooked })),
+          code: { start: sliceStart, end: sliceEnd, beautified, markerLine: markerLine >= 0 ? markerLine + 1 : null },
+        });
+        break;
+      }
+
+      console.log(`\nContext at char ${charOffset}:\n`);
+
       if (funcStart >= 0) {
-        const fn = extractFunction(src, charOffset);
         if (!fn.error) {
           console.log(`  Enclosing function: ${fn.signature}`);
           console.log(`    Range: ${fn.start}–${fn.end} (${fn.length} chars)`);
@@ -939,53 +2564,28 @@ async function main() {
         }
 
         // Parent function
-        if (funcStart > 0) {
-          const parentStart = findFunctionStart(src, funcStart - 1);
-          if (parentStart >= 0) {
-            const parentSig = extractSignature(src, parentStart);
-            console.log(`\n  Parent function: ${parentSig}`);
-            console.log(`    Start: char ${parentStart}`);
-          }
+        if (parentSig !== null) {
+          console.log(`\n  Parent function: ${parentSig}`);
+          console.log(`    Start: char ${parentStart}`);
         }
       } else {
         console.log('  No enclosing function found (top-level code).');
       }
 
-      // Nearby strings
-      const nearStrings = collectStrings(src, { near: charOffset, filter: undefined });
       if (nearStrings.length > 0) {
         const limited = nearStrings.slice(0, 15);
         console.log(`\n  Nearby strings (${nearStrings.length} found):`);
         for (const s of limited) {
-          const content = s.content.length > 60 ? s.content.substring(0, 57) + '...' : s.content;
+          const content = s.cooked.length > 60 ? s.cooked.substring(0, 57) + '...' : s.cooked;
           console.log(`    char ${s.offset.toString().padEnd(10)} ${JSON.stringify(content)}`);
         }
         if (nearStrings.length > 15) console.log(`    ... and ${nearStrings.length - 15} more`);
       }
 
-      // Code at offset with beautify and marker
-      const sliceRadius = 200;
-      const sliceStart = Math.max(0, charOffset - sliceRadius);
-      const sliceEnd = Math.min(src.length, charOffset + sliceRadius);
-      const rawSlice = src.slice(sliceStart, sliceEnd);
-      const { text: beautified } = beautify(rawSlice);
-
-      // Try to insert a >>> marker at the approximate offset in the beautified output
-      const relativeOffset = charOffset - sliceStart;
-      // Find the character at the original offset to locate it in beautified text
-      const targetChar = rawSlice.substring(relativeOffset, relativeOffset + 20);
-
       console.log(`\n  Code at offset (±${sliceRadius} chars, beautified):\n`);
       console.log('  ' + '─'.repeat(76));
-      const lines = beautified.split('\n');
-      let markerPlaced = false;
-      for (const line of lines) {
-        if (!markerPlaced && targetChar && line.includes(targetChar.substring(0, 8))) {
-          console.log(`  >>> ${line}`);
-          markerPlaced = true;
-        } else {
-          console.log(`      ${line}`);
-        }
+      for (let i = 0; i < lines.length; i++) {
+        console.log(`  ${i === markerLine ? '>>> ' : '    '}${lines[i]}`);
       }
       console.log('  ' + '─'.repeat(76));
       break;
@@ -998,7 +2598,7 @@ async function main() {
   }
 }
 
-main().catch(e => {
+main().then(() => analyzer?.close?.()).catch(e => {
   console.error(e);
   process.exit(1);
 });
@@ -0,0 +1,281 @@
+import { parseSource } from './parse.mjs';
+
+// Structural (AST) pattern matching over SWC ASTs, ast-grep style.
+//
+//   $NAME      matches any single node and binds its source text
+//   $_         matches any single node without binding
+//   $$$NAME    matches zero or more list items (arguments, params, statements, ...)
+//   $$$        same, without binding
+//
+// A metavariable used twice must match structurally identical code both times.
+// Whitespace, parentheses and literal spelling (raw) are ignored; identifiers that are
+// not metavariables must match exactly. Object literal patterns must be wrapped in
+// parentheses — `({a:$X})` — or they parse as a block. Statement matches span the
+// statement's own trailing `;`, so a replacement for one should end with `;` too.
+
+const META_PREFIX = '__META_';
+const SEQ_PREFIX = '__META_SEQ_';
+const IGNORED_KEYS = new Set(['span', 'ctxt', 'raw']);
+
+// Replace metavariables with placeholder identifiers the parser accepts.
+function substituteMetavars(pattern) {
+  let anon = 0;
+  const names = [];
+  const text = pattern.replace(/(?<![\w$])(\$\$\$)([A-Z_][A-Z0-9_]*)?(?![\w$])|(?<![\w$])\$([A-Z_][A-Z0-9_]*)(?![\w$])/g,
+    (m, seq, seqName, name) => {
+      if (seq) {
+        if (seqName && !names.includes(seqName)) names.push(seqName);
+        return SEQ_PREFIX + (seqName || `_${anon++}`);
+      }
+      if (name !== '_' && !names.includes(name)) names.push(name);
+      return META_PREFIX + name;
+    });
+  return { text, names };
+}
+
+// Parse a structural pattern. Returns { kind: 'expr'|'stmts', nodes[], metavars[] } or { error }.
+// Patterns are parsed inside an async function so `await` and `return` are allowed.
+export async function parseASTPattern(pattern) {
+  const { text, names } = substituteMetavars(pattern);
+
+  try {
+    const ast = await parseSource(`async function __p(){\n${text}\n}`);
+    const stmts = ast.body[0].body.stmts;
+    if (stmts.length === 0) return { error: 'Pattern is empty' };
+    if (stmts.length === 1 && stmts[0].type === 'ExpressionStatement' && !seqName(stmts[0])) {
+      return { kind: 'expr', nodes: [unwrap(stmts[0].expression)], metavars: names };
+    }
+    return { kind: 'stmts', nodes: stmts, metavars: names };
+  } catch (e) {
+    // Not a statement list — try it as a bare expression
+    try {
+      const ast = await parseSource(`async function __p(){return(\n${text}\n)}`);
+      return { kind: 'expr', nodes: [unwrap(ast.body[0].body.stmts[0].argument)], metavars: names };
+    } catch {
+      // SWC errors carry a code frame and backtrace — keep just the message
+      const message = String(e.message || e).match(/^\s*x (.+)$/m)?.[1] || 'syntax error';
+      return { error: `Could not parse pattern: ${message}` };
+    }
+  }
+}
+
+// Match a structural pattern against a parsed bundle.
+// Returns { status, matchCount, matches[], preview?, metavars[] } — same status semantics as matchPattern.
+// matches[]: { offset, end, matchText, context, contextOffset, captures[], namedCaptures }
+export async function matchAST(src, ast, pattern, replacement) {
+  const parsed = await parseASTPattern(pattern);
+  if (parsed.error) {
+    return { status: 'NOT_FOUND', matchCount: 0, matches: [], metavars: [], error: parsed.error };
+  }
+
+  const sites = parsed.kind === 'stmts' && parsed.nodes.length > 1
+    ? findStatementRuns(ast, parsed.nodes)
+    : findNodes(ast, parsed.nodes[0]);
+
+  const seen = new Set();
+  const matches = [];
+  for (const site of sites) {
+    const key = `${site.start}:${site.end}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const namedCaptures = {};
+    for (const name of parsed.metavars) {
+      if (site.bindings[name]) namedCaptures[name] = bindingText(src, site.bindings[name]);
+    }
+    const ctxStart = Math.max(0, site.start - 200);
+    const ctxEnd = Math.min(src.length, site.end + 200);
+    matches.push({
+      offset: site.start,
+      end: site.end,
+      matchText: src.substring(site.start, site.end),
+      context: src.substring(ctxStart, ctxEnd),
+      contextOffset: ctxStart,
+      captures: Object.values(namedCaptures),
+      namedCaptures,
+    });
+  }
+  matches.sort((a, b) => a.offset - b.offset);
+
+  let status;
+  if (matches.length === 0) status = 'NOT_FOUND';
+  else if (matches.length === 1) status = 'UNIQUE';
+  else status = 'AMBIGUOUS';
+
+  let preview = undefined;
+  if (replacement !== undefined && matches.length === 1) {
+    const match = matches[0];
+    const before = src.substring(Math.max(0, match.offset - 60), match.offset);
+    const afterCtx = src.substring(match.end, Math.min(src.length, match.end + 60));
+    const replacedText = renderASTReplacement(replacement, match.namedCaptures);
+    preview = {
+      before: before + match.matchText + afterCtx,
+      after: before + replacedText + afterCtx,
+      replacedText,
+    };
+  }
+
+  return { status, matchCount: matches.length, matches, preview, metavars: parsed.metavars };
+}
+
+// Substitute $NAME / $$$NAME in a replacement with bound text.
+// Metavariables that were not bound are left as written.
+export function renderASTReplacement(template, namedCaptures) {
+  return template.replace(/(?<![\w$])(?:\$\$\$|\$)([A-Z_][A-Z0-9_]*)(?![\w$])/g,
+    (m, name) => (Object.hasOwn(namedCaptures, name) ? namedCaptures[name] : m));
+}
+
+// --- Search ---
+
+function findNodes(ast, pat) {
+  const sites = [];
+  visit(ast, node => {
+    if (node.type === 'ParenthesisExpression' || !node.span) return;
+    const bindings = {};
+    if (matchNode(pat, node, bindings)) sites.push({ start: node.span.start, end: node.span.end, bindings });
+  });
+  return sites;
+}
+
+function findStatementRuns(ast, pats) {
+  const sites = [];
+  visit(ast, null, list => {
+    if (!list.some(isStatement)) return;
+    for (let j = 0; j < list.length; j++) {
+      const bindings = {};
+      const end = matchList(pats, 0, list, j, bindings, true);
+      if (end > j) {
+        sites.push({ start: nodeRange(list[j]).start, end: nodeRange(list[end - 1]).end, bindings });
+      }
+    }
+  });
+  return sites;
+}
+
+// Visit every typed node, descending through untyped containers (e.g. call arguments).
+function visit(node, onNode, onList) {
+  if (Array.isArray(node)) {
+    if (onList) onList(node);
+    for (const item of node) if (item && typeof item === 'object') visit(item, onNode, onList);
+    return;
+  }
+  if (node.type && onNode) onNode(node);
+  for (const key of Object.keys(node)) {
+    if (key === 'span' || key === 'spread') continue;
+    const val = node[key];
+    if (val && typeof val === 'object') visit(val, onNode, onList);
+  }
+}
+
+// --- Matching ---
+
+function matchNode(p, t, b) {
+  p = unwrap(p);
+  t = unwrap(t);
+
+  const meta = metaName(p);
+  if (meta !== null) return bindNode(meta, t, b);
+
+  if (p === null || p === undefined) return t === null || t === undefined;
+  if (typeof p !== 'object') return p === t;
+  if (t === null || typeof t !== 'object') return false;
+  if (Array.isArray(p)) return Array.isArray(t) && matchList(p, 0, t, 0, b, false) === t.length;
+  if (p.type !== t.type) return false;
+
+  for (const key of Object.keys(p)) {
+    if (IGNORED_KEYS.has(key)) continue;
+    if (!matchNode(p[key], t[key], b)) return false;
+  }
+  return true;
+}
+
+// Match pattern items ps[i..] against ts[j..]. Returns the end index in ts, or -1.
+// Unless partial, the whole of ts must be consumed.
+function matchList(ps, i, ts, j, b, partial) {
+  if (i === ps.length) return partial || j === ts.length ? j : -1;
+
+  const seq = seqName(ps[i]);
+  if (seq !== null) {
+    for (let k = j; k <= ts.length; k++) {
+      const b2 = { ...b };
+      if (!bindList(seq, ts.slice(j, k), b2)) continue;
+      const end = matchList(ps, i + 1, ts, k, b2, partial);
+      if (end >= 0) {
+        Object.assign(b, b2);
+        return end;
+      }
+    }
+    return -1;
+  }
+
+  if (j >= ts.length) return -1;
+  const b2 = { ...b };
+  if (!matchNode(ps[i], ts[j], b2)) return -1;
+  const end = matchList(ps, i + 1, ts, j + 1, b2, partial);
+  if (end >= 0) Object.assign(b, b2);
+  return end;
+}
+
+function bindNode(name, t, b) {
+  if (name === '_') return true;
+  if (b[name]) return b[name].node !== undefined && matchNode(b[name].node, t, {});
+  b[name] = { node: t };
+  return true;
+}
+
+function bindList(name, items, b) {
+  if (name === '') return true;
+  if (b[name]) {
+    const bound = b[name].nodes;
+    return bound !== undefined && bound.length === items.length && bound.every((n, k) => matchNode(n, items[k], {}));
+  }
+  b[name] = { nodes: items };
+  return true;
+}
+
+function unwrap(node) {
+  while (node && node.type === 'ParenthesisExpression') node = node.expression;
+  return node;
+}
+
+// $NAME placeholder, either bare or as a whole expression statement (binds the statement)
+function metaName(node) {
+  if (!node || typeof node !== 'object') return null;
+  if (node.type === 'ExpressionStatement') node = unwrap(node.expression);
+  if (node?.type !== 'Identifier' || !node.value.startsWith(META_PREFIX) || node.value.startsWith(SEQ_PREFIX)) return null;
+  return node.value.slice(META_PREFIX.length);
+}
+
+// $$$NAME placeholder inside a list — possibly wrapped as an argument, parameter or statement
+function seqName(item) {
+  let node = item;
+  if (node && !node.type && node.expression) node = node.expression;
+  if (node?.type === 'ExpressionStatement') node = node.expression;
+  if (node?.type === 'Parameter') node = node.pat;
+  if (node?.type !== 'Identifier' || !node.value.startsWith(SEQ_PREFIX)) return null;
+  const name = node.value.slice(SEQ_PREFIX.length);
+  return name.startsWith('_') && /^_\d+$/.test(name) ? '' : name;
+}
+
+function isStatement(node) {
+  return node && typeof node === 'object' && typeof node.type === 'string' &&
+    (node.type.endsWith('Statement') || node.type.endsWith('Declaration'));
+}
+
+// --- Source text of bindings ---
+
+function nodeRange(node) {
+  if (node.span) return { start: node.span.start, end: node.span.end };
+  // ExprOrSpread has no span of its own
+  const inner = node.expression.span;
+  return { start: node.spread ? inner.start - 3 : inner.start, end: inner.end };
+}
+
+function bindingText(src, binding) {
+  if (binding.node !== undefined) {
+    const { start, end } = nodeRange(binding.node);
+    return src.substring(start, end);
+  }
+  if (binding.nodes.length === 0) return '';
+  return src.substring(nodeRange(binding.nodes[0]).start, nodeRange(binding.nodes[binding.nodes.length - 1]).end);
+}
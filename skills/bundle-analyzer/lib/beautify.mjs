@@ -50,6 +50,8 @@ export function beautify(src) {
       currentLine.pop();
       flushLine();
       indent = Math.max(0, indent - 1);
+      lineOrigOffset = i;
+      lineStart = false;
       currentLine.push('}');
       flushLine();
     } else if (ch === ';') {
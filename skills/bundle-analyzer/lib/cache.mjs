@@ -0,0 +1,146 @@
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, renameSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { parseSource } from './parse.mjs';
+import { buildFunctionMap } from './map.mjs';
+import { buildScopeTree, serializeScopeTree, deserializeScopeTree } from './scope.mjs';
+import { buildCallIndex } from './calls.mjs';
+import { scanStrings } from './strings.mjs';
+import { findModules } from './modules.mjs';
+
+// On-disk index cache, keyed by the SHA-256 of the bundle contents:
+//
+//   <cache dir>/<hash>/meta.json        { version, hash, size, parts }
+//                      functions.json   buildFunctionMap(..., { strings: true, shapes: true })
+//                      strings.json     scanStrings
+//                      scopes.json      serializeScopeTree
+//                      calls.json       buildCallIndex
+//                      modules.json     findModules
+//
+// A changed bundle hashes differently, so stale entries are never read — `cache clear`
+// removes them. Bump CACHE_VERSION whenever the shape of any part changes.
+
+export const CACHE_VERSION = 8;
+export const INDEX_PARTS = ['functions', 'strings', 'scopes', 'calls', 'modules'];
+const AST_PARTS = ['functions', 'scopes', 'calls', 'modules'];
+
+// BUNDLE_ANALYZER_CACHE_DIR overrides the default ~/.cache/bundle-analyzer
+export function cacheDir() {
+  return process.env.BUNDLE_ANALYZER_CACHE_DIR || join(homedir(), '.cache', 'bundle-analyzer');
+}
+
+export function hashSource(src) {
+  return createHash('sha256').update(src).digest('hex');
+}
+
+// Load index parts for a bundle, from the cache when the content hash matches.
+// Missing parts are built (one SWC parse covers all AST-derived parts) and stored.
+// options: { parts: string[] (default all), cache: boolean (default true) }
+// Returns { src, hash, cached, functions?, strings?, scopeTree?, calls?, modules?, ast?, cacheError? }
+//   cached — every requested part came from disk; ast — only when a parse was needed
+export async function loadIndex(filePath, options = {}) {
+  const { parts = INDEX_PARTS, cache = true } = options;
+  const src = readFileSync(resolve(filePath), 'utf-8');
+  const hash = hashSource(src);
+  const dir = join(cacheDir(), hash);
+
+  const loaded = cache ? readEntry(dir, parts) : {};
+  const missing = parts.filter(p => loaded[p] === undefined);
+  const result = { src, hash, cached: missing.length === 0 };
+
+  if (missing.length > 0) {
+    const built = {};
+    if (missing.some(p => AST_PARTS.includes(p))) {
+      const ast = await parseSource(src);
+      result.ast = ast;
+      built.functions = buildFunctionMap(ast, src, { strings: true, shapes: true });
+      built.scopes = serializeScopeTree(buildScopeTree(ast, src.length));
+      built.calls = buildCallIndex(ast);
+      built.modules = findModules(ast, src);
+    }
+    if (missing.includes('strings')) built.strings = scanStrings(src);
+
+    for (const part of Object.keys(built)) loaded[part] = built[part];
+    if (cache) {
+      try {
+        writeEntry(dir, hash, src.length, built);
+      } catch (e) {
+        result.cacheError = e.message;
+      }
+    }
+  }
+
+  if (loaded.functions) result.functions = loaded.functions;
+  if (loaded.strings) result.strings = loaded.strings;
+  if (loaded.scopes) result.scopeTree = deserializeScopeTree(loaded.scopes);
+  if (loaded.calls) result.calls = loaded.calls;
+  if (loaded.modules) result.modules = loaded.modules;
+  return result;
+}
+
+// List cache entries: [{ hash, size, bytes, parts, version }]
+export function cacheEntries() {
+  const root = cacheDir();
+  if (!existsSync(root)) return [];
+  const entries = [];
+  for (const name of readdirSync(root)) {
+    const dir = join(root, name);
+    if (!statSync(dir).isDirectory()) continue;
+    const meta = readMeta(dir);
+    let bytes = 0;
+    for (const file of readdirSync(dir)) bytes += statSync(join(dir, file)).size;
+    entries.push({ hash: name, size: meta?.size, bytes, parts: meta?.parts || [], version: meta?.version });
+  }
+  return entries;
+}
+
+// Remove every cache entry. Returns { removed, bytes }.
+export function clearCache() {
+  const entries = cacheEntries();
+  for (const e of entries) rmSync(join(cacheDir(), e.hash), { recursive: true, force: true });
+  return { removed: entries.length, bytes: entries.reduce((s, e) => s + e.bytes, 0) };
+}
+
+function readMeta(dir) {
+  try {
+    return JSON.parse(readFileSync(join(dir, 'meta.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function readEntry(dir, parts) {
+  const meta = readMeta(dir);
+  if (!meta || meta.version !== CACHE_VERSION) return {};
+  const loaded = {};
+  for (const part of parts) {
+    if (!meta.parts.includes(part)) continue;
+    try {
+      loaded[part] = JSON.parse(readFileSync(join(dir, `${part}.json`), 'utf-8'));
+    } catch {
+      // Unreadable part — rebuild it
+    }
+  }
+  return loaded;
+}
+
+// Parts are written first and meta.json last, each via rename, so a reader never sees a
+// listed part that is half-written.
+function writeEntry(dir, hash, size, built) {
+  mkdirSync(dir, { recursive: true });
+  const meta = readMeta(dir);
+  const parts = new Set(meta?.version === CACHE_VERSION ? meta.parts : []);
+
+  for (const [part, data] of Object.entries(built)) {
+    atomicWrite(join(dir, `${part}.json`), JSON.stringify(data));
+    parts.add(part);
+  }
+  atomicWrite(join(dir, 'meta.json'), JSON.stringify({ version: CACHE_VERSION, hash, size, parts: [...parts] }));
+}
+
+function atomicWrite(path, data) {
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, data);
+  renameSync(tmp, path);
+}
@@ -5,42 +5,28 @@ import { findFunctionStart, extractSignature } from './extract-fn.mjs';
 // Show call graph: outgoing calls from function at charOffset, incoming calls to it.
 export function findCalls(ast, src, charOffset) {
   const { findScopeAt } = buildScopeTree(ast, src.length);
+  return findCallsIndexed(src, charOffset, { findScopeAt, callIndex: buildCallIndex(ast) });
+}
+
+// Same as findCalls, from a prebuilt scope tree and call index (e.g. loaded from the cache).
+export function findCallsIndexed(src, charOffset, { findScopeAt, callIndex }) {
   const targetScope = findScopeAt(charOffset);
 
   if (targetScope.type === 'module') {
     return { error: 'Offset is at module scope, not inside a function' };
   }
 
-  // Find the function AST node
-  const funcNode = findFuncNodeAt(ast, targetScope.start, targetScope.end);
-  if (!funcNode) {
+  // Find the function entry
+  const entry = findEntryAt(callIndex, targetScope.start, targetScope.end);
+  if (!entry) {
     return { error: 'Could not find function AST node at scope' };
   }
 
   // Determine our function's name (if any)
-  const funcName = getFunctionName(funcNode, ast);
+  const funcName = entry.name;
 
   // --- Outgoing calls ---
-  const outgoing = new Map(); // calleeName → { name, offsets[] }
-
-  walkAST(funcNode, {
-    enter(node) {
-      // Skip nested functions
-      if (node !== funcNode && isFunctionNode(node)) return false;
-
-      if (node.type === 'CallExpression' && node.span) {
-        const calleeName = getCalleeName(node.callee);
-        if (calleeName) {
-          if (!outgoing.has(calleeName)) {
-            outgoing.set(calleeName, { name: calleeName, offsets: [] });
-          }
-          outgoing.get(calleeName).offsets.push(node.span.start);
-        }
-      }
-    },
-  });
-
-  const outgoingList = Array.from(outgoing.values())
+  const outgoingList = [...entry.calls]
     .sort((a, b) => b.offsets.length - a.offsets.length);
 
   // --- Incoming calls ---
@@ -92,6 +78,43 @@ export function findCalls(ast, src, charOffset) {
   };
 }
 
+// Index outgoing calls for every function in the AST (calls in nested functions
+// belong to the nested function).
+// Returns [{ name, start, end, calls: [{ name, offsets[] }] }] in AST order.
+export function buildCallIndex(ast) {
+  const index = [];
+  const parents = [];
+  const stack = []; // { entry, byName } for enclosing functions
+
+  walkAST(ast, {
+    enter(node) {
+      if (isFunctionNode(node) && node.span) {
+        const entry = { name: getFunctionName(node, parents[parents.length - 1]), start: node.span.start, end: node.span.end, calls: [] };
+        index.push(entry);
+        stack.push({ node, entry, byName: new Map() });
+      } else if (node.type === 'CallExpression' && node.span && stack.length > 0) {
+        const calleeName = getCalleeName(node.callee);
+        if (calleeName) {
+          const top = stack[stack.length - 1];
+          if (!top.byName.has(calleeName)) {
+            const call = { name: calleeName, offsets: [] };
+            top.byName.set(calleeName, call);
+            top.entry.calls.push(call);
+          }
+          top.byName.get(calleeName).offsets.push(node.span.start);
+        }
+      }
+      parents.push(node);
+    },
+    leave(node) {
+      parents.pop();
+      if (stack.length > 0 && stack[stack.length - 1].node === node) stack.pop();
+    },
+  });
+
+  return index;
+}
+
 function isFunctionNode(node) {
   return node.type === 'FunctionDeclaration' ||
     node.type === 'FunctionExpression' ||
@@ -101,20 +124,17 @@ function isFunctionNode(node) {
     node.type === 'MethodProperty';
 }
 
-function findFuncNodeAt(ast, start, end) {
+function findEntryAt(callIndex, start, end) {
   let found = null;
-  walkAST(ast, {
-    enter(node) {
-      if (isFunctionNode(node) && node.span) {
-        if (node.span.start === start ||
-            (Math.abs(node.span.start - start) < 10 && Math.abs(node.span.end - end) < 10)) {
-          if (!found || Math.abs(node.span.start - start) < Math.abs(found.span.start - start)) {
-            found = node;
-          }
-        }
+  for (const entry of callIndex) {
+    // Match by start position; SWC spans may differ slightly from scope tree
+    if (entry.start === start ||
+        (Math.abs(entry.start - start) < 10 && Math.abs(entry.end - end) < 10)) {
+      if (!found || Math.abs(entry.start - start) < Math.abs(found.start - start)) {
+        found = entry;
       }
-    },
-  });
+    }
+  }
   return found;
 }
 
@@ -138,28 +158,19 @@ function getCalleeName(callee) {
   return null;
 }
 
-// Try to determine the name of a function node.
-function getFunctionName(funcNode, ast) {
+// Try to determine the name of a function node from the node and its parent.
+function getFunctionName(funcNode, parent) {
   // Named function declaration/expression
   if (funcNode.identifier?.value) return funcNode.identifier.value;
 
-  // Check if it's the value of a variable assignment: const foo = function() {}
-  // We search the AST for VariableDeclarator whose init is this node.
-  let name = null;
-  walkAST(ast, {
-    enter(node) {
-      if (name) return false;
-      if (node.type === 'VariableDeclarator' && node.init === funcNode && node.id?.type === 'Identifier') {
-        name = node.id.value;
-        return false;
-      }
-      // KeyValueProperty: { key: function() {} }
-      if (node.type === 'KeyValueProperty' && node.value === funcNode && node.key?.type === 'Identifier') {
-        name = node.key.value;
-        return false;
-      }
-    },
-  });
+  // Value of a variable assignment: const foo = function() {}
+  if (parent?.type === 'VariableDeclarator' && parent.init === funcNode && parent.id?.type === 'Identifier') {
+    return parent.id.value;
+  }
+  // KeyValueProperty: { key: function() {} }
+  if (parent?.type === 'KeyValueProperty' && parent.value === funcNode && parent.key?.type === 'Identifier') {
+    return parent.key.value;
+  }
 
-  return name;
+  return null;
 }
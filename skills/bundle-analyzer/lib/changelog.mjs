@@ -0,0 +1,182 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { categorizeDiff, diffStringSets, TELEMETRY_PATTERN, UI_PATTERN, VERSION_PATTERN } from './diff-fns.mjs';
+import { findEnclosingFunction } from './map.mjs';
+import { stringContents } from './strings.mjs';
+
+// Release notes for two bundle versions, in the layout of sdk-changelog.md: a version header,
+// size and function-count deltas, the categorizeDiff summary, and bullet lists of telemetry
+// events, config keys and user-facing strings that appeared or disappeared between versions.
+// Every bullet carries the char offset of the string (in the new bundle, or the old one for
+// removals) and the function that holds it.
+
+// Telemetry event names are identifiers with a known prefix
+const EVENT_PATTERN = /^[a-z][a-z0-9_]*$/;
+// Config keys surface as camelCase strings (settings lookups, schema keys, zod .describe targets)
+const CONFIG_KEY_PATTERN = /^[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+$/;
+const MIN_CONFIG_KEY = 6;
+const MIN_UI_STRING = 15;
+
+// Kind of a changed string, or null when it is not changelog material
+export function classifyString(s) {
+  if (VERSION_PATTERN.test(s)) return null;
+  if (TELEMETRY_PATTERN.test(s) && EVENT_PATTERN.test(s)) return 'telemetry';
+  if (s.length >= MIN_CONFIG_KEY && CONFIG_KEY_PATTERN.test(s)) return 'config';
+  if (s.length >= MIN_UI_STRING && UI_PATTERN.test(s) && !s.includes('\n')) return 'ui';
+  return null;
+}
+
+// Version, build date and npm package of a bundle. The version comes from the "// Version:"
+// banner or a VERSION:"x.y.z" constant, the build date from BUILD_TIME, and the package from a
+// package.json next to the bundle (as in node_modules/@anthropic-ai/claude-agent-sdk/).
+// Returns { version, buildDate, package: { name, version } } with null for anything not found.
+export function bundleInfo(src, filePath) {
+  const head = src.slice(0, 2000);
+  const version = head.match(/\/\/ Version: (\d+\.\d+\.\d+\S*)/)?.[1] ??
+    src.match(/\bVERSION:"(\d+\.\d+\.\d+[^"]*)"/)?.[1] ?? null;
+  const buildDate = src.match(/\bBUILD_TIME:"(\d{4}-\d{2}-\d{2})/)?.[1] ?? null;
+
+  let pkg = null;
+  const pkgPath = filePath ? join(dirname(filePath), 'package.json') : null;
+  if (pkgPath && existsSync(pkgPath)) {
+    try {
+      const { name, version: pkgVersion } = JSON.parse(readFileSync(pkgPath, 'utf-8'));
+      if (name && pkgVersion) pkg = { name, version: pkgVersion };
+    } catch {
+      // Not a package manifest we can read — leave the header to the bundle version
+    }
+  }
+  return { version, buildDate, package: pkg };
+}
+
+// Build the changelog data for bundle v1 → v2.
+// v1, v2: { file, src, functions (map with strings), strings (scanStrings output) }
+// diff: diffFunctions(v1.functions, v2.functions)
+// Returns { v1: { file, size, info }, v2, counts, summary, added: { telemetry, config, ui },
+// removed: { telemetry, config, ui } } — each list holds { text, offset, function: { name, start } }
+export function buildChangelog(v1, v2, diff) {
+  const strings = diffStringSets(stringContents(v1.strings), stringContents(v2.strings));
+  return {
+    v1: { file: v1.file, size: v1.src.length, info: bundleInfo(v1.src, v1.file) },
+    v2: { file: v2.file, size: v2.src.length, info: bundleInfo(v2.src, v2.file) },
+    counts: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      modified: diff.modified.length,
+      unchanged: diff.unchanged.length,
+    },
+    summary: categorizeDiff(diff),
+    added: classifyAll(strings.onlyInV2, v2),
+    removed: classifyAll(strings.onlyInV1, v1),
+  };
+}
+
+// Group changed strings by kind, each located at its first occurrence in its bundle
+function classifyAll(changed, bundle) {
+  const groups = { telemetry: [], config: [], ui: [] };
+  const wanted = new Map();
+  for (const s of changed) {
+    const kind = classifyString(s);
+    if (kind) wanted.set(s, kind);
+  }
+  // Keyed by the cooked text, as stringContents compares it; template parts are not compared
+  for (const { cooked, offset, quasi } of bundle.strings) {
+    if (quasi) continue;
+    const kind = wanted.get(cooked);
+    if (!kind) continue;
+    wanted.delete(cooked);
+    const fn = findEnclosingFunction(bundle.functions, offset);
+    groups[kind].push({ text: cooked, offset, function: fn ? { name: fn.name, start: fn.start } : null });
+  }
+  return groups;
+}
+
+// Render buildChangelog output as Markdown.
+// options: { limit: max bullets per section (0 = all) }
+export function renderChangelog(changelog, options = {}) {
+  const { limit = 0 } = options;
+  const { v1, v2, counts } = changelog;
+  const name1 = basename(v1.file);
+  const name2 = basename(v2.file);
+  const out = [];
+
+  const pkg1 = v1.info.package;
+  const pkg2 = v2.info.package;
+  if (pkg1 && pkg2 && pkg1.name === pkg2.name) {
+    out.push(`# ${pkg2.name} Changelog: ${pkg1.version} → ${pkg2.version}`, '');
+  } else if (v1.info.version && v2.info.version) {
+    out.push(`# ${name2} Changelog: ${v1.info.version} → ${v2.info.version}`, '');
+  } else {
+    out.push(`# Changelog: ${name1} → ${name2}`, '');
+  }
+
+  if (v1.info.version || v2.info.version) {
+    const label = pkg2 ? 'Bundle version' : 'Version';
+    out.push(`- ${label}: **${v1.info.version ?? '?'} → ${v2.info.version ?? '?'}**`);
+  }
+  if (v1.info.buildDate || v2.info.buildDate) {
+    out.push(`- Build date: **${v1.info.buildDate ?? '?'} → ${v2.info.buildDate ?? '?'}**`);
+  }
+  out.push(`- ${name2}: **${formatSize(v1.size)} → ${formatSize(v2.size)}** (${formatDelta(v2.size - v1.size)}, ` +
+    `${counts.added} added fns, ${counts.removed} removed, ${counts.modified} modified)`);
+
+  if (changelog.summary.length > 0) {
+    out.push('', '## Summary', '');
+    for (const cat of changelog.summary) out.push(`- **${cat.label}**: ${cat.description}`);
+  }
+
+  const sections = [
+    ['New Telemetry Events', changelog.added.telemetry],
+    ['New Config Keys', changelog.added.config],
+    ['New User-Facing Strings', changelog.added.ui],
+  ];
+  for (const [title, entries] of sections) {
+    if (entries.length === 0) continue;
+    out.push('', `## ${title}`, '');
+    out.push(...bullets(entries, 'char', limit));
+  }
+
+  const removed = [
+    ['Telemetry events', changelog.removed.telemetry],
+    ['Config keys', changelog.removed.config],
+    ['User-facing strings', changelog.removed.ui],
+  ].filter(([, entries]) => entries.length > 0);
+  if (removed.length > 0) {
+    out.push('', '## Removed Features', '', 'Offsets below are in the old bundle.');
+    for (const [title, entries] of removed) {
+      out.push('', `### ${title}`, '');
+      out.push(...bullets(entries, 'old char', limit));
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
+
+function bullets(entries, where, limit) {
+  const shown = limit > 0 ? entries.slice(0, limit) : entries;
+  const lines = shown.map(e => {
+    const fn = e.function && e.function.name !== '<anonymous>' ? ` in \`${e.function.name}\`` : '';
+    return `- ${codeSpan(e.text)} — ${where} ${e.offset}${fn}`;
+  });
+  if (shown.length < entries.length) lines.push(`- … and ${entries.length - shown.length} more`);
+  return lines;
+}
+
+// Inline code for an arbitrary string: escaped control characters, long strings truncated,
+// and a wider fence when the string itself contains backticks
+function codeSpan(s) {
+  let text = JSON.stringify(s).slice(1, -1).replace(/\\"/g, '"');
+  if (text.length > 120) text = text.slice(0, 117) + '...';
+  return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+function formatSize(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(2)} MB`;
+  return n >= 1e3 ? `${Math.round(n / 1e3)} KB` : `${n} chars`;
+}
+
+function formatDelta(n) {
+  const sign = n >= 0 ? '+' : '-';
+  const abs = Math.abs(n);
+  return abs >= 1000 ? `${sign}${Math.round(abs / 1e3)}KB` : `${sign}${abs} chars`;
+}
@@ -0,0 +1,437 @@
+import { collectPatternBindings, isFunctionNode, propertyKeyName, visitAll } from './parse.mjs';
+
+// The command tree of a bundled commander CLI, rebuilt from its builder chains:
+//   program.name("claude").description("...").argument("[prompt]","...").option("-d, --debug [filter]","...")
+//   let B=A.command("mcp").description("..."); B.command("serve").option(...).action(...)
+//   A.addOption(new Option("--model <model>","...").default("x").choices([...]).hideHelp())
+// A chain counts when it has commander-only evidence — a flag-style option ("-x, --long"), an
+// argument ("<name>" / "[name]"), or a command with a description or action — or when its
+// receiver is a variable already known to hold a command. `.command()` moves the chain to the
+// new subcommand (unless its second argument is a description: then it's an executable
+// subcommand and the chain stays on the parent), and a chain assigned to a variable binds the
+// command it ends on. Variables are told apart by the function that declares them, so the same
+// minified name (or a `commander` parameter) in two functions is two commands.
+//
+// Values are as written: descriptions are the literal's text, defaults the source of the
+// expression (`"x"`, `!0`, `A.DEFAULT`).
+
+const COMMAND_METHODS = new Set([
+  'command', 'option', 'requiredOption', 'addOption', 'argument', 'arguments', 'addArgument', 'addCommand',
+  'description', 'summary', 'alias', 'aliases', 'name', 'version', 'usage', 'action', 'hook', 'helpOption',
+  'allowUnknownOption', 'allowExcessArguments', 'passThroughOptions', 'enablePositionalOptions',
+  'showHelpAfterError', 'configureHelp', 'configureOutput', 'exitOverride', 'addHelpText', 'helpCommand',
+]);
+const ARGUMENT_SYNTAX = /^[<[][^<>[\]]+[>\]]$/;
+const PARSERS = new Set(['String', 'Number', 'Boolean', 'parseInt', 'parseFloat']);
+const MAX_VALUE_LENGTH = 80;
+
+// Returns { programs: [command], total: { commands, options, arguments } }
+//   command  — { name, path, offset, description, summary, aliases[], hidden, version,
+//              arguments[], options[], commands[] }; roots without .name() or a
+//              `new Command("name")` argument have name null and path "(unnamed N)"
+//   option   — { flags, short, long, argument, description, default, required, hidden,
+//              negate, choices, env, offset }
+//   argument — { name, required, variadic, description, default }
+export function findCliOptions(ast, src) {
+  const bound = new Map();
+  const seen = new Set();
+  const roots = [];
+  const declared = new WeakMap();
+
+  // The scope tree can't serve here: it skips call arguments, where bundlers put module code
+  const bindingKey = (name, ancestors) => {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const node = ancestors[i];
+      if (i > 0 && !isFunctionNode(node)) continue;
+      if (!declared.has(node)) declared.set(node, declaredNames(node));
+      if (declared.get(node).has(name)) return `${node.span.start}:${name}`;
+    }
+    return name;
+  };
+  const newCommand = (name, offset, parent) => {
+    const command = {
+      name, path: null, offset, description: null, summary: null, aliases: [], hidden: false, version: null,
+      arguments: [], options: [], commands: [], parent,
+    };
+    if (parent) parent.commands.push(command);
+    else roots.push(command);
+    return command;
+  };
+  const detach = (command) => {
+    const list = command.parent ? command.parent.commands : roots;
+    list.splice(list.indexOf(command), 1);
+  };
+
+  // Command the chain's receiver stands for, creating a root for new programs; null if the
+  // receiver isn't a command
+  const receiverOf = (root, ancestors, evidence) => {
+    if (root.type === 'NewExpression') {
+      return evidence ? newCommand(literalText(root.arguments?.[0]?.expression) ?? null, root.span.start, null) : null;
+    }
+    if (root.type !== 'Identifier') return null;
+    const key = bindingKey(root.value, ancestors);
+    if (bound.has(key)) return bound.get(key);
+    if (!evidence) return null;
+    const command = newCommand(null, root.span.start, null);
+    bound.set(key, command);
+    return command;
+  };
+
+  // Apply a chain to its commands; returns the command it ends on, or null when it isn't one.
+  // known: the chain is an addCommand argument, so a command whatever its methods. Calls past
+  // the first non-builder method (.parse(), .opts()) work on something else and are left out.
+  const applyChain = (outer, ancestors, known = false) => {
+    const unwound = unwindChain(outer);
+    const end = unwound.calls.findIndex(c => !COMMAND_METHODS.has(c.method));
+    const calls = end < 0 ? unwound.calls : unwound.calls.slice(0, end);
+    if (calls.length === 0) return null;
+    const methods = new Set(calls.map(c => c.method));
+    const evidence = known || calls.some(hasEvidence) || (methods.has('command') && (methods.has('description') || methods.has('action')));
+    let command = receiverOf(unwound.root, ancestors, evidence);
+    if (!command) return null;
+    for (const c of unwound.calls) seen.add(c.node);
+
+    for (const { method, node } of calls) {
+      const arg = (i) => (node.arguments[i]?.spread ? null : node.arguments[i]?.expression ?? null);
+      switch (method) {
+        case 'command': {
+          const spec = literalText(arg(0));
+          if (spec === null) break;
+          const [name, ...args] = spec.trim().split(/\s+/);
+          const second = arg(1);
+          const opts = second?.type === 'ObjectExpression' ? second : arg(2);
+          const sub = newCommand(name, methodOffset(node), command);
+          sub.arguments.push(...args.filter(a => ARGUMENT_SYNTAX.test(a)).map(a => parseArgument(a)));
+          if (opts?.type === 'ObjectExpression') sub.hidden = isTrue(objectValue(opts, 'hidden'));
+          if (second?.type === 'StringLiteral') sub.description = second.value;
+          else command = sub;
+          break;
+        }
+        case 'addCommand': {
+          const target = arg(0);
+          const sub = target?.type === 'Identifier' ? bound.get(bindingKey(target.value, ancestors)) : target && applyChain(target, ancestors, true);
+          if (!sub || sub === command) break;
+          detach(sub);
+          sub.parent = command;
+          command.commands.push(sub);
+          if (isTrue(objectValue(arg(1), 'hidden'))) sub.hidden = true;
+          break;
+        }
+        case 'option':
+        case 'requiredOption': {
+          const flags = literalText(arg(0));
+          if (flags === null) break;
+          // .option(flags, description, parser, default) takes the default after a parser
+          const third = arg(2);
+          const fallback = third && (isFunction(third) || node.arguments.length > 3) ? arg(3) : third;
+          command.options.push({
+            ...parseFlags(flags),
+            description: literalText(arg(1)),
+            default: fallback ? snippet(src, fallback) : null,
+            required: method === 'requiredOption',
+            hidden: false,
+            choices: null,
+            env: null,
+            offset: methodOffset(node),
+          });
+          break;
+        }
+        case 'addOption': {
+          const option = optionFromChain(arg(0), src, seen);
+          if (option) command.options.push(option);
+          break;
+        }
+        case 'argument': {
+          const spec = literalText(arg(0));
+          if (spec === null) break;
+          // Like .option(), a parser may come before the default
+          const fallback = arg(2) && (isFunction(arg(2)) || node.arguments.length > 3) ? arg(3) : arg(2);
+          command.arguments.push(parseArgument(spec, literalText(arg(1)), fallback ? snippet(src, fallback) : null));
+          break;
+        }
+        case 'arguments': {
+          const spec = literalText(arg(0));
+          if (spec !== null) command.arguments.push(...spec.trim().split(/\s+/).filter(a => ARGUMENT_SYNTAX.test(a)).map(a => parseArgument(a)));
+          break;
+        }
+        case 'addArgument': {
+          const argument = argumentFromChain(arg(0), src, seen);
+          if (argument) command.arguments.push(argument);
+          break;
+        }
+        case 'description':
+        case 'summary': {
+          const text = literalText(arg(0));
+          if (text !== null) command[method] = text;
+          else if (arg(0)) command[method] = snippet(src, arg(0));
+          break;
+        }
+        case 'name': {
+          const text = literalText(arg(0));
+          if (text !== null) command.name = text;
+          break;
+        }
+        case 'alias':
+        case 'aliases': {
+          const value = arg(0);
+          const names = value?.type === 'ArrayExpression' ? value.elements.map(e => literalText(e?.expression)) : [literalText(value)];
+          command.aliases.push(...names.filter(n => n !== null));
+          break;
+        }
+        case 'version': {
+          if (arg(0)) command.version = literalText(arg(0)) ?? snippet(src, arg(0));
+          break;
+        }
+      }
+    }
+    return command;
+  };
+
+  // Returns whether the chain was a builder chain
+  const visitChain = (node, ancestors) => {
+    const command = applyChain(node, ancestors);
+    if (!command) return false;
+    if (unwindChain(node).calls.some(c => !COMMAND_METHODS.has(c.method))) return true;
+    // `let B = A.command("mcp")...` / `B = ...`: B now names the command the chain ends on
+    const parent = ancestors[ancestors.length - 1];
+    const target = parent?.type === 'VariableDeclarator' && parent.init === node ? parent.id
+      : parent?.type === 'AssignmentExpression' && parent.right === node ? parent.left : null;
+    if (target?.type === 'Identifier') bound.set(bindingKey(target.value, ancestors), command);
+    return true;
+  };
+
+  // Chains on a variable not yet known to be a command (`A.description(...)` ahead of the
+  // `A.option("-x")` that shows it is one) get a second look once every chain has been seen
+  const deferred = [];
+  visitAll(ast, (node, ancestors) => {
+    if (node.type !== 'CallExpression' || seen.has(node) || visitChain(node, ancestors)) return;
+    const { root, calls } = unwindChain(node);
+    if (root.type === 'Identifier' && COMMAND_METHODS.has(calls[0]?.method)) deferred.push({ node, ancestors: [...ancestors] });
+  });
+  for (const { node, ancestors } of deferred) {
+    if (!seen.has(node)) visitChain(node, ancestors);
+  }
+
+  const total = { commands: 0, options: 0, arguments: 0 };
+  const programs = roots.filter(isCommandLike);
+  programs.forEach((program, i) => finish(program, program.name ?? `(unnamed ${i + 1})`, total));
+  return { programs, total };
+}
+
+// Commands, options and arguments in b but not a and in a but not b (by command path and by
+// long flag, short flag or argument name), and those in both whose description, default,
+// argument or hidden flag changed:
+// { commands, options, arguments: { added[], removed[], changed[{ command, name, changes: { field: { before, after } } }] } }
+// Added and removed options and arguments carry their command's path as `command`.
+export function diffCliOptions(a, b) {
+  const flatA = flatten(a.programs);
+  const flatB = flatten(b.programs);
+  const strip = ({ commands, options, arguments: args, ...command }) => command;
+  return {
+    commands: diffMaps(flatA.commands, flatB.commands, ['description', 'hidden', 'aliases'], strip),
+    options: diffMaps(flatA.options, flatB.options, ['description', 'default', 'argument', 'hidden', 'required', 'choices']),
+    arguments: diffMaps(flatA.arguments, flatB.arguments, ['description', 'default', 'required']),
+  };
+}
+
+function flatten(programs) {
+  const commands = new Map();
+  const options = new Map();
+  const args = new Map();
+  const visit = (command) => {
+    commands.set(command.path, { command: command.path, name: command.path, item: command });
+    for (const o of command.options) {
+      const name = o.long ?? o.short ?? o.flags;
+      options.set(`${command.path} ${name}`, { command: command.path, name, item: o });
+    }
+    for (const arg of command.arguments) args.set(`${command.path} ${arg.name}`, { command: command.path, name: arg.name, item: arg });
+    command.commands.forEach(visit);
+  };
+  programs.forEach(visit);
+  return { commands, options, arguments: args };
+}
+
+function diffMaps(before, after, fields, shape = (item) => item) {
+  const added = [];
+  const changed = [];
+  for (const [key, { command, name, item }] of after) {
+    const old = before.get(key);
+    if (!old) {
+      added.push({ command, ...shape(item) });
+      continue;
+    }
+    const changes = {};
+    for (const field of fields) {
+      if (JSON.stringify(old.item[field]) !== JSON.stringify(item[field])) changes[field] = { before: old.item[field], after: item[field] };
+    }
+    if (Object.keys(changes).length > 0) changed.push({ command, name, changes });
+  }
+  const removed = [...before].filter(([key]) => !after.has(key)).map(([, { command, item }]) => ({ command, ...shape(item) }));
+  return { added, removed, changed };
+}
+
+// Set paths, count, and drop the parent links (cyclic, and not needed past the walk)
+function finish(command, path, total) {
+  command.path = path;
+  delete command.parent;
+  total.commands++;
+  total.options += command.options.length;
+  total.arguments += command.arguments.length;
+  for (const sub of command.commands) finish(sub, `${path} ${sub.name}`, total);
+}
+
+function isCommandLike(command) {
+  return command.options.length > 0 || command.arguments.length > 0 || command.commands.length > 0;
+}
+
+// Names a function (or the module) declares: params, and the variables, functions and classes
+// in its body outside nested functions
+function declaredNames(scope) {
+  // Class methods keep params and body under .function
+  const fn = scope.function ?? scope;
+  const names = new Set();
+  for (const param of fn.params ?? []) {
+    for (const b of collectPatternBindings(param.pat ?? param, 'param', 0)) names.add(b.name);
+  }
+  visitAll(fn.body, (node) => {
+    if (node.type === 'VariableDeclarator') {
+      for (const b of collectPatternBindings(node.id, 'var', 0)) names.add(b.name);
+    } else if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.identifier) {
+      names.add(node.identifier.value);
+    }
+    if (isFunctionNode(node)) return false;
+  });
+  return names;
+}
+
+// Calls of a method chain, innermost first, and the expression they start from
+function unwindChain(outer) {
+  const calls = [];
+  let node = outer;
+  while (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+    const method = propertyKeyName(node.callee.property);
+    if (method === null) break;
+    calls.unshift({ method, node });
+    node = unparenthesized(node.callee.object);
+  }
+  return { root: node, calls };
+}
+
+function hasEvidence({ method, node }) {
+  const first = literalText(node.arguments[0]?.expression);
+  if (method === 'option' || method === 'requiredOption') return first?.startsWith('-') ?? false;
+  if (method === 'argument') return first !== null && ARGUMENT_SYNTAX.test(first);
+  if (method === 'addOption' || method === 'addArgument') return node.arguments[0]?.expression.type === 'NewExpression';
+  return false;
+}
+
+// new Option(flags, description).default(x).choices([...]).env("X").hideHelp().makeOptionMandatory()
+function optionFromChain(expr, src, seen) {
+  if (!expr) return null;
+  const { root, calls } = unwindChain(expr);
+  if (root.type !== 'NewExpression') return null;
+  const flags = literalText(root.arguments?.[0]?.expression);
+  if (flags === null || !flags.startsWith('-')) return null;
+  const option = {
+    ...parseFlags(flags),
+    description: literalText(root.arguments[1]?.expression),
+    default: null,
+    required: false,
+    hidden: false,
+    choices: null,
+    env: null,
+    offset: root.span.start,
+  };
+  for (const { method, node } of calls) {
+    seen.add(node);
+    const value = node.arguments[0]?.expression;
+    if (method === 'default' && value) option.default = snippet(src, value);
+    else if (method === 'choices' && value?.type === 'ArrayExpression') option.choices = value.elements.map(e => literalText(e?.expression) ?? snippet(src, e.expression));
+    else if (method === 'env') option.env = literalText(value);
+    else if (method === 'hideHelp') option.hidden = !value || isTrue(value);
+    else if (method === 'makeOptionMandatory') option.required = !value || isTrue(value);
+  }
+  return option;
+}
+
+// new Argument(name, description).default(x).argRequired() / .argOptional()
+function argumentFromChain(expr, src, seen) {
+  if (!expr) return null;
+  const { root, calls } = unwindChain(expr);
+  const spec = root.type === 'NewExpression' ? literalText(root.arguments?.[0]?.expression) : null;
+  if (spec === null) return null;
+  const argument = parseArgument(spec, literalText(root.arguments[1]?.expression), null);
+  for (const { method, node } of calls) {
+    seen.add(node);
+    if (method === 'default' && node.arguments[0]) argument.default = snippet(src, node.arguments[0].expression);
+    else if (method === 'argRequired') argument.required = true;
+    else if (method === 'argOptional') argument.required = false;
+  }
+  return argument;
+}
+
+// "-d, --debug [filter]" → { flags, short: "-d", long: "--debug", argument: "[filter]", negate }
+function parseFlags(flags) {
+  const parts = flags.split(/[\s,|]+/).filter(Boolean);
+  const long = parts.find(p => p.startsWith('--')) ?? null;
+  return {
+    flags,
+    short: parts.find(p => /^-[^-]/.test(p)) ?? null,
+    long,
+    argument: parts.find(p => /^[<[]/.test(p)) ?? null,
+    negate: long?.startsWith('--no-') ?? false,
+  };
+}
+
+// "<file>" is required, "[file]" optional, "<files...>" variadic; a bare name is required
+function parseArgument(spec, description = null, fallback = null) {
+  const required = !spec.startsWith('[');
+  const name = spec.replace(/^[<[]|[>\]]$/g, '');
+  return {
+    name: name.replace(/\.\.\.$/, ''),
+    required,
+    variadic: name.endsWith('...'),
+    description,
+    default: fallback,
+  };
+}
+
+// Text of a string literal or an interpolation-free template, else null
+function literalText(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].cooked ?? node.quasis[0].raw;
+  return null;
+}
+
+function objectValue(node, key) {
+  if (node?.type !== 'ObjectExpression') return null;
+  const prop = node.properties.find(p => p.type === 'KeyValueProperty' && propertyKeyName(p.key) === key);
+  return prop?.value ?? null;
+}
+
+// true, or minified !0
+function isTrue(node) {
+  if (node?.type === 'BooleanLiteral') return node.value;
+  return node?.type === 'UnaryExpression' && node.operator === '!' && node.argument.type === 'NumericLiteral' && node.argument.value === 0;
+}
+
+// Parsers: inline functions and the usual global converters
+function isFunction(node) {
+  return node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression' ||
+    (node.type === 'Identifier' && PARSERS.has(node.value));
+}
+
+// Where a builder call names its method: `.option(` rather than the start of the whole chain
+function methodOffset(call) {
+  return call.callee.property.span.start;
+}
+
+function unparenthesized(node) {
+  while (node.type === 'ParenthesisExpression') node = node.expression;
+  return node;
+}
+
+function snippet(src, node) {
+  const text = src.slice(node.span.start, node.span.end);
+  return text.length > MAX_VALUE_LENGTH ? text.substring(0, MAX_VALUE_LENGTH - 3) + '...' : text;
+}
@@ -1,8 +1,34 @@
 import { walkAST } from './parse.mjs';
 import { beautify } from './beautify.mjs';
 
-// Compare two function maps (from buildFunctionMap with { strings: true }).
-// Returns { unchanged, modified, added, removed, shifts }
+// Structural matches below this confidence are left unmatched (trivial or widely shared shapes)
+const MIN_SHAPE_CONFIDENCE = 0.3;
+// Shapes with at least this many AST nodes count as fully distinctive
+const DISTINCTIVE_SHAPE_SIZE = 40;
+// String-overlap matching: Jaccard a pair must exceed, how its weight is made up, and the caps
+// that keep the candidate graph near-linear
+const MIN_STRING_SIMILARITY = 0.5;
+const STRINGS_WEIGHT = 0.6;
+const STRUCTURE_WEIGHT = 0.25;
+const POSITION_WEIGHT = 0.15;
+const MAX_CANDIDATES = 10;
+const MAX_POSTINGS = 256;
+// Split / merged / inlined detection: share of a function's features that must reappear in
+// another, how many features it needs, and how many functions a feature may occur in before
+// it is too common to say where code went
+const RESTRUCTURE_COVERAGE = 0.6;
+const MIN_RESTRUCTURE_FEATURES = 2;
+const MAX_FEATURE_FUNCTIONS = 10;
+// An unpaired v2 function holding several v1 functions' code is a caller with helpers inlined
+// (rather than a merge) when its largest source is this many times the size of the others
+const INLINED_CALLER_RATIO = 2;
+
+// Compare two function maps (from buildFunctionMap with { strings: true }, plus shapes: true
+// for structural matching). Every unchanged/modified entry carries `match` — how the pair was
+// found: 'fingerprint', 'shape' or 'strings' — and a 0–1 `confidence`.
+// split / merged / inlined describe 1→N and N→1 relationships between the other buckets (see
+// findRestructured); the functions involved stay in added, removed and modified as well.
+// Returns { unchanged, modified, added, removed, split, merged, inlined }
 export function diffFunctions(map1, map2) {
   // Fingerprint each function
   const fp1 = map1.map(fn => ({ ...fn, fingerprint: fingerprint(fn) }));
@@ -19,7 +45,8 @@ export function diffFunctions(map1, map2) {
 
   const matched2 = new Set(); // indices in map2 that have been matched
 
-  // Pass 1: exact fingerprint match → unchanged (just moved)
+  // Pass 1: exact fingerprint match → unchanged (just moved). Without strings a fingerprint is
+  // little more than a size, so with shapes the code must be the same too
   for (const fn1 of fp1) {
     const candidates = byFp2.get(fn1.fingerprint);
     if (!candidates || candidates.length === 0) continue;
@@ -29,6 +56,7 @@ export function diffFunctions(map1, map2) {
     let bestDist = Infinity;
     for (const fn2 of candidates) {
       if (matched2.has(fn2._idx)) continue;
+      if (fn1.shape && fn2.shape && fn1.shape !== fn2.shape) continue;
       const dist = Math.abs(fn2.start - fn1.start);
       if (dist < bestDist) {
         bestDist = dist;
@@ -46,85 +74,526 @@ export function diffFunctions(map1, map2) {
         v2Start: best.start,
         v2End: best.end,
         shift: best.start - fn1.start,
+        match: 'fingerprint',
+        confidence: 1,
       });
     }
   }
 
-  // Pass 2: fuzzy match — same strings + same param count but different structure
-  const unmatched1 = fp1.filter(fn => !fn._matched);
-  const unmatched2Indices = new Set(fp2.map((_, i) => i).filter(i => !matched2.has(i)));
+  // Pass 2: structural match — identical shape (identifiers alpha-renamed), so the code is the
+  // same up to minified names. Confidence drops for small shapes and for shapes several
+  // unmatched functions share, where the pairing is a guess.
+  const shapeCount1 = countShapes(fp1.filter(fn => !fn._matched));
+  const byShape2 = new Map();
+  for (const fn2 of fp2) {
+    if (!fn2.shape || matched2.has(fn2._idx)) continue;
+    if (!byShape2.has(fn2.shape)) byShape2.set(fn2.shape, []);
+    byShape2.get(fn2.shape).push(fn2);
+  }
+  for (const fn1 of fp1) {
+    if (fn1._matched || !fn1.shape) continue;
+    const candidates = byShape2.get(fn1.shape);
+    if (!candidates) continue;
 
-  for (const fn1 of unmatched1) {
-    if (!fn1.strings || fn1.strings.length === 0) continue;
+    const shared = Math.max(shapeCount1.get(fn1.shape), candidates.length);
+    const confidence = round2(Math.min(1, fn1.shapeSize / DISTINCTIVE_SHAPE_SIZE) / shared);
+    if (confidence < MIN_SHAPE_CONFIDENCE) continue;
 
-    let bestMatch = null;
-    let bestScore = 0;
+    let best = null;
+    for (const fn2 of candidates) {
+      if (matched2.has(fn2._idx)) continue;
+      if (!best || Math.abs(fn2.start - fn1.start) < Math.abs(best.start - fn1.start)) best = fn2;
+    }
+    if (!best) continue;
+
+    matched2.add(best._idx);
+    fn1._matched = true;
+    unchanged.push({
+      name: fn1.name,
+      v1Start: fn1.start,
+      v1End: fn1.end,
+      v2Start: best.start,
+      v2End: best.end,
+      shift: best.start - fn1.start,
+      match: 'shape',
+      confidence,
+    });
+  }
 
-    for (const idx of unmatched2Indices) {
-      const fn2 = fp2[idx];
-      if (fn2.paramCount !== fn1.paramCount) continue;
-      if (!fn2.strings || fn2.strings.length === 0) continue;
+  // Pass 3: fuzzy match — mostly the same strings + same param count but different structure.
+  // The pairs are chosen together (matchByStrings), so an early function cannot take the
+  // partner of a later one.
+  const unmatched1 = fp1.filter(fn => !fn._matched && fn.strings && fn.strings.length > 0);
+  const unmatched2 = fp2.filter(fn => !matched2.has(fn._idx) && fn.strings && fn.strings.length > 0);
+
+  const modifiedPairs = [];
+  for (const { fn1, fn2, similarity } of matchByStrings(unmatched1, unmatched2, span(map1), span(map2))) {
+    matched2.add(fn2._idx);
+    fn1._matched = true;
+    modifiedPairs.push([fn1, fn2]);
+
+    // Compute changes
+    const s1 = new Set(fn1.strings);
+    const s2 = new Set(fn2.strings);
+    const addedStrings = fn2.strings.filter(s => !s1.has(s));
+    const removedStrings = fn1.strings.filter(s => !s2.has(s));
+    const sizeDiff = (fn2.end - fn2.start) - (fn1.end - fn1.start);
+
+    modified.push({
+      name: fn1.name,
+      v1Start: fn1.start,
+      v1End: fn1.end,
+      v1Size: fn1.end - fn1.start,
+      v2Start: fn2.start,
+      v2End: fn2.end,
+      v2Size: fn2.end - fn2.start,
+      shift: fn2.start - fn1.start,
+      sizeDiff,
+      addedStrings,
+      removedStrings,
+      similarity,
+      match: 'strings',
+      confidence: round2(similarity),
+    });
+  }
 
-      // Compare string overlap
-      const s1 = new Set(fn1.strings);
-      const s2 = new Set(fn2.strings);
-      const intersection = fn1.strings.filter(s => s2.has(s));
-      const union = new Set([...s1, ...s2]);
-      const jaccard = intersection.length / union.size;
+  // Pass 4: remaining unmatched
+  for (const fn1 of fp1) {
+    if (!fn1._matched) {
+      removed.push({ name: fn1.name, start: fn1.start, end: fn1.end, size: fn1.end - fn1.start, strings: fn1.strings || [] });
+    }
+  }
 
-      if (jaccard > 0.5 && jaccard > bestScore) {
-        bestScore = jaccard;
-        bestMatch = fn2;
-      }
+  for (const fn2 of fp2) {
+    if (!matched2.has(fn2._idx)) {
+      added.push({ name: fn2.name, start: fn2.start, end: fn2.end, size: fn2.end - fn2.start, strings: fn2.strings || [] });
     }
+  }
 
-    if (bestMatch) {
-      matched2.add(bestMatch._idx);
-      fn1._matched = true;
-      unmatched2Indices.delete(bestMatch._idx);
+  const restructured = findRestructured(
+    fp1.filter(fn => !fn._matched),
+    fp2.filter(fn => !matched2.has(fn._idx)),
+    modifiedPairs,
+    [...fp1, ...fp2],
+  );
+  return { unchanged, modified, added, removed, ...restructured };
+}
 
-      // Compute changes
-      const s1 = new Set(fn1.strings);
-      const s2 = new Set(bestMatch.strings);
-      const addedStrings = bestMatch.strings.filter(s => !s1.has(s));
-      const removedStrings = fn1.strings.filter(s => !s2.has(s));
-      const sizeDiff = (bestMatch.end - bestMatch.start) - (fn1.end - fn1.start);
+// 1→N and N→1 relationships that plain matching reports as unrelated added/removed functions:
+//   split   — a v1 function whose code went to two or more v2 functions (its modified partner,
+//             if any, plus added ones)
+//   merged  — a v2 function holding the code of two or more v1 functions of comparable size
+//   inlined — a removed v1 function whose code now sits inside a larger caller's v2 version:
+//             the caller's modified partner, or an added function holding the code of the
+//             caller (removed, when the edit changed its shape) and of much smaller helpers
+// A function's features are its strings (call arguments included) and statement sub-hashes (map
+// with shapes), minus those in more than MAX_FEATURE_FUNCTIONS functions. Code "went" from a to
+// b when at least RESTRUCTURE_COVERAGE of a's features are in b and weren't there before (for a
+// modified b, in its v1 version). Each v1 function is credited to one v2 function, and vice versa.
+// Returns { split, merged, inlined }
+function findRestructured(removedFns, addedFns, modifiedPairs, all) {
+  const frequency = new Map();
+  for (const fn of all) {
+    for (const f of rawFeatures(fn)) frequency.set(f, (frequency.get(f) || 0) + 1);
+  }
+  const featuresOf = new Map();
+  const features = (fn) => {
+    if (!featuresOf.has(fn)) {
+      featuresOf.set(fn, new Set([...rawFeatures(fn)].filter(f => frequency.get(f) <= MAX_FEATURE_FUNCTIONS)));
+    }
+    return featuresOf.get(fn);
+  };
+  const minus = (a, b) => new Set([...a].filter(f => !b.has(f)));
 
-      modified.push({
-        name: fn1.name,
-        v1Start: fn1.start,
-        v1End: fn1.end,
-        v1Size: fn1.end - fn1.start,
-        v2Start: bestMatch.start,
-        v2End: bestMatch.end,
-        v2Size: bestMatch.end - bestMatch.start,
-        shift: bestMatch.start - fn1.start,
-        sizeDiff,
-        addedStrings,
-        removedStrings,
-        similarity: bestScore,
+  // Features each v2 function gained, and each v1 function lost
+  const gained = [
+    ...addedFns.map(fn => ({ fn, features: features(fn) })),
+    ...modifiedPairs.map(([fn1, fn2]) => ({ fn: fn2, partner: fn1, features: minus(features(fn2), features(fn1)) })),
+  ];
+  const lost = [
+    ...removedFns.map(fn => ({ fn, features: features(fn) })),
+    ...modifiedPairs.map(([fn1, fn2]) => ({ fn: fn1, partner: fn2, features: minus(features(fn1), features(fn2)) })),
+  ];
+
+  // v1 code that went into v2 functions: removed functions, grouped by where they went
+  const into = groupByDestination(removedFns.map(fn => ({ fn, features: features(fn) })), gained);
+  // v2 code that came from v1 functions: added functions, grouped by where they came from
+  const from = groupByDestination(addedFns.map(fn => ({ fn, features: features(fn) })), lost);
+
+  const split = [];
+  const merged = [];
+  const inlined = [];
+
+  for (const { target, sources } of into) {
+    let caller = target.partner;
+    let helpers = sources;
+    let parts = sources;
+    if (caller) {
+      parts = [{ fn: caller, coverage: overlap(features(caller), features(target.fn)) }, ...sources];
+      if (sources.some(({ fn }) => size(fn) >= size(caller))) caller = null;
+    } else if (sources.length >= 2) {
+      // An unpaired target can be a caller whose edit changed too much to pair (a string-free
+      // caller that absorbed a helper): its largest source is the caller when it dwarfs the rest
+      const largest = sources.reduce((a, b) => (size(b.fn) > size(a.fn) ? b : a));
+      helpers = sources.filter(s => s !== largest);
+      if (size(largest.fn) >= INLINED_CALLER_RATIO * helpers.reduce((sum, { fn }) => sum + size(fn), 0)) caller = largest.fn;
+    } else {
+      continue;
+    }
+    if (!caller) {
+      merged.push(mergedEntry(target.fn, parts));
+      continue;
+    }
+    for (const { fn, coverage } of helpers) {
+      inlined.push({
+        name: fn.name,
+        v1Start: fn.start,
+        v1End: fn.end,
+        size: size(fn),
+        coverage,
+        into: { name: target.fn.name, v1Start: caller.start, v2Start: target.fn.start, v2End: target.fn.end },
       });
     }
   }
 
-  // Pass 3: remaining unmatched
-  for (const fn1 of fp1) {
-    if (!fn1._matched) {
-      removed.push({ name: fn1.name, start: fn1.start, end: fn1.end, size: fn1.end - fn1.start, strings: fn1.strings || [] });
+  for (const { target, sources } of from) {
+    const parts = target.partner
+      ? [{ fn: target.partner, coverage: overlap(features(target.fn), features(target.partner)) }, ...sources]
+      : sources;
+    if (parts.length < 2) continue;
+    split.push({
+      name: target.fn.name,
+      v1Start: target.fn.start,
+      v1End: target.fn.end,
+      size: size(target.fn),
+      into: parts.map(({ fn, coverage }) => ({ name: fn.name, start: fn.start, end: fn.end, size: size(fn), coverage })),
+    });
+  }
+
+  return { split, merged, inlined };
+}
+
+// For each function, the candidate holding the largest share of its features (at least
+// RESTRUCTURE_COVERAGE). Returns [{ target, sources: [{ fn, coverage }] }]
+function groupByDestination(fns, candidates) {
+  const index = new Map();
+  for (const candidate of candidates) {
+    for (const f of candidate.features) {
+      if (!index.has(f)) index.set(f, []);
+      index.get(f).push(candidate);
     }
   }
 
-  for (const idx of unmatched2Indices) {
-    if (!matched2.has(idx)) {
-      const fn2 = fp2[idx];
-      added.push({ name: fn2.name, start: fn2.start, end: fn2.end, size: fn2.end - fn2.start, strings: fn2.strings || [] });
+  const groups = new Map();
+  for (const { fn, features } of fns) {
+    if (features.size < MIN_RESTRUCTURE_FEATURES) continue;
+    const counts = new Map();
+    for (const f of features) {
+      for (const candidate of index.get(f) || []) counts.set(candidate, (counts.get(candidate) || 0) + 1);
+    }
+    let best = null;
+    let bestCount = 0;
+    for (const [candidate, count] of counts) {
+      if (count > bestCount) {
+        best = candidate;
+        bestCount = count;
+      }
+    }
+    const coverage = bestCount / features.size;
+    if (!best || coverage < RESTRUCTURE_COVERAGE) continue;
+    if (!groups.has(best)) groups.set(best, []);
+    groups.get(best).push({ fn, coverage: round2(coverage) });
+  }
+  return [...groups].map(([target, sources]) => ({ target, sources }));
+}
+
+function mergedEntry(fn, sources) {
+  return {
+    name: fn.name,
+    v2Start: fn.start,
+    v2End: fn.end,
+    size: size(fn),
+    from: sources.map(({ fn: source, coverage }) => ({ name: source.name, start: source.start, end: source.end, size: size(source), coverage })),
+  };
+}
+
+function rawFeatures(fn) {
+  const strings = [...(fn.strings || []), ...(fn.argStrings || [])];
+  return [...strings.map(s => `s:${s}`), ...(fn.subShapes || []).map(h => `h:${h}`)];
+}
+
+// Share of a's features also in b
+function overlap(a, b) {
+  if (a.size === 0) return 0;
+  let shared = 0;
+  for (const f of a) if (b.has(f)) shared++;
+  return round2(shared / a.size);
+}
+
+function size(fn) {
+  return fn.end - fn.start;
+}
+
+// Pair functions whose string sets overlap (Jaccard > 0.5, same param count) so that the total
+// weight of the chosen pairs is as large as possible. A pair's weight mixes string similarity,
+// structural similarity (AST size, or char size without shapes) and relative position in the
+// bundle; fns1/fns2 hold only functions with strings.
+//
+// Runtime, for n functions with strings per side and S string occurrences in total:
+//   - candidates: a prefix-filtered inverted index (a pair above the threshold must share one of
+//     the rarest half of each set's strings), with at most MAX_POSTINGS entries scanned per
+//     string — O(S·MAX_POSTINGS) verifications, and at most MAX_CANDIDATES edges per function.
+//     The pairing is optimal over these candidates; a pair outside them is never considered
+//   - assignment: exact maximum-weight matching on the sparse candidate graph (maxWeightMatching).
+//     Each function's augmenting search only explores the functions competing with it, so a
+//     bundle's handful-sized groups cost a few steps per function
+// Returns [{ fn1, fn2, similarity, weight }] in v1 order.
+function matchByStrings(fns1, fns2, span1, span2) {
+  const edges = stringCandidates(fns1, fns2);
+  for (const e of edges) {
+    const fn1 = fns1[e.i];
+    const fn2 = fns2[e.j];
+    const position = 1 - Math.min(1, Math.abs(fn1.start / span1 - fn2.start / span2));
+    e.weight = STRINGS_WEIGHT * e.similarity + STRUCTURE_WEIGHT * structureSimilarity(fn1, fn2) + POSITION_WEIGHT * position;
+  }
+  return maxWeightMatching(edges).chosen
+    .sort((a, b) => a.i - b.i)
+    .map(e => ({ fn1: fns1[e.i], fn2: fns2[e.j], similarity: e.similarity, weight: e.weight }));
+}
+
+// Candidate pairs with string Jaccard above MIN_STRING_SIMILARITY: [{ i, j, similarity }]
+function stringCandidates(fns1, fns2) {
+  const t = MIN_STRING_SIMILARITY;
+  const frequency = new Map();
+  for (const fn of [...fns1, ...fns2]) {
+    for (const s of fn.strings) frequency.set(s, (frequency.get(s) || 0) + 1);
+  }
+  // Jaccard > t needs |A ∩ B| > t·|A|, so two similar sets share one of the first
+  // |A| - ⌊t·|A|⌋ strings of each in a common (rarest-first) order
+  const ordered = (fn) => [...fn.strings].sort((a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : a > b ? 1 : 0));
+  const prefixLength = (size) => size - Math.floor(t * size);
+
+  const index = new Map(); // string → [j, position in fns2[j]'s order, j, position, ...]
+  fns2.forEach((fn, j) => {
+    const strings = ordered(fn);
+    for (let p = 0; p < prefixLength(strings.length); p++) {
+      if (!index.has(strings[p])) index.set(strings[p], []);
+      index.get(strings[p]).push(j, p);
+    }
+  });
+
+  const edges = [];
+  const seenBy = new Int32Array(fns2.length); // i + 1 once fns1[i] has looked at fns2[j]
+  fns1.forEach((fn1, i) => {
+    const strings = ordered(fn1);
+    const size1 = strings.length;
+    const s1 = new Set(strings);
+    const candidates = [];
+    // Once a postings list was cut short, a function first met further on may share an earlier
+    // string too, and the bound below no longer holds
+    let windowed = false;
+    for (let p1 = 0; p1 < prefixLength(size1); p1++) {
+      const postings = index.get(strings[p1]) || [];
+      const [from, to] = postingWindow(postings, Math.round((i / fns1.length) * fns2.length));
+      const cut = to - from < postings.length;
+      for (let k = from; k < to; k += 2) {
+        const j = postings[k];
+        const p2 = postings[k + 1];
+        if (seenBy[j] === i + 1) continue;
+        seenBy[j] = i + 1;
+        const fn2 = fns2[j];
+        const size2 = fn2.strings.length;
+        if (fn2.paramCount !== fn1.paramCount || size2 <= t * size1 || size2 * t >= size1) continue;
+        // This is the first shared string in the common order: everything before it on either
+        // side is unshared, which caps the overlap
+        const maxShared = 1 + Math.min(size1 - p1 - 1, size2 - p2 - 1);
+        if (!windowed && maxShared <= (t / (1 + t)) * (size1 + size2)) continue;
+        const shared = fn2.strings.filter(x => s1.has(x)).length;
+        const similarity = shared / (size1 + size2 - shared);
+        if (similarity > t) candidates.push({ i, j, similarity });
+      }
+      windowed ||= cut;
+    }
+    // Keep the closest few, so a string set shared by hundreds of functions stays sparse
+    if (candidates.length > MAX_CANDIDATES) {
+      candidates.sort((a, b) => b.similarity - a.similarity);
+      candidates.length = MAX_CANDIDATES;
+    }
+    edges.push(...candidates);
+  });
+  return edges;
+}
+
+// Slice [from, to) of a flat [j, position, ...] postings list to scan: all of it, or for a string
+// in more than MAX_POSTINGS prefixes, the MAX_POSTINGS entries nearest to v2 index `near`
+function postingWindow(postings, near) {
+  const count = postings.length / 2;
+  if (count <= MAX_POSTINGS) return [0, postings.length];
+  let lo = 0;
+  let hi = count;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (postings[mid * 2] < near) lo = mid + 1;
+    else hi = mid;
+  }
+  const first = Math.max(0, Math.min(lo - MAX_POSTINGS / 2, count - MAX_POSTINGS));
+  return [first * 2, (first + MAX_POSTINGS) * 2];
+}
+
+// Maximum-weight set of disjoint pairs among edges [{ i, j, weight }] (weights > 0), exact.
+// Rows (i) are added one at a time, each by the shortest augmenting path from it (Dijkstra on
+// costs -weight, kept non-negative by potentials, as in the Hungarian method) or left unmatched
+// when no path adds weight. Only the sparse graph is stored, and a search stops once no
+// unexplored path can beat the best found. Worst case O(n·E log E) for n rows; a row competing
+// with few others takes a few steps.
+// Returns { chosen (edges), steps (arcs relaxed — the work done, for tests) }
+export function maxWeightMatching(edges) {
+  const rowIds = new Map();
+  const colIds = new Map();
+  for (const e of edges) {
+    if (!rowIds.has(e.i)) rowIds.set(e.i, rowIds.size);
+    if (!colIds.has(e.j)) colIds.set(e.j, colIds.size);
+  }
+  const rows = rowIds.size;
+  const rowOf = edges.map(e => rowIds.get(e.i));
+  const colOf = edges.map(e => colIds.get(e.j));
+  const out = Array.from({ length: rows }, () => []);
+  rowOf.forEach((r, k) => out[r].push(k));
+
+  // Matched edge of each row and column (-1: free). Potentials keep every arc's reduced cost
+  // non-negative: a free row → column arc costs -weight, a matched column → row arc +weight, and
+  // a free column reaches the sink at no cost
+  const rowEdge = new Int32Array(rows).fill(-1);
+  const colEdge = new Int32Array(colIds.size).fill(-1);
+  const rowPot = new Float64Array(rows);
+  const colPot = new Float64Array(colIds.size);
+  edges.forEach((e, k) => {
+    colPot[colOf[k]] = Math.min(colPot[colOf[k]], -e.weight);
+  });
+  let sinkPot = colPot.reduce((min, p) => Math.min(min, p), 0);
+
+  // Reduced distances (rows 0..rows-1, columns after), the edge reaching each column, and a binary
+  // heap of [distance, node]
+  const dist = new Float64Array(rows + colIds.size).fill(Infinity);
+  const via = new Int32Array(colIds.size);
+  const heap = [];
+  const push = (d, node) => {
+    heap.push([d, node]);
+    for (let k = heap.length - 1; k > 0;) {
+      const up = (k - 1) >> 1;
+      if (heap[up][0] <= heap[k][0]) break;
+      [heap[up], heap[k]] = [heap[k], heap[up]];
+      k = up;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      for (let k = 0; ;) {
+        let min = k;
+        for (const child of [2 * k + 1, 2 * k + 2]) {
+          if (child < heap.length && heap[child][0] < heap[min][0]) min = child;
+        }
+        if (min === k) break;
+        [heap[min], heap[k]] = [heap[k], heap[min]];
+        k = min;
+      }
+    }
+    return top;
+  };
+
+  let steps = 0;
+  for (let source = 0; source < rows; source++) {
+    const visited = [];
+    const reached = [source];
+    // Staying unmatched costs 0: the path to beat, in reduced terms
+    let best = rowPot[source] - sinkPot;
+    let bestCol = -1;
+    dist[source] = 0;
+    heap.length = 0;
+    push(0, source);
+    while (heap.length > 0) {
+      const [d, node] = pop();
+      if (d > dist[node]) continue;
+      if (d >= best) break;
+      visited.push(node);
+      if (node < rows) {
+        for (const k of out[node]) {
+          if (rowEdge[node] === k) continue;
+          steps++;
+          const c = colOf[k];
+          const next = d - edges[k].weight + rowPot[node] - colPot[c];
+          if (next < dist[rows + c]) {
+            if (dist[rows + c] === Infinity) reached.push(rows + c);
+            dist[rows + c] = next;
+            via[c] = k;
+            push(next, rows + c);
+          }
+        }
+        continue;
+      }
+      const c = node - rows;
+      if (colEdge[c] < 0) {
+        const toSink = d + colPot[c] - sinkPot;
+        if (toSink < best) {
+          best = toSink;
+          bestCol = c;
+        }
+        continue;
+      }
+      steps++;
+      const k = colEdge[c];
+      const next = d + edges[k].weight + colPot[c] - rowPot[rowOf[k]];
+      if (next < dist[rowOf[k]]) {
+        if (dist[rowOf[k]] === Infinity) reached.push(rowOf[k]);
+        dist[rowOf[k]] = next;
+        push(next, rowOf[k]);
+      }
+    }
+    if (bestCol >= 0) {
+      // Nodes settled closer than the chosen path move by their distance, all others by its
+      // length — left implicit: a shift shared by every node changes no reduced cost
+      for (const node of visited) {
+        if (node < rows) rowPot[node] += dist[node] - best;
+        else colPot[node - rows] += dist[node] - best;
+      }
+    }
+    for (const node of reached) dist[node] = Infinity;
+    if (bestCol < 0) continue;
+
+    for (let c = bestCol; ;) {
+      const k = via[c];
+      const r = rowOf[k];
+      const previous = rowEdge[r];
+      rowEdge[r] = k;
+      colEdge[c] = k;
+      if (previous < 0) break;
+      c = colOf[previous];
     }
   }
 
-  return { unchanged, modified, added, removed };
+  const chosen = [];
+  for (const k of rowEdge) if (k >= 0) chosen.push(edges[k]);
+  return { chosen, steps };
+}
+
+function structureSimilarity(fn1, fn2) {
+  const a = fn1.shapeSize && fn2.shapeSize ? fn1.shapeSize : fn1.end - fn1.start;
+  const b = fn1.shapeSize && fn2.shapeSize ? fn2.shapeSize : fn2.end - fn2.start;
+  return Math.min(a, b) / Math.max(a, b, 1);
 }
 
-function fingerprint(fn) {
+// Extent of a function map, for relative positions
+function span(map) {
+  let end = 1;
+  for (const fn of map) end = Math.max(end, fn.end);
+  return end;
+}
+
+// Fingerprint of a function map entry: params, async/generator, binned size and string literals.
+export function fingerprint(fn) {
   const parts = [
     fn.paramCount,
     fn.isAsync ? 'A' : '',
@@ -141,6 +610,18 @@ function sizeBin(size) {
   return bin;
 }
 
+function countShapes(fns) {
+  const counts = new Map();
+  for (const fn of fns) {
+    if (fn.shape) counts.set(fn.shape, (counts.get(fn.shape) || 0) + 1);
+  }
+  return counts;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
 function groupBy(arr, key) {
   const map = new Map();
   arr.forEach((item, idx) => {
@@ -160,6 +641,24 @@ export function diffFunctionBody(src1, m, src2) {
   return unifiedDiff(body1, body2);
 }
 
+// Changed regions between two line arrays, from the same LCS as diffFunctionBody:
+// [{ start1, end1, start2, end2 }] — lines [start1, end1) of lines1 became [start2, end2) of lines2
+export function lineHunks(lines1, lines2) {
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  const push = (ai, bj) => {
+    if (ai > i || bj > j) hunks.push({ start1: i, end1: ai, start2: j, end2: bj });
+  };
+  for (const [ai, bj] of computeLCS(lines1, lines2)) {
+    push(ai, bj);
+    i = ai + 1;
+    j = bj + 1;
+  }
+  push(lines1.length, lines2.length);
+  return hunks;
+}
+
 function unifiedDiff(text1, text2) {
   const lines1 = text1.split('\n');
   const lines2 = text2.split('\n');
@@ -308,6 +807,8 @@ function compactDiff(lines) {
 
 // Heuristic: does this string look like embedded code rather than a semantic string?
 function looksLikeCode(s) {
+  // Templates' normalized forms mark each interpolation as ${}; those braces aren't code
+  s = s.replaceAll('${}', '');
   // Very short strings are usually identifiers, not code
   if (s.length < 10) return false;
   // Count code-like characters
@@ -351,30 +852,33 @@ export function diffStringSets(strings1, strings2, options = {}) {
   };
 }
 
+// String classes shared by categorizeDiff and the changelog
+export const VERSION_PATTERN = /^\d+\.\d+|^\d{4}-\d{2}|^v\d/;
+export const TELEMETRY_PATTERN = /^(tengu_|cli_|telemetry_|analytics_|event_)/;
+export const UI_PATTERN = /^[A-Z][a-z].*\s.*\s/; // Starts with capital letter, has multiple words
+
 // Auto-categorize diff results by string content patterns.
 export function categorizeDiff(result) {
   const categories = [];
 
   // Version bumps: modified functions where the only string change looks like version/timestamp
-  const versionPattern = /^\d+\.\d+|^\d{4}-\d{2}|^v\d/;
   const versionBumps = result.modified.filter(m => {
     const allChanges = [...m.addedStrings, ...m.removedStrings];
-    return allChanges.length > 0 && allChanges.every(s => versionPattern.test(s));
+    return allChanges.length > 0 && allChanges.every(s => VERSION_PATTERN.test(s));
   });
   if (versionBumps.length > 0) {
     categories.push({ label: 'Version bumps', description: `${versionBumps.length} functions (version/timestamp strings only)` });
   }
 
   // Telemetry changes
-  const telemetryPattern = /^(tengu_|cli_|telemetry_|analytics_|event_)/;
   const telemetryModified = result.modified.filter(m =>
-    [...m.addedStrings, ...m.removedStrings].some(s => telemetryPattern.test(s))
+    [...m.addedStrings, ...m.removedStrings].some(s => TELEMETRY_PATTERN.test(s))
   );
   const telemetryAdded = result.added.filter(fn =>
-    fn.strings?.some(s => telemetryPattern.test(s))
+    fn.strings?.some(s => TELEMETRY_PATTERN.test(s))
   );
   const telemetryRemoved = result.removed.filter(fn =>
-    fn.strings?.some(s => telemetryPattern.test(s))
+    fn.strings?.some(s => TELEMETRY_PATTERN.test(s))
   );
   if (telemetryModified.length + telemetryAdded.length + telemetryRemoved.length > 0) {
     const parts = [];
@@ -385,9 +889,8 @@ export function categorizeDiff(result) {
   }
 
   // UI/UX changes: functions with long English text strings
-  const uiPattern = /^[A-Z][a-z].*\s.*\s/; // Starts with capital letter, has multiple words
   const uiModified = result.modified.filter(m =>
-    [...m.addedStrings, ...m.removedStrings].some(s => s.length > 30 && uiPattern.test(s))
+    [...m.addedStrings, ...m.removedStrings].some(s => s.length > 30 && UI_PATTERN.test(s))
   );
   if (uiModified.length > 0) {
     categories.push({ label: 'UI/UX changes', description: `${uiModified.length} functions with user-facing text changes` });
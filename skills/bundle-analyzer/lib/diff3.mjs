@@ -0,0 +1,308 @@
+import { beautify } from './beautify.mjs';
+import { diffFunctions, lineHunks } from './diff-fns.mjs';
+import { KEYWORDS } from './patch-port.mjs';
+
+// Three-way comparison for carrying local modifications of a bundle over to a new upstream
+// release. base is the pristine upstream, ours a hand-patched copy of it, theirs the new
+// upstream. Functions are paired base→ours by position and surrounding text (pairByContext, then
+// diffFunctions for the rest) and base→theirs with diffFunctions; each function whose text we
+// changed is then compared line by line on beautified bodies (the line diff behind
+// diffFunctionBody), after renaming base and ours to theirs' minified names:
+//   clean    — upstream left it alone or only renamed it; our edits replay as they are
+//   merged   — upstream changed other lines of it; both sets of edits apply
+//   conflict — both sides changed the same lines, or upstream removed or rewrote it
+// Only the innermost changed function is reported: an edit inside a callback also changes the
+// text of every function around it.
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+// Text on each side of a function start that must match to pair it by position (pairByContext)
+const CONTEXT_CHARS = 30;
+
+// base, ours, theirs: { src, functions (map with strings, plus shapes for better pairing) }
+// Returns { counts: { changed, clean, merged, conflict }, functions: [{ name, status, reason?,
+// base, ours, theirs: { start, end } | null, renames, edits, conflicts, newNames, merged? }],
+// addedByUs: [{ name, start, end }] }
+// edits: [{ line (1-based, in theirs' beautified body), remove: [line], add: [line] }] —
+// applying them to theirs' body gives `merged`; for conflicts they are against base's body.
+export function diff3Functions(base, ours, theirs) {
+  const oursOf = pairByContext(base, ours);
+  const pairedInOurs = new Set([...oursOf.values()].map(o => o.start));
+  const oursDiff = diffFunctions(
+    base.functions.filter(fn => !oursOf.has(fn.start)),
+    ours.functions.filter(fn => !pairedInOurs.has(fn.start)),
+  );
+  for (const [start, o] of counterparts(oursDiff)) oursOf.set(start, o);
+  const theirsOf = counterparts(diffFunctions(base.functions, theirs.functions));
+  const baseAt = new Map(base.functions.map(fn => [fn.start, fn]));
+
+  const changed = [];
+  for (const [start, o] of oursOf) {
+    const b = baseAt.get(start);
+    const text1 = base.src.slice(b.start, b.end);
+    const text2 = ours.src.slice(o.start, o.end);
+    if (text1 === text2) continue;
+    const [prefix, suffix] = commonEnds(text1, text2);
+    changed.push({ b, o, editStart: b.start + prefix, editEnd: b.end - suffix });
+  }
+  const innermost = changed.filter(c => !changed.some(inner => inner !== c &&
+    inner.b.start >= c.b.start && inner.b.end <= c.b.end &&
+    inner.b.start <= c.editStart && inner.b.end >= c.editEnd));
+
+  const functions = innermost
+    .sort((x, y) => x.b.start - y.b.start)
+    .map(({ b, o }) => mergeFunction(b, o, theirsOf.get(b.start), { base, ours, theirs }));
+
+  const counts = { changed: functions.length, clean: 0, merged: 0, conflict: 0 };
+  for (const fn of functions) counts[fn.status]++;
+
+  const addedByUs = oursDiff.added.map(({ name, start, end }) => ({ name, start, end }));
+
+  return { counts, functions, addedByUs };
+}
+
+function mergeFunction(b, o, t, { base, ours, theirs }) {
+  const entry = {
+    name: b.name,
+    base: { start: b.start, end: b.end },
+    ours: { start: o.start, end: o.end },
+    theirs: t ? { start: t.start, end: t.end } : null,
+  };
+  const baseText = base.src.slice(b.start, b.end);
+  const oursText = ours.src.slice(o.start, o.end);
+  const newNames = introducedNames(baseText, oursText);
+
+  if (!t) {
+    const baseLines = bodyLines(baseText);
+    const oursLines = bodyLines(oursText);
+    return {
+      ...entry,
+      status: 'conflict',
+      reason: 'not found in theirs — removed or rewritten upstream',
+      renames: {},
+      edits: lineHunks(baseLines, oursLines).map(h => toEdit(h, h.start1, baseLines, oursLines)),
+      conflicts: [],
+      newNames,
+    };
+  }
+
+  const theirsText = theirs.src.slice(t.start, t.end);
+  const renames = alignIdentifiers(baseText, theirsText);
+  const rename = (line) => renameIdentifiers(line, renames);
+  const baseLines = bodyLines(baseText).map(rename);
+  const oursLines = bodyLines(oursText).map(rename);
+  const theirsLines = bodyLines(theirsText);
+
+  const ourHunks = lineHunks(baseLines, oursLines);
+  const theirHunks = lineHunks(baseLines, theirsLines);
+
+  const conflicts = [];
+  for (const h of ourHunks) {
+    const touching = theirHunks.filter(th => h.start1 <= th.end1 && th.start1 <= h.end1);
+    if (touching.length === 0) continue;
+    const start1 = Math.min(h.start1, ...touching.map(th => th.start1));
+    const end1 = Math.max(h.end1, ...touching.map(th => th.end1));
+    conflicts.push({
+      line: start1 + 1,
+      base: baseLines.slice(start1, end1),
+      ours: oursLines.slice(h.start2, h.end2),
+      theirs: theirsLines.slice(Math.min(...touching.map(th => th.start2)), Math.max(...touching.map(th => th.end2))),
+    });
+  }
+  if (conflicts.length > 0) {
+    return {
+      ...entry,
+      status: 'conflict',
+      reason: `both sides changed the same lines (${conflicts.length} region${conflicts.length === 1 ? '' : 's'})`,
+      renames,
+      edits: ourHunks.map(h => toEdit(h, h.start1, baseLines, oursLines)),
+      conflicts,
+      newNames,
+    };
+  }
+
+  // Base line → theirs line, shifted by the upstream hunks before it
+  const toTheirs = (line) => {
+    let shift = 0;
+    for (const th of theirHunks) {
+      if (th.end1 <= line) shift += (th.end2 - th.start2) - (th.end1 - th.start1);
+    }
+    return line + shift;
+  };
+  const edits = ourHunks.map(h => toEdit(h, toTheirs(h.start1), baseLines, oursLines));
+  const merged = [...theirsLines];
+  for (const edit of [...edits].reverse()) merged.splice(edit.line - 1, edit.remove.length, ...edit.add);
+
+  return {
+    ...entry,
+    status: theirHunks.length === 0 ? 'clean' : 'merged',
+    renames,
+    edits,
+    conflicts: [],
+    newNames,
+    merged: merged.join('\n'),
+  };
+}
+
+// v1 start → { start, end } in the other version
+function counterparts(diff) {
+  const map = new Map();
+  for (const m of [...diff.unchanged, ...diff.modified]) map.set(m.v1Start, { start: m.v2Start, end: m.v2End });
+  return map;
+}
+
+// ours is an edited copy of base, so nearly every function keeps its signature and the text
+// before it — a surer guide than diffFunctions, to which small string-free functions all look
+// alike. Pair functions whose signature (up to the body) and preceding context are identical and
+// unique on both sides; then, next to an edit, a function with the same signature where the
+// nearest pair before or after it puts it. Returns base start → { start, end } in ours.
+function pairByContext(base, ours) {
+  const head = (src, fn) => {
+    const text = src.slice(fn.start, Math.min(fn.end, fn.start + CONTEXT_CHARS));
+    const body = text.search(/\{|=>/);
+    return body < 0 ? text : text.slice(0, body);
+  };
+  const byKey = (fns, src) => {
+    const map = new Map();
+    for (const fn of fns) {
+      const k = src.slice(Math.max(0, fn.start - CONTEXT_CHARS), fn.start) + head(src, fn);
+      map.set(k, map.has(k) ? null : fn);
+    }
+    return map;
+  };
+  const pairs = new Map();
+  const paired = new Set();
+  const ours2 = byKey(ours.functions, ours.src);
+  for (const [k, b] of byKey(base.functions, base.src)) {
+    const o = ours2.get(k);
+    if (b && o) {
+      pairs.set(b.start, { start: o.start, end: o.end });
+      paired.add(o.start);
+    }
+  }
+
+  // Shift from base to ours at the start and end of each pair, sorted by base offset
+  const anchorsOf = (b, o) => [{ offset: b.start, shift: o.start - b.start }, { offset: b.end, shift: o.end - b.end }];
+  const anchors = base.functions
+    .filter(b => pairs.has(b.start))
+    .flatMap(b => anchorsOf(b, pairs.get(b.start)))
+    .sort((x, y) => x.offset - y.offset);
+  const oursAt = new Map(ours.functions.map(fn => [fn.start, fn]));
+  for (const b of base.functions) {
+    if (pairs.has(b.start)) continue;
+    const i = lowerBound(anchors, b.start + 1);
+    for (const anchor of [anchors[i - 1], anchors[i]]) {
+      const o = anchor && oursAt.get(b.start + anchor.shift);
+      if (!o || paired.has(o.start) || head(ours.src, o) !== head(base.src, b)) continue;
+      pairs.set(b.start, { start: o.start, end: o.end });
+      paired.add(o.start);
+      for (const a of anchorsOf(b, o)) anchors.splice(lowerBound(anchors, a.offset), 0, a);
+      break;
+    }
+  }
+  return pairs;
+}
+
+function lowerBound(sorted, offset) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid].offset < offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function toEdit(hunk, line, fromLines, toLines) {
+  return { line: line + 1, remove: fromLines.slice(hunk.start1, hunk.end1), add: toLines.slice(hunk.start2, hunk.end2) };
+}
+
+function bodyLines(text) {
+  return beautify(text).text.split('\n');
+}
+
+// Lengths of the common prefix and suffix of two strings (not overlapping)
+function commonEnds(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  const max = Math.min(a.length, b.length) - prefix;
+  while (suffix < max && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  return [prefix, suffix];
+}
+
+// Call visit(name, index) for each identifier outside string literals that is a variable
+// rather than a property name (`.name`, `{name:` / `,name:`)
+function eachIdentifier(text, visit) {
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) j += text[j] === '\\' ? 2 : 1;
+      i = j + 1;
+      continue;
+    }
+    IDENTIFIER.lastIndex = i;
+    const m = /[\w$]/.test(text[i - 1] || '') ? null : IDENTIFIER.exec(text);
+    if (!m) {
+      i++;
+      continue;
+    }
+    const name = m[0];
+    let p = i - 1;
+    while (p >= 0 && /\s/.test(text[p])) p--;
+    let n = i + name.length;
+    while (n < text.length && /\s/.test(text[n])) n++;
+    const isProperty = (text[p] === '.' && text[p - 1] !== '.') ||
+      (text[n] === ':' && (text[p] === '{' || text[p] === ','));
+    if (!isProperty) visit(name, i);
+    i += name.length;
+  }
+}
+
+// Minified-name map from one version of a function to another with the same structure: the
+// k-th identifier of each maps to each other. Names that map inconsistently (reused in
+// sibling scopes and renamed differently) are left out. Returns { old: new } for changed names.
+function alignIdentifiers(text1, text2) {
+  const names1 = [];
+  const names2 = [];
+  eachIdentifier(text1, name => names1.push(name));
+  eachIdentifier(text2, name => names2.push(name));
+  if (names1.length !== names2.length) return {};
+
+  const map = new Map();
+  const inconsistent = new Set();
+  names1.forEach((name, k) => {
+    if (map.has(name) && map.get(name) !== names2[k]) inconsistent.add(name);
+    map.set(name, names2[k]);
+  });
+  const renames = {};
+  for (const [from, to] of map) {
+    if (from !== to && !inconsistent.has(from)) renames[from] = to;
+  }
+  return renames;
+}
+
+function renameIdentifiers(line, renames) {
+  let out = '';
+  let last = 0;
+  eachIdentifier(line, (name, index) => {
+    if (!Object.hasOwn(renames, name)) return;
+    out += line.slice(last, index) + renames[name];
+    last = index + name.length;
+  });
+  return out + line.slice(last);
+}
+
+// Names our version uses that the base function never mentions — usually references to other
+// module-scope bindings, which may have a different minified name in theirs
+function introducedNames(baseText, oursText) {
+  const known = new Set();
+  eachIdentifier(baseText, name => known.add(name));
+  const added = new Set();
+  eachIdentifier(oursText, name => {
+    if (!known.has(name) && !KEYWORDS.has(name)) added.add(name);
+  });
+  return [...added];
+}
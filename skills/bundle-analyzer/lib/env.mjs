@@ -0,0 +1,231 @@
+import { enclosingFunction, isLiteral, propertyKeyName, visitAll } from './parse.mjs';
+import { TELEMETRY_PATTERN } from './diff-fns.mjs';
+
+// Environment variables and feature gates a bundle reads.
+//
+// Env reads are `process.env.X`, `process.env["X"]`, `"X" in process.env` and destructuring
+// (`const { X, Y = "d" } = process.env`); assignments and deletes are listed as writes.
+// Gate checks are calls whose first argument is a gate name — an identifier-like string with
+// one of the telemetry prefixes (`tengu_`, ...) — and whose callee either also passes a literal
+// default somewhere in the bundle (`Z1("tengu_fast_mode",!1)`) or is called something like
+// checkGate / getFeatureValue / isFlagEnabled.
+//
+// A read is boolean when only its truthiness matters: negated, passed to Boolean() or to an
+// isEnvTruthy-style helper (a short function comparing against "true" and "1"), compared with a
+// string literal, `in`, or the test of an if / ?: / loop, also through && and || chains.
+
+const GATE_NAME = /^[a-z][a-z0-9_]*$/;
+const GATE_CALLEE = /gate|feature|flag|experiment|dynamicconfig/i;
+// Truthiness helpers are a few lines; anything longer is doing more than coercing
+const MAX_TRUTHY_HELPER = 300;
+const MAX_DEFAULT_LENGTH = 80;
+
+// Returns { env: [entry], gates: [entry] }, each by name with reads in source order:
+//   entry — { name, defaults[] (distinct default expressions), boolean (any read is),
+//             reads: [{ offset, via, default, boolean, function }] }
+//   via   — env: 'member' / 'computed' / 'destructure' / 'in' / 'write'; gates: the callee as
+//           written (`Z1`, `A.checkGate`)
+//   default — the fallback as written (`process.env.X || "d"`, `?? "d"`, destructuring
+//           `= "d"`, a gate call's second argument), null without one
+//   function — innermost enclosing function { name, start }, null at module scope
+export function findEnv(ast, src) {
+  const truthy = truthyHelpers(ast, src);
+  const env = [];
+  const calls = [];
+
+  visitAll(ast, (node, ancestors) => {
+    if (node.type === 'MemberExpression' && isProcessEnv(node.object)) {
+      const name = propertyKeyName(node.property);
+      if (name === null) return false;
+      const write = isWrite(node, ancestors);
+      env.push({
+        name,
+        offset: node.span.start,
+        via: write ? 'write' : node.property.type === 'Computed' ? 'computed' : 'member',
+        default: write ? null : fallback(node, ancestors, src),
+        boolean: !write && isBoolean(node, ancestors, truthy),
+        function: enclosingFunction(ancestors),
+      });
+      return false;
+    }
+    if (node.type === 'BinaryExpression' && node.operator === 'in' && node.left.type === 'StringLiteral' && isProcessEnv(node.right)) {
+      env.push({ name: node.left.value, offset: node.span.start, via: 'in', default: null, boolean: true, function: enclosingFunction(ancestors) });
+      return false;
+    }
+    if (node.type === 'VariableDeclarator' && node.id.type === 'ObjectPattern' && isProcessEnv(node.init)) {
+      const fn = enclosingFunction(ancestors);
+      for (const prop of node.id.properties) {
+        const read = destructured(prop, src);
+        if (read) env.push({ name: read.name, offset: read.offset, via: 'destructure', default: read.default, boolean: false, function: fn });
+      }
+      return;
+    }
+    if (node.type === 'CallExpression') {
+      const first = node.arguments[0];
+      if (first?.spread || first?.expression.type !== 'StringLiteral') return;
+      const name = first.expression.value;
+      if (!TELEMETRY_PATTERN.test(name) || !GATE_NAME.test(name)) return;
+      const second = node.arguments[1]?.spread ? null : node.arguments[1]?.expression ?? null;
+      calls.push({
+        name,
+        offset: node.span.start,
+        via: snippet(src, node.callee),
+        default: second ? snippet(src, second) : null,
+        boolean: isBoolean(node, ancestors, truthy) || (second !== null && isBooleanLiteral(second)),
+        function: enclosingFunction(ancestors),
+        literalDefault: second !== null && isLiteral(second),
+      });
+    }
+  });
+
+  // A gate function is one some call passes a literal default to, or one named like it
+  const gateCallees = new Set(calls.filter(c => c.literalDefault || GATE_CALLEE.test(c.via)).map(c => c.via));
+  const gates = calls
+    .filter(c => gateCallees.has(c.via))
+    .map(({ literalDefault, ...read }) => read);
+
+  return { env: group(env), gates: group(gates) };
+}
+
+// Names in b but not a, in a but not b, and names in both whose defaults or boolean use changed,
+// for env and gates separately: { env: { added, removed, changed }, gates: { ... } }
+//   changed — [{ name, defaults: { before, after }, boolean: { before, after } }]
+// Entries are as findEnv returns them (from b, or a for removals).
+export function diffEnv(a, b) {
+  return { env: diffEntries(a.env, b.env), gates: diffEntries(a.gates, b.gates) };
+}
+
+function diffEntries(before, after) {
+  const old = new Map(before.map(e => [e.name, e]));
+  const cur = new Set(after.map(e => e.name));
+  const changed = [];
+  for (const e of after) {
+    const o = old.get(e.name);
+    if (!o) continue;
+    if (o.defaults.join('\n') !== e.defaults.join('\n') || o.boolean !== e.boolean) {
+      changed.push({ name: e.name, defaults: { before: o.defaults, after: e.defaults }, boolean: { before: o.boolean, after: e.boolean } });
+    }
+  }
+  return {
+    added: after.filter(e => !old.has(e.name)),
+    removed: before.filter(e => !cur.has(e.name)),
+    changed,
+  };
+}
+
+function group(reads) {
+  const byName = new Map();
+  for (const read of reads) {
+    if (!byName.has(read.name)) byName.set(read.name, []);
+    const { name, ...rest } = read;
+    byName.get(name).push(rest);
+  }
+  return [...byName]
+    .sort(([x], [y]) => x.localeCompare(y))
+    .map(([name, list]) => ({
+      name,
+      defaults: [...new Set(list.map(r => r.default).filter(d => d !== null))].sort(),
+      boolean: list.some(r => r.boolean),
+      reads: list.sort((x, y) => x.offset - y.offset),
+    }));
+}
+
+function isProcessEnv(node) {
+  return node?.type === 'MemberExpression' && node.object.type === 'Identifier' && node.object.value === 'process' &&
+    propertyKeyName(node.property) === 'env';
+}
+
+// { X: x = "d" } and { X = "d" } carry a default; rest elements aren't a named read
+function destructured(prop, src) {
+  if (prop.type === 'AssignmentPatternProperty') {
+    return { name: prop.key.value, offset: prop.key.span.start, default: prop.value ? snippet(src, prop.value) : null };
+  }
+  if (prop.type === 'KeyValuePatternProperty') {
+    const name = propertyKeyName(prop.key);
+    if (name === null) return null;
+    const value = prop.value;
+    return { name, offset: prop.key.span.start, default: value.type === 'AssignmentPattern' ? snippet(src, value.right) : null };
+  }
+  return null;
+}
+
+// Skip the parentheses and optional chains wrapping node; returns [outermost, its parent]
+function climb(node, ancestors) {
+  let i = ancestors.length - 1;
+  while (i >= 0 && (ancestors[i].type === 'ParenthesisExpression' || ancestors[i].type === 'OptionalChainingExpression')) {
+    node = ancestors[i];
+    i--;
+  }
+  return [node, ancestors[i], i];
+}
+
+function isWrite(node, ancestors) {
+  const [expr, parent] = climb(node, ancestors);
+  if (parent?.type === 'AssignmentExpression' && parent.left === expr) return true;
+  if (parent?.type === 'UpdateExpression') return true;
+  return parent?.type === 'UnaryExpression' && parent.operator === 'delete';
+}
+
+// `X || d`, `X ?? d` → d as written
+function fallback(node, ancestors, src) {
+  const [expr, parent] = climb(node, ancestors);
+  if (parent?.type === 'BinaryExpression' && (parent.operator === '||' || parent.operator === '??') && parent.left === expr) {
+    return snippet(src, parent.right);
+  }
+  return null;
+}
+
+function isBoolean(node, ancestors, truthy) {
+  let [expr, parent, i] = climb(node, ancestors);
+  // Through && / || chains: the chain's value is what gets tested
+  while (parent?.type === 'BinaryExpression' && (parent.operator === '&&' || parent.operator === '||')) {
+    [expr, parent, i] = climb(parent, ancestors.slice(0, i));
+  }
+  if (!parent) return false;
+  switch (parent.type) {
+    case 'UnaryExpression':
+      return parent.operator === '!';
+    case 'BinaryExpression':
+      return ['===', '!==', '==', '!='].includes(parent.operator) &&
+        (parent.left.type === 'StringLiteral' || parent.right.type === 'StringLiteral');
+    case 'IfStatement':
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+    case 'ForStatement':
+    case 'ConditionalExpression':
+      return parent.test === expr;
+    case 'CallExpression':
+      return parent.callee.type === 'Identifier' && parent.arguments.length === 1 &&
+        (parent.callee.value === 'Boolean' || truthy.has(parent.callee.value));
+    default:
+      return false;
+  }
+}
+
+// Names of short one-parameter functions that compare their argument with "true" and "1":
+// isEnvTruthy and friends, under whatever minified name
+function truthyHelpers(ast, src) {
+  const names = new Set();
+  const check = (name, fn) => {
+    if (!name || fn.params.length !== 1) return;
+    const text = src.slice(fn.span.start, fn.span.end);
+    if (text.length <= MAX_TRUTHY_HELPER && text.includes('"true"') && text.includes('"1"')) names.add(name);
+  };
+  visitAll(ast, (node) => {
+    if (node.type === 'FunctionDeclaration') check(node.identifier.value, node);
+    else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+      (node.init?.type === 'ArrowFunctionExpression' || node.init?.type === 'FunctionExpression')) check(node.id.value, node.init);
+  });
+  return names;
+}
+
+// true / false, or minified !0 / !1
+function isBooleanLiteral(expr) {
+  return expr.type === 'BooleanLiteral' ||
+    (expr.type === 'UnaryExpression' && expr.operator === '!' && expr.argument.type === 'NumericLiteral');
+}
+
+function snippet(src, node) {
+  const text = src.slice(node.span.start, node.span.end);
+  return text.length > MAX_DEFAULT_LENGTH ? text.substring(0, MAX_DEFAULT_LENGTH - 3) + '...' : text;
+}
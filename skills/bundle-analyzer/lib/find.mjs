@@ -1,4 +1,5 @@
 import { findFunctionStart, extractSignature } from './extract-fn.mjs';
+import { cookString } from './strings.mjs';
 
 export function expandShorthands(pattern) {
   return pattern
@@ -33,6 +34,43 @@ export function findInFunctions(src, pattern, options = {}) {
     }
   }
 
+  return groupByFunction(src, matches, options);
+}
+
+// Search the cooked contents of string literals (scanStrings output), so `…` finds `\u2026`
+// and `\n` a newline escape; hits are mapped back to the source: offset and matchText are where
+// the escaped text sits. Templates with interpolations are searched part by part, since their
+// normalized form isn't in the source. options as findInFunctions
+export function findInStrings(src, strings, pattern, options = {}) {
+  const re = options.regex ? new RegExp(expandShorthands(pattern), 'g') : null;
+  const matches = [];
+  for (const s of strings) {
+    // A template with interpolations is longer than its normalized content plus backticks
+    if (!s.quasi && s.length !== s.content.length + 2) continue;
+    const rawStart = s.quasi ? s.offset : s.offset + 1;
+    let offsets = null;
+    const add = (index, length, extra) => {
+      if (!offsets) cookString(s.content, offsets = []);
+      const start = rawStart + offsets[index];
+      matches.push({ offset: start, matchText: src.substring(start, rawStart + offsets[index + length]), ...extra });
+    };
+    if (re) {
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(s.cooked)) !== null) {
+        if (m[0].length === 0) re.lastIndex++;
+        add(m.index, m[0].length, options.captures ? { captures: [...m].slice(1), namedCaptures: m.groups || null } : {});
+      }
+    } else {
+      for (let idx = s.cooked.indexOf(pattern); idx >= 0; idx = s.cooked.indexOf(pattern, idx + 1)) add(idx, pattern.length, {});
+    }
+  }
+  return groupByFunction(src, matches.sort((a, b) => a.offset - b.offset), options);
+}
+
+// Group raw matches ({ offset, matchText, captures?, namedCaptures? }) by enclosing function.
+// options: { near, nearRadius }
+export function groupByFunction(src, matches, options = {}) {
   if (matches.length === 0) return { matches: [], groups: [], totalMatches: 0, totalFunctions: 0 };
 
   // Group by enclosing function
@@ -1,9 +1,12 @@
-import { walkAST } from './parse.mjs';
+import { createHash } from 'node:crypto';
+import { walkAST, visitAll, collectPatternBindings, KNOWN_GLOBALS, NON_REF_KEYS } from './parse.mjs';
 
 // Build a function index from an SWC AST.
-// options: { strings: boolean }
+// options: { strings: boolean (strings and argStrings, see collectStringLiterals), shapes: boolean
+// (structural hash and statement sub-hashes, see functionShape) }
 export function buildFunctionMap(ast, src, options = {}) {
   const functions = [];
+  const shapes = new Map();
 
   walkAST(ast, {
     enter(node) {
@@ -20,7 +23,13 @@ export function buildFunctionMap(ast, src, options = {}) {
       };
 
       if (options.strings) {
-        entry.strings = collectStringLiterals(node);
+        Object.assign(entry, collectStringLiterals(node));
+      }
+      if (options.shapes) {
+        const { hash, size, subShapes } = functionShape(node, shapes);
+        entry.shape = hash;
+        entry.shapeSize = size;
+        entry.subShapes = subShapes;
       }
 
       functions.push(entry);
@@ -31,6 +40,24 @@ export function buildFunctionMap(ast, src, options = {}) {
   return functions;
 }
 
+// Innermost function in a map (sorted by start) whose span contains [start, end].
+// Returns the map entry or null.
+export function findEnclosingFunction(map, start, end = start) {
+  let best = null;
+  for (const fn of map) {
+    if (fn.start > start) break;
+    if (fn.end >= end && (!best || fn.end - fn.start <= best.end - best.start)) best = fn;
+  }
+  return best;
+}
+
+// All functions in a map containing [start, end], innermost first.
+export function findEnclosingFunctions(map, start, end = start) {
+  return map
+    .filter(fn => fn.start <= start && fn.end >= end)
+    .sort((a, b) => (a.end - a.start) - (b.end - b.start));
+}
+
 function isFunctionNode(node) {
   return node.type === 'FunctionDeclaration' ||
     node.type === 'FunctionExpression' ||
@@ -58,22 +85,172 @@ function getParamCount(node) {
   return params ? params.length : 0;
 }
 
+// Strings of a function outside call arguments, and those only passed as call arguments
+// (`log("...")`, `Q("tengu_...")`), which diff-fns uses to follow code into other functions
 function collectStringLiterals(funcNode) {
   const strings = new Set();
+  const argStrings = new Set();
+  walkAST(funcNode, { enter: (node) => addStrings(node, strings) });
+  visitAll(funcNode, (node) => addStrings(node, argStrings));
+  for (const s of strings) argStrings.delete(s);
+  return { strings: [...strings].sort(), argStrings: [...argStrings].sort() };
+}
 
-  walkAST(funcNode, {
-    enter(node) {
-      if (node.type === 'StringLiteral' && node.value) {
-        strings.add(node.value);
-      }
-      if (node.type === 'TemplateLiteral' && node.quasis) {
-        for (const quasi of node.quasis) {
-          if (quasi.raw) strings.add(quasi.raw);
-          if (quasi.cooked) strings.add(quasi.cooked);
-        }
-      }
-    },
-  });
+function addStrings(node, strings) {
+  if (node.type === 'StringLiteral' && node.value) {
+    strings.add(node.value);
+  }
+  if (node.type === 'TemplateLiteral' && node.quasis) {
+    for (const quasi of node.quasis) {
+      if (quasi.raw) strings.add(quasi.raw);
+      if (quasi.cooked) strings.add(quasi.cooked);
+    }
+  }
+}
+
+// Identifier-normalized structural hash of a function: node types, operators and literal
+// values in tree order, with every variable name replaced by the order in which the function
+// first mentions it ($0, $1, ...). Property names and known globals are kept, since minifiers
+// don't rename them. Two functions that differ only in minified names hash the same.
+//
+// A nested function contributes its own hash plus, for each name it uses but doesn't declare,
+// the parent's token for that name — so each node is hashed once, and a closure over a
+// different outer variable still hashes differently.
+//
+// subShapes hash each statement and statement-level expression (returned value, expression
+// statement, variable initializer) of at least MIN_SUB_SHAPE_SIZE nodes the same way, with names
+// numbered within the subtree, so code that moves between functions — an inlined helper body, one
+// half of a split — keeps its sub-hashes.
+// memo: Map shared across calls (function node → shape).
+// Returns { hash, size (node count), free, subShapes (sorted, unique) }
+export function functionShape(fn, memo = new Map()) {
+  const cached = memo.get(fn);
+  if (cached) return cached;
+
+  const declared = declaredNames(fn);
+  const names = new Map();
+  const tokens = [];
+  const subtrees = []; // [first token, end token) of each sub-shape
+  let size = 0;
+
+  const rename = (name) => {
+    if (KNOWN_GLOBALS.has(name) && !declared.has(name)) return name;
+    let token = names.get(name);
+    if (!token) {
+      token = `$${names.size}`;
+      names.set(name, token);
+    }
+    return token;
+  };
+
+  function visit(node, parentType, key) {
+    if (Array.isArray(node)) {
+      tokens.push('[');
+      for (const item of node) visit(item, parentType, key);
+      tokens.push(']');
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      tokens.push(`${key}=${node}`);
+      return;
+    }
+    if (node !== fn && isFunctionNode(node)) {
+      const inner = functionShape(node, memo);
+      tokens.push(`F${inner.hash}`);
+      for (const name of inner.free) tokens.push(rename(name));
+      if (node.type === 'FunctionDeclaration' && node.identifier) tokens.push(rename(node.identifier.value));
+      if (node.key?.type === 'Identifier') tokens.push(`.${node.key.value}`);
+      size += inner.size;
+      return;
+    }
+    if (node.type === 'Identifier') {
+      tokens.push(NAME_KEYS[parentType]?.includes(key) ? `.${node.value}` : rename(node.value));
+      size++;
+      return;
+    }
+    const first = tokens.length;
+    const sizeBefore = size;
+    if (node.type) size++;
+    tokens.push(node.type || '{');
+    for (const k of Object.keys(node)) {
+      if (k === 'span' || k === 'ctxt' || k === 'type') continue;
+      // A function's own name is not part of its shape (recursive calls still rename to a slot)
+      if (node === fn && k === 'identifier') continue;
+      visit(node[k], node.type, k);
+    }
+    if (!node.type) tokens.push('}');
+    if (isSubShapeRoot(node, parentType, key) && size - sizeBefore >= MIN_SUB_SHAPE_SIZE) {
+      subtrees.push([first, tokens.length]);
+    }
+  }
+
+  visit(fn);
+  const subShapes = new Set(subtrees.map(([first, end]) => subShapeHash(tokens.slice(first, end))));
+  const shape = {
+    hash: createHash('sha1').update(tokens.join(' ')).digest('hex').substring(0, 16),
+    size,
+    free: [...names.keys()].filter(name => !declared.has(name)),
+    subShapes: [...subShapes].sort(),
+  };
+  memo.set(fn, shape);
+  return shape;
+}
+
+// Sub-shapes smaller than this are too common to say where code went
+const MIN_SUB_SHAPE_SIZE = 5;
+// Expressions hashed as sub-shapes, by parent type and key
+const SUB_SHAPE_KEYS = { ReturnStatement: 'argument', ExpressionStatement: 'expression', VariableDeclarator: 'init', ArrowFunctionExpression: 'body' };
+
+// Statements other than blocks and the wrappers whose expression is hashed instead
+function isSubShapeRoot(node, parentType, key) {
+  if (!node.type || node.type === 'BlockStatement') return false;
+  if (parentType && SUB_SHAPE_KEYS[parentType] === key) return true;
+  return node.type.endsWith('Statement') && node.type !== 'ReturnStatement' && node.type !== 'ExpressionStatement';
+}
+
+// Hash a token slice with its $n slots renumbered from $0 in order of appearance
+function subShapeHash(tokens) {
+  const local = new Map();
+  const text = tokens.map(token => {
+    if (!/^\$\d+$/.test(token)) return token;
+    if (!local.has(token)) local.set(token, `$${local.size}`);
+    return local.get(token);
+  }).join(' ');
+  return createHash('sha1').update(text).digest('hex').substring(0, 12);
+}
+
+// Keys whose Identifier child is a property name rather than a variable
+const NAME_KEYS = { ...NON_REF_KEYS, KeyValuePatternProperty: ['key'] };
+
+// Names a function binds itself: its own name (for expressions), params, and var/let/const,
+// function, class and catch bindings in its body — not those of nested functions.
+function declaredNames(fn) {
+  const declared = new Set();
+  const add = (pat) => {
+    for (const b of collectPatternBindings(pat)) declared.add(b.name);
+  };
+
+  if (fn.type === 'FunctionExpression' && fn.identifier) declared.add(fn.identifier.value);
+  for (const param of fn.params || fn.function?.params || []) add(param.pat || param);
+
+  function visit(node) {
+    if (Array.isArray(node)) {
+      for (const item of node) visit(item);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    if (isFunctionNode(node)) {
+      if (node.type === 'FunctionDeclaration' && node.identifier) declared.add(node.identifier.value);
+      return;
+    }
+    if (node.type === 'VariableDeclarator') add(node.id);
+    if (node.type === 'ClassDeclaration' && node.identifier) declared.add(node.identifier.value);
+    if (node.type === 'CatchClause' && node.param) add(node.param);
+    for (const k of Object.keys(node)) {
+      if (k !== 'span' && k !== 'type') visit(node[k]);
+    }
+  }
 
-  return [...strings].sort();
+  visit(fn.body || fn.function?.body);
+  return declared;
 }
@@ -0,0 +1,333 @@
+import { visitAll } from './parse.mjs';
+
+// Module boundaries in a bundle, recovered from the bundler's wrappers.
+//
+// esbuild (and bun, which ships the same runtime) wraps each CommonJS module in a closure passed
+// to a small helper, and the top-level code of each ES module in a lazy-init closure:
+//   var H=(A,B)=>()=>(B||A((B={exports:{}}).exports,B),B.exports);   __commonJS
+//   var L=(A,B)=>()=>(A&&(B=A(A=0)),B);                              __esm
+//   var P=(A,B)=>{for(var Q in B)M(A,Q,{get:B[Q],enumerable:!0})};   __export
+//   var require_foo=H((A,B)=>{...}), init_bar=L(()=>{...});
+// Helpers are recognised by what their code does, not by their minified names. A module's id
+// is the variable holding its wrapper, and other modules import it by calling that variable.
+// webpack keeps its modules in an object (or array) of `(module, exports, require) => {...}`
+// functions keyed by id, and imports them with `require(id)`.
+//
+// The walks here use visitAll: walkAST skips call arguments, and module bodies are call arguments.
+
+// Helpers are a line or two; anything longer is application code
+const MAX_HELPER_LENGTH = 400;
+const MIN_TABLE_SIZE = 2;
+// webpack module functions take (module, exports, require)
+const MAX_MODULE_PARAMS = 3;
+const TOP_STRINGS = 5;
+const MIN_STRING_LENGTH = 4;
+
+// Returns { helpers: [{ name, kind: 'cjs' | 'esm' | 'export', start, end }], modules: [{ id,
+// kind: 'cjs' | 'esm' | 'webpack', path, start, end, exports, imports, importedBy, strings }] }
+//   start, end — the `id = wrapper(...)` declarator or table entry. esbuild hoists an ES
+//          module's function declarations and `var`s out of its lazy-init closure to just
+//          ahead of it, so a top-level esm module starts right after the previous module.
+//   path — the source path esbuild keeps in unminified wrappers (`__commonJS({"src/a.js"(){}})`)
+//          or a webpack path-like id; null otherwise
+//   exports — names assigned to `exports` / `module.exports`; for esm, the `__export` keys or,
+//          without them, the module-scope bindings its init assigns
+//   strings — the most distinctive string literals: found in fewest other modules, then most used
+export function findModules(ast, src) {
+  const helpers = findHelpers(ast, src);
+  const kindOf = new Map(helpers.map(h => [h.name, h.kind]));
+  const topLevel = new Set();
+  for (const stmt of ast.body) {
+    if (stmt.type === 'VariableDeclaration') for (const decl of stmt.declarations) topLevel.add(decl);
+  }
+
+  const found = [];
+  visitAll(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id?.type === 'Identifier' && node.init?.type === 'CallExpression') {
+      const kind = node.init.callee.type === 'Identifier' ? kindOf.get(node.init.callee.value) : undefined;
+      const wrapper = (kind === 'cjs' || kind === 'esm') && wrappedFunction(node.init);
+      if (wrapper) {
+        found.push({
+          id: node.id.value, kind, path: wrapper.path, start: node.span.start, end: node.span.end,
+          fn: wrapper.fn, topLevel: topLevel.has(node), hoisted: [],
+        });
+        return false;
+      }
+    }
+    if (node.type === 'ObjectExpression' || node.type === 'ArrayExpression') {
+      const table = webpackTable(node);
+      if (table) {
+        found.push(...table);
+        return false;
+      }
+    }
+  });
+
+  found.sort((a, b) => a.start - b.start);
+  extendEsmSpans(found, helpers, ast.body);
+  const ids = new Set(found.map(m => m.id));
+  for (const m of found) Object.assign(m, analyzeModule(m, ids, kindOf));
+
+  // An object or array of small functions is only a module table when they export or require
+  const modules = found.filter(m => m.table === undefined ||
+    found.some(o => o.table === m.table && (o.imports.length > 0 || o.exports.length > 0)));
+
+  const moduleCount = new Map();
+  for (const m of modules) {
+    for (const s of m.stringCounts.keys()) moduleCount.set(s, (moduleCount.get(s) || 0) + 1);
+  }
+  const byId = new Map(modules.map(m => [m.id, m]));
+  for (const m of modules) {
+    m.imports = m.imports.filter(id => byId.has(id));
+    for (const id of m.imports) byId.get(id).importedBy.push(m.id);
+  }
+
+  return {
+    helpers,
+    modules: modules.map(m => ({
+      id: m.id,
+      kind: m.kind,
+      path: m.path,
+      start: m.start,
+      end: m.end,
+      exports: m.exports,
+      imports: m.imports,
+      importedBy: m.importedBy,
+      strings: topStrings(m.stringCounts, moduleCount),
+    })),
+  };
+}
+
+// Give each top-level esm module the top-level statements between the previous module (or the
+// helpers) and its wrapper. found is sorted by start.
+function extendEsmSpans(found, helpers, body) {
+  let boundary = Math.max(0, ...helpers.map(h => h.end));
+  let i = 0;
+  for (const m of found) {
+    if (!m.topLevel) continue;
+    while (i < body.length && body[i].span.start < boundary) i++;
+    if (m.kind === 'esm') {
+      for (; i < body.length && body[i].span.end <= m.start; i++) m.hoisted.push(body[i]);
+      if (m.hoisted.length > 0) m.start = m.hoisted[0].span.start;
+    }
+    boundary = Math.max(boundary, m.end);
+  }
+}
+
+// Wrapper helpers, recognised by what their code does
+function findHelpers(ast, src) {
+  const helpers = [];
+  visitAll(ast, (node) => {
+    if (node.type !== 'VariableDeclarator' || node.id?.type !== 'Identifier' || !isFunction(node.init)) return;
+    const { start, end } = node.init.span;
+    if (end - start > MAX_HELPER_LENGTH) return;
+    const text = src.slice(start, end);
+    const first = paramNames(node.init)[0];
+    let kind = null;
+    if (/exports\s*:\s*\{\s*\}/.test(text) && /\.exports\b/.test(text)) {
+      kind = 'cjs';
+    } else if (first && new RegExp(`(?<![\\w$.])${escapeRegex(first)}\\s*=\\s*0\\b`).test(text)) {
+      // Lazy init: the closure is dropped (`fn = 0`) once it has run
+      kind = 'esm';
+    } else if (/for\s*\(\s*(?:var|let|const)\s+[\w$]+\s+in\b/.test(text) && /\bget\s*:/.test(text) && /enumerable/.test(text)) {
+      kind = 'export';
+    }
+    if (!kind) return;
+    helpers.push({ name: node.id.value, kind, start: node.span.start, end: node.span.end });
+    return false;
+  });
+  return helpers;
+}
+
+// The module function passed to a wrapper helper: `H((A,B)=>{...})`, or esbuild's unminified
+// `__commonJS({ "src/a.js"(exports, module) {...} })`
+function wrappedFunction(call) {
+  const arg = argument(call, 0);
+  if (isFunction(arg)) return { fn: arg, path: null };
+  if (arg?.type === 'ObjectExpression' && arg.properties.length === 1) {
+    const prop = arg.properties[0];
+    const fn = prop.type === 'MethodProperty' ? prop : prop.type === 'KeyValueProperty' && isFunction(prop.value) ? prop.value : null;
+    if (fn) return { fn, path: propertyName(prop.key) };
+  }
+  return null;
+}
+
+// webpack module table: { 123: (e, t, n) => {...}, "./src/a.js": function (e, t, n) {...} }
+// or [(function (e, t, n) {...}), ...]. Every entry must be a function of at most three params.
+function webpackTable(node) {
+  const entries = [];
+  if (node.type === 'ObjectExpression') {
+    for (const prop of node.properties) {
+      const fn = unparenthesized(prop.value);
+      if (prop.type !== 'KeyValueProperty' || !isModuleFunction(fn)) return null;
+      const key = prop.key.type === 'NumericLiteral' ? String(prop.key.value) : prop.key.type === 'StringLiteral' ? prop.key.value : null;
+      if (key === null || !/^\d+$|[./]/.test(key)) return null;
+      entries.push({ id: key, path: /^\d+$/.test(key) ? null : key, start: prop.span?.start ?? prop.key.span.start, end: fn.span.end, fn });
+    }
+  } else {
+    for (let i = 0; i < node.elements.length; i++) {
+      const el = node.elements[i];
+      if (!el) continue;
+      const fn = unparenthesized(el.expression);
+      if (el.spread || !isModuleFunction(fn)) return null;
+      entries.push({ id: String(i), path: null, start: fn.span.start, end: fn.span.end, fn });
+    }
+  }
+  if (entries.length < MIN_TABLE_SIZE) return null;
+  for (const e of entries) {
+    e.kind = 'webpack';
+    e.table = node.span.start;
+  }
+  return entries;
+}
+
+function unparenthesized(node) {
+  while (node?.type === 'ParenthesisExpression') node = node.expression;
+  return node;
+}
+
+function isModuleFunction(node) {
+  return isFunction(node) && node.params.length <= MAX_MODULE_PARAMS;
+}
+
+// Exports, imports and string counts of one module: its function body, plus hoisted statements
+function analyzeModule(m, ids, kindOf) {
+  const params = paramNames(m.fn);
+  // esbuild cjs: (exports, module); webpack: (module, exports, require)
+  const [exportsName, moduleName, requireName] = m.kind === 'webpack' ? [params[1], params[0], params[2]] : [params[0], params[1], null];
+  const hasExports = m.kind !== 'esm';
+  const exports = new Set();
+  const imports = new Set();
+  const stringCounts = new Map();
+  const bound = [exportsName, moduleName, requireName].filter(Boolean);
+
+  const isName = (node, name) => name && node?.type === 'Identifier' && node.value === name;
+  const isModuleExports = (node) => node?.type === 'MemberExpression' && isName(node.object, moduleName) && memberName(node) === 'exports';
+
+  let exportCall = null;
+  visitAll([m.fn.body, ...m.hoisted ?? []], (node) => {
+    // A nested function that rebinds a wrapper param hides it
+    if (Array.isArray(node.params) && paramNames(node).some(p => bound.includes(p))) return false;
+
+    if (node.type === 'StringLiteral') {
+      if (node.value.length >= MIN_STRING_LENGTH && /[A-Za-z]/.test(node.value)) {
+        stringCounts.set(node.value, (stringCounts.get(node.value) || 0) + 1);
+      }
+      return;
+    }
+
+    if (node.type === 'CallExpression') {
+      const { callee } = node;
+      if (callee.type === 'Identifier' && m.kind !== 'webpack' && ids.has(callee.value) && callee.value !== m.id) {
+        imports.add(callee.value);
+      }
+      if (isName(callee, requireName)) {
+        const id = literalValue(argument(node, 0));
+        if (id !== null && id !== m.id) imports.add(id);
+      }
+      // esbuild: __export(target, { name: () => value }) among an esm module's hoisted statements
+      if (callee.type === 'Identifier' && kindOf.get(callee.value) === 'export') exportCall ??= objectKeys(argument(node, 1));
+      // webpack: require.d(exports, { name: () => value }) or require.d(exports, "name", getter)
+      if (callee.type === 'MemberExpression' && isName(callee.object, requireName) && memberName(callee) === 'd' && isName(argument(node, 0), exportsName)) {
+        const arg = argument(node, 1);
+        for (const key of objectKeys(arg) || [literalValue(arg)]) if (key) exports.add(key);
+      }
+      // Object.defineProperty(exports, "name", ...)
+      if (hasExports && callee.type === 'MemberExpression' && isName(callee.object, 'Object') && memberName(callee) === 'defineProperty' &&
+        isName(argument(node, 0), exportsName)) {
+        const key = literalValue(argument(node, 1));
+        if (key && key !== '__esModule') exports.add(key);
+      }
+      return;
+    }
+
+    if (hasExports && node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+      const { left } = node;
+      if (isModuleExports(left)) {
+        for (const key of objectKeys(node.right) || ['default']) exports.add(key);
+      } else if (isName(left.object, exportsName) || isModuleExports(left.object)) {
+        const key = memberName(left);
+        if (key && key !== '__esModule') exports.add(key);
+      }
+    }
+  });
+
+  return {
+    exports: m.kind === 'esm' ? exportCall ?? assignedBindings(m.fn) : [...exports],
+    imports: [...imports],
+    importedBy: [],
+    stringCounts,
+  };
+}
+
+// Module-scope bindings an esm init assigns: `x = ...` statements at the top of its body
+function assignedBindings(fn) {
+  const names = [];
+  const statements = fn.body?.type === 'BlockStatement' ? fn.body.stmts : [{ type: 'ExpressionStatement', expression: fn.body }];
+  for (const stmt of statements) {
+    if (stmt.type !== 'ExpressionStatement') continue;
+    const exprs = stmt.expression?.type === 'SequenceExpression' ? stmt.expression.expressions : [stmt.expression];
+    for (const expr of exprs) {
+      if (expr?.type === 'AssignmentExpression' && expr.left.type === 'Identifier' && !names.includes(expr.left.value)) {
+        names.push(expr.left.value);
+      }
+    }
+  }
+  return names;
+}
+
+function topStrings(counts, moduleCount) {
+  return [...counts]
+    .sort((a, b) => moduleCount.get(a[0]) - moduleCount.get(b[0]) || b[1] - a[1] || b[0].length - a[0].length)
+    .slice(0, TOP_STRINGS)
+    .map(([s]) => s);
+}
+
+function isFunction(node) {
+  return node?.type === 'ArrowFunctionExpression' || node?.type === 'FunctionExpression';
+}
+
+// Arrow params are patterns; function, method and constructor params wrap them in { pat }
+function paramNames(fn) {
+  return (fn.params || []).map(p => p.pat ?? p).filter(p => p.type === 'Identifier').map(p => p.value);
+}
+
+function argument(call, index) {
+  return call.arguments?.[index]?.expression ?? null;
+}
+
+function literalValue(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'NumericLiteral') return String(node.value);
+  return null;
+}
+
+function propertyName(key) {
+  if (key?.type === 'Identifier') return key.value;
+  return literalValue(key);
+}
+
+function memberName(member) {
+  const prop = member.property;
+  if (prop?.type === 'Identifier') return prop.value;
+  if (prop?.type === 'Computed') return literalValue(prop.expression);
+  return null;
+}
+
+// Keys of an object literal, or null when node isn't one
+function objectKeys(node) {
+  if (node?.type !== 'ObjectExpression') return null;
+  const keys = [];
+  for (const prop of node.properties) {
+    if (prop.type === 'Identifier') keys.push(prop.value);
+    else if (prop.key) {
+      const key = propertyName(prop.key);
+      if (key !== null) keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,118 @@
+// Translation between the three position systems the tools deal in:
+//   byte — UTF-8 byte offset, which is what SWC spans count
+//   char — UTF-16 string index, which every command prints and accepts
+//   line:column — 1-based position in `beautify` output
+// parseSource converts spans to chars, so bytes only matter at the SWC boundary and for
+// tools outside this one (editors, hexdumps, source maps) that count bytes.
+
+// Byte ↔ char conversion for one source. ASCII characters are one unit in both systems, so we
+// only record where each non-ASCII character starts and ends and binary-search those.
+// Returns { ascii, byteLength, byteToChar(b), charToByte(c) }
+export function createOffsetMap(src) {
+  const byteStart = [];
+  const byteEnd = [];
+  const charStart = [];
+  const charEnd = [];
+  let b = 0;
+  for (let i = 0; i < src.length; i++) {
+    const code = src.charCodeAt(i);
+    if (code < 0x80) {
+      b++;
+      continue;
+    }
+    byteStart.push(b);
+    charStart.push(i);
+    if (code < 0x800) {
+      b += 2;
+    } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < src.length &&
+      (src.charCodeAt(i + 1) & 0xfc00) === 0xdc00) {
+      // Surrogate pair: two chars, four bytes
+      b += 4;
+      i++;
+    } else {
+      b += 3;
+    }
+    byteEnd.push(b);
+    charEnd.push(i + 1);
+  }
+
+  const ascii = byteStart.length === 0;
+  return {
+    ascii,
+    byteLength: b,
+    byteToChar: ascii ? (n) => n : (n) => translate(n, byteStart, byteEnd, charStart, charEnd),
+    charToByte: ascii ? (n) => n : (n) => translate(n, charStart, charEnd, byteStart, byteEnd),
+  };
+}
+
+// Map position n across systems. Positions inside a multi-unit character snap to its start.
+function translate(n, fromStart, fromEnd, toStart, toEnd) {
+  let lo = 0;
+  let hi = fromStart.length - 1;
+  let k = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (fromStart[mid] <= n) {
+      k = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (k < 0) return n;
+  if (n < fromEnd[k]) return toStart[k];
+  return toEnd[k] + (n - fromEnd[k]);
+}
+
+// Char offset → { line, column } in beautify(src) output (both 1-based). beautified is the
+// beautify() result; its offsetMap holds the original char offset of each output line.
+// A char in leading whitespace the beautifier trimmed maps to the line's first content column.
+export function charToLineColumn(src, beautified, char) {
+  const { offsetMap } = beautified;
+  if (char < 0 || char > src.length) return { error: `char ${char} is outside the file (0–${src.length})` };
+  if (offsetMap.length === 0) return { error: 'File is empty' };
+
+  let lo = 0;
+  let hi = offsetMap.length - 1;
+  let line = 0;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsetMap[mid] <= char) {
+      line = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  const { indent, contentStart } = lineLayout(src, beautified, line);
+  return { line: line + 1, column: indent + Math.max(0, char - contentStart) + 1 };
+}
+
+// { line, column } (1-based) in beautify(src) output → char offset in src.
+// Columns inside the added indentation map to the line's first character.
+export function lineColumnToChar(src, beautified, line, column) {
+  const { offsetMap } = beautified;
+  if (line < 1 || line > offsetMap.length) return { error: `line ${line} is outside the beautified output (1–${offsetMap.length})` };
+  const { indent, contentStart, text } = lineLayout(src, beautified, line - 1);
+  if (column < 1 || column > text.length + 1) return { error: `column ${column} is outside line ${line} (1–${text.length + 1})` };
+  return contentStart + Math.max(0, column - 1 - indent);
+}
+
+// Output line i: its text, the indentation the beautifier added, and the char offset in src
+// where its content starts (offsetMap points at the original line start, before any
+// whitespace the beautifier trimmed).
+function lineLayout(src, beautified, i) {
+  const text = lineAt(beautified.text, i);
+  const indent = text.length - text.trimStart().length;
+  let contentStart = beautified.offsetMap[i];
+  while (contentStart < src.length && /\s/.test(src[contentStart])) contentStart++;
+  return { text, indent, contentStart };
+}
+
+function lineAt(text, i) {
+  let start = 0;
+  for (let n = 0; n < i; n++) start = text.indexOf('\n', start) + 1;
+  const end = text.indexOf('\n', start);
+  return text.slice(start, end < 0 ? text.length : end);
+}
@@ -1,30 +1,48 @@
 import { readFileSync } from 'node:fs';
 import * as swc from '@swc/core';
+import { createOffsetMap } from './offsets.mjs';
 
-export async function parseSource(src) {
-  const ast = await swc.parse(src, { syntax: 'ecmascript', target: 'esnext' });
-  // SWC accumulates byte offsets across parse() calls within a process.
-  // Normalize all spans to 0-based by subtracting the module's base offset.
-  const base = ast.span.start;
-  if (base !== 0) normalizeSpans(ast, base);
-  return ast;
+const SWC_OPTIONS = { syntax: 'ecmascript', target: 'esnext' };
+
+// Parse with every span converted to 0-based char (UTF-16) offsets into src.
+//
+// SWC spans are UTF-8 byte positions in a source map that keeps growing across parse() calls
+// within a process: each file starts one past the previous file's end. The module span starts
+// at its first token, not at the file start, so it can't serve as the base when the file
+// opens with comments. Instead we parse a one-byte probe first, and the real file starts two
+// bytes after the probe. The file itself is parsed off the main thread so the daemon keeps
+// answering; parses are queued so that no other file lands between a probe and its file.
+let parseQueue = Promise.resolve();
+
+export function parseSource(src) {
+  const parsed = parseQueue.then(async () => {
+    const probe = swc.parseSync('0', SWC_OPTIONS);
+    const ast = await swc.parse(src, SWC_OPTIONS);
+    return { ast, base: probe.span.start + 2 };
+  });
+  parseQueue = parsed.catch(() => {});
+  return parsed.then(({ ast, base }) => {
+    const { ascii, byteToChar } = createOffsetMap(src);
+    if (base !== 0 || !ascii) normalizeSpans(ast, ascii ? (b) => b - base : (b) => byteToChar(b - base));
+    return ast;
+  });
 }
 
-function normalizeSpans(node, base) {
+// Spans are `span` on every node, plus `spread` on ExprOrSpread arguments
+function normalizeSpans(node, toChar) {
   if (!node || typeof node !== 'object') return;
-  if (node.span) {
-    node.span.start -= base;
-    node.span.end -= base;
-  }
   for (const key of Object.keys(node)) {
     if (key === 'type') continue;
     const val = node[key];
-    if (Array.isArray(val)) {
+    if ((key === 'span' || key === 'spread') && val && typeof val.start === 'number') {
+      val.start = toChar(val.start);
+      val.end = toChar(val.end);
+    } else if (Array.isArray(val)) {
       for (const item of val) {
-        if (item && typeof item === 'object') normalizeSpans(item, base);
+        if (item && typeof item === 'object') normalizeSpans(item, toChar);
       }
     } else if (val && typeof val === 'object') {
-      normalizeSpans(val, base);
+      normalizeSpans(val, toChar);
     }
   }
 }
@@ -35,6 +53,28 @@ export async function parseFile(filePath) {
   return { ast, src };
 }
 
+// Names that resolve without a declaration in the bundle.
+export const KNOWN_GLOBALS = new Set([
+  ...Object.getOwnPropertyNames(globalThis),
+  'require', 'module', 'exports', '__dirname', '__filename', 'arguments',
+  'global', 'window', 'self', 'document', 'navigator', 'location',
+]);
+
+// Keys whose Identifier child is a name, not a variable reference.
+export const NON_REF_KEYS = {
+  MemberExpression: ['property'],
+  SuperPropExpression: ['property'],
+  KeyValueProperty: ['key'],
+  MethodProperty: ['key'],
+  GetterProperty: ['key'],
+  SetterProperty: ['key'],
+  ClassMethod: ['key'],
+  ClassProperty: ['key'],
+  LabeledStatement: ['label'],
+  BreakStatement: ['label'],
+  ContinueStatement: ['label'],
+};
+
 // Generic AST walker. visitor = { enter(node), leave(node) }
 // enter/leave can return false to skip children.
 export function walkAST(node, visitor) {
@@ -63,6 +103,127 @@ export function walkAST(node, visitor) {
   if (visitor.leave) visitor.leave(node);
 }
 
+// Like walkAST, but also descends into untyped containers — call arguments (ExprOrSpread),
+// which walkAST skips. enter(node, ancestors) gets the typed nodes above node, outermost first
+// (a live array: copy it to keep it), and can return false to skip the children.
+export function visitAll(node, enter, ancestors = []) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    for (const item of node) visitAll(item, enter, ancestors);
+    return;
+  }
+  if (node.type) {
+    if (enter(node, ancestors) === false) return;
+    ancestors.push(node);
+  }
+  for (const key of Object.keys(node)) {
+    if (key === 'span' || key === 'ctxt' || key === 'type') continue;
+    const val = node[key];
+    if (val && typeof val === 'object') visitAll(val, enter, ancestors);
+  }
+  if (node.type) ancestors.pop();
+}
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ClassMethod', 'MethodProperty',
+  'GetterProperty', 'SetterProperty', 'Constructor', 'PrivateMethod',
+]);
+
+export function isFunctionNode(node) {
+  return FUNCTION_TYPES.has(node?.type);
+}
+
+// Innermost function among visitAll ancestors as { name, start }, or null at module scope.
+// Function expressions and arrows take the name of the variable, property or assignment
+// target they are stored in; otherwise the name is '<anonymous>'.
+export function enclosingFunction(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const fn = ancestors[i];
+    if (!isFunctionNode(fn)) continue;
+    return { name: functionName(fn, ancestors[i - 1]), start: fn.span.start };
+  }
+  return null;
+}
+
+function functionName(fn, parent) {
+  if (fn.identifier?.value) return fn.identifier.value;
+  if (fn.key) return propertyKeyName(fn.key) ?? '<anonymous>';
+  if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.value;
+  if (parent?.type === 'KeyValueProperty') return propertyKeyName(parent.key) ?? '<anonymous>';
+  if (parent?.type === 'AssignmentExpression') {
+    const target = parent.left;
+    if (target.type === 'Identifier') return target.value;
+    if (target.type === 'MemberExpression') return propertyKeyName(target.property) ?? '<anonymous>';
+  }
+  return '<anonymous>';
+}
+
+// Name of a property key or member property: identifier, string or number, or computed
+// string or number; null for other computed keys
+export function propertyKeyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier' || key.type === 'StringLiteral') return key.value;
+  if (key.type === 'NumericLiteral') return String(key.value);
+  if (key.type === 'Computed' && key.expression.type !== 'Identifier') return propertyKeyName(key.expression);
+  return null;
+}
+
+const LITERAL_TYPES = new Set(['BooleanLiteral', 'NumericLiteral', 'StringLiteral', 'NullLiteral']);
+
+// A primitive literal, optionally under a unary operator (`!0`, `-1`, `void 0`)
+export function isLiteral(expr) {
+  if (expr.type === 'UnaryExpression') return LITERAL_TYPES.has(expr.argument.type);
+  return LITERAL_TYPES.has(expr.type);
+}
+
+// JSON value of a literal (minified booleans and negative numbers, templates without
+// interpolations, arrays and objects of literals included), undefined otherwise
+export function literalValue(node) {
+  if (!node) return undefined;
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral': return node.value;
+    case 'NullLiteral': return null;
+    case 'TemplateLiteral': return node.expressions.length === 0 ? node.quasis[0].cooked ?? node.quasis[0].raw : undefined;
+    case 'UnaryExpression':
+      if (node.operator === '!' && node.argument.type === 'NumericLiteral') return !node.argument.value;
+      if (node.operator === '-' && node.argument.type === 'NumericLiteral') return -node.argument.value;
+      return undefined;
+    case 'ArrayExpression': {
+      const values = node.elements.map(e => (e && !e.spread ? literalValue(e.expression) : undefined));
+      return values.every(v => v !== undefined) ? values : undefined;
+    }
+    case 'ObjectExpression': {
+      const entries = node.properties.map(p => (p.type === 'KeyValueProperty' ? [propertyKeyName(p.key), literalValue(p.value)] : [null, undefined]));
+      return entries.every(([k, v]) => k !== null && v !== undefined) ? Object.fromEntries(entries) : undefined;
+    }
+    default: return undefined;
+  }
+}
+
+// Variables and function declarations anywhere in the AST by name: the initializer (or the
+// declaration itself), null for a variable declared without one. Names bound more than once are
+// left out, since minified names repeat across scopes.
+export function uniqueBindings(ast) {
+  const bindings = new Map();
+  const repeated = new Set();
+  const add = (name, node) => {
+    if (repeated.has(name)) return;
+    if (bindings.has(name)) {
+      bindings.delete(name);
+      repeated.add(name);
+      return;
+    }
+    bindings.set(name, node);
+  };
+  visitAll(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') add(node.id.value, node.init ?? null);
+    else if (node.type === 'FunctionDeclaration') add(node.identifier.value, node);
+  });
+  return bindings;
+}
+
 // Collect variable bindings from destructuring patterns
 export function collectPatternBindings(pat, kind, offset) {
   const bindings = [];
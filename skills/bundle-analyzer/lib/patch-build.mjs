@@ -0,0 +1,215 @@
+import { matchPattern } from './match.mjs';
+
+// Names the generated script declares itself — captures may not shadow them.
+const RESERVED_NAMES = new Set([
+  'NAME', 'CLI_PATH', 'MARKER', 'PATTERN', 'src', 'matches', 'match', 'fullMatch', 'replacement', 'verify',
+  'readFileSync', 'writeFileSync', 'resolve', 'dirname', 'fileURLToPath', '__dirname',
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+  'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'arguments', 'eval', 'undefined',
+]);
+
+const IDENT_RE = /^[A-Za-z_$][\w$]*$/;
+
+export function patchMarker(name) {
+  return `/*PATCHED:${name}*/`;
+}
+
+// Split a replace template into static text and ${name} placeholders.
+// `\${` escapes a literal "${" (e.g. for template literals inside the replacement).
+// Only pure identifiers are placeholders; any other ${...} is kept as text.
+export function parseReplaceTemplate(template) {
+  const parts = [];
+  let text = '';
+  let i = 0;
+
+  while (i < template.length) {
+    if (template[i] === '\\' && template.startsWith('${', i + 1)) {
+      text += '${';
+      i += 3;
+      continue;
+    }
+    if (template.startsWith('${', i)) {
+      const close = template.indexOf('}', i + 2);
+      const name = close >= 0 ? template.substring(i + 2, close) : '';
+      if (IDENT_RE.test(name)) {
+        if (text) parts.push({ text });
+        parts.push({ name });
+        text = '';
+        i = close + 1;
+        continue;
+      }
+    }
+    text += template[i];
+    i++;
+  }
+  if (text) parts.push({ text });
+
+  return parts;
+}
+
+// Render a parsed (or raw) replace template with the given name → value bindings.
+export function renderTemplate(template, values) {
+  const parts = typeof template === 'string' ? parseReplaceTemplate(template) : template;
+  return parts.map(p => (p.name !== undefined ? values[p.name] : p.text)).join('');
+}
+
+// Prepare a replace template for a patch with the given marker and capture names.
+// The marker inside the template becomes ${MARKER}; without one, it is prepended
+// so an idempotency check has something to find.
+// Returns { parts, markerPrepended, unbound } — unbound lists placeholders that are not captures.
+export function compileReplaceTemplate(replaceTemplate, marker, captureNames) {
+  let template = replaceTemplate.split(marker).join('${MARKER}');
+  const markerPrepended = template === replaceTemplate && !parseReplaceTemplate(template).some(p => p.name === 'MARKER');
+  if (markerPrepended) template = '${MARKER}' + template;
+
+  const parts = parseReplaceTemplate(template);
+  const unbound = [...new Set(parts
+    .filter(p => p.name !== undefined && p.name !== 'MARKER' && !captureNames.includes(p.name))
+    .map(p => p.name))];
+
+  return { parts, markerPrepended, unbound };
+}
+
+// Map --captures names onto the regex's capture groups. Unnamed groups become $N.
+// Returns { names } or { error }.
+export function resolveCaptureNames(captures, groupCount) {
+  const given = captures || [];
+  if (given.length > groupCount) {
+    return { error: `${given.length} capture names given but the pattern has ${groupCount} capture group(s)` };
+  }
+
+  const names = [];
+  for (let i = 0; i < groupCount; i++) {
+    const name = given[i] || `$${i + 1}`;
+    if (!IDENT_RE.test(name)) return { error: `Capture name "${name}" is not a valid identifier` };
+    if (RESERVED_NAMES.has(name)) return { error: `Capture name "${name}" is reserved in the generated script` };
+    if (names.includes(name)) return { error: `Duplicate capture name "${name}"` };
+    names.push(name);
+  }
+  return { names };
+}
+
+// Generate a complete, idempotent apply.mjs for a single match → replace patch.
+// The pattern is validated against src first: no script is produced unless it matches exactly once.
+// spec: { name, match, captures?: string[], replaceTemplate, cliPath? }
+// Returns { status, matchCount, matches, expandedPattern, bindings?, preview?, warnings, script?, error? }
+export function buildPatchScript(src, spec) {
+  const { name, match, captures, replaceTemplate, cliPath = 'cli.js' } = spec;
+  const warnings = [];
+
+  if (!name || name.includes('*/')) return { error: 'A patch name is required (and may not contain "*/")', warnings };
+  if (!match) return { error: 'A match pattern is required', warnings };
+  if (replaceTemplate === undefined) return { error: 'A replace template is required', warnings };
+
+  const marker = patchMarker(name);
+  const result = matchPattern(src, match);
+  const base = {
+    status: result.status,
+    matchCount: result.matchCount,
+    matches: result.matches,
+    expandedPattern: result.expandedPattern,
+    warnings,
+  };
+
+  if (src.includes(marker)) {
+    return { ...base, error: `Bundle already contains marker ${marker} — run patch-build against an unpatched copy` };
+  }
+  if (result.status === 'NOT_FOUND') return { ...base, error: 'Pattern not found — refusing to generate a script' };
+  if (result.status === 'AMBIGUOUS') {
+    return { ...base, error: `Pattern is ambiguous (${result.matchCount} matches) — refusing to generate a script` };
+  }
+
+  const m = result.matches[0];
+  const resolved = resolveCaptureNames(captures, m.captures.length);
+  if (resolved.error) return { ...base, error: resolved.error };
+  const captureNames = resolved.names;
+
+  const bindings = {};
+  captureNames.forEach((n, i) => { bindings[n] = m.captures[i] ?? ''; });
+
+  const { parts, markerPrepended, unbound } = compileReplaceTemplate(replaceTemplate, marker, captureNames);
+  if (markerPrepended) warnings.push(`Replace template has no ${marker} marker — prepended it to the replacement`);
+  if (unbound.length > 0) {
+    return { ...base, error: `Unbound placeholder(s) in replace template: ${unbound.join(', ')} (not in --captures)` };
+  }
+
+  const replacedText = renderTemplate(parts, { ...bindings, MARKER: marker });
+  const before = src.substring(Math.max(0, m.offset - 60), m.offset);
+  const after = src.substring(m.offset + m.matchText.length, Math.min(src.length, m.offset + m.matchText.length + 60));
+  const preview = {
+    before: before + m.matchText + after,
+    after: before + replacedText + after,
+    replacedText,
+  };
+
+  const script = generateScript({ name, marker, expandedPattern: result.expandedPattern, captureNames, parts, cliPath });
+
+  return { ...base, bindings, preview, script };
+}
+
+function generateScript({ name, marker, expandedPattern, captureNames, parts, cliPath }) {
+  const destructure = ['fullMatch', ...captureNames].join(', ');
+  const found = captureNames.length > 0
+    ? captureNames.map(n => `${n}=\${${n}}`).join(', ')
+    : 'no captures';
+  const replacement = parts
+    .map(p => (p.name !== undefined ? `\${${p.name}}` : escapeTemplateText(p.text)))
+    .join('');
+
+  return `/**
+ * Patch: ${name}
+ * Auto-generated by bundle-analyzer patch-build
+ *
+ * Usage: node apply.mjs [path/to/cli.js]
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const NAME = ${JSON.stringify(name)};
+const CLI_PATH = process.argv[2] ? resolve(process.argv[2]) : resolve(__dirname, ${JSON.stringify(cliPath)});
+const MARKER = ${JSON.stringify(marker)};
+const PATTERN = new RegExp(${JSON.stringify(expandedPattern)}, 'g');
+
+let src = readFileSync(CLI_PATH, 'utf8');
+
+if (src.includes(MARKER)) {
+  console.log(\`[\${NAME}] Already patched, skipping.\`);
+  process.exit(0);
+}
+
+const matches = [...src.matchAll(PATTERN)];
+if (matches.length === 0) {
+  console.error(\`[\${NAME}] Pattern not found.\`);
+  process.exit(1);
+}
+if (matches.length > 1) {
+  console.error(\`[\${NAME}] Pattern found \${matches.length} times (expected 1).\`);
+  process.exit(1);
+}
+
+const match = matches[0];
+const [${destructure}] = match;
+console.log(\`[\${NAME}] Found at char \${match.index}: ${found}\`);
+
+const replacement = \`${replacement}\`;
+
+src = src.slice(0, match.index) + replacement + src.slice(match.index + fullMatch.length);
+writeFileSync(CLI_PATH, src);
+
+// Verify
+const verify = readFileSync(CLI_PATH, 'utf8');
+if (!verify.includes(MARKER)) {
+  console.error(\`[\${NAME}] Verification failed.\`);
+  process.exit(1);
+}
+console.log(\`[\${NAME}] Patch applied successfully.\`);
+`;
+}
+
+function escapeTemplateText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+}
@@ -1,5 +1,6 @@
 import { createStateMachine, advanceState, isInCode } from './state-machine.mjs';
 import { expandShorthands } from './find.mjs';
+import { matchAST } from './ast-match.mjs';
 
 // Pre-flight validation for a patch pattern.
 // Returns { status, matches[], warnings[], preview? }
@@ -57,13 +58,8 @@ export function checkPatch(src, pattern, replacement, options = {}) {
   const warnings = [];
 
   // Check for short identifiers in the pattern
-  const shortIds = pattern.match(/\b[A-Za-z_$]{1,3}\b/g);
-  if (shortIds) {
-    const unique = [...new Set(shortIds)].filter(id => !['var', 'let', 'for', 'if', 'of', 'in', 'do', 'new'].includes(id));
-    if (unique.length > 0) {
-      warnings.push(`Pattern contains short identifier(s) [${unique.join(', ')}] — may break if minifier renames them`);
-    }
-  }
+  const shortIdWarning = shortIdentifierWarning(pattern);
+  if (shortIdWarning) warnings.push(shortIdWarning);
 
   // Check if match is in code context (not string/comment)
   if (matches.length === 1) {
@@ -108,6 +104,36 @@ export function checkPatch(src, pattern, replacement, options = {}) {
   };
 }
 
+// Pre-flight validation for a structural (AST) pattern — see ast-match.mjs.
+// AST matches are always in code context, so only identifier warnings apply.
+// Returns { status, matchCount, matches[], warnings[], preview?, error? }
+export async function checkASTPatch(src, ast, pattern, replacement) {
+  const result = await matchAST(src, ast, pattern, replacement);
+  const warnings = [];
+  if (result.error) warnings.push(result.error);
+
+  // Metavariables are the rename-proof parts — only literal identifiers can break
+  const shortIdWarning = shortIdentifierWarning(pattern.replace(/(?<![\w$])\$(?:\$\$)?[A-Z_][A-Z0-9_]*(?![\w$])|\$\$\$/g, ''));
+  if (shortIdWarning) warnings.push(shortIdWarning);
+
+  return {
+    status: result.status,
+    matchCount: result.matchCount,
+    matches: result.matches,
+    warnings,
+    preview: result.preview,
+    error: result.error,
+  };
+}
+
+function shortIdentifierWarning(pattern) {
+  const shortIds = pattern.match(/\b[A-Za-z_$]{1,3}\b/g);
+  if (!shortIds) return null;
+  const unique = [...new Set(shortIds)].filter(id => !['var', 'let', 'for', 'if', 'of', 'in', 'do', 'new'].includes(id));
+  if (unique.length === 0) return null;
+  return `Pattern contains short identifier(s) [${unique.join(', ')}] — may break if minifier renames them`;
+}
+
 function isOffsetInCode(src, offset) {
   // Run state machine up to offset to determine context
   // For large files, only scan from max(0, offset - 50000) with a fresh SM
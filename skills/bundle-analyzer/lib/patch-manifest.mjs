@@ -0,0 +1,209 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { matchPattern } from './match.mjs';
+import { patchMarker, compileReplaceTemplate, renderTemplate, resolveCaptureNames } from './patch-build.mjs';
+
+// Patch manifest: an ordered list of match → replace steps applied to one bundle.
+//
+//   {
+//     "name": "my-patches",
+//     "steps": [
+//       { "name": "task-notification",
+//         "match": "async function (%V%)\\((%V%),(%V%)\\)\\{",
+//         "captures": ["dequeueFn", "paramA", "paramQ"],
+//         "replace": "async function ${dequeueFn}(${paramA},${paramQ}){/*PATCHED:task-notification*/...",
+//         "marker": "/*PATCHED:task-notification*/" }     // optional, defaults to /*PATCHED:<name>*/
+//     ]
+//   }
+//
+// The same object may be the default export of an ESM file.
+
+export const STATE_VERSION = 1;
+
+// Pre-images for `patch revert` live next to the bundle they were applied to.
+export function patchStatePath(bundlePath) {
+  return resolve(bundlePath) + '.patch-state.json';
+}
+
+// Read the pre-images saved at statePath for manifestName. Returns { state } — an empty one when
+// there is no file — or { error } when the file isn't valid state or holds another manifest's
+// pre-images, which must not be used to revert this one.
+export function readPatchState(statePath, manifestName) {
+  if (!existsSync(statePath)) return { state: { version: STATE_VERSION, manifest: manifestName, preimages: [] } };
+  let state;
+  try {
+    state = JSON.parse(readFileSync(statePath, 'utf-8'));
+  } catch (e) {
+    return { error: `Could not read patch state ${statePath}: ${e.message}` };
+  }
+  if (!state || !Array.isArray(state.preimages)) return { error: `Patch state ${statePath} has no "preimages" list` };
+  if (state.manifest !== manifestName) {
+    return { error: `${statePath} holds pre-images of manifest "${state.manifest}", not "${manifestName}" — revert that manifest first` };
+  }
+  return { state };
+}
+
+// Load a manifest from a .json or ESM (.mjs/.js) file.
+// Returns { manifest } or { error }.
+export async function loadManifest(filePath) {
+  const abs = resolve(filePath);
+  let raw;
+  try {
+    if (abs.endsWith('.json')) {
+      raw = JSON.parse(readFileSync(abs, 'utf-8'));
+    } else {
+      const mod = await import(pathToFileURL(abs).href);
+      raw = mod.default ?? mod.manifest;
+    }
+  } catch (e) {
+    return { error: `Could not load manifest ${filePath}: ${e.message}` };
+  }
+  return validateManifest(raw);
+}
+
+// Validate and normalize a manifest object. Returns { manifest } or { error }.
+export function validateManifest(raw) {
+  if (!raw || typeof raw !== 'object') return { error: 'Manifest must be an object' };
+  const steps = Array.isArray(raw) ? raw : raw.steps;
+  if (!Array.isArray(steps) || steps.length === 0) return { error: 'Manifest must have a non-empty "steps" array' };
+
+  const seen = new Set();
+  const normalized = [];
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const label = step?.name ? `Step "${step.name}"` : `Step ${i + 1}`;
+    if (!step || typeof step !== 'object') return { error: `${label} must be an object` };
+    if (!step.name || typeof step.name !== 'string' || step.name.includes('*/')) {
+      return { error: `${label} needs a "name" (without "*/")` };
+    }
+    if (seen.has(step.name)) return { error: `Duplicate step name "${step.name}"` };
+    seen.add(step.name);
+    if (!step.match || typeof step.match !== 'string') return { error: `${label} needs a "match" pattern` };
+    if (typeof step.replace !== 'string') return { error: `${label} needs a "replace" template` };
+    if (step.captures !== undefined && !Array.isArray(step.captures)) return { error: `${label}: "captures" must be an array` };
+
+    normalized.push({
+      name: step.name,
+      match: step.match,
+      captures: step.captures || [],
+      replace: step.replace,
+      marker: step.marker || patchMarker(step.name),
+    });
+  }
+
+  return { manifest: { name: raw.name || 'patches', steps: normalized } };
+}
+
+// Resolve a single step against src: match, bind captures and render the replacement.
+// Returns { status, matchCount, matches, offset?, original?, replaced?, bindings?, error? }
+export function resolveStep(src, step) {
+  if (src.includes(step.marker)) {
+    return { status: 'applied', matchCount: 0, matches: [], offset: src.indexOf(step.marker) };
+  }
+
+  const result = matchPattern(src, step.match);
+  const base = { matchCount: result.matchCount, matches: result.matches };
+  if (result.status === 'NOT_FOUND') return { ...base, status: 'broken', error: 'pattern not found' };
+  if (result.status === 'AMBIGUOUS') {
+    return { ...base, status: 'ambiguous', error: `pattern matches ${result.matchCount} times` };
+  }
+
+  const m = result.matches[0];
+  const resolved = resolveCaptureNames(step.captures, m.captures.length);
+  if (resolved.error) return { ...base, status: 'broken', error: resolved.error };
+
+  const { parts, unbound } = compileReplaceTemplate(step.replace, step.marker, resolved.names);
+  if (unbound.length > 0) {
+    return { ...base, status: 'broken', error: `unbound placeholder(s): ${unbound.join(', ')}` };
+  }
+
+  const bindings = {};
+  resolved.names.forEach((n, i) => { bindings[n] = m.captures[i] ?? ''; });
+  const replaced = renderTemplate(parts, { ...bindings, MARKER: step.marker });
+
+  return { ...base, status: 'applicable', offset: m.offset, original: m.matchText, replaced, bindings };
+}
+
+// Report each step as applied / applicable / ambiguous / broken against src.
+// Steps are checked independently against the same source.
+export function patchStatus(src, manifest) {
+  const steps = manifest.steps.map(step => {
+    const r = resolveStep(src, step);
+    const entry = { name: step.name, status: r.status, matchCount: r.matchCount };
+    if (r.offset !== undefined) entry.offset = r.offset;
+    if (r.error) entry.error = r.error;
+    return entry;
+  });
+  return { steps };
+}
+
+// Apply all steps in order. Nothing is returned as patched unless every step
+// is either already applied or applies cleanly.
+// Returns { src, steps[], preimages[], error? } — preimages are what revert needs.
+export function applyManifest(src, manifest) {
+  let current = src;
+  const steps = [];
+  const preimages = [];
+
+  for (const step of manifest.steps) {
+    const r = resolveStep(current, step);
+
+    if (r.status === 'applied') {
+      steps.push({ name: step.name, status: 'skipped', reason: 'already applied' });
+      continue;
+    }
+    if (r.status !== 'applicable') {
+      steps.push({ name: step.name, status: 'failed', reason: r.error });
+      return { src, steps, preimages: [], error: `Step "${step.name}" ${r.status}: ${r.error}` };
+    }
+
+    current = current.slice(0, r.offset) + r.replaced + current.slice(r.offset + r.original.length);
+    steps.push({ name: step.name, status: 'applied', offset: r.offset, delta: r.replaced.length - r.original.length });
+    preimages.push({ name: step.name, marker: step.marker, offset: r.offset, original: r.original, replaced: r.replaced });
+  }
+
+  return { src: current, steps, preimages };
+}
+
+// Revert steps in reverse order using stored pre-images (from applyManifest).
+// Returns { src, steps[], remaining[], error? } — remaining are pre-images that were not reverted.
+export function revertManifest(src, manifest, preimages) {
+  const byName = new Map(preimages.map(p => [p.name, p]));
+  let current = src;
+  const steps = [];
+  const reverted = new Set();
+
+  for (const step of [...manifest.steps].reverse()) {
+    const pre = byName.get(step.name);
+
+    if (!current.includes(step.marker)) {
+      steps.push({ name: step.name, status: 'skipped', reason: 'not applied' });
+      if (pre) reverted.add(step.name); // stale pre-image
+      continue;
+    }
+    if (!pre) {
+      steps.push({ name: step.name, status: 'failed', reason: 'applied, but no stored pre-image' });
+      return { src, steps: steps.reverse(), remaining: preimages, error: `Step "${step.name}" has no stored pre-image` };
+    }
+
+    // Reverting in reverse order keeps recorded offsets valid; fall back to a unique search.
+    let offset = current.startsWith(pre.replaced, pre.offset) ? pre.offset : -1;
+    if (offset < 0) {
+      const first = current.indexOf(pre.replaced);
+      const again = first >= 0 ? current.indexOf(pre.replaced, first + 1) : -1;
+      if (first < 0 || again >= 0) {
+        const reason = first < 0 ? 'patched text was modified' : 'patched text is no longer unique';
+        steps.push({ name: step.name, status: 'failed', reason });
+        return { src, steps: steps.reverse(), remaining: preimages, error: `Step "${step.name}": ${reason}` };
+      }
+      offset = first;
+    }
+
+    current = current.slice(0, offset) + pre.original + current.slice(offset + pre.replaced.length);
+    steps.push({ name: step.name, status: 'reverted', offset });
+    reverted.add(step.name);
+  }
+
+  return { src: current, steps: steps.reverse(), remaining: preimages.filter(p => !reverted.has(p.name)) };
+}
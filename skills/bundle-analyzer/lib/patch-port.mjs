@@ -0,0 +1,337 @@
+import { expandShorthands } from './find.mjs';
+import { matchPattern } from './match.mjs';
+import { compileReplaceTemplate } from './patch-build.mjs';
+import { findEnclosingFunctions } from './map.mjs';
+
+// Identifiers a minifier never renames — kept literal when generalizing a match.
+export const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'get', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'of', 'return', 'set', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield',
+]);
+
+const STRING_LITERAL = /^"(?:[^"\\]|\\.)*"$|^'(?:[^'\\]|\\.)*'$/;
+
+// Port manifest steps from an old bundle to a new one.
+// For each step whose pattern no longer matches uniquely, locate the function that
+// contained the old match via diffFunctions, find the same code in its new counterpart,
+// and rewrite the pattern's renamed identifiers — everything else in it (%V%, \s*, classes,
+// alternations) is kept as written.
+// manifest: normalized manifest (from validateManifest)
+// diff: diffFunctions(map1, map2) result
+// Returns { manifest, report[] } — report entries: { name, status, confidence?, reason?, ... }
+export function portManifest(manifest, { src1, src2, map1, diff }) {
+  const counterparts = new Map();
+  for (const u of diff.unchanged) counterparts.set(u.v1Start, { v2Start: u.v2Start, v2End: u.v2End, via: 'unchanged' });
+  for (const m of diff.modified) counterparts.set(m.v1Start, { v2Start: m.v2Start, v2End: m.v2End, via: 'modified' });
+
+  const steps = [];
+  const report = [];
+
+  for (const step of manifest.steps) {
+    const entry = portStep(step, { src1, src2, map1, counterparts });
+    report.push(entry);
+    steps.push(entry.step || step);
+  }
+
+  return { manifest: { name: manifest.name, steps }, report };
+}
+
+function portStep(step, { src1, src2, map1, counterparts }) {
+  const base = { name: step.name };
+
+  const current = matchPattern(src2, step.match);
+  if (current.status === 'UNIQUE') {
+    return { ...base, status: 'unchanged', confidence: 'high', newOffset: current.matches[0].offset, step };
+  }
+
+  if (src1.includes(step.marker)) {
+    return { ...base, status: 'failed', reason: 'old bundle is already patched — port from a pristine copy' };
+  }
+  const old = matchPattern(src1, step.match);
+  if (old.status !== 'UNIQUE') {
+    return { ...base, status: 'failed', reason: `pattern is ${old.status.toLowerCase()} in the old bundle` };
+  }
+  const oldMatch = old.matches[0];
+  const oldEnd = oldMatch.offset + oldMatch.matchText.length;
+
+  // Innermost enclosing function that has a counterpart in the new bundle
+  let region = null;
+  let depth = 0;
+  for (const fn of findEnclosingFunctions(map1, oldMatch.offset, oldEnd)) {
+    const c = counterparts.get(fn.start);
+    if (c) {
+      region = { ...c, v1Start: fn.start, v1End: fn.end, name: fn.name };
+      break;
+    }
+    depth++;
+  }
+  if (!region) {
+    return { ...base, status: 'failed', oldOffset: oldMatch.offset, reason: 'no enclosing function has a counterpart in the new bundle' };
+  }
+
+  const groups = captureSpans(src1, step.match, oldMatch.offset);
+  const tokens = tokenize(oldMatch.matchText, oldMatch.offset, groups);
+  if (tokens.error) return { ...base, status: 'failed', oldOffset: oldMatch.offset, reason: tokens.error };
+
+  // Locate the same code inside the counterpart function with every identifier loosened
+  const loose = new RegExp(tokens.list.map(t => looseToken(t)).join(''), 'g');
+  const body = src2.slice(region.v2Start, region.v2End);
+  const found = [...body.matchAll(loose)];
+  if (found.length !== 1) {
+    const reason = found.length === 0
+      ? `code not found in counterpart function ${region.name} (char ${region.v2Start})`
+      : `code matches ${found.length} times in counterpart function ${region.name}`;
+    return { ...base, status: 'failed', oldOffset: oldMatch.offset, reason };
+  }
+  const newOffset = region.v2Start + found[0].index;
+
+  // Pair loosened groups back up with the old tokens
+  const newValues = found[0].slice(1);
+  let vi = 0;
+  const renamed = {};
+  const captureValues = [];
+  for (const t of tokens.list) {
+    if (t.kind === 'text') continue;
+    t.newValue = newValues[vi++];
+    if (t.group !== undefined) captureValues[t.group] = t.newValue;
+    if (t.kind === 'ident' && t.value !== t.newValue) renamed[t.value] = t.newValue;
+  }
+  const literalRenames = new Map(tokens.list
+    .filter(t => t.kind === 'ident' && t.group === undefined && t.value !== t.newValue)
+    .map(t => [t.value, t.newValue]));
+
+  const { pattern, captures } = rewritePattern(step.match, step.captures, literalRenames, captureValues);
+
+  const check = matchPattern(src2, pattern);
+  if (check.status !== 'UNIQUE' || check.matches[0].offset !== newOffset) {
+    const reason = check.status === 'UNIQUE'
+      ? `regenerated pattern matches elsewhere (char ${check.matches[0].offset})`
+      : `regenerated pattern is ${check.status.toLowerCase()} in the new bundle`;
+    return { ...base, status: 'failed', oldOffset: oldMatch.offset, newOffset, renamed, reason };
+  }
+
+  const { unbound } = compileReplaceTemplate(step.replace, step.marker, captures);
+  if (unbound.length > 0) {
+    return { ...base, status: 'failed', oldOffset: oldMatch.offset, newOffset, reason: `unbound placeholder(s): ${unbound.join(', ')}` };
+  }
+
+  // Renamed identifiers baked into the replacement text are not rewritten — flag them for review
+  const warnings = [];
+  for (const [oldName, newName] of Object.entries(renamed)) {
+    if (new RegExp(`(^|[^\\w$])${escapeRegex(oldName)}(?![\\w$])`).test(step.replace.replace(/\$\{[\w$]+\}/g, ''))) {
+      warnings.push(`replace template mentions ${oldName}, which is now ${newName}`);
+    }
+  }
+
+  const confidence = warnings.length > 0 || region.via === 'modified' || depth > 0 ? 'low' : 'high';
+
+  return {
+    ...base,
+    status: 'ported',
+    confidence,
+    oldOffset: oldMatch.offset,
+    newOffset,
+    function: { name: region.name, v1Start: region.v1Start, v2Start: region.v2Start, via: region.via, depth },
+    renamed,
+    warnings,
+    step: { name: step.name, match: pattern, captures, replace: step.replace, marker: step.marker },
+  };
+}
+
+// Absolute [start, end] spans of each capture group in the old match (undefined for unmatched groups).
+function captureSpans(src, pattern, offset) {
+  const re = new RegExp(expandShorthands(pattern), 'gd');
+  re.lastIndex = offset;
+  const m = re.exec(src);
+  return m ? m.indices.slice(1) : [];
+}
+
+// Split matched text into literal text, identifiers, and captured tokens.
+// Captures must cover exactly one identifier or one string literal.
+function tokenize(text, offset, groups) {
+  const list = [];
+  const captureAt = new Map();
+  for (let g = 0; g < groups.length; g++) {
+    if (!groups[g]) continue;
+    const [s, e] = groups[g];
+    const value = text.slice(s - offset, e - offset);
+    if (!/^[A-Za-z_$][\w$]*$/.test(value) && !STRING_LITERAL.test(value)) {
+      return { error: `capture ${g + 1} ("${value.substring(0, 40)}") is not a single identifier or string literal` };
+    }
+    if (captureAt.has(s - offset)) return { error: `captures ${captureAt.get(s - offset).group + 1} and ${g + 1} overlap` };
+    captureAt.set(s - offset, { group: g, end: e - offset, value });
+  }
+
+  let text_ = '';
+  const flush = () => { if (text_) list.push({ kind: 'text', value: text_ }); text_ = ''; };
+
+  let i = 0;
+  while (i < text.length) {
+    const cap = captureAt.get(i);
+    if (cap) {
+      flush();
+      list.push({ kind: STRING_LITERAL.test(cap.value) ? 'string' : 'ident', value: cap.value, group: cap.group });
+      i = cap.end;
+      continue;
+    }
+
+    const ch = text[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      // Skip string contents — identifiers inside them are literal text
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) j += text[j] === '\\' ? 2 : 1;
+      text_ += text.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+    if (/[0-9]/.test(ch)) {
+      const num = text.slice(i).match(/^[\w.]+/)[0];
+      text_ += num;
+      i += num.length;
+      continue;
+    }
+    const idMatch = /[A-Za-z_$]/.test(ch) ? text.slice(i).match(/^[A-Za-z_$][\w$]*/) : null;
+    if (idMatch) {
+      const id = idMatch[0];
+      const prev = text_.length > 0 ? text_[text_.length - 1] : (list.length > 0 ? '' : null);
+      const next = text[i + id.length];
+      const isProperty = prev === '.' || (next === ':' && (prev === '{' || prev === ','));
+      if (KEYWORDS.has(id) || isProperty) {
+        text_ += id;
+      } else {
+        flush();
+        list.push({ kind: 'ident', value: id });
+      }
+      i += id.length;
+      continue;
+    }
+    text_ += ch;
+    i++;
+  }
+  flush();
+
+  return { list };
+}
+
+function looseToken(t) {
+  if (t.kind === 'text') return escapeRegex(t.value);
+  if (t.kind === 'string') return `(${expandShorthands('%S%')}|'(?:[^'\\\\]|\\\\.)*')`;
+  return '([\\w$]+)';
+}
+
+// Rewrite the identifiers of pattern written literally that the minifier renamed (renames:
+// old → new name). One that is the same binding as a capture becomes a backreference to it;
+// others get a fresh (%V%) capture, repeats a backreference. Every other part of the pattern
+// is kept; groups and backreferences are renumbered around the inserted captures.
+// Returns { pattern, captures } (capture names in group order).
+function rewritePattern(pattern, captureNames, renames, captureValues) {
+  const parts = scanPattern(pattern);
+  const groupNumber = []; // original group index → number in the rewritten pattern
+  const newGroupOf = new Map(); // new name → group number given to it
+  const captures = [];
+  let out = '';
+  let original = 0;
+  for (const part of parts) {
+    if (part.kind === 'group') {
+      captures.push(captureNames[original] || `$${original + 1}`);
+      groupNumber[original++] = captures.length;
+      out += part.text;
+    } else if (part.kind === 'backref') {
+      out += `\\${groupNumber[part.group - 1] ?? part.group}`;
+    } else if (part.kind === 'ident' && renames.has(part.name)) {
+      const name = renames.get(part.name);
+      const capture = captureValues.findIndex((v, g) => v === name && groupNumber[g] !== undefined);
+      if (capture >= 0) {
+        out += `\\${groupNumber[capture]}`;
+      } else if (newGroupOf.has(name)) {
+        out += `\\${newGroupOf.get(name)}`;
+      } else {
+        captures.push(uniqueName(`renamed_${part.name}`, captures, captureNames));
+        newGroupOf.set(name, captures.length);
+        out += '(%V%)';
+      }
+    } else {
+      out += part.text;
+    }
+  }
+  return { pattern: out, captures };
+}
+
+// Split a match pattern into { kind, text } parts: 'group' (a capturing group's opening),
+// 'backref' (\N, with group), 'ident' (a literal identifier outside classes and escapes, with
+// name, not a property name and not under a quantifier) and 'other'
+function scanPattern(pattern) {
+  const parts = [];
+  let other = '';
+  const flush = () => { if (other) parts.push({ kind: 'other', text: other }); other = ''; };
+  let i = 0;
+  while (i < pattern.length) {
+    const ch = pattern[i];
+    if (ch === '\\' && /[1-9]/.test(pattern[i + 1] ?? '')) {
+      const digits = pattern.slice(i + 1).match(/^\d+/)[0];
+      flush();
+      parts.push({ kind: 'backref', text: `\\${digits}`, group: Number(digits) });
+      i += 1 + digits.length;
+      continue;
+    }
+    if (ch === '%' && /^%[VS]%/.test(pattern.slice(i))) {
+      other += pattern.slice(i, i + 3);
+      i += 3;
+      continue;
+    }
+    if (ch === '[') {
+      let j = i + 1;
+      while (j < pattern.length && pattern[j] !== ']') j += pattern[j] === '\\' ? 2 : 1;
+      other += pattern.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+    if (ch === '(') {
+      const named = /^\(\?<[A-Za-z_$][\w$]*>/.exec(pattern.slice(i));
+      if (pattern[i + 1] !== '?' || named) {
+        const text = named ? named[0] : '(';
+        flush();
+        parts.push({ kind: 'group', text });
+        i += text.length;
+        continue;
+      }
+    }
+    const ident = /^(?:[A-Za-z_]|\\\$)(?:\w|\\\$)*/.exec(pattern.slice(i));
+    if (ident) {
+      const text = ident[0];
+      const after = pattern.slice(i + text.length);
+      const isProperty = other.endsWith('\\.') || (after.startsWith(':') && /(\\\{|,)$/.test(other));
+      if (isProperty || /^[*+?{]/.test(after)) {
+        other += text;
+      } else {
+        flush();
+        parts.push({ kind: 'ident', text, name: text.replace(/\\\$/g, '$') });
+      }
+      i += text.length;
+      continue;
+    }
+    if (ch === '\\') {
+      other += pattern.slice(i, i + 2);
+      i += 2;
+      continue;
+    }
+    // Numbers, so `0x1f` isn't read as 0 then an identifier
+    const word = /^\d\w*/.exec(pattern.slice(i));
+    other += word ? word[0] : ch;
+    i += word ? word[0].length : 1;
+  }
+  flush();
+  return parts;
+}
+
+function uniqueName(name, ...taken) {
+  let candidate = name;
+  for (let n = 2; taken.some(list => list.includes(candidate)); n++) candidate = `${name}_${n}`;
+  return candidate;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
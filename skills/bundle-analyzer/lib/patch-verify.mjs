@@ -0,0 +1,215 @@
+import { parseSource, KNOWN_GLOBALS, NON_REF_KEYS } from './parse.mjs';
+import { buildFunctionMap, findEnclosingFunctions } from './map.mjs';
+import { buildScopeTree } from './scope.mjs';
+import { fingerprint } from './diff-fns.mjs';
+
+// Apply a replacement in memory and check the result:
+//   1. the patched bundle still parses
+//   2. no function outside the one containing the edit changed (other than shifting)
+//   3. identifiers the replacement introduces resolve in buildScopeTree or are known globals
+// edit: { offset, length, replacement } — replaces src[offset, offset + length)
+// Returns { ok, patched?, parseError?, delta, target, functions, unexpected[], identifiers[], errors[] }
+export async function verifyPatch(src, ast, { offset, length, replacement }) {
+  const patched = src.slice(0, offset) + replacement + src.slice(offset + length);
+  const delta = replacement.length - length;
+
+  let ast2;
+  try {
+    ast2 = await parseSource(patched);
+  } catch (e) {
+    const parseError = String(e.message || e).match(/^\s*x (.+)$/m)?.[1] || 'syntax error';
+    return { ok: false, parseError, delta, errors: [`Patched bundle does not parse: ${parseError}`] };
+  }
+
+  const map1 = buildFunctionMap(ast, src, { strings: true });
+  const map2 = buildFunctionMap(ast2, patched, { strings: true });
+  const functions = compareFunctionMaps(map1, map2, offset, offset + length, delta);
+  const identifiers = checkNewIdentifiers(ast, ast2, patched, offset, length, replacement.length);
+
+  const errors = [];
+  for (const u of functions.unexpected) {
+    errors.push(`Function ${u.name} (char ${u.v1Start ?? u.v2Start}) outside the target changed: ${u.change}`);
+  }
+  for (const id of identifiers.filter(i => !i.resolved)) {
+    errors.push(`Unresolved identifier "${id.name}" introduced at char ${id.offset}`);
+  }
+
+  return {
+    ok: errors.length === 0,
+    patched,
+    delta,
+    target: functions.target,
+    functions: functions.summary,
+    changed: functions.changed,
+    unexpected: functions.unexpected,
+    identifiers,
+    errors,
+  };
+}
+
+// Pair up functions before and after an edit of [editStart, editEnd) that shifted later code by delta.
+// Functions before the edit must be identical, functions after it identical but shifted,
+// enclosing functions may only grow or shrink by delta; functions inside the edit may come and go.
+function compareFunctionMaps(map1, map2, editStart, editEnd, delta) {
+  const byStart2 = new Map(map2.map(fn => [fn.start, fn]));
+  const claimed = new Set();
+  const changed = [];
+  const unexpected = [];
+  const summary = { unchanged: 0, shifted: 0, enclosing: 0, removed: 0, added: 0 };
+
+  // A function wholly inside the replaced text is replaced, not enclosing; an insertion
+  // right at a function's start shifts it
+  const enclosingFns = findEnclosingFunctions(map1, editStart, editEnd).filter(fn =>
+    !(fn.start >= editStart && fn.end <= editEnd) && !(editStart === editEnd && fn.start === editStart));
+  const enclosing = new Set(enclosingFns.map(fn => fn.start));
+  const target1 = enclosingFns[0];
+
+  for (const fn1 of map1) {
+    if (fn1.start >= editStart && fn1.end <= editEnd && !enclosing.has(fn1.start)) {
+      summary.removed++;
+      changed.push({ name: fn1.name, v1Start: fn1.start, change: 'removed' });
+      continue;
+    }
+
+    let expectedStart = fn1.start;
+    let expectedEnd = fn1.end;
+    let kind = 'unchanged';
+    if (enclosing.has(fn1.start)) {
+      expectedEnd = fn1.end + delta;
+      kind = 'enclosing';
+    } else if (fn1.start >= editEnd) {
+      expectedStart += delta;
+      expectedEnd += delta;
+      kind = delta === 0 ? 'unchanged' : 'shifted';
+    } else if (fn1.end > editStart) {
+      // Straddles the edit boundary without containing it — cannot stay intact
+      unexpected.push({ name: fn1.name, v1Start: fn1.start, change: 'partially replaced' });
+      continue;
+    }
+
+    const fn2 = byStart2.get(expectedStart);
+    if (!fn2) {
+      unexpected.push({ name: fn1.name, v1Start: fn1.start, change: 'missing after patch' });
+      continue;
+    }
+    claimed.add(fn2.start);
+
+    if (kind === 'enclosing') {
+      summary.enclosing++;
+      const entry = {
+        name: fn1.name,
+        v1Start: fn1.start,
+        v1End: fn1.end,
+        v2Start: fn2.start,
+        v2End: fn2.end,
+        change: fingerprint(fn1) === fingerprint(fn2) ? 'resized' : 'modified',
+      };
+      if (fn2.end !== expectedEnd) {
+        unexpected.push({ ...entry, change: `span ends at ${fn2.end}, expected ${expectedEnd}` });
+      } else {
+        changed.push(entry);
+      }
+      continue;
+    }
+
+    if (fn2.end !== expectedEnd || fingerprint(fn1) !== fingerprint(fn2) || fn1.name !== fn2.name) {
+      unexpected.push({ name: fn1.name, v1Start: fn1.start, v2Start: fn2.start, change: describeChange(fn1, fn2, expectedEnd) });
+      continue;
+    }
+    summary[kind]++;
+  }
+
+  const insertEnd = editEnd + delta;
+  for (const fn2 of map2) {
+    if (claimed.has(fn2.start)) continue;
+    if (fn2.start >= editStart && fn2.end <= insertEnd) {
+      summary.added++;
+      changed.push({ name: fn2.name, v2Start: fn2.start, change: 'added' });
+    } else {
+      unexpected.push({ name: fn2.name, v2Start: fn2.start, change: 'new function outside the replaced text' });
+    }
+  }
+
+  const target = target1
+    ? changed.find(c => c.v1Start === target1.start) || { name: target1.name, v1Start: target1.start, change: 'changed unexpectedly' }
+    : null;
+
+  return { target, summary, changed, unexpected };
+}
+
+function describeChange(fn1, fn2, expectedEnd) {
+  if (fn2.end !== expectedEnd) return `span ends at ${fn2.end}, expected ${expectedEnd}`;
+  if (fn1.name !== fn2.name) return `renamed to ${fn2.name}`;
+  return 'fingerprint changed';
+}
+
+// Identifier references in the replaced text whose names the original text did not use,
+// each resolved against the patched bundle's scope tree.
+function checkNewIdentifiers(ast, ast2, patched, offset, length, insertedLength) {
+  const before = new Set(collectReferences(ast, offset, offset + length).map(r => r.name));
+  const after = collectReferences(ast2, offset, offset + insertedLength);
+  if (after.length === 0) return [];
+
+  const { scopes, findScopeAt } = buildScopeTree(ast2, patched.length);
+  const seen = new Set();
+  const result = [];
+  for (const ref of after) {
+    if (before.has(ref.name) || seen.has(ref.name)) continue;
+    seen.add(ref.name);
+    const scope = resolveName(ref.name, findScopeAt(ref.offset), scopes);
+    result.push({
+      name: ref.name,
+      offset: ref.offset,
+      resolved: !!scope || KNOWN_GLOBALS.has(ref.name),
+      scope: scope ? { type: scope.type, start: scope.start } : (KNOWN_GLOBALS.has(ref.name) ? { type: 'global' } : null),
+    });
+  }
+  return result;
+}
+
+function collectReferences(ast, start, end) {
+  const refs = [];
+
+  function walk(node) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      for (const item of node) walk(item);
+      return;
+    }
+    if (node.span && (node.span.end <= start || node.span.start >= end)) return;
+    if (node.type === 'Identifier') {
+      if (node.span.start >= start && node.span.end <= end) refs.push({ name: node.value, offset: node.span.start });
+      return;
+    }
+    const skip = NON_REF_KEYS[node.type];
+    for (const key of Object.keys(node)) {
+      if (key === 'span' || key === 'type') continue;
+      const val = node[key];
+      if (skip?.includes(key) && val?.type === 'Identifier') continue;
+      if (val && typeof val === 'object') walk(val);
+    }
+  }
+
+  walk(ast);
+  return refs;
+}
+
+// Look a name up the scope chain. `var` and function declarations are hoisted to the
+// nearest function scope, which buildScopeTree records in their block — check those too.
+function resolveName(name, scope, scopes) {
+  for (let s = scope; s; s = s.parent) {
+    if (s.vars.some(v => v.name === name)) return s;
+    if (s.type === 'function' || s.type === 'arrow' || s.type === 'module') {
+      const hoisted = scopes.find(inner => nearestFunctionScope(inner) === s &&
+        inner.vars.some(v => v.name === name && (v.kind === 'var' || v.kind === 'function')));
+      if (hoisted) return hoisted;
+    }
+  }
+  return null;
+}
+
+function nearestFunctionScope(scope) {
+  let s = scope;
+  while (s && s.type !== 'function' && s.type !== 'arrow' && s.type !== 'module') s = s.parent;
+  return s;
+}
@@ -0,0 +1,268 @@
+import { enclosingFunction, literalValue, propertyKeyName, uniqueBindings, visitAll } from './parse.mjs';
+import { lineHunks } from './diff-fns.mjs';
+
+// Long prose in a bundle — system prompts, tool descriptions, help text — reassembled into
+// documents. Prompts are built from template literals with `${}` interpolations, `+` chains of
+// strings, and arrays of lines joined with a literal separator (`[...].join("\n")`); each
+// outermost such expression becomes one text. Interpolated string constants (`var Kx="Bash"`)
+// are inlined, and any other interpolation is a named placeholder: `${toolName}` for a variable
+// or member, `${getCwd()}` for a call, `${expr}` otherwise. Templates nested inside an
+// interpolation are texts of their own.
+
+const DEFAULT_MIN_LENGTH = 200;
+const MIN_WORDS = 20;
+// Embedded scripts and stylesheets are long too; prose has few of these characters, and few
+// lines ending in ; { or }
+const MAX_CODE_CHAR_RATIO = 0.03;
+const MAX_CODE_LINE_RATIO = 0.2;
+const MAX_PLACEHOLDER_LENGTH = 40;
+// How far apart two versions of a prompt may be and still count as one changed prompt
+const MIN_SIMILARITY = 0.5;
+const CONTEXT_WORDS = 6;
+
+// Returns { total, prompts: [prompt] }, longest first, identical texts listed once:
+//   prompt — { text, length, offset, offsets[], function, parts, placeholders[] }
+//   offset  — start of the (first) expression; offsets lists every copy
+//   function — innermost function enclosing the first copy { name, start }, null at module scope
+//   parts   — string pieces the text was assembled from (1 for a plain literal)
+//   placeholders — [{ name, offset, source }] in text order
+// options: { minLength (200), filter (substring of the text) }
+export function findPrompts(ast, src, options = {}) {
+  const { minLength = DEFAULT_MIN_LENGTH, filter } = options;
+  const constants = stringConstants(ast);
+  const consumed = new Set();
+  const found = [];
+
+  visitAll(ast, (node, ancestors) => {
+    if (consumed.has(node)) return;
+    if (ancestors[ancestors.length - 1]?.type === 'TaggedTemplateExpression') return;
+    const pieces = textPieces(node, constants, consumed, src);
+    if (!pieces) return;
+    const text = pieces.map(p => p.text ?? `\${${p.name}}`).join('');
+    if (text.length < minLength || !isProse(pieces.map(p => p.text ?? ' ').join(''))) return;
+    if (filter && !text.includes(filter)) return;
+    found.push({
+      text,
+      offset: node.span.start,
+      function: enclosingFunction(ancestors),
+      parts: pieces.filter(p => p.text !== undefined).length,
+      placeholders: pieces.filter(p => p.text === undefined).map(({ name, offset, source }) => ({ name, offset, source })),
+    });
+  });
+
+  const byText = new Map();
+  for (const prompt of found) {
+    const first = byText.get(prompt.text);
+    if (first) first.offsets.push(prompt.offset);
+    else byText.set(prompt.text, { text: prompt.text, length: prompt.text.length, offset: prompt.offset, offsets: [prompt.offset], function: prompt.function, parts: prompt.parts, placeholders: prompt.placeholders });
+  }
+  const prompts = [...byText.values()].sort((x, y) => y.length - x.length || x.offset - y.offset);
+  return { total: prompts.length, prompts };
+}
+
+// Prompts in b but not a, in a but not b, and prompts whose text changed, paired by word overlap:
+// { unchanged, added: [prompt], removed: [prompt], changed: [{ offset, v1Offset, length: { before,
+// after }, similarity, text, words: [{ at, removed, added, before, after }] }] }
+//   words — word-level edits: `removed` text replaced by `added` at char `at` of the new text,
+//           with a few words of context `before` and `after`
+export function diffPrompts(a, b) {
+  const texts1 = new Set(a.prompts.map(p => p.text));
+  const texts2 = new Set(b.prompts.map(p => p.text));
+  const left = a.prompts.filter(p => !texts2.has(p.text));
+  const right = b.prompts.filter(p => !texts1.has(p.text));
+
+  const words1 = left.map(p => new Set(p.text.split(/\s+/)));
+  const words2 = right.map(p => new Set(p.text.split(/\s+/)));
+  const candidates = [];
+  left.forEach((p1, i) => right.forEach((p2, j) => {
+    if (Math.min(p1.length, p2.length) / Math.max(p1.length, p2.length) < MIN_SIMILARITY) return;
+    let shared = 0;
+    for (const word of words2[j]) if (words1[i].has(word)) shared++;
+    const similarity = shared / (words1[i].size + words2[j].size - shared);
+    if (similarity >= MIN_SIMILARITY) candidates.push({ i, j, similarity });
+  }));
+  candidates.sort((x, y) => y.similarity - x.similarity);
+
+  const paired1 = new Set();
+  const paired2 = new Set();
+  const changed = [];
+  for (const { i, j, similarity } of candidates) {
+    if (paired1.has(i) || paired2.has(j)) continue;
+    paired1.add(i);
+    paired2.add(j);
+    changed.push({
+      offset: right[j].offset,
+      v1Offset: left[i].offset,
+      length: { before: left[i].length, after: right[j].length },
+      similarity: Math.round(similarity * 100) / 100,
+      text: right[j].text,
+      words: wordDiff(left[i].text, right[j].text),
+    });
+  }
+  changed.sort((x, y) => y.length.after - x.length.after);
+  return {
+    unchanged: a.prompts.length - left.length,
+    added: right.filter((_, j) => !paired2.has(j)),
+    removed: left.filter((_, i) => !paired1.has(i)),
+    changed,
+  };
+}
+
+// Word and whitespace tokens of both texts, diffed after trimming the common ends: prompt edits
+// are usually a sentence or two in a long text
+export function wordDiff(before, after) {
+  const tokens1 = before.match(/\s+|[^\s]+/g) ?? [];
+  const tokens2 = after.match(/\s+|[^\s]+/g) ?? [];
+  let head = 0;
+  while (head < tokens1.length && head < tokens2.length && tokens1[head] === tokens2[head]) head++;
+  let tail = 0;
+  while (tail < tokens1.length - head && tail < tokens2.length - head &&
+    tokens1[tokens1.length - 1 - tail] === tokens2[tokens2.length - 1 - tail]) tail++;
+  const middle1 = tokens1.slice(head, tokens1.length - tail);
+  const middle2 = tokens2.slice(head, tokens2.length - tail);
+
+  // Char position of each token of the new text
+  const starts = [];
+  let pos = 0;
+  for (const token of tokens2) {
+    starts.push(pos);
+    pos += token.length;
+  }
+  const context = (tokens, from, to) => tokens.slice(Math.max(0, from), Math.max(0, to)).join('');
+  return lineHunks(middle1, middle2).map(({ start1, end1, start2, end2 }) => {
+    const at2 = head + start2;
+    const to2 = head + end2;
+    return {
+      at: at2 < tokens2.length ? starts[at2] : pos,
+      removed: middle1.slice(start1, end1).join(''),
+      added: middle2.slice(start2, end2).join(''),
+      // Context counts words and the whitespace between them as tokens
+      before: context(tokens2, at2 - CONTEXT_WORDS * 2, at2),
+      after: context(tokens2, to2, to2 + CONTEXT_WORDS * 2),
+    };
+  });
+}
+
+// [{ text } | { name, offset, source }] for a template literal, a string `+` chain or a
+// `[...].join(sep)`, null for any other node. Nested chains and templates that are part of the
+// text are added to consumed, so the walk doesn't report them again.
+function textPieces(node, constants, consumed, src) {
+  switch (node.type) {
+    case 'StringLiteral':
+      return [{ text: node.value }];
+    case 'TemplateLiteral':
+      return templatePieces(node, constants, src);
+    case 'BinaryExpression': {
+      if (node.operator !== '+') return null;
+      const operands = [];
+      flattenConcat(node, operands, consumed);
+      if (!operands.some(isTextLiteral)) return null;
+      return operands.flatMap((operand) => {
+        if (operand.type === 'StringLiteral') return [{ text: operand.value }];
+        if (operand.type === 'TemplateLiteral') return templatePieces(operand, constants, src);
+        // `"Rules:\n" + [...].join("\n")`
+        const joined = operand.type === 'CallExpression' ? textPieces(operand, constants, consumed, src) : null;
+        if (joined) {
+          consumed.add(operand);
+          return joined;
+        }
+        return [interpolation(operand, constants, src)];
+      });
+    }
+    case 'CallExpression': {
+      const callee = node.callee;
+      const array = callee.type === 'MemberExpression' ? unparenthesized(callee.object) : null;
+      if (array?.type !== 'ArrayExpression' || propertyKeyName(callee.property) !== 'join') return null;
+      const separator = node.arguments[0]?.expression;
+      const sep = separator === undefined ? ',' : separator.type === 'StringLiteral' ? separator.value : null;
+      const elements = array.elements.map(e => (e && !e.spread ? e.expression : null));
+      if (sep === null || elements.includes(null) || !elements.some(isTextLiteral)) return null;
+      return elements.flatMap((element, i) => {
+        consumed.add(element);
+        const pieces = element.type === 'StringLiteral' ? [{ text: element.value }]
+          : element.type === 'TemplateLiteral' ? templatePieces(element, constants, src)
+            : [interpolation(element, constants, src)];
+        return i === 0 ? pieces : [{ text: sep }, ...pieces];
+      });
+    }
+    default:
+      return null;
+  }
+}
+
+function templatePieces(node, constants, src) {
+  const pieces = [];
+  node.quasis.forEach((quasi, i) => {
+    pieces.push({ text: quasi.cooked ?? quasi.raw });
+    if (i < node.expressions.length) pieces.push(interpolation(node.expressions[i], constants, src));
+  });
+  return pieces;
+}
+
+// Operands of a left-leaning `a + b + c` chain, in order
+function flattenConcat(node, out, consumed) {
+  const inner = unparenthesized(node);
+  if (inner.type === 'BinaryExpression' && inner.operator === '+') {
+    consumed.add(inner);
+    flattenConcat(inner.left, out, consumed);
+    flattenConcat(inner.right, out, consumed);
+    return;
+  }
+  if (isTextLiteral(inner)) consumed.add(inner);
+  out.push(inner);
+}
+
+function isTextLiteral(node) {
+  return node.type === 'StringLiteral' || node.type === 'TemplateLiteral';
+}
+
+// A string constant's value, or a placeholder
+function interpolation(expr, constants, src) {
+  const node = unparenthesized(expr);
+  if (node.type === 'Identifier' && constants.has(node.value)) return { text: constants.get(node.value) };
+  if (node.type === 'StringLiteral') return { text: node.value };
+  const source = src.slice(node.span.start, node.span.end);
+  return { name: placeholderName(node, source), offset: node.span.start, source: source.length > MAX_PLACEHOLDER_LENGTH ? source.substring(0, MAX_PLACEHOLDER_LENGTH - 3) + '...' : source };
+}
+
+function placeholderName(node, source) {
+  switch (node.type) {
+    case 'Identifier':
+      return node.value;
+    case 'MemberExpression':
+      return propertyKeyName(node.property) ?? 'expr';
+    case 'CallExpression': {
+      const callee = unparenthesized(node.callee);
+      return callee.type === 'Identifier' || callee.type === 'MemberExpression' ? `${placeholderName(callee, source)}()` : 'expr';
+    }
+    case 'NumericLiteral':
+      return source;
+    default:
+      return 'expr';
+  }
+}
+
+// Variables initialized with a string literal or a template without interpolations (see
+// uniqueBindings for names bound more than once)
+function stringConstants(ast) {
+  const values = new Map();
+  for (const [name, init] of uniqueBindings(ast)) {
+    const value = literalValue(unparenthesized(init));
+    if (typeof value === 'string') values.set(name, value);
+  }
+  return values;
+}
+
+function isProse(text) {
+  // Words as prose has them: between spaces, letters only, lowercase after the first
+  const words = text.split(/\s+/).filter(token => /^\W*[A-Za-z][a-z]+\W*$/.test(token)).length;
+  const code = text.match(/[{};=]/g)?.length ?? 0;
+  if (words < MIN_WORDS || code / text.length > MAX_CODE_CHAR_RATIO) return false;
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  return lines.filter(line => /[;{}]\s*$/.test(line)).length / lines.length <= MAX_CODE_LINE_RATIO;
+}
+
+function unparenthesized(node) {
+  while (node?.type === 'ParenthesisExpression') node = node.expression;
+  return node;
+}
@@ -2,8 +2,9 @@ import { walkAST, collectPatternBindings } from './parse.mjs';
 import { buildScopeTree } from './scope.mjs';
 
 // Find external variables referenced by the function at charOffset.
-export function findRefs(ast, src, charOffset) {
-  const { scopes, findScopeAt } = buildScopeTree(ast, src.length);
+// scopeTree: a prebuilt buildScopeTree result to reuse (e.g. from the index cache)
+export function findRefs(ast, src, charOffset, scopeTree = buildScopeTree(ast, src.length)) {
+  const { findScopeAt } = scopeTree;
   const targetScope = findScopeAt(charOffset);
 
   if (targetScope.type === 'module') {
@@ -0,0 +1,271 @@
+import { diffFunctions } from './diff-fns.mjs';
+
+// Old-name → new-name map for module-scope bindings (functions, classes, variables) across two
+// versions of a bundle.
+//
+// Evidence, strongest first:
+//   1. diffFunctions pairs: a matched function declaration maps its own name, and any matched
+//      function inside a binding (`var zO6 = L(() => {...})`, class methods) votes for the
+//      binding that holds its partner
+//   2. call alignment: two functions with the same structure call the same things in the same
+//      order, so their k-th callees (`zO6(...)` ↔ `PE7(...)`, `Q.get()` ↔ `R.get()`) vote for each other
+//   3. unchanged long names (not minified) map to themselves — before any voting, so a few
+//      neighbour votes can't send such a name elsewhere first
+//   4. neighbours: once a binding is mapped, its unmapped callers and callees in v1 vote for
+//      those of its partner in v2 — repeated until nothing new is mapped; hubs with more than
+//      MAX_NEIGHBOURS open neighbours are skipped
+// A binding is mapped to its top-voted candidate when that candidate clearly wins.
+
+// Votes needed to map a binding, and how far the winner must lead the runner-up
+const MIN_VOTES = 0.5;
+const WIN_RATIO = 2;
+const MAX_ROUNDS = 10;
+// A mapped binding with more open callers (or callees) than this on either side — a module-wide
+// helper — casts no neighbour votes: each would weigh under 1/MAX_NEIGHBOURS, too little to
+// decide anything, and voting costs the square of the count every round
+export const MAX_NEIGHBOURS = 50;
+// Minifiers emit names of up to three characters; longer ones are taken as original names
+const MIN_ORIGINAL_NAME = 4;
+
+// v1, v2: { functions (map with strings/shapes), scopeTree, calls (buildCallIndex) }
+// diff: diffFunctions(v1.functions, v2.functions), computed when omitted
+// Returns { mapping: { old: new }, entries: [{ old, new, kind, oldOffset, newOffset, via,
+// confidence }], unmapped: { old: [name], new: [name] } }
+export function buildRenameMap(v1, v2, diff = diffFunctions(v1.functions, v2.functions)) {
+  const g1 = symbolGraph(v1);
+  const g2 = symbolGraph(v2);
+  const forward = new Map(); // v1 symbol → { symbol, via, confidence }
+  const backward = new Set(); // mapped v2 symbols
+
+  const assign = (s1, s2, via, confidence) => {
+    if (forward.has(s1) || backward.has(s2) || !sameKind(s1, s2)) return false;
+    forward.set(s1, { symbol: s2, via, confidence });
+    backward.add(s2);
+    return true;
+  };
+
+  // 1. Function pairs from diffFunctions
+  const pairs = [...diff.unchanged, ...diff.modified]
+    .map(m => ({ f1: g1.fnAt.get(m.v1Start), f2: g2.fnAt.get(m.v2Start), match: m.match, confidence: m.confidence ?? 1 }))
+    .filter(p => p.f1 && p.f2);
+  const fixedVotes = new Map();
+  for (const { f1, f2, match, confidence } of pairs) {
+    const s1 = g1.symbolOf(f1);
+    const s2 = g2.symbolOf(f2);
+    if (!s1 || !s2) continue;
+    if (s1.kind === 'function' && s1.offset === f1.start && s2.offset === f2.start) {
+      assign(s1, s2, `diff-fns (${match})`, confidence);
+    } else {
+      vote(fixedVotes, s1, s2, confidence);
+    }
+  }
+
+  // 2. Call alignment between paired functions
+  for (const { f1, f2, match, confidence } of pairs) {
+    const calls1 = g1.callsOf(f1);
+    const calls2 = g2.callsOf(f2);
+    if (match !== 'strings' && calls1.length === calls2.length) {
+      for (let k = 0; k < calls1.length; k++) {
+        const c1 = splitCallee(calls1[k].name, g1);
+        const c2 = splitCallee(calls2[k].name, g2);
+        if (c1 && c2 && c1.rest === c2.rest) vote(fixedVotes, c1.symbol, c2.symbol, confidence);
+      }
+    } else {
+      // Edited bodies: only member calls whose property path appears once on each side
+      const byRest2 = uniqueByRest(calls2, g2);
+      for (const [rest, c1] of uniqueByRest(calls1, g1)) {
+        const c2 = byRest2.get(rest);
+        if (c2) vote(fixedVotes, c1.symbol, c2.symbol, confidence / 2);
+      }
+    }
+  }
+
+  // 3. Original (unminified) names present in both versions
+  const byName2 = new Map(g2.symbols.map(s => [s.name, s]));
+  for (const s1 of g1.symbols) {
+    const s2 = byName2.get(s1.name);
+    if (s2 && s1.name.length >= MIN_ORIGINAL_NAME) assign(s1, s2, 'same name', 0.5);
+  }
+
+  // 4. Settle fixed votes, then let mapped neighbours vote until nothing changes
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const votes = new Map();
+    for (const [s1, candidates] of fixedVotes) {
+      for (const [s2, weight] of candidates) vote(votes, s1, s2, weight);
+    }
+    for (const [s1, { symbol: s2 }] of forward) {
+      neighbourVotes(votes, g1.callers.get(s1), g2.callers.get(s2), forward, backward);
+      neighbourVotes(votes, g1.callees.get(s1), g2.callees.get(s2), forward, backward);
+    }
+    if (settle(votes, forward, backward, assign) === 0) break;
+  }
+
+  const entries = [...forward].map(([s1, { symbol: s2, via, confidence }]) => ({
+    old: s1.name,
+    new: s2.name,
+    kind: s1.kind,
+    oldOffset: s1.offset,
+    newOffset: s2.offset,
+    via,
+    confidence: Math.round(confidence * 100) / 100,
+  })).sort((a, b) => a.oldOffset - b.oldOffset);
+
+  return {
+    mapping: Object.fromEntries(entries.map(e => [e.old, e.new])),
+    entries,
+    unmapped: {
+      old: g1.symbols.filter(s => !forward.has(s)).map(s => s.name),
+      new: g2.symbols.filter(s => !backward.has(s)).map(s => s.name),
+    },
+  };
+}
+
+// Module-scope bindings of one bundle, which function each function map entry belongs to,
+// and the binding-level call graph.
+function symbolGraph({ functions, scopeTree, calls }) {
+  const fnAt = new Map(functions.map(fn => [fn.start, fn]));
+  const callsAt = new Map(calls.map(entry => [entry.start, entry.calls]));
+
+  // First declaration of each name; `var a; ... var a = ...` is one binding
+  const byName = new Map();
+  for (const v of scopeTree.scopes[0].vars) {
+    if (!byName.has(v.name)) byName.set(v.name, { name: v.name, kind: kindOf(v.kind), offset: v.offset });
+  }
+  const symbols = [...byName.values()].sort((a, b) => a.offset - b.offset);
+  // A binding extends to the next one — or, for a function declaration, to its end
+  symbols.forEach((s, i) => {
+    const next = i + 1 < symbols.length ? symbols[i + 1].offset : Infinity;
+    s.end = s.kind === 'function' && fnAt.has(s.offset) ? Math.min(next, fnAt.get(s.offset).end) : next;
+  });
+
+  const symbolOf = (fn) => {
+    let lo = 0;
+    let hi = symbols.length - 1;
+    let found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (symbols[mid].offset <= fn.start) {
+        found = symbols[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found && fn.start < found.end ? found : null;
+  };
+
+  const callers = new Map();
+  const callees = new Map();
+  for (const fn of functions) {
+    const from = symbolOf(fn);
+    if (!from) continue;
+    for (const call of callsAt.get(fn.start) || []) {
+      const to = byName.get(call.name.split('.')[0]);
+      if (!to || to === from) continue;
+      addEdge(callees, from, to);
+      addEdge(callers, to, from);
+    }
+  }
+
+  return {
+    symbols,
+    byName,
+    fnAt,
+    symbolOf,
+    callsOf: (fn) => callsAt.get(fn.start) || [],
+    callers,
+    callees,
+  };
+}
+
+function kindOf(kind) {
+  if (kind === 'function' || kind === 'class') return kind;
+  return 'variable';
+}
+
+function sameKind(s1, s2) {
+  return s1.kind === s2.kind;
+}
+
+function addEdge(edges, from, to) {
+  if (!edges.has(from)) edges.set(from, new Set());
+  edges.get(from).add(to);
+}
+
+function vote(votes, s1, s2, weight) {
+  if (!votes.has(s1)) votes.set(s1, new Map());
+  const candidates = votes.get(s1);
+  candidates.set(s2, (candidates.get(s2) || 0) + weight);
+}
+
+// `zO6.get.call` → { symbol: zO6's binding, rest: '.get.call' }, or null for non-module callees
+function splitCallee(name, graph) {
+  const dot = name.indexOf('.');
+  const base = dot < 0 ? name : name.slice(0, dot);
+  const symbol = graph.byName.get(base);
+  return symbol ? { symbol, rest: dot < 0 ? '' : name.slice(dot) } : null;
+}
+
+// Member calls keyed by property path, dropping paths that occur more than once
+function uniqueByRest(calls, graph) {
+  const byRest = new Map();
+  const seen = new Set();
+  for (const call of calls) {
+    const c = splitCallee(call.name, graph);
+    if (!c || !c.rest) continue;
+    if (seen.has(c.rest)) byRest.delete(c.rest);
+    else byRest.set(c.rest, c);
+    seen.add(c.rest);
+  }
+  return byRest;
+}
+
+// Unmapped neighbours of a mapped pair vote for each other, split evenly between candidates
+export function neighbourVotes(votes, near1, near2, forward, backward) {
+  if (!near1 || !near2) return;
+  const open1 = [...near1].filter(s => !forward.has(s));
+  const open2 = [...near2].filter(s => !backward.has(s));
+  if (open1.length === 0 || open2.length === 0) return;
+  if (Math.max(open1.length, open2.length) > MAX_NEIGHBOURS) return;
+  const weight = 1 / Math.max(open1.length, open2.length);
+  for (const s1 of open1) {
+    for (const s2 of open2) {
+      if (sameKind(s1, s2)) vote(votes, s1, s2, weight);
+    }
+  }
+}
+
+// Map every unmapped v1 binding whose best candidate clearly wins, strongest first.
+// Returns the number of new mappings.
+function settle(votes, forward, backward, assign) {
+  const winners = [];
+  for (const [s1, candidates] of votes) {
+    if (forward.has(s1)) continue;
+    let best = null;
+    let bestWeight = 0;
+    let second = 0;
+    let total = 0;
+    for (const [s2, weight] of candidates) {
+      if (backward.has(s2)) continue;
+      total += weight;
+      if (weight > bestWeight) {
+        second = bestWeight;
+        bestWeight = weight;
+        best = s2;
+      } else if (weight > second) {
+        second = weight;
+      }
+    }
+    if (best && bestWeight >= MIN_VOTES && bestWeight >= second * WIN_RATIO) {
+      // Share of the evidence, discounted when there is little of it
+      winners.push({ s1, s2: best, weight: bestWeight, confidence: (bestWeight / total) * Math.min(1, bestWeight) });
+    }
+  }
+
+  let mapped = 0;
+  winners.sort((a, b) => b.weight - a.weight);
+  for (const { s1, s2, confidence } of winners) {
+    if (assign(s1, s2, 'references', confidence)) mapped++;
+  }
+  return mapped;
+}
@@ -0,0 +1,477 @@
+import { enclosingFunction, literalValue, propertyKeyName, visitAll } from './parse.mjs';
+
+// zod schemas in a bundle, as JSON Schema documents.
+//
+// The zod namespace has a minified name, so it is recognised by use: an identifier called with
+// several different zod constructors (`h.object(...)`, `h.string()`, `h.enum([...])`, ...).
+// Each outermost zod expression that defines an object is one schema; `.describe()`,
+// `.optional()`, `.default()`, `.nullable()`, `.min()` and friends become the matching JSON
+// Schema keywords, and other methods (`.refine()`, `.transform()`) are passed through.
+// Variables and namespace members holding a schema (`var Hk=h.object({...})`, `NS.Hk=...`) are
+// referenced as `$ref: "#/$defs/Hk"`, with the definitions a document uses in its `$defs`.
+
+const CONSTRUCTORS = new Set([
+  'object', 'strictObject', 'looseObject', 'string', 'number', 'bigint', 'boolean', 'null', 'undefined',
+  'void', 'any', 'unknown', 'never', 'date', 'array', 'enum', 'nativeEnum', 'literal', 'union',
+  'discriminatedUnion', 'intersection', 'record', 'map', 'set', 'tuple', 'optional', 'nullable', 'lazy',
+  'function', 'promise', 'instanceof', 'custom', 'preprocess', 'effect', 'coerce',
+]);
+// Constructors that only zod-like libraries have together; a namespace needs a few of them
+const MIN_CONSTRUCTORS = 3;
+const SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+// Methods that don't change the shape of the data
+const PASS_THROUGH = new Set([
+  'refine', 'superRefine', 'transform', 'pipe', 'brand', 'readonly', 'catch', 'check', 'overwrite', 'trim',
+  'toLowerCase', 'toUpperCase', 'finite', 'safe', 'describe', 'meta',
+]);
+
+// Returns { namespaces[], total, schemas: [{ name, offset, end, function, properties, schema }] }
+// in source order.
+//   name     — the variable, property or assignment target holding the schema, or null
+//   function — innermost enclosing function { name, start }, null at module scope
+//   properties — number of object properties, nested ones included
+//   schema   — the JSON Schema document
+export function findSchemas(ast, src) {
+  const namespaces = findNamespaces(ast);
+  if (namespaces.size === 0) return { namespaces: [], total: 0, schemas: [] };
+
+  // Schema variables, found until no new ones appear: `var B=A.extend({...})` needs A first
+  const bindings = [];
+  visitAll(ast, (node, ancestors) => {
+    const binding = bindingOf(node);
+    if (!binding) return;
+    bindings.push(binding);
+    const alias = namespaceAlias(binding.name, ancestors);
+    if (alias) bindings.push({ name: alias, value: binding.value });
+  });
+  const defNodes = new Map();
+  const converter = { namespaces, defs: defNodes, src, resolve: (name) => defOf(name) };
+  for (let grown = true; grown;) {
+    grown = false;
+    for (const { name, value } of bindings) {
+      if (defNodes.has(name) || !isZod(value, converter)) continue;
+      defNodes.set(name, value);
+      grown = true;
+    }
+  }
+  const defs = new Map();
+  // A definition that refers to itself while being converted sees {}
+  const defOf = (name) => {
+    if (!defs.has(name)) {
+      defs.set(name, {});
+      defs.set(name, convert(defNodes.get(name), converter).schema);
+    }
+    return defs.get(name);
+  };
+
+  const schemas = [];
+  visitAll(ast, (node, ancestors) => {
+    if (node.type !== 'CallExpression' || !isZod(node, converter)) return;
+    const { schema } = convert(node, converter);
+    const properties = countProperties(schema);
+    if (properties === 0) return false;
+    const refs = new Set();
+    collectRefs(schema, refs);
+    for (const name of refs) collectRefs(defOf(name), refs);
+    const document = { $schema: SCHEMA_DRAFT, ...schema };
+    if (refs.size > 0) document.$defs = Object.fromEntries([...refs].sort().map(name => [name, defOf(name) ?? {}]));
+    schemas.push({
+      name: holderName(node, ancestors),
+      offset: node.span.start,
+      end: node.span.end,
+      function: enclosingFunction(ancestors),
+      properties,
+      schema: document,
+    });
+    return false;
+  });
+  return { namespaces: [...namespaces].sort(), total: schemas.length, schemas };
+}
+
+// Schemas only in b, only in a, and changed ones. Minified names change between versions, so
+// schemas are paired by their property names (most shared first, at least half in common).
+// { added: [schema], removed: [schema], changed: [{ name, offset, v1: { name, offset }, properties:
+//   { added: [path], removed: [path], changed: [{ path, field, before, after }] } }] }
+// Property paths are dotted, with `[]` for array items, `{}` for record values and `|N` for
+// union members; references are followed, since their minified names change too.
+export function diffSchemas(a, b) {
+  const flat1 = a.schemas.map(s => flattenSchema(s.schema, s.schema.$defs ?? {}));
+  const flat2 = b.schemas.map(s => flattenSchema(s.schema, s.schema.$defs ?? {}));
+  const candidates = [];
+  flat1.forEach((f1, i) => flat2.forEach((f2, j) => {
+    const keys1 = new Set(f1.keys());
+    let shared = 0;
+    for (const key of f2.keys()) if (keys1.has(key)) shared++;
+    const similarity = shared / (f1.size + f2.size - shared);
+    if (similarity >= 0.5) candidates.push({ i, j, similarity, sameName: a.schemas[i].name === b.schemas[j].name });
+  }));
+  candidates.sort((x, y) => y.similarity - x.similarity || y.sameName - x.sameName);
+
+  const paired1 = new Set();
+  const paired2 = new Set();
+  const changed = [];
+  for (const { i, j } of candidates) {
+    if (paired1.has(i) || paired2.has(j)) continue;
+    paired1.add(i);
+    paired2.add(j);
+    const properties = diffProperties(flat1[i], flat2[j]);
+    if (properties.added.length + properties.removed.length + properties.changed.length === 0) continue;
+    const s1 = a.schemas[i];
+    const s2 = b.schemas[j];
+    changed.push({ name: s2.name, offset: s2.offset, v1: { name: s1.name, offset: s1.offset }, properties });
+  }
+  changed.sort((x, y) => x.offset - y.offset);
+  return {
+    added: b.schemas.filter((_, j) => !paired2.has(j)),
+    removed: a.schemas.filter((_, i) => !paired1.has(i)),
+    changed,
+  };
+}
+
+// Property changes between two versions of one schema document, as in diffSchemas' `properties`
+export function diffSchemaProperties(before, after) {
+  return diffProperties(flattenSchema(before, before.$defs ?? {}), flattenSchema(after, after.$defs ?? {}));
+}
+
+const FIELDS = ['type', 'required', 'enum', 'const', 'default', 'description'];
+
+function diffProperties(before, after) {
+  const added = [...after.keys()].filter(path => !before.has(path));
+  const removed = [...before.keys()].filter(path => !after.has(path));
+  const changed = [];
+  for (const [path, entry] of after) {
+    const old = before.get(path);
+    if (!old) continue;
+    for (const field of FIELDS) {
+      if (JSON.stringify(old[field]) !== JSON.stringify(entry[field])) changed.push({ path, field, before: old[field] ?? null, after: entry[field] ?? null });
+    }
+  }
+  return { added, removed, changed };
+}
+
+// path → { type, required, enum, const, default, description } for every property, with
+// references resolved (once per path, so recursive definitions end)
+function flattenSchema(schema, defs, prefix = '', out = new Map(), open = new Set()) {
+  if (!schema || typeof schema !== 'object') return out;
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/$defs/', '');
+    if (open.has(name)) return out;
+    return flattenSchema(defs[name], defs, prefix, out, new Set([...open, name]));
+  }
+  if (schema.properties) {
+    const required = new Set(schema.required ?? []);
+    for (const [key, value] of Object.entries(schema.properties)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      // The property's own description and default sit next to the $ref (`Mode.describe(...)`)
+      const prop = value.$ref ? { ...defs[value.$ref.replace('#/$defs/', '')], ...value, $ref: undefined } : value;
+      out.set(path, {
+        type: typeLabel(prop),
+        required: required.has(key),
+        enum: prop.enum,
+        const: prop.const,
+        default: prop.default,
+        description: prop.description,
+      });
+      flattenSchema(value, defs, path, out, open);
+    }
+  }
+  if (schema.items) flattenSchema(schema.items, defs, `${prefix}[]`, out, open);
+  if (typeof schema.additionalProperties === 'object') flattenSchema(schema.additionalProperties, defs, `${prefix}{}`, out, open);
+  for (const key of ['anyOf', 'allOf']) {
+    (schema[key] ?? []).forEach((member, i) => flattenSchema(member, defs, `${prefix}|${i}`, out, open));
+  }
+  return out;
+}
+
+// Short type of a schema: `string`, `"a" | "b"`, `number[]`, `Hk` for references
+export function typeLabel(schema) {
+  if (!schema || Object.keys(schema).length === 0) return 'any';
+  if (schema.$ref) return schema.$ref.replace('#/$defs/', '');
+  if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join(' | ');
+  if ('const' in schema) return JSON.stringify(schema.const);
+  if (schema.anyOf) return schema.anyOf.map(typeLabel).join(' | ');
+  if (schema.allOf) return schema.allOf.map(typeLabel).join(' & ');
+  if (schema.type === 'array') return schema.prefixItems ? `[${schema.prefixItems.map(typeLabel).join(', ')}]` : `${typeLabel(schema.items)}[]`;
+  if (schema.type === 'object' && !schema.properties && typeof schema.additionalProperties === 'object') return `Record<string, ${typeLabel(schema.additionalProperties)}>`;
+  return Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type ?? 'any';
+}
+
+// Identifiers used with at least MIN_CONSTRUCTORS distinct zod constructors
+function findNamespaces(ast) {
+  const used = new Map();
+  visitAll(ast, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.object.type !== 'Identifier') return;
+    const method = propertyKeyName(node.callee.property);
+    if (!CONSTRUCTORS.has(method)) return;
+    const name = node.callee.object.value;
+    if (!used.has(name)) used.set(name, new Set());
+    used.get(name).add(method);
+  });
+  // object() is what schemas are built around; without it this is some other library
+  return new Set([...used].filter(([, methods]) => methods.size >= MIN_CONSTRUCTORS && methods.has('object')).map(([name]) => name));
+}
+
+// `var A = <call>` / `A = <call>` / `NS.A = <call>` (TypeScript namespaces)
+function bindingOf(node) {
+  if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && unparenthesized(node.init)?.type === 'CallExpression') {
+    return { name: node.id.value, value: node.init };
+  }
+  if (node.type === 'AssignmentExpression' && node.operator === '=' && unparenthesized(node.right).type === 'CallExpression') {
+    const name = refName(node.left);
+    if (name !== null) return { name, value: node.right };
+  }
+  return null;
+}
+
+// tsc compiles `namespace NS { export const A = ... }` to
+// `(function (NS) { NS.A = ... })(NS$1 || (NS$1 = {}))`, and code outside refers to NS$1.A:
+// the outer name of a binding made on the namespace parameter, or null
+function namespaceAlias(name, ancestors) {
+  const [head, ...rest] = name.split('.');
+  if (rest.length === 0) return null;
+  for (let i = ancestors.length - 1; i > 0; i--) {
+    const fn = ancestors[i];
+    if (fn.type !== 'FunctionExpression') continue;
+    const index = fn.params.findIndex(p => p.pat.type === 'Identifier' && p.pat.value === head);
+    if (index === -1) continue;
+    let j = i - 1;
+    while (j > 0 && ancestors[j].type === 'ParenthesisExpression') j--;
+    const call = ancestors[j];
+    const arg = call.type === 'CallExpression' && unparenthesized(call.callee) === fn ? call.arguments[index]?.expression : null;
+    if (arg?.type !== 'BinaryExpression' || arg.operator !== '||' || arg.left.type !== 'Identifier') return null;
+    return arg.left.value === head ? null : [arg.left.value, ...rest].join('.');
+  }
+  return null;
+}
+
+// `A` → 'A', `NS.A` → 'NS.A'; null for anything else
+function refName(node) {
+  if (node.type === 'Identifier') return node.value;
+  if (node.type !== 'MemberExpression' || node.property.type !== 'Identifier') return null;
+  const object = refName(node.object);
+  return object === null ? null : `${object}.${node.property.value}`;
+}
+
+// Whether expr is a zod schema: a namespace constructor call (`h.string()`, `h.coerce.number()`)
+// or a schema variable, under one or more schema methods
+function isZod(expr, converter) {
+  let node = unparenthesized(expr);
+  const isNamespace = (n) => n.type === 'Identifier' && converter.namespaces.has(n.value);
+  while (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+    const object = unparenthesized(node.callee.object);
+    const method = propertyKeyName(node.callee.property);
+    if (isNamespace(object)) return CONSTRUCTORS.has(method);
+    if (object.type === 'MemberExpression' && isNamespace(object.object) && propertyKeyName(object.property) === 'coerce') return true;
+    if (!isMethod(method)) return false;
+    node = object;
+  }
+  return node !== unparenthesized(expr) && converter.defs.has(refName(node));
+}
+
+const METHODS = new Set([
+  'optional', 'nullable', 'nullish', 'default', 'describe', 'min', 'max', 'length', 'int', 'positive',
+  'nonnegative', 'negative', 'nonpositive', 'gt', 'gte', 'lt', 'lte', 'url', 'email', 'uuid', 'regex',
+  'datetime', 'array', 'or', 'and', 'strict', 'passthrough', 'strip', 'extend', 'merge', 'partial',
+  'required', 'pick', 'omit', 'catchall', 'nonempty', 'startsWith', 'endsWith', 'includes', 'multipleOf', 'step',
+]);
+
+function isMethod(name) {
+  return METHODS.has(name) || PASS_THROUGH.has(name);
+}
+
+// { schema, optional } for a zod expression; unknown pieces become {} (any)
+function convert(expr, converter) {
+  const node = unparenthesized(expr);
+  if (node.type === 'Identifier' || node.type === 'MemberExpression') {
+    const name = refName(node);
+    return { schema: converter.defs.has(name) ? { $ref: `#/$defs/${name}` } : {}, optional: false };
+  }
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return { schema: {}, optional: false };
+
+  const method = propertyKeyName(node.callee.property);
+  const object = unparenthesized(node.callee.object);
+  const args = node.arguments.map(a => (a.spread ? null : a.expression));
+  if (object.type === 'Identifier' && converter.namespaces.has(object.value)) return construct(method, args, converter);
+  if (object.type === 'MemberExpression' && propertyKeyName(object.property) === 'coerce') return construct(method, args, converter);
+
+  const base = convert(object, converter);
+  return modify(base, method, args, converter);
+}
+
+function construct(method, args, converter) {
+  const sub = (expr) => (expr ? convert(expr, converter).schema : {});
+  const list = (expr) => (expr?.type === 'ArrayExpression' ? expr.elements.filter(Boolean).map(e => sub(e.expression)) : []);
+  const result = (schema, optional = false) => ({ schema, optional });
+  switch (method) {
+    case 'string': return result({ type: 'string' });
+    case 'number': return result({ type: 'number' });
+    case 'bigint': return result({ type: 'integer' });
+    case 'boolean': return result({ type: 'boolean' });
+    case 'null': return result({ type: 'null' });
+    case 'date': return result({ type: 'string', format: 'date-time' });
+    case 'never': return result({ not: {} });
+    case 'undefined':
+    case 'void': return result({}, true);
+    case 'object':
+    case 'strictObject':
+    case 'looseObject': {
+      const schema = objectSchema(args[0], converter);
+      if (method === 'strictObject') schema.additionalProperties = false;
+      return result(schema);
+    }
+    case 'array': return result({ type: 'array', items: sub(args[0]) });
+    case 'set': return result({ type: 'array', uniqueItems: true, items: sub(args[0]) });
+    case 'tuple': return result({ type: 'array', prefixItems: list(args[0]) });
+    case 'enum': {
+      const values = args[0]?.type === 'ArrayExpression' ? args[0].elements.map(e => literalValue(e?.expression)) : [];
+      return result(values.length > 0 && values.every(v => v !== undefined) ? { type: 'string', enum: values } : { type: 'string' });
+    }
+    case 'literal': {
+      const value = literalValue(args[0]);
+      return result(value === undefined ? {} : { const: value });
+    }
+    case 'union': return result({ anyOf: list(args[0]) });
+    case 'discriminatedUnion': return result({ anyOf: list(args[1]) });
+    case 'intersection': return result({ allOf: [sub(args[0]), sub(args[1])] });
+    case 'record':
+    case 'map': return result({ type: 'object', additionalProperties: sub(args.length > 1 ? args[1] : args[0]) });
+    case 'optional': return result(sub(args[0]), true);
+    case 'nullable': return result(nullable(sub(args[0])));
+    case 'lazy': {
+      const fn = args[0];
+      const body = fn?.type === 'ArrowFunctionExpression' && fn.body.type !== 'BlockStatement' ? fn.body : null;
+      return result(body ? sub(body) : {});
+    }
+    default: return result({});
+  }
+}
+
+function modify({ schema, optional }, method, args, converter) {
+  const value = args[0];
+  const number = literalValue(value);
+  const bound = (keyword) => {
+    if (typeof number !== 'number') return;
+    const prefix = schema.type === 'string' ? `${keyword}Length` : schema.type === 'array' ? `${keyword}Items` : keyword === 'min' ? 'minimum' : 'maximum';
+    schema[prefix] = number;
+  };
+  switch (method) {
+    case 'optional': return { schema, optional: true };
+    case 'nullable': return { schema: nullable(schema), optional };
+    case 'nullish': return { schema: nullable(schema), optional: true };
+    case 'default': {
+      const fallback = literalValue(value);
+      return { schema: { ...schema, ...(fallback === undefined ? { 'x-default': converter.src.slice(value.span.start, value.span.end) } : { default: fallback }) }, optional: true };
+    }
+    case 'describe': {
+      const text = literalValue(value);
+      return { schema: typeof text === 'string' ? { ...schema, description: text } : schema, optional };
+    }
+    case 'array': return { schema: { type: 'array', items: schema }, optional: false };
+    case 'or': return { schema: { anyOf: [schema, convert(value, converter).schema] }, optional };
+    case 'and': return { schema: { allOf: [schema, convert(value, converter).schema] }, optional };
+    case 'strict': return { schema: { ...schema, additionalProperties: false }, optional };
+    case 'passthrough': return { schema: { ...schema, additionalProperties: true }, optional };
+    case 'catchall': return { schema: { ...schema, additionalProperties: convert(value, converter).schema }, optional };
+    case 'extend':
+    case 'merge': {
+      if (schema.$ref) schema = converter.resolve(schema.$ref.replace('#/$defs/', ''));
+      let extra = method === 'extend' ? objectSchema(value, converter) : convert(value, converter).schema;
+      if (extra.$ref) extra = converter.resolve(extra.$ref.replace('#/$defs/', ''));
+      if (!schema.properties || !extra.properties) return { schema: { allOf: [schema, extra] }, optional };
+      const required = [...new Set([...(schema.required ?? []).filter(k => !(k in extra.properties)), ...(extra.required ?? [])])];
+      return { schema: { ...schema, properties: { ...schema.properties, ...extra.properties }, required }, optional };
+    }
+    case 'partial': return { schema: { ...schema, required: [] }, optional };
+    case 'pick':
+    case 'omit': {
+      if (!schema.properties || value?.type !== 'ObjectExpression') return { schema, optional };
+      const keys = new Set(value.properties.map(p => propertyKeyName(p.key ?? p)).filter(k => k !== null));
+      const keep = (k) => (method === 'pick') === keys.has(k);
+      return {
+        schema: {
+          ...schema,
+          properties: Object.fromEntries(Object.entries(schema.properties).filter(([k]) => keep(k))),
+          required: (schema.required ?? []).filter(keep),
+        },
+        optional,
+      };
+    }
+    case 'min':
+    case 'nonempty': {
+      schema = { ...schema };
+      if (method === 'nonempty') schema[schema.type === 'array' ? 'minItems' : 'minLength'] = 1;
+      else bound('min');
+      return { schema, optional };
+    }
+    case 'max':
+    case 'length': {
+      schema = { ...schema };
+      bound('max');
+      if (method === 'length') bound('min');
+      return { schema, optional };
+    }
+    case 'int': return { schema: { ...schema, type: 'integer' }, optional };
+    case 'positive': return { schema: { ...schema, exclusiveMinimum: 0 }, optional };
+    case 'nonnegative': return { schema: { ...schema, minimum: 0 }, optional };
+    case 'url': return { schema: { ...schema, format: 'uri' }, optional };
+    case 'email': return { schema: { ...schema, format: 'email' }, optional };
+    case 'uuid': return { schema: { ...schema, format: 'uuid' }, optional };
+    case 'datetime': return { schema: { ...schema, format: 'date-time' }, optional };
+    case 'regex': return { schema: value?.type === 'RegExpLiteral' ? { ...schema, pattern: value.pattern } : schema, optional };
+    default: return { schema, optional };
+  }
+}
+
+function objectSchema(shape, converter) {
+  const schema = { type: 'object', properties: {}, required: [] };
+  if (shape?.type !== 'ObjectExpression') return schema;
+  for (const prop of shape.properties) {
+    if (prop.type !== 'KeyValueProperty') continue;
+    const key = propertyKeyName(prop.key);
+    if (key === null) continue;
+    const { schema: value, optional } = convert(prop.value, converter);
+    schema.properties[key] = value;
+    if (!optional) schema.required.push(key);
+  }
+  return schema;
+}
+
+function nullable(schema) {
+  if (typeof schema.type === 'string' && !schema.enum && !('const' in schema)) return { ...schema, type: [schema.type, 'null'] };
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+function countProperties(schema) {
+  if (!schema || typeof schema !== 'object') return 0;
+  let n = 0;
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'properties') n += Object.keys(value).length;
+    if (value && typeof value === 'object') n += countProperties(value);
+  }
+  return n;
+}
+
+function collectRefs(schema, refs) {
+  if (!schema || typeof schema !== 'object') return;
+  if (typeof schema.$ref === 'string') refs.add(schema.$ref.replace('#/$defs/', ''));
+  for (const value of Object.values(schema)) collectRefs(value, refs);
+}
+
+// Name of what holds the schema: `var A=`, `A=`, `x.A=` or `{A: ...}`, through parentheses
+function holderName(node, ancestors) {
+  let i = ancestors.length - 1;
+  while (i >= 0 && ancestors[i].type === 'ParenthesisExpression') i--;
+  const parent = ancestors[i];
+  if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.value;
+  if (parent?.type === 'KeyValueProperty') return propertyKeyName(parent.key);
+  if (parent?.type === 'AssignmentExpression') {
+    if (parent.left.type === 'Identifier') return parent.left.value;
+    if (parent.left.type === 'MemberExpression') return propertyKeyName(parent.left.property);
+  }
+  return null;
+}
+
+function unparenthesized(node) {
+  while (node?.type === 'ParenthesisExpression') node = node.expression;
+  return node;
+}
@@ -168,7 +168,32 @@ export function buildScopeTree(ast, srcLength) {
 
   walkNode(ast);
 
-  function findScopeAt(offset) {
+  return { scopes, findScopeAt: scopeLookup(scopes) };
+}
+
+// Flatten a scope tree to plain JSON — parent links become indices into the list.
+export function serializeScopeTree({ scopes }) {
+  const index = new Map(scopes.map((scope, i) => [scope, i]));
+  return scopes.map(scope => ({
+    type: scope.type,
+    start: scope.start,
+    end: scope.end,
+    vars: scope.vars,
+    parent: scope.parent ? index.get(scope.parent) : -1,
+  }));
+}
+
+// Rebuild { scopes, findScopeAt } from serializeScopeTree output.
+export function deserializeScopeTree(data) {
+  const scopes = data.map(s => ({ type: s.type, start: s.start, end: s.end, vars: s.vars, parent: null }));
+  data.forEach((s, i) => {
+    if (s.parent >= 0) scopes[i].parent = scopes[s.parent];
+  });
+  return { scopes, findScopeAt: scopeLookup(scopes) };
+}
+
+function scopeLookup(scopes) {
+  return function findScopeAt(offset) {
     let target = scopes[0];
     for (const scope of scopes) {
       if (offset >= scope.start && offset <= scope.end) {
@@ -178,7 +203,5 @@ export function buildScopeTree(ast, srcLength) {
       }
     }
     return target;
-  }
-
-  return { scopes, findScopeAt };
+  };
 }
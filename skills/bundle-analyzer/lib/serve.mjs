@@ -0,0 +1,499 @@
+import { createConnection, createServer } from 'node:net';
+import { existsSync, readFileSync, statSync, unlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { basename, join, resolve } from 'node:path';
+import { createInterface } from 'node:readline';
+import { parseSource } from './parse.mjs';
+import { loadIndex } from './cache.mjs';
+import { findInFunctions, findInStrings, groupByFunction } from './find.mjs';
+import { matchAST } from './ast-match.mjs';
+import { extractFunction, findFunctionStack } from './extract-fn.mjs';
+import { beautify } from './beautify.mjs';
+import { findRefs } from './refs.mjs';
+import { findCallsIndexed } from './calls.mjs';
+import { decompileFunction } from './decompile.mjs';
+import { diffFunctions, diffFunctionBody, diffStringSets } from './diff-fns.mjs';
+import { stringContents } from './strings.mjs';
+import { buildChangelog } from './changelog.mjs';
+import { buildRenameMap } from './rename-map.mjs';
+import { diff3Functions } from './diff3.mjs';
+import { loadSignatures, detectVendors, inRanges } from './vendors.mjs';
+import { findTelemetry } from './telemetry.mjs';
+import { findEnv } from './env.mjs';
+import { findCliOptions } from './cli-options.mjs';
+import { findSchemas } from './schemas.mjs';
+import { findTools } from './tools.mjs';
+import { findPrompts } from './prompts.mjs';
+
+// Analyzer daemon: keeps bundles loaded (source, AST, function map, scope tree, call index)
+// and answers JSON-RPC 2.0 requests, one JSON object per line, over stdio or a Unix socket.
+//
+//   → {"jsonrpc":"2.0","id":1,"method":"scope","params":{"file":"/abs/cli.js","offset":1234}}
+//   ← {"jsonrpc":"2.0","id":1,"result":{"offset":1234,"chain":[...]}}
+//
+// Results are what the lib functions return, including their { error } objects; protocol
+// problems (unknown method, bad params, unreadable file) come back as JSON-RPC errors.
+// A bundle whose mtime or size changed is reloaded on its next request.
+
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  SERVER_ERROR: -32000,
+};
+
+// BUNDLE_ANALYZER_SOCKET overrides the default per-user socket in the temp dir
+export function defaultSocketPath() {
+  if (process.env.BUNDLE_ANALYZER_SOCKET) return process.env.BUNDLE_ANALYZER_SOCKET;
+  const user = process.getuid ? process.getuid() : (process.env.USER || 'user');
+  return join(tmpdir(), `bundle-analyzer-${user}.sock`);
+}
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Bundle state held by an analyzer. Every part is loaded on first use: src, ast, and the
+// index cache parts (request name → bundle key) below
+const INDEX_KEYS = { functions: 'functions', strings: 'strings', scopes: 'scopeTree', calls: 'calls', modules: 'modules' };
+
+// In-process analyzer. The daemon wraps one; the CLI uses one directly when no daemon runs.
+// options: { cache: boolean (index cache, default true), log(message) }
+// Returns { call(method, params), bundles(), methods }
+export function createAnalyzer(options = {}) {
+  const { cache = true, log = () => {} } = options;
+  const loaded = new Map();
+  const startedAt = Date.now();
+
+  async function getBundle(file, parts) {
+    if (typeof file !== 'string') throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'file is required');
+    const path = resolve(file);
+    let stat;
+    try {
+      stat = statSync(path);
+    } catch (e) {
+      throw rpcError(RPC_ERRORS.SERVER_ERROR, `Cannot read ${path}: ${e.code || e.message}`);
+    }
+
+    let bundle = loaded.get(path);
+    if (!bundle || bundle.mtimeMs !== stat.mtimeMs || bundle.size !== stat.size) {
+      bundle = { path, mtimeMs: stat.mtimeMs, size: stat.size, loadedAt: Date.now() };
+      loaded.set(path, bundle);
+    }
+
+    const indexParts = Object.keys(INDEX_KEYS).filter(p => parts.includes(p) && bundle[INDEX_KEYS[p]] === undefined);
+    if (indexParts.length > 0) {
+      const start = performance.now();
+      const index = await loadIndex(path, { parts: indexParts, cache });
+      const secs = ((performance.now() - start) / 1000).toFixed(2);
+      log(index.cached ? `Loaded ${basename(path)} index from cache in ${secs}s` : `Parsed and indexed ${basename(path)} in ${secs}s`);
+      if (index.cacheError) log(`Warning: could not write index cache: ${index.cacheError}`);
+      bundle.src ??= index.src;
+      bundle.ast ??= index.ast;
+      for (const p of indexParts) bundle[INDEX_KEYS[p]] = index[INDEX_KEYS[p]];
+    }
+    if (bundle.src === undefined) {
+      bundle.src = readFileSync(path, 'utf-8');
+      log(`Read ${basename(path)} (${(bundle.src.length / 1e6).toFixed(1)} MB)`);
+    }
+    if (parts.includes('ast') && bundle.ast === undefined) {
+      const start = performance.now();
+      bundle.ast = await parseSource(bundle.src);
+      log(`Parsed ${basename(path)} in ${((performance.now() - start) / 1000).toFixed(2)}s`);
+    }
+    return bundle;
+  }
+
+  const methods = {
+    // Load every part up front so later requests only do the lookup
+    async load({ file }) {
+      const b = await getBundle(file, ['ast', 'functions', 'scopes', 'calls']);
+      return { file: b.path, size: b.src.length, functions: b.functions.length };
+    },
+
+    async unload({ file }) {
+      return { unloaded: loaded.delete(resolve(String(file))) };
+    },
+
+    async status() {
+      return { pid: process.pid, uptime: Math.round((Date.now() - startedAt) / 1000), bundles: bundles() };
+    },
+
+    // Text/regex search, or structural search with ast: true; grouped by enclosing function.
+    // cooked: true searches decoded string contents instead (see findInStrings)
+    async find({ file, pattern, regex = false, ast = false, captures = false, near, cooked = false }) {
+      if (typeof pattern !== 'string') throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'pattern is required');
+      if (cooked && ast) throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'cooked and ast cannot be combined');
+      if (cooked) {
+        const b = await getBundle(file, ['strings']);
+        return findInStrings(b.src, b.strings, pattern, { regex, captures, near });
+      }
+      if (!ast) {
+        const { src } = await getBundle(file, ['src']);
+        return findInFunctions(src, pattern, { regex, captures, near });
+      }
+      const b = await getBundle(file, ['ast']);
+      const result = await matchAST(b.src, b.ast, pattern);
+      if (result.error) return { error: result.error };
+      const matches = result.matches.map(m => ({
+        offset: m.offset,
+        matchText: m.matchText,
+        ...(captures ? {
+          captures: [],
+          namedCaptures: Object.fromEntries(Object.entries(m.namedCaptures).map(([k, v]) => [`$${k}`, v])),
+        } : {}),
+      }));
+      return groupByFunction(b.src, matches, { near });
+    },
+
+    // stack: true lists the nesting; depth: N extracts that level; otherwise the innermost
+    // function, falling back to the AST function map when the state machine fails
+    async extractFn({ file, offset, stack = false, depth, astFallback = true }) {
+      checkOffset(offset);
+      const b = await getBundle(file, ['src']);
+      if (stack) return { stack: findFunctionStack(b.src, offset) };
+
+      if (depth !== undefined) {
+        const frames = findFunctionStack(b.src, offset);
+        if (depth >= frames.length) return { error: `depth ${depth} out of range (max ${frames.length - 1})` };
+        return extractFunction(b.src, frames[depth].sigStart + 1);
+      }
+
+      const result = extractFunction(b.src, offset);
+      if (!result.error || !astFallback) return result;
+
+      const { functions } = await getBundle(file, ['functions']);
+      const enclosing = functions.find(fn => fn.start <= offset && fn.end >= offset);
+      if (!enclosing) return result;
+      const brace = enclosing.signature.indexOf('{');
+      return {
+        signature: enclosing.signature.substring(0, brace >= 0 ? brace : enclosing.signature.length).trim(),
+        start: enclosing.start,
+        end: enclosing.end,
+        length: enclosing.end - enclosing.start,
+        paramList: [],
+        beautified: beautify(b.src.slice(enclosing.start, enclosing.end)).text,
+        note: '(extracted via AST fallback)',
+        fallbackReason: result.error,
+      };
+    },
+
+    // Scope chain at offset, innermost first: [{ type, start, end, vars }]
+    async scope({ file, offset }) {
+      checkOffset(offset);
+      const { scopeTree } = await getBundle(file, ['scopes']);
+      const chain = [];
+      for (let s = scopeTree.findScopeAt(offset); s; s = s.parent) {
+        chain.push({ type: s.type, start: s.start, end: s.end, vars: s.vars });
+      }
+      return { offset, chain };
+    },
+
+    async refs({ file, offset }) {
+      checkOffset(offset);
+      const b = await getBundle(file, ['ast', 'scopes']);
+      // targetScope links to its parents — not serializable, and callers don't need it
+      const { targetScope, ...result } = findRefs(b.ast, b.src, offset, b.scopeTree);
+      return result;
+    },
+
+    async calls({ file, offset }) {
+      checkOffset(offset);
+      const b = await getBundle(file, ['scopes', 'calls']);
+      return findCallsIndexed(b.src, offset, { findScopeAt: b.scopeTree.findScopeAt, callIndex: b.calls });
+    },
+
+    // Module boundaries recovered from the bundler's wrappers (see findModules)
+    async modules({ file }) {
+      const { modules } = await getBundle(file, ['modules']);
+      return modules;
+    },
+
+    // Telemetry events emitted, with their payload keys and call sites (see findTelemetry)
+    async telemetry({ file }) {
+      const b = await getBundle(file, ['ast']);
+      return findTelemetry(b.ast, b.src);
+    },
+
+    // process.env reads and feature-gate checks (see findEnv)
+    async env({ file }) {
+      const b = await getBundle(file, ['ast']);
+      return findEnv(b.ast, b.src);
+    },
+
+    // Command tree of a bundled commander CLI (see findCliOptions)
+    async cliOptions({ file }) {
+      const b = await getBundle(file, ['ast']);
+      return findCliOptions(b.ast, b.src);
+    },
+
+    // zod schemas as JSON Schema documents (see findSchemas)
+    async schemas({ file }) {
+      const b = await getBundle(file, ['ast']);
+      return findSchemas(b.ast, b.src);
+    },
+
+    // Tool-definition objects of an agent bundle (see findTools)
+    async tools({ file }) {
+      const b = await getBundle(file, ['ast']);
+      return findTools(b.ast, b.src);
+    },
+
+    // Prompts and other long prose, reassembled and deduped (see findPrompts)
+    async prompts({ file, minLength, filter }) {
+      const b = await getBundle(file, ['ast']);
+      return findPrompts(b.ast, b.src, { minLength, filter });
+    },
+
+    // Vendored third-party packages, from a signature database (default path when db is omitted)
+    async vendors({ file, db }) {
+      const signatures = loadSignatures(db);
+      if (signatures.error) return { error: signatures.error };
+      const b = await getBundle(file, ['functions', 'strings', 'modules']);
+      return detectVendors(signatures, { strings: b.strings, functions: b.functions, modules: b.modules.modules });
+    },
+
+    async decompile({ file, offset }) {
+      checkOffset(offset);
+      const { src } = await getBundle(file, ['src']);
+      return decompileFunction(src, offset);
+    },
+
+    // Release notes data for file1 → file2 (render with renderChangelog)
+    async changelog({ file1, file2 }) {
+      const b1 = await getBundle(file1, ['functions', 'strings']);
+      const b2 = await getBundle(file2, ['functions', 'strings']);
+      return buildChangelog(
+        { file: b1.path, src: b1.src, functions: b1.functions, strings: b1.strings },
+        { file: b2.path, src: b2.src, functions: b2.functions, strings: b2.strings },
+        diffFunctions(b1.functions, b2.functions),
+      );
+    },
+
+    // Old-name → new-name map of module-scope bindings for file1 → file2
+    async renameMap({ file1, file2 }) {
+      const b1 = await getBundle(file1, ['functions', 'scopes', 'calls']);
+      const b2 = await getBundle(file2, ['functions', 'scopes', 'calls']);
+      return buildRenameMap(b1, b2);
+    },
+
+    // Three-way comparison: our edits to base, replayed onto theirs (see diff3Functions)
+    async diff3({ base, ours, theirs }) {
+      const [b, o, t] = [await getBundle(base, ['functions']), await getBundle(ours, ['functions']), await getBundle(theirs, ['functions'])];
+      return diff3Functions(b, o, t);
+    },
+
+    // Function-level diff of two bundles, or a string-set diff with stringsOnly: true.
+    // excludeVendor: leave out functions inside vendored packages (see vendors)
+    async diffFns({ file1, file2, stringsOnly = false, raw = false, all = false, excludeVendor = false, db }) {
+      if (stringsOnly) {
+        const [b1, b2] = [await getBundle(file1, ['strings']), await getBundle(file2, ['strings'])];
+        return diffStringSets(
+          stringContents(b1.strings),
+          stringContents(b2.strings),
+          { minLength: 20, filterCode: !raw, limit: all ? 0 : 100 },
+        );
+      }
+      const b1 = await getBundle(file1, ['functions']);
+      const b2 = await getBundle(file2, ['functions']);
+      let [fns1, fns2] = [b1.functions, b2.functions];
+      if (excludeVendor) {
+        const vendors1 = await methods.vendors({ file: file1, db });
+        if (vendors1.error) return { error: vendors1.error };
+        const vendors2 = await methods.vendors({ file: file2, db });
+        fns1 = fns1.filter(fn => !inRanges(vendors1.ranges, fn.start));
+        fns2 = fns2.filter(fn => !inRanges(vendors2.ranges, fn.start));
+      }
+      return {
+        v1: { file: b1.path, size: b1.src.length, functions: fns1.length, excluded: b1.functions.length - fns1.length },
+        v2: { file: b2.path, size: b2.src.length, functions: fns2.length, excluded: b2.functions.length - fns2.length },
+        diff: diffFunctions(fns1, fns2),
+      };
+    },
+
+    // Beautified body diff for one entry of diffFns().diff.modified
+    async diffBody({ file1, file2, modified }) {
+      if (!modified) throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'modified is required');
+      const [b1, b2] = [await getBundle(file1, ['src']), await getBundle(file2, ['src'])];
+      return { diff: diffFunctionBody(b1.src, modified, b2.src) };
+    },
+  };
+
+  function bundles() {
+    return [...loaded.values()].map(b => ({
+      file: b.path,
+      size: b.size,
+      functions: b.functions?.length,
+      parts: ['src', 'ast', 'functions', 'scopeTree', 'calls', 'strings', 'modules'].filter(k => b[k] !== undefined),
+      loadedAt: new Date(b.loadedAt).toISOString(),
+    }));
+  }
+
+  async function call(method, params = {}) {
+    if (!Object.hasOwn(methods, method)) throw rpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Unknown method: ${method}`);
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'params must be an object');
+    }
+    return methods[method](params);
+  }
+
+  return { call, bundles, methods: Object.keys(methods) };
+}
+
+function checkOffset(offset) {
+  if (!Number.isInteger(offset)) throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'offset must be an integer');
+}
+
+// Answer one JSON-RPC request line. Returns { response, shutdown }; response is null for
+// notifications (requests without an id).
+async function handleLine(analyzer, line) {
+  let req;
+  try {
+    req = JSON.parse(line);
+  } catch {
+    return { response: { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: 'Parse error' } } };
+  }
+  const id = req?.id ?? null;
+  if (!req || typeof req !== 'object' || typeof req.method !== 'string') {
+    return { response: { jsonrpc: '2.0', id, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid request' } } };
+  }
+
+  const shutdown = req.method === 'shutdown';
+  let response;
+  try {
+    const result = shutdown ? { stopping: true } : await analyzer.call(req.method, req.params);
+    response = { jsonrpc: '2.0', id, result };
+  } catch (e) {
+    response = { jsonrpc: '2.0', id, error: { code: e.code ?? RPC_ERRORS.SERVER_ERROR, message: e.message } };
+  }
+  return { response: req.id === undefined ? null : response, shutdown };
+}
+
+// Serve requests from a readable stream, writing responses to a writable one. Requests are
+// handled one at a time (a second request for a bundle waits for the first load).
+// Resolves when the input ends or after answering a shutdown request.
+export function serveStream(input, output, analyzer, onShutdown = () => {}) {
+  const rl = createInterface({ input, crlfDelay: Infinity });
+  let queue = Promise.resolve();
+  let stopping = false;
+
+  return new Promise((resolveDone) => {
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+      queue = queue.then(async () => {
+        if (stopping) return;
+        const { response, shutdown } = await handleLine(analyzer, line);
+        if (response) output.write(JSON.stringify(response) + '\n');
+        if (shutdown) {
+          stopping = true;
+          rl.close();
+          onShutdown();
+        }
+      });
+    });
+    rl.on('close', () => queue.then(resolveDone));
+  });
+}
+
+// Listen on a Unix socket. A leftover socket file with nobody listening is replaced.
+// Resolves to { server, close() } once listening, or { error } when the path is taken.
+export async function serveSocket(socketPath, analyzer, onShutdown = () => {}) {
+  if (existsSync(socketPath)) {
+    const running = await connectDaemon(socketPath);
+    if (running) {
+      running.close();
+      return { error: `A daemon is already listening on ${socketPath}` };
+    }
+    unlinkSync(socketPath);
+  }
+
+  const sockets = new Set();
+  let closed = false;
+  const server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    serveStream(socket, socket, analyzer, () => close().then(onShutdown));
+  });
+
+  function close() {
+    if (closed) return Promise.resolve();
+    closed = true;
+    return new Promise((done) => {
+      server.close(() => done());
+      for (const s of sockets) s.end();
+    });
+  }
+
+  const listenError = await new Promise((ready) => {
+    server.once('error', ready);
+    server.listen(socketPath, () => ready(null));
+  });
+  if (listenError) return { error: `Cannot listen on ${socketPath}: ${listenError.message}` };
+  return { server, close };
+}
+
+// Connect to a daemon. Resolves to a client { call(method, params), close() }, or null when
+// nothing is listening. call() rejects with the JSON-RPC error (message and code).
+export function connectDaemon(socketPath = defaultSocketPath(), options = {}) {
+  const { timeout = 500 } = options;
+  if (!existsSync(socketPath)) return Promise.resolve(null);
+
+  return new Promise((resolveClient) => {
+    const socket = createConnection(socketPath);
+    const pending = new Map();
+    let nextId = 1;
+    let buffer = '';
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      resolveClient(null);
+    }, timeout);
+
+    socket.once('error', () => {
+      clearTimeout(timer);
+      resolveClient(null);
+    });
+
+    socket.once('connect', () => {
+      clearTimeout(timer);
+      socket.on('error', (e) => {
+        for (const { reject } of pending.values()) reject(e);
+        pending.clear();
+      });
+      resolveClient({ call, close: () => socket.end() });
+    });
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 1);
+        const res = JSON.parse(line);
+        const waiter = pending.get(res.id);
+        if (!waiter) continue;
+        pending.delete(res.id);
+        if (res.error) {
+          waiter.reject(Object.assign(new Error(res.error.message), { code: res.error.code }));
+        } else {
+          waiter.resolve(res.result);
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      for (const { reject } of pending.values()) reject(new Error('Daemon closed the connection'));
+      pending.clear();
+    });
+
+    function call(method, params = {}) {
+      const id = nextId++;
+      return new Promise((res, rej) => {
+        pending.set(id, { resolve: res, reject: rej });
+        socket.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+      });
+    }
+  });
+}
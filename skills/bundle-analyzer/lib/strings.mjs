@@ -1,5 +1,5 @@
 import {
-  createStateMachine, advanceState,
+  createStateMachine, advanceState, isRegexContext,
   S_NORMAL, S_STRING_SINGLE, S_STRING_DOUBLE, S_TEMPLATE,
 } from './state-machine.mjs';
 import { findEnclosingFuncName } from './trace-io.mjs';
@@ -7,7 +7,18 @@ import { findEnclosingFuncName } from './trace-io.mjs';
 // Collect all string literals in the source.
 // options: { near?: number, nearRange?: number, filter?: string }
 export function collectStrings(src, options = {}) {
-  const { near, nearRange = 5000, filter } = options;
+  return filterStrings(src, scanStrings(src), options);
+}
+
+// Every string literal in the source: [{ content, cooked, offset, length }] (cacheable).
+// content is the source text between the quotes, escapes and all; cooked the value it stands
+// for (see cookString). Filters and diffs go by cooked, offsets and lengths by content.
+// Template literals are flagged `template: true` with their nesting `depth` (0 outermost, 1 for
+// one inside another's `${}`, ...). A template with interpolations gives its normalized form —
+// the static text with each interpolation as `${}`, at the template's offset — then each
+// non-empty static part (quasi) on its own, `quasi: true`, at the offset of its first character,
+// and the strings and templates inside its interpolations.
+export function scanStrings(src) {
   const sm = createStateMachine();
   const strings = [];
   let prevNonWS = '';
@@ -24,8 +35,20 @@ export function collectStrings(src, options = {}) {
       prevNonWS = ch;
     }
 
+    // Templates are scanned as a whole: their interpolations hold code, strings and templates
+    if (prevState === S_NORMAL && sm.state === S_TEMPLATE) {
+      const found = [];
+      const end = scanTemplate(src, i, 0, found);
+      if (end === -1) break;
+      for (const s of found.sort((a, b) => a.offset - b.offset)) strings.push(s);
+      sm.state = S_NORMAL;
+      prevNonWS = '`';
+      i = end;
+      continue;
+    }
+
     // Entering a string
-    if (prevState === S_NORMAL && (sm.state === S_STRING_SINGLE || sm.state === S_STRING_DOUBLE || sm.state === S_TEMPLATE)) {
+    if (prevState === S_NORMAL && (sm.state === S_STRING_SINGLE || sm.state === S_STRING_DOUBLE)) {
       stringStart = i;
       stringState = sm.state;
     }
@@ -34,30 +57,188 @@ export function collectStrings(src, options = {}) {
     if (stringStart >= 0 && prevState === stringState && sm.state === S_NORMAL) {
       const content = src.substring(stringStart + 1, i); // strip quotes
       const offset = stringStart;
+      strings.push({ content, cooked: cookString(content), offset, length: i - stringStart + 1 });
+      stringStart = -1;
+    }
+  }
 
-      // For templates with expressions, skip (they have ${} which complicates things)
-      if (stringState === S_TEMPLATE && content.includes('${')) {
-        stringStart = -1;
-        continue;
-      }
+  return strings;
+}
 
-      // Apply filters
-      if (near !== undefined) {
-        if (Math.abs(offset - near) > nearRange) {
-          stringStart = -1;
-          continue;
-        }
-      }
+// Contents to compare across versions, cooked: whole strings and templates' normalized forms —
+// their quasis too would count every template edit twice
+export function stringContents(strings) {
+  return strings.filter(s => !s.quasi).map(s => s.cooked);
+}
+
+const SINGLE_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
 
-      if (filter && !content.includes(filter)) {
-        stringStart = -1;
-        continue;
+// The value of a string literal's or template part's raw text: `\n`, `\x1b`, `\u2026`,
+// `\u{1F600}`, legacy octals and escaped quotes decoded, line continuations dropped. Malformed
+// escapes keep the escaped character. With offsets (an array), offsets[i] is set to the index
+// in raw where cooked character i comes from, and offsets[cooked.length] to raw.length.
+export function cookString(raw, offsets) {
+  if (!raw.includes('\\')) {
+    if (offsets) for (let i = 0; i <= raw.length; i++) offsets[i] = i;
+    return raw;
+  }
+  let out = '';
+  let i = 0;
+  const emit = (text, from) => {
+    if (offsets) for (let k = 0; k < text.length; k++) offsets[out.length + k] = from;
+    out += text;
+  };
+  while (i < raw.length) {
+    const ch = raw[i];
+    if (ch !== '\\' || i + 1 >= raw.length) {
+      emit(ch, i);
+      i++;
+      continue;
+    }
+    const start = i;
+    const next = raw[i + 1];
+    let m;
+    if (SINGLE_ESCAPES[next]) {
+      emit(SINGLE_ESCAPES[next], start);
+      i += 2;
+    } else if (next === 'x' && (m = /^[0-9a-fA-F]{2}/.exec(raw.substring(i + 2, i + 4)))) {
+      emit(String.fromCharCode(parseInt(m[0], 16)), start);
+      i += 4;
+    } else if (next === 'u' && (m = /^(?:[0-9a-fA-F]{4}|\{([0-9a-fA-F]{1,6})\})/.exec(raw.substring(i + 2, i + 10)))) {
+      const code = parseInt(m[1] ?? m[0], 16);
+      emit(code <= 0x10ffff ? String.fromCodePoint(code) : m[0], start);
+      i += 2 + m[0].length;
+    } else if (next >= '0' && next <= '7') {
+      m = /^[0-3]?[0-7]{1,2}|^[0-7]/.exec(raw.substring(i + 1, i + 4));
+      emit(String.fromCharCode(parseInt(m[0], 8)), start);
+      i += 1 + m[0].length;
+    } else if (next === '\r' || next === '\n' || next === '\u2028' || next === '\u2029') {
+      i += next === '\r' && raw[i + 2] === '\n' ? 3 : 2;
+    } else {
+      emit(next, start);
+      i += 2;
+    }
+  }
+  if (offsets) offsets[out.length] = raw.length;
+  return out;
+}
+
+// The template literal whose backtick is at start, into out (see scanStrings); returns the
+// index of the closing backtick, or -1 if the source ends first
+function scanTemplate(src, start, depth, out) {
+  const quasis = [];
+  const nested = [];
+  let quasiStart = start + 1;
+  let i = start + 1;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '`') {
+      quasis.push({ content: src.substring(quasiStart, i), offset: quasiStart });
+      const length = i - start + 1;
+      for (const q of quasis) q.cooked = cookString(q.content);
+      out.push({
+        content: quasis.map(q => q.content).join('${}'),
+        cooked: quasis.map(q => q.cooked).join('${}'),
+        offset: start, length, template: true, depth,
+      });
+      if (quasis.length > 1) {
+        for (const q of quasis) {
+          if (q.content) out.push({ content: q.content, cooked: q.cooked, offset: q.offset, length: q.content.length, template: true, quasi: true, depth });
+        }
       }
+      out.push(...nested);
+      return i;
+    }
+    if (ch === '$' && src[i + 1] === '{') {
+      quasis.push({ content: src.substring(quasiStart, i), offset: quasiStart });
+      const close = scanInterpolation(src, i + 2, depth, nested);
+      if (close === -1) return -1;
+      i = close + 1;
+      quasiStart = i;
+      continue;
+    }
+    i++;
+  }
+  return -1;
+}
 
-      strings.push({ content, offset, length: i - stringStart + 1 });
-      stringStart = -1;
+// Code inside `${...}` from i: strings and templates go to out. Returns the index of the
+// closing brace, or -1
+function scanInterpolation(src, i, depth, out) {
+  let braces = 0;
+  let prevNonWS = '';
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '"' || ch === "'") {
+      const end = closingQuote(src, i);
+      if (end === -1) return -1;
+      const content = src.substring(i + 1, end);
+      out.push({ content, cooked: cookString(content), offset: i, length: end - i + 1 });
+      i = end + 1;
+      prevNonWS = ch;
+      continue;
+    }
+    if (ch === '`') {
+      const end = scanTemplate(src, i, depth + 1, out);
+      if (end === -1) return -1;
+      i = end + 1;
+      prevNonWS = ch;
+      continue;
+    }
+    if (ch === '/' && (src[i + 1] === '/' || src[i + 1] === '*')) {
+      const end = src[i + 1] === '/' ? src.indexOf('\n', i) : src.indexOf('*/', i + 2) + 1;
+      if (end <= 0) return -1;
+      i = end + 1;
+      continue;
+    }
+    if (ch === '/' && isRegexContext(prevNonWS)) {
+      i = regexEnd(src, i) + 1;
+      prevNonWS = '/';
+      continue;
     }
+    if (ch === '{') braces++;
+    if (ch === '}') {
+      if (braces === 0) return i;
+      braces--;
+    }
+    if (ch !== ' ' && ch !== '\t' && ch !== '\n' && ch !== '\r') prevNonWS = ch;
+    i++;
+  }
+  return -1;
+}
+
+function closingQuote(src, start) {
+  for (let i = start + 1; i < src.length; i++) {
+    if (src[i] === '\\') i++;
+    else if (src[i] === src[start]) return i;
   }
+  return -1;
+}
+
+// Index of the slash closing the regex literal at start (or of the line end, for a slash that
+// wasn't one); `/` inside a [...] class doesn't close it
+function regexEnd(src, start) {
+  let inClass = false;
+  for (let i = start + 1; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\\') i++;
+    else if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    else if ((ch === '/' && !inClass) || ch === '\n') return i;
+  }
+  return src.length;
+}
+
+// Apply collectStrings options to scanStrings output.
+export function filterStrings(src, all, options = {}) {
+  const { near, nearRange = 5000, filter } = options;
+  const strings = all.filter(s =>
+    (near === undefined || Math.abs(s.offset - near) <= nearRange) &&
+    (!filter || s.cooked.includes(filter)));
 
   // Optionally enrich with enclosing function name (lazy — only if count is manageable)
   const enriched = strings.map(s => ({
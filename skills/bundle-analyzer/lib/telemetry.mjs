@@ -0,0 +1,91 @@
+import { enclosingFunction, propertyKeyName, visitAll } from './parse.mjs';
+import { classifyString } from './changelog.mjs';
+
+// Telemetry events a bundle emits. An emit is a call whose first argument is an event name
+// literal — an identifier-like string with a telemetry prefix (classifyString's 'telemetry'
+// kind) — and whose second argument, if any, is the payload: `Q("tengu_startup",{model:A})`.
+// Feature gates and config lookups share the prefixes but pass a literal default instead of a
+// payload (`Z1("tengu_fast_mode",!1)`), and listeners pass a callback, so calls with a literal
+// or function second argument are left out.
+//
+// Event calls are often arguments themselves (`A.then(()=>Q("tengu_x"))`), which walkAST
+// skips, so the walk is visitAll's and the emitting function comes from its ancestors.
+
+const NOT_PAYLOAD_TYPES = new Set([
+  'BooleanLiteral', 'NumericLiteral', 'StringLiteral', 'NullLiteral', 'ArrayExpression', 'TemplateLiteral',
+  'ArrowFunctionExpression', 'FunctionExpression',
+]);
+
+// Returns { total, events: [{ name, keys, calls: [{ offset, emitter, function, keys }] }] },
+// events by name, calls in source order.
+//   offset   — start of the call
+//   emitter  — the callee as written (`Q`, `A.logEvent`), null for computed callees
+//   function — innermost enclosing function { name, start }, null at module scope
+//   keys     — payload object keys in source order (`...x` for spreads, `[expr]` for computed
+//              keys); [] without a payload, null when the payload isn't an object literal
+// Event keys are the sorted union of its calls' keys.
+export function findTelemetry(ast, src) {
+  const byName = new Map();
+  let total = 0;
+  visitAll(ast, (node, ancestors) => {
+    if (node.type !== 'CallExpression') return;
+    const name = node.arguments[0]?.expression;
+    if (name?.type !== 'StringLiteral' || node.arguments[0].spread || classifyString(name.value) !== 'telemetry') return;
+    const payload = node.arguments[1];
+    if (payload && !payload.spread && !isPayload(payload.expression)) return;
+
+    const callee = node.callee;
+    const call = {
+      offset: node.span.start,
+      emitter: callee.type === 'Identifier' || callee.type === 'MemberExpression' ? src.slice(callee.span.start, callee.span.end) : null,
+      function: enclosingFunction(ancestors),
+      keys: payload ? payloadKeys(payload, src) : [],
+    };
+    if (!byName.has(name.value)) byName.set(name.value, []);
+    byName.get(name.value).push(call);
+    total++;
+  });
+
+  const events = [...byName]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, calls]) => ({ name, keys: [...new Set(calls.flatMap(c => c.keys ?? []))].sort(), calls }));
+  return { total, events };
+}
+
+// Events in b but not a, in a but not b, and events in both whose payload keys changed:
+// { added: [event], removed: [event], changed: [{ name, keys, added: [key], removed: [key] }] }
+// with events as findTelemetry returns them (from b, or a for removals).
+export function diffTelemetry(a, b) {
+  const before = new Map(a.events.map(e => [e.name, e]));
+  const after = new Map(b.events.map(e => [e.name, e]));
+  const added = b.events.filter(e => !before.has(e.name));
+  const removed = a.events.filter(e => !after.has(e.name));
+  const changed = [];
+  for (const e of b.events) {
+    const old = before.get(e.name);
+    if (!old) continue;
+    const oldKeys = new Set(old.keys);
+    const newKeys = new Set(e.keys);
+    const addedKeys = e.keys.filter(k => !oldKeys.has(k));
+    const removedKeys = old.keys.filter(k => !newKeys.has(k));
+    if (addedKeys.length > 0 || removedKeys.length > 0) changed.push({ name: e.name, keys: e.keys, added: addedKeys, removed: removedKeys });
+  }
+  return { added, removed, changed };
+}
+
+// Minified literals are often negated or signed: !0, !1, -1, void 0
+function isPayload(expr) {
+  if (expr.type === 'UnaryExpression') return !NOT_PAYLOAD_TYPES.has(expr.argument.type);
+  return !NOT_PAYLOAD_TYPES.has(expr.type);
+}
+
+function payloadKeys(arg, src) {
+  if (arg.spread || arg.expression.type !== 'ObjectExpression') return null;
+  return arg.expression.properties.map((prop) => {
+    if (prop.type === 'Identifier') return prop.value;
+    if (prop.type === 'SpreadElement') return `...${src.slice(prop.arguments.span.start, prop.arguments.span.end)}`;
+    const key = propertyKeyName(prop.key);
+    if (key !== null) return key;
+    return `[${src.slice(prop.key.expression.span.start, prop.key.expression.span.end)}]`;
+  });
+}
@@ -0,0 +1,206 @@
+import { enclosingFunction, isFunctionNode, isLiteral, literalValue, propertyKeyName, uniqueBindings, visitAll } from './parse.mjs';
+import { diffSchemaProperties, findSchemas } from './schemas.mjs';
+
+// Tool definitions in an agent bundle: object literals shaped like a tool — a `name` plus an
+// `inputSchema` / `input_schema` or a `call`, and at least MIN_TOOL_KEYS of the keys tools
+// have (`description`, `prompt`, `checkPermissions`, `isReadOnly`, ...):
+//   { name: Kx, async description() { return "..." }, inputSchema: Yx, async *call(A, B) {...}, ... }
+// Names, descriptions and prompts are resolved through string constants (`var Kx="Bash"`) and
+// functions returning one. Input schemas are the zod schemas findSchemas rebuilds, or plain
+// JSON Schema object literals.
+
+const TOOL_KEYS = new Set([
+  'name', 'description', 'prompt', 'inputSchema', 'input_schema', 'inputJSONSchema', 'outputSchema', 'call',
+  'checkPermissions', 'needsPermissions', 'isReadOnly', 'isEnabled', 'isConcurrencySafe', 'isDestructive',
+  'validateInput', 'userFacingName', 'maxResultSizeChars', 'renderToolUseMessage', 'renderToolResultMessage',
+  'mapToolResultToToolResultBlockParam',
+]);
+const MIN_TOOL_KEYS = 3;
+const INPUT_KEYS = ['inputSchema', 'input_schema', 'inputJSONSchema'];
+const MAX_SOURCE_LENGTH = 80;
+
+// Returns { total, tools: [tool] } in source order:
+//   tool — { name, offset, end, function, keys[], description, prompt, inputSchema, methods, readOnly }
+//   name        — the resolved name string, null when it isn't a constant
+//   function    — innermost enclosing function { name, start }, null at module scope
+//   keys        — every key of the object literal, in source order
+//   description, prompt — { offset, text }: text resolved as far as constants go (null if not),
+//                 offset the value's start (a function's start, for extract-fn / decompile)
+//   inputSchema — { offset, source, schema, properties[] }: schema is a JSON Schema document,
+//                 null when it can't be rebuilt; properties its top-level property names
+//   methods     — key → { offset, returns } for function-valued keys (`call`, `checkPermissions`,
+//                 ...); offset is the function's start, also when the value names a function
+//                 declared elsewhere; returns the literal a one-statement body returns, or null
+//   readOnly    — what isReadOnly returns when that's a boolean literal, else null
+export function findTools(ast, src) {
+  const candidates = [];
+  visitAll(ast, (node, ancestors) => {
+    if (node.type !== 'ObjectExpression') return;
+    const props = new Map();
+    for (const prop of node.properties) {
+      const key = prop.type === 'Identifier' ? prop.value : propertyKeyName(prop.key);
+      if (key !== null && !props.has(key)) props.set(key, prop);
+    }
+    const toolKeys = [...props.keys()].filter(k => TOOL_KEYS.has(k)).length;
+    if (!props.has('name') || toolKeys < MIN_TOOL_KEYS) return;
+    if (!props.has('call') && !INPUT_KEYS.some(k => props.has(k))) return;
+    candidates.push({ node, props, function: enclosingFunction(ancestors) });
+  });
+  if (candidates.length === 0) return { total: 0, tools: [] };
+
+  const constants = uniqueBindings(ast);
+  const schemas = findSchemas(ast, src).schemas;
+  const tools = candidates.map(({ node, props, function: fn }) => {
+    const value = (key) => propValue(props.get(key));
+    const methods = {};
+    for (const [key, prop] of props) {
+      const method = methodOf(value(key), constants);
+      if (method) methods[key] = { offset: method.span.start, returns: literalReturn(method, src) };
+    }
+    const inputKey = INPUT_KEYS.find(k => props.has(k));
+    return {
+      name: textOf(value('name'), constants),
+      offset: node.span.start,
+      end: node.span.end,
+      function: fn,
+      keys: [...props.keys()],
+      description: props.has('description') ? textEntry(value('description'), constants) : null,
+      prompt: props.has('prompt') ? textEntry(value('prompt'), constants) : null,
+      inputSchema: inputKey ? inputSchemaOf(value(inputKey), src, schemas, constants) : null,
+      methods,
+      readOnly: booleanOf(methods.isReadOnly?.returns),
+    };
+  });
+  return { total: tools.length, tools };
+}
+
+// Tools in b but not a, in a but not b, and tools in both whose description, prompt, keys,
+// read-only flag or input schema changed, paired by name (unnamed tools aren't paired):
+// { added: [tool], removed: [tool], changed: [{ name, offset, changes }] }
+//   changes — any of description / prompt / readOnly: { before, after }, keys: { added, removed },
+//             input: { added, removed, changed } as diffSchemas reports properties
+export function diffTools(a, b) {
+  const before = new Map(a.tools.filter(t => t.name !== null).map(t => [t.name, t]));
+  const after = new Map(b.tools.filter(t => t.name !== null).map(t => [t.name, t]));
+  const changed = [];
+  for (const [name, tool] of after) {
+    const old = before.get(name);
+    if (!old) continue;
+    const changes = {};
+    for (const field of ['description', 'prompt']) {
+      const was = old[field]?.text ?? null;
+      const now = tool[field]?.text ?? null;
+      if (was !== now) changes[field] = { before: was, after: now };
+    }
+    if (old.readOnly !== tool.readOnly) changes.readOnly = { before: old.readOnly, after: tool.readOnly };
+    const keys = { added: tool.keys.filter(k => !old.keys.includes(k)), removed: old.keys.filter(k => !tool.keys.includes(k)) };
+    if (keys.added.length > 0 || keys.removed.length > 0) changes.keys = keys;
+    const oldSchema = old.inputSchema?.schema;
+    const newSchema = tool.inputSchema?.schema;
+    if (oldSchema && newSchema) {
+      const input = diffSchemaProperties(oldSchema, newSchema);
+      if (input.added.length + input.removed.length + input.changed.length > 0) changes.input = input;
+    }
+    if (Object.keys(changes).length > 0) changed.push({ name, offset: tool.offset, changes });
+  }
+  return {
+    added: b.tools.filter(t => t.name !== null && !before.has(t.name)),
+    removed: a.tools.filter(t => t.name !== null && !after.has(t.name)),
+    changed,
+  };
+}
+
+// `name` shorthand is the identifier itself; methods and getters are their own value
+function propValue(prop) {
+  if (!prop) return null;
+  if (prop.type === 'KeyValueProperty') return prop.value;
+  return prop;
+}
+
+function resolve(node, constants) {
+  while (node?.type === 'ParenthesisExpression') node = node.expression;
+  if (node?.type === 'Identifier' && constants.get(node.value)) return constants.get(node.value);
+  return node;
+}
+
+// The string a value stands for: a literal, a constant, a function returning one; else null
+function textOf(node, constants, depth = 0) {
+  node = resolve(node, constants);
+  if (!node || depth > 3) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral') {
+    if (node.expressions.length > 0) return null;
+    return node.quasis.map(q => q.cooked ?? q.raw).join('');
+  }
+  if (isFunctionNode(node) && node.type !== 'ClassMethod') {
+    const returned = returnedExpression(node);
+    return returned ? textOf(returned, constants, depth + 1) : null;
+  }
+  return null;
+}
+
+function textEntry(node, constants) {
+  const target = methodOf(node, constants) ?? node;
+  return { offset: target.span.start, text: textOf(node, constants) };
+}
+
+// The function a value is, or names
+function methodOf(node, constants) {
+  if (!node) return null;
+  if (node.type === 'Identifier') {
+    const target = constants.get(node.value);
+    return isFunctionNode(target) ? target : null;
+  }
+  return isFunctionNode(node) ? node : null;
+}
+
+// An arrow's expression body, or the argument of a body's first top-level return
+function returnedExpression(fn) {
+  const body = fn.body;
+  if (!body) return null;
+  if (body.type !== 'BlockStatement') return body;
+  const ret = body.stmts.find(s => s.type === 'ReturnStatement');
+  return ret?.argument ?? null;
+}
+
+// `isReadOnly() { return !0 }` → '!0'
+function literalReturn(fn, src) {
+  const body = fn.body;
+  if (!body) return null;
+  const expr = body.type === 'BlockStatement'
+    ? (body.stmts.length === 1 && body.stmts[0].type === 'ReturnStatement' ? body.stmts[0].argument : null)
+    : body;
+  if (!expr || !isLiteral(expr)) return null;
+  return src.slice(expr.span.start, expr.span.end);
+}
+
+function booleanOf(literal) {
+  if (literal === 'true' || literal === '!0') return true;
+  if (literal === 'false' || literal === '!1') return false;
+  return null;
+}
+
+function inputSchemaOf(node, src, schemas, constants) {
+  const source = src.slice(node.span.start, node.span.end);
+  const entry = {
+    offset: node.span.start,
+    source: source.length > MAX_SOURCE_LENGTH ? source.substring(0, MAX_SOURCE_LENGTH - 3) + '...' : source,
+    schema: schemaOf(node, schemas, constants),
+  };
+  entry.properties = Object.keys(entry.schema?.properties ?? {});
+  return entry;
+}
+
+// The rebuilt zod schema at the value (or the variable it names), or a JSON Schema literal
+function schemaOf(node, schemas, constants, depth = 0) {
+  const target = resolve(node, constants);
+  if (isFunctionNode(target)) {
+    // `get inputSchema() { return Yx }`
+    const returned = returnedExpression(target);
+    return returned && depth < 3 ? schemaOf(returned, schemas, constants, depth + 1) : null;
+  }
+  const at = schemas.find(s => s.offset === target.span.start);
+  if (at) return at.schema;
+  if (target.type === 'ObjectExpression') return literalValue(target) ?? null;
+  return null;
+}
@@ -0,0 +1,326 @@
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseSource } from './parse.mjs';
+import { buildFunctionMap } from './map.mjs';
+import { scanStrings } from './strings.mjs';
+import { cacheDir } from './cache.mjs';
+
+// Third-party packages vendored into a bundle, found by matching signatures built from
+// node_modules on disk:
+//
+//   { version, packages: [{ name, version, strings: [...], shapes: [...] }] }
+//
+// strings are the package's string literals and shapes the structural hashes (functionShape) of
+// its larger functions — both survive minification. Anything shared by two differently named
+// packages is dropped, so what is left points at one package. A package is detected when enough
+// of its signature appears in the bundle; when several versions of it are in the database, the
+// best-scoring one is reported (approximate: unchanged code scores the same in every version).
+// Vendor code is then located per module (see findModules) and per function, from where the
+// matched strings and shapes sit.
+
+export const SIGNATURES_VERSION = 1;
+// Signature strings: long enough not to be a common word
+const MIN_SIGNATURE_LENGTH = 8;
+// Shapes with fewer AST nodes recur across unrelated code
+const MIN_SIGNATURE_SHAPE_SIZE = 40;
+const MAX_SIGNATURE_STRINGS = 500;
+const MAX_SIGNATURE_SHAPES = 500;
+// Reading limits per package, and directories that never ship in a bundle
+const MAX_PACKAGE_BYTES = 4e6;
+const MAX_FILE_BYTES = 2e6;
+const SKIP_DIRS = new Set(['node_modules', 'test', 'tests', '__tests__', 'example', 'examples', 'docs', 'coverage', '.git']);
+// Detection: matched signature items, and the share of the signature, a package needs
+const MIN_EVIDENCE = 5;
+const MIN_SCORE = 0.1;
+// Versions scoring within this factor of the best are reported as candidates
+const VERSION_TIE = 0.98;
+// A module or function is vendor code when this share of its signature-length strings (and at
+// least MIN_LOCAL_EVIDENCE of them) belong to one detected package
+const VENDOR_SHARE = 0.5;
+const MIN_LOCAL_EVIDENCE = 2;
+
+export function defaultSignaturesPath() {
+  return join(cacheDir(), 'vendor-signatures.json');
+}
+
+// Read a signature database. Returns it, or { error }.
+export function loadSignatures(path = defaultSignaturesPath()) {
+  if (!existsSync(path)) return { error: `No vendor signatures at ${path} — build them with \`vendors build <node_modules>\`` };
+  try {
+    const db = JSON.parse(readFileSync(path, 'utf-8'));
+    if (db.version !== SIGNATURES_VERSION) return { error: `${path} has signature version ${db.version}, expected ${SIGNATURES_VERSION} — rebuild it` };
+    return db;
+  } catch (e) {
+    return { error: `Cannot read ${path}: ${e.message}` };
+  }
+}
+
+// Signatures for every package under the given node_modules directories (or project directories
+// holding one), merged into existing (a database, replacing the same name@version).
+// options: { existing, log(message) }
+// Returns the database, or { error } when a directory is missing or holds no packages.
+export async function buildSignatures(dirs, options = {}) {
+  const { existing = null, log = () => {} } = options;
+  const found = [];
+  for (const dir of dirs) {
+    if (!existsSync(dir)) return { error: `${dir} does not exist` };
+    const packages = findPackages(dir);
+    if (packages.length === 0) return { error: `No packages (package.json with name and version) under ${dir}` };
+    found.push(...packages);
+  }
+  const raw = [];
+  for (const pkg of found) {
+    raw.push(await packageSignature(pkg));
+    log(`  ${pkg.name}@${pkg.version}`);
+  }
+
+  const built = new Map(raw.map(p => [`${p.name}@${p.version}`, p]));
+  const kept = (existing?.packages || []).filter(p => !built.has(`${p.name}@${p.version}`));
+  const all = [...kept, ...built.values()];
+
+  // Keep only what a single package name has
+  const owners = (key) => {
+    const names = new Map();
+    for (const p of all) {
+      for (const item of p[key]) {
+        if (!names.has(item)) names.set(item, new Set());
+        names.get(item).add(p.name);
+      }
+    }
+    return names;
+  };
+  const stringOwners = owners('strings');
+  const shapeOwners = owners('shapes');
+  const packages = all.map(p => ({
+    name: p.name,
+    version: p.version,
+    strings: p.strings.filter(s => stringOwners.get(s).size === 1)
+      .sort((a, b) => b.length - a.length || (a < b ? -1 : 1)).slice(0, MAX_SIGNATURE_STRINGS),
+    shapes: p.shapes.filter(h => shapeOwners.get(h).size === 1).slice(0, MAX_SIGNATURE_SHAPES),
+  })).sort((a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+
+  return { version: SIGNATURES_VERSION, packages };
+}
+
+// Packages (with package.json name and version) in a node_modules tree, nested ones included
+function findPackages(dir) {
+  const root = existsSync(join(dir, 'node_modules')) ? join(dir, 'node_modules') : dir;
+  const packages = [];
+  const visit = (modulesDir) => {
+    for (const entry of safeReaddir(modulesDir)) {
+      if (entry.startsWith('.')) continue;
+      const path = join(modulesDir, entry);
+      if (entry.startsWith('@')) {
+        for (const scoped of safeReaddir(path)) addPackage(join(path, scoped));
+      } else {
+        addPackage(path);
+      }
+    }
+  };
+  const addPackage = (path) => {
+    let meta;
+    try {
+      meta = JSON.parse(readFileSync(join(path, 'package.json'), 'utf-8'));
+    } catch {
+      return;
+    }
+    if (typeof meta.name === 'string' && typeof meta.version === 'string') packages.push({ name: meta.name, version: meta.version, dir: path });
+    if (existsSync(join(path, 'node_modules'))) visit(join(path, 'node_modules'));
+  };
+  visit(root);
+  return packages;
+}
+
+async function packageSignature({ name, version, dir }) {
+  const strings = new Set();
+  const shapes = new Set();
+  let budget = MAX_PACKAGE_BYTES;
+  for (const file of jsFiles(dir)) {
+    const size = statSync(file).size;
+    if (size > MAX_FILE_BYTES || size > budget) continue;
+    budget -= size;
+    const src = readFileSync(file, 'utf-8');
+    for (const s of scanStrings(src)) {
+      if (isSignatureString(s.content)) strings.add(s.content);
+    }
+    let ast;
+    try {
+      ast = await parseSource(src);
+    } catch {
+      continue; // TypeScript, JSX or broken files: strings only
+    }
+    for (const fn of buildFunctionMap(ast, src, { shapes: true })) {
+      if (fn.shapeSize >= MIN_SIGNATURE_SHAPE_SIZE) shapes.add(fn.shape);
+    }
+  }
+  return { name, version, strings: [...strings], shapes: [...shapes] };
+}
+
+function jsFiles(dir) {
+  const files = [];
+  for (const entry of safeReaddir(dir).sort()) {
+    const path = join(dir, entry);
+    let stat;
+    try {
+      stat = statSync(path);
+    } catch {
+      continue;
+    }
+    if (stat.isDirectory()) {
+      if (!SKIP_DIRS.has(entry)) files.push(...jsFiles(path));
+    } else if (/\.[cm]?js$/.test(entry)) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+function safeReaddir(dir) {
+  try {
+    return readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+function isSignatureString(s) {
+  return s.length >= MIN_SIGNATURE_LENGTH && /[A-Za-z]/.test(s);
+}
+
+// db: loadSignatures() result; bundle: { strings (scanStrings), functions (map with strings and
+// shapes), modules (findModules().modules) }
+// Returns { packages: [{ name, version, candidates, score, strings: { matched, total },
+// shapes: { matched, total }, modules: [id], functions, bytes }], ranges: [{ start, end, package }] }
+// ranges are sorted, non-overlapping spans of vendor code.
+export function detectVendors(db, { strings, functions, modules = [] }) {
+  const present = new Set(strings.map(s => s.content));
+  const bundleShapes = new Set(functions.map(fn => fn.shape).filter(Boolean));
+
+  const best = new Map(); // name → scored versions
+  for (const pkg of db.packages) {
+    const matchedStrings = pkg.strings.filter(s => present.has(s)).length;
+    const matchedShapes = pkg.shapes.filter(h => bundleShapes.has(h)).length;
+    const total = pkg.strings.length + pkg.shapes.length;
+    const score = total > 0 ? (matchedStrings + matchedShapes) / total : 0;
+    if (matchedStrings + matchedShapes < MIN_EVIDENCE || score < MIN_SCORE) continue;
+    if (!best.has(pkg.name)) best.set(pkg.name, []);
+    best.get(pkg.name).push({ pkg, score, matchedStrings, matchedShapes });
+  }
+
+  const detected = [...best.values()].map((versions) => {
+    versions.sort((a, b) => b.score - a.score);
+    const candidates = versions.filter(v => v.score >= versions[0].score * VERSION_TIE);
+    // Among tied versions, one whose version number is itself a string in the bundle
+    const chosen = candidates.find(v => present.has(v.pkg.version)) || candidates[0];
+    return { ...chosen, candidates: candidates.map(v => v.pkg.version) };
+  });
+
+  const stringOwner = new Map();
+  const shapeOwner = new Map();
+  for (const { pkg } of detected) {
+    for (const s of pkg.strings) if (!stringOwner.has(s)) stringOwner.set(s, pkg.name);
+    for (const h of pkg.shapes) if (!shapeOwner.has(h)) shapeOwner.set(h, pkg.name);
+  }
+
+  // Strings are taken from the bundle's string index by span: a function map entry's own
+  // strings miss those in call arguments, and the map doesn't reach into module wrappers
+  const sorted = [...strings].sort((a, b) => a.offset - b.offset);
+  const stringsIn = (start, end) => {
+    const inside = new Set();
+    for (let i = lowerBound(sorted, start); i < sorted.length && sorted[i].offset < end; i++) {
+      if (isSignatureString(sorted[i].content)) inside.add(sorted[i].content);
+    }
+    return [...inside];
+  };
+
+  const moduleRanges = [];
+  const moduleIds = new Map();
+  for (const m of modules) {
+    const owner = dominantOwner(stringsIn(m.start, m.end), stringOwner);
+    if (!owner) continue;
+    moduleRanges.push({ start: m.start, end: m.end, package: owner });
+    if (!moduleIds.has(owner)) moduleIds.set(owner, []);
+    moduleIds.get(owner).push(m.id);
+  }
+  const vendorModules = mergeRanges(moduleRanges);
+  const ranges = [...vendorModules];
+  for (const fn of functions) {
+    if (inRanges(vendorModules, fn.start)) continue;
+    const owner = shapeOwner.get(fn.shape) || dominantOwner(stringsIn(fn.start, fn.end), stringOwner);
+    if (owner) ranges.push({ start: fn.start, end: fn.end, package: owner });
+  }
+  const merged = mergeRanges(ranges);
+
+  const packages = detected.map(({ pkg, score, matchedStrings, matchedShapes, candidates }) => {
+    const own = merged.filter(r => r.package === pkg.name);
+    return {
+      name: pkg.name,
+      version: pkg.version,
+      candidates,
+      score: Math.round(score * 100) / 100,
+      strings: { matched: matchedStrings, total: pkg.strings.length },
+      shapes: { matched: matchedShapes, total: pkg.shapes.length },
+      modules: moduleIds.get(pkg.name) || [],
+      functions: functions.filter(fn => inRanges(own, fn.start)).length,
+      bytes: own.reduce((n, r) => n + r.end - r.start, 0),
+    };
+  }).sort((a, b) => b.bytes - a.bytes || b.score - a.score);
+
+  return { packages, ranges: merged };
+}
+
+// Whether offset falls inside one of the sorted, non-overlapping ranges
+export function inRanges(ranges, offset) {
+  let lo = 0;
+  let hi = ranges.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (ranges[mid].end <= offset) lo = mid + 1;
+    else if (ranges[mid].start > offset) hi = mid - 1;
+    else return true;
+  }
+  return false;
+}
+
+// The package owning at least VENDOR_SHARE (and MIN_LOCAL_EVIDENCE) of these strings, or null
+function dominantOwner(items, owners) {
+  const counts = new Map();
+  for (const item of items) {
+    const owner = owners.get(item);
+    if (owner) counts.set(owner, (counts.get(owner) || 0) + 1);
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [owner, count] of counts) {
+    if (count > bestCount) {
+      best = owner;
+      bestCount = count;
+    }
+  }
+  return bestCount >= MIN_LOCAL_EVIDENCE && bestCount >= items.length * VENDOR_SHARE ? best : null;
+}
+
+// Sort ranges and merge overlapping ones; an enclosing range keeps its package
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const r of [...ranges].sort((a, b) => a.start - b.start || b.end - a.end)) {
+    const last = merged[merged.length - 1];
+    if (last && r.start < last.end) {
+      last.end = Math.max(last.end, r.end);
+    } else {
+      merged.push({ ...r });
+    }
+  }
+  return merged;
+}
+
+function lowerBound(sorted, offset) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid].offset < offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
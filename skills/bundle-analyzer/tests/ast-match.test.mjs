@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { parseASTPattern, matchAST, renderASTReplacement } from '../lib/ast-match.mjs';
+
+const SRC = 'var x=1;async function zO6(A,q){if((await A()).queuedCommands.length===0)return;q(1,...z,3)}function k(a){return a+1;a+1}';
+
+async function match(pattern, replacement, src = SRC) {
+  return matchAST(src, await parseSource(src), pattern, replacement);
+}
+
+describe('parseASTPattern', () => {
+  test('parses a lone expression statement as an expression pattern', async () => {
+    const p = await parseASTPattern('$FN($A, $B)');
+    expect(p.kind).toBe('expr');
+    expect(p.metavars).toEqual(['FN', 'A', 'B']);
+  });
+
+  test('allows return and await in statement patterns', async () => {
+    const p = await parseASTPattern('if ((await $X()).queuedCommands.length === 0) return');
+    expect(p.kind).toBe('stmts');
+    expect(p.metavars).toEqual(['X']);
+  });
+
+  test('reports syntax errors without the parser backtrace', async () => {
+    const p = await parseASTPattern('if (');
+    expect(p.error).toBe('Could not parse pattern: Expression expected');
+  });
+});
+
+describe('matchAST', () => {
+  test('matches across whitespace and parentheses', async () => {
+    const result = await match('if ((await $X()).queuedCommands.length === 0) return');
+    expect(result.status).toBe('UNIQUE');
+    expect(result.matches[0].offset).toBe(SRC.indexOf('if((await'));
+    expect(result.matches[0].matchText).toBe('if((await A()).queuedCommands.length===0)return;');
+    expect(result.matches[0].namedCaptures).toEqual({ X: 'A' });
+  });
+
+  test('sequence metavariables bind argument and statement runs', async () => {
+    const call = await match('$FN($A, $$$REST)');
+    expect(call.status).toBe('UNIQUE');
+    expect(call.matches[0].namedCaptures).toEqual({ FN: 'q', A: '1', REST: '...z,3' });
+
+    const fn = await match('async function $F($$$P) { $$$BODY }');
+    expect(fn.matches[0].namedCaptures.P).toBe('A,q');
+    expect(fn.matches[0].namedCaptures.BODY.startsWith('if((await')).toBe(true);
+  });
+
+  test('reports every site of an ambiguous pattern', async () => {
+    const result = await match('$A + 1');
+    expect(result.status).toBe('AMBIGUOUS');
+    expect(result.matchCount).toBe(2);
+  });
+
+  test('repeated metavariables must bind the same code', async () => {
+    expect((await match('$A + $A')).status).toBe('NOT_FOUND');
+    expect((await match('$A + $A', undefined, 'f(b+b)')).status).toBe('UNIQUE');
+  });
+
+  test('literal identifiers must match exactly', async () => {
+    expect((await match('zO6($$$)')).status).toBe('NOT_FOUND');
+    expect((await match('async function zO6($$$) { $$$ }')).status).toBe('UNIQUE');
+  });
+
+  test('matches consecutive statement runs', async () => {
+    const result = await match('return $A + 1; $A + 1;');
+    expect(result.status).toBe('UNIQUE');
+    expect(result.matches[0].matchText).toBe('return a+1;a+1');
+  });
+
+  test('renders a replacement preview at the node span', async () => {
+    const result = await match('if ((await $X()).queuedCommands.length === 0) return', 'if(!$X)return;');
+    expect(result.preview.replacedText).toBe('if(!A)return;');
+    expect(result.preview.after).toContain('async function zO6(A,q){if(!A)return;q(1,');
+  });
+});
+
+describe('renderASTReplacement', () => {
+  test('leaves unbound metavariables and minified $ names alone', () => {
+    expect(renderASTReplacement('$A($$$R,$B,$a)', { A: 'f', R: 'x,y' })).toBe('f(x,y,$B,$a)');
+  });
+});
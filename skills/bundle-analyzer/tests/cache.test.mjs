@@ -0,0 +1,97 @@
+import { describe, test, expect, beforeEach, afterEach, afterAll } from 'bun:test';
+import { mkdtempSync, writeFileSync, existsSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseSource } from '../lib/parse.mjs';
+import { buildFunctionMap } from '../lib/map.mjs';
+import { buildScopeTree, serializeScopeTree, deserializeScopeTree } from '../lib/scope.mjs';
+import { loadIndex, hashSource, cacheEntries, clearCache, CACHE_VERSION } from '../lib/cache.mjs';
+
+const SRC = 'var x=1;function outer(a){let b=2;return function inner(c){return a+b+c+"hi"}}var h=function(){outer(1)}';
+
+const CACHE_DIR = process.env.BUNDLE_ANALYZER_CACHE_DIR;
+
+let dir;
+let bundle;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'bundle-cache-'));
+  process.env.BUNDLE_ANALYZER_CACHE_DIR = join(dir, 'cache');
+  bundle = join(dir, 'cli.js');
+  writeFileSync(bundle, SRC);
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  if (CACHE_DIR === undefined) delete process.env.BUNDLE_ANALYZER_CACHE_DIR;
+  else process.env.BUNDLE_ANALYZER_CACHE_DIR = CACHE_DIR;
+});
+
+describe('serializeScopeTree', () => {
+  test('round-trips parents and lookups', async () => {
+    const tree = buildScopeTree(await parseSource(SRC), SRC.length);
+    const restored = deserializeScopeTree(JSON.parse(JSON.stringify(serializeScopeTree(tree))));
+    const offset = SRC.indexOf('a+b');
+    const scope = restored.findScopeAt(offset);
+    expect(scope.vars.map(v => v.name)).toEqual(['c']);
+    expect(scope.parent.vars.map(v => v.name)).toEqual(['a', 'b', 'inner']);
+    expect(scope.parent.parent).toBe(restored.scopes[0]);
+  });
+});
+
+describe('loadIndex', () => {
+  test('builds on a miss and loads from disk on a hit', async () => {
+    const first = await loadIndex(bundle);
+    expect(first.cached).toBe(false);
+    expect(first.ast).toBeDefined();
+
+    const second = await loadIndex(bundle);
+    expect(second.cached).toBe(true);
+    expect(second.ast).toBeUndefined();
+    expect(second.functions).toEqual(buildFunctionMap(await parseSource(SRC), SRC, { strings: true, shapes: true }));
+    expect(second.calls.find(c => c.name === 'h').calls[0].name).toBe('outer');
+    expect(second.strings.map(s => s.content)).toEqual(['hi']);
+    expect(second.scopeTree.findScopeAt(SRC.indexOf('a+b')).vars[0].name).toBe('c');
+  });
+
+  test('keys entries by content hash', async () => {
+    await loadIndex(bundle);
+    writeFileSync(bundle, SRC + ';function added(){}');
+    const changed = await loadIndex(bundle, { parts: ['functions'] });
+    expect(changed.cached).toBe(false);
+    expect(changed.functions.some(fn => fn.name === 'added')).toBe(true);
+    expect(cacheEntries().map(e => e.hash).sort()).toEqual([hashSource(SRC), hashSource(SRC + ';function added(){}')].sort());
+  });
+
+  test('strings alone do not need a parse', async () => {
+    const result = await loadIndex(bundle, { parts: ['strings'] });
+    expect(result.ast).toBeUndefined();
+    const meta = JSON.parse(readFileSync(join(process.env.BUNDLE_ANALYZER_CACHE_DIR, hashSource(SRC), 'meta.json'), 'utf-8'));
+    expect(meta).toMatchObject({ version: CACHE_VERSION, parts: ['strings'] });
+
+    expect((await loadIndex(bundle, { parts: ['strings', 'functions'] })).cached).toBe(false);
+    expect((await loadIndex(bundle, { parts: ['strings', 'functions'] })).cached).toBe(true);
+  });
+
+  test('ignores entries from another cache version', async () => {
+    await loadIndex(bundle);
+    const metaPath = join(process.env.BUNDLE_ANALYZER_CACHE_DIR, hashSource(SRC), 'meta.json');
+    writeFileSync(metaPath, JSON.stringify({ ...JSON.parse(readFileSync(metaPath, 'utf-8')), version: CACHE_VERSION - 1 }));
+    expect((await loadIndex(bundle)).cached).toBe(false);
+  });
+
+  test('cache: false neither reads nor writes', async () => {
+    const result = await loadIndex(bundle, { cache: false });
+    expect(result.cached).toBe(false);
+    expect(existsSync(process.env.BUNDLE_ANALYZER_CACHE_DIR)).toBe(false);
+  });
+
+  test('clearCache removes every entry', async () => {
+    await loadIndex(bundle);
+    expect(clearCache().removed).toBe(1);
+    expect(cacheEntries()).toEqual([]);
+  });
+});
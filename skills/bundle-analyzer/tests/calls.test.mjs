@@ -1,6 +1,7 @@
 import { describe, test, expect } from 'bun:test';
 import { parseSource } from '../lib/parse.mjs';
-import { findCalls } from '../lib/calls.mjs';
+import { findCalls, buildCallIndex, findCallsIndexed } from '../lib/calls.mjs';
+import { buildScopeTree } from '../lib/scope.mjs';
 
 describe('findCalls', () => {
   test('collects outgoing calls', async () => {
@@ -69,3 +70,15 @@ describe('findCalls', () => {
     expect(result.error).toBeDefined();
   });
 });
+
+describe('findCallsIndexed', () => {
+  test('matches findCalls from a serializable call index', async () => {
+    const src = 'function target(){helper()}var caller=function(){target();target()};function helper(){}';
+    const ast = await parseSource(src);
+    const callIndex = JSON.parse(JSON.stringify(buildCallIndex(ast)));
+    expect(callIndex.map(e => e.name)).toEqual(['target', 'caller', 'helper']);
+
+    const { findScopeAt } = buildScopeTree(ast, src.length);
+    expect(findCallsIndexed(src, 20, { findScopeAt, callIndex })).toEqual(findCalls(ast, src, 20));
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, test, expect } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseSource } from '../lib/parse.mjs';
+import { buildFunctionMap } from '../lib/map.mjs';
+import { scanStrings } from '../lib/strings.mjs';
+import { diffFunctions } from '../lib/diff-fns.mjs';
+import { buildChangelog, renderChangelog, classifyString, bundleInfo } from '../lib/changelog.mjs';
+
+const OLD = `// Version: 2.1.39
+var M={VERSION:"2.1.39",BUILD_TIME:"2026-02-10T01:00:00Z"};
+function copy(){ui("Copy the last response to clipboard");track("tengu_old_event")}
+function cfg(A){return A.get("sandboxMode")}`;
+
+const NEW = `// Version: 2.1.40
+var M={VERSION:"2.1.40",BUILD_TIME:"2026-02-12T01:00:00Z"};
+function cfg(A){return A.get("sandboxMode")||A.get("enableWeakerNetworkIsolation")}
+function PE7(A){track("tengu_immediate_command_executed");return "Try --model to switch to "+A}`;
+
+async function bundle(file, src) {
+  const ast = await parseSource(src);
+  return { file, src, functions: buildFunctionMap(ast, src, { strings: true }), strings: scanStrings(src) };
+}
+
+async function changelogFor(oldSrc, newSrc) {
+  const v1 = await bundle('/old/cli.js', oldSrc);
+  const v2 = await bundle('/new/cli.js', newSrc);
+  return buildChangelog(v1, v2, diffFunctions(v1.functions, v2.functions));
+}
+
+describe('classifyString', () => {
+  test('sorts changed strings into telemetry, config and UI text', () => {
+    expect(classifyString('tengu_streaming_idle_timeout')).toBe('telemetry');
+    expect(classifyString('promptCache1hAllowlist')).toBe('config');
+    expect(classifyString('Show authentication status')).toBe('ui');
+    expect(classifyString('2.1.40')).toBeNull();
+    expect(classifyString('tengu prefix but not an event')).toBeNull();
+    expect(classifyString('length')).toBeNull();
+  });
+});
+
+describe('bundleInfo', () => {
+  test('reads the bundle version, build date and sibling package.json', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'bundle-changelog-'));
+    try {
+      writeFileSync(join(dir, 'package.json'), JSON.stringify({ name: '@scope/sdk', version: '0.2.40' }));
+      expect(bundleInfo(NEW, join(dir, 'cli.js'))).toEqual({
+        version: '2.1.40',
+        buildDate: '2026-02-12',
+        package: { name: '@scope/sdk', version: '0.2.40' },
+      });
+      expect(bundleInfo('var a=1', '/nowhere/cli.js')).toEqual({ version: null, buildDate: null, package: null });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildChangelog', () => {
+  test('locates new and removed strings in their bundles', async () => {
+    const changelog = await changelogFor(OLD, NEW);
+    expect(changelog.counts).toMatchObject({ added: 2, removed: 2 });
+    expect(changelog.added.telemetry).toEqual([{
+      text: 'tengu_immediate_command_executed',
+      offset: NEW.indexOf('"tengu_immediate_command_executed"'),
+      function: { name: 'PE7', start: NEW.indexOf('function PE7') },
+    }]);
+    expect(changelog.added.config.map(e => e.text)).toEqual(['enableWeakerNetworkIsolation']);
+    expect(changelog.added.ui.map(e => e.text)).toEqual(['Try --model to switch to ']);
+    expect(changelog.removed.telemetry[0].offset).toBe(OLD.indexOf('"tengu_old_event"'));
+    expect(changelog.removed.ui.map(e => e.text)).toEqual(['Copy the last response to clipboard']);
+  });
+
+  test('lists strings written with escapes by their decoded text', async () => {
+    const src = 'function wait(){ui("Press Enter to continue\\u2026 later")}';
+    const changelog = await changelogFor('var a=1', src);
+    expect(changelog.added.ui).toEqual([{
+      text: 'Press Enter to continue… later',
+      offset: src.indexOf('"Press'),
+      function: { name: 'wait', start: 0 },
+    }]);
+  });
+});
+
+describe('renderChangelog', () => {
+  test('produces the sdk-changelog.md layout', async () => {
+    const markdown = renderChangelog(await changelogFor(OLD, NEW));
+    expect(markdown).toStartWith('# cli.js Changelog: 2.1.39 → 2.1.40\n');
+    expect(markdown).toContain('- Build date: **2026-02-10 → 2026-02-12**');
+    expect(markdown).toContain('2 added fns, 2 removed, 0 modified)');
+    expect(markdown).toContain(`## New Telemetry Events\n\n- \`tengu_immediate_command_executed\` — char ${NEW.indexOf('"tengu_immediate')} in \`PE7\``);
+    expect(markdown).toContain('## Removed Features');
+    expect(markdown).toContain('- `tengu_old_event` — old char');
+  });
+
+  test('caps each section at the limit', async () => {
+    const many = Array.from({ length: 5 }, (_, i) => `track("tengu_event_${i}")`).join(';');
+    const markdown = renderChangelog(await changelogFor('var a=1', many), { limit: 2 });
+    expect(markdown).toContain('- … and 3 more');
+    expect(markdown.match(/tengu_event_/g)).toHaveLength(2);
+  });
+});
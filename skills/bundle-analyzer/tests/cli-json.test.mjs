@@ -0,0 +1,224 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const CLI = join(import.meta.dir, '..', 'cli.mjs');
+const SRC = 'var x=1;function outer(a){let b=2;return function inner(c){return a+b+c+"hi"}}var h=function(){outer(1);send("tengu_evt")};';
+
+let dir;
+let bundle;
+
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), 'bundle-json-'));
+  bundle = join(dir, 'cli.js');
+  writeFileSync(bundle, SRC);
+});
+
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Run the CLI with --json and parse stdout, which must hold exactly one JSON document
+function run(...argv) {
+  const proc = Bun.spawnSync(['bun', CLI, ...argv, '--json', '--no-daemon'], {
+    env: { ...process.env, BUNDLE_ANALYZER_CACHE_DIR: join(dir, 'cache') },
+  });
+  const stdout = proc.stdout.toString();
+  return { code: proc.exitCode, json: JSON.parse(stdout), stderr: proc.stderr.toString() };
+}
+
+describe('--json envelope', () => {
+  test('carries the command and schema version, with progress on stderr', () => {
+    const { code, json, stderr } = run('find', bundle, 'outer');
+    expect(code).toBe(0);
+    expect(json).toMatchObject({ command: 'find', schemaVersion: 1, file: bundle, pattern: 'outer', totalMatches: 2 });
+    expect(json.groups[0].matches[0]).toMatchObject({ offset: SRC.indexOf('outer') });
+    expect(stderr).toContain('Searching');
+  });
+
+  test('reports failures as { error } with exit code 1', () => {
+    const { code, json } = run('scope', join(dir, 'missing.js'), '3');
+    expect(code).toBe(1);
+    expect(json.command).toBe('scope');
+    expect(json.error).toContain('missing.js');
+    const build = run('patch-build', join(dir, 'missing.js'), '--name', 'p', '--match', 'x', '--replace-template', 'y');
+    expect(build.code).toBe(1);
+    expect(build.json).toMatchObject({ command: 'patch-build', error: expect.stringContaining('ENOENT') });
+  });
+});
+
+describe('--json payloads', () => {
+  const offset = SRC.indexOf('a+b');
+
+  test('extract-fn, scope, refs and calls', () => {
+    expect(run('extract-fn', bundle, String(offset)).json.function)
+      .toMatchObject({ signature: 'function inner(c)', params: [{ name: 'c', index: 1 }] });
+    expect(run('extract-fn', bundle, String(offset), '--stack').json)
+      .toMatchObject({ command: 'extract-fn --stack', stack: [{ depth: 0 }, { depth: 1 }] });
+    expect(run('scope', bundle, String(offset)).json.scopes.map(s => s.type)).toEqual(['function', 'function', 'module']);
+    expect(run('refs', bundle, String(offset)).json.uniqueNames).toBe(3);
+    expect(run('calls', bundle, String(SRC.indexOf('outer(1)'))).json.outgoing)
+      .toContainEqual({ name: 'outer', offsets: [SRC.indexOf('outer(1)')] });
+  });
+
+  test('strings, context and decompile', () => {
+    expect(run('strings', bundle, '--filter', 'tengu').json.strings)
+      .toEqual([expect.objectContaining({ content: 'tengu_evt', offset: SRC.indexOf('"tengu_evt"') })]);
+    const context = run('context', bundle, String(offset)).json;
+    expect(context.function.signature).toBe('function inner(c)');
+    expect(context.code.markerLine).toBeGreaterThan(0);
+    expect(run('decompile', bundle, String(offset)).json.signature).toBe('function inner(c)');
+  });
+
+  test('strings and strings --diff with templates', () => {
+    const file1 = join(dir, 'templates1.js');
+    const file2 = join(dir, 'templates2.js');
+    writeFileSync(file1, 'function f(n,d){return`Found ${n} matching files in ${d}`}');
+    writeFileSync(file2, 'function f(n,d){return`Found ${n} matching files under ${d}`}');
+    const found = run('strings', file1, '--filter', 'matching').json.strings;
+    expect(found.map(s => [s.content, s.template, s.quasi])).toEqual([
+      ['Found ${} matching files in ${}', true, false],
+      [' matching files in ', true, true],
+    ]);
+    const diff = run('strings', '--diff', file1, file2).json;
+    expect(diff).toMatchObject({ command: 'strings --diff', onlyInV1: ['Found ${} matching files in ${}'], onlyInV2: ['Found ${} matching files under ${}'] });
+  });
+
+  test('find --cooked and strings with escapes', () => {
+    const file = join(dir, 'escapes.js');
+    const src = 'function f(){return"Working\\u2026"}function g(){return"Working..."}';
+    writeFileSync(file, src);
+    const found = run('find', file, 'Working…', '--cooked').json;
+    expect(found).toMatchObject({ command: 'find', cooked: true, totalMatches: 1 });
+    expect(found.groups[0].matches[0]).toMatchObject({ offset: src.indexOf('Working'), matchText: 'Working\\u2026' });
+    expect(run('find', file, 'Working…').json.totalMatches).toBe(0);
+    const strings = run('strings', file, '--filter', 'Working…').json.strings;
+    expect(strings.map(s => [s.content, s.cooked])).toEqual([['Working\\u2026', 'Working…']]);
+  });
+
+  test('match, patch-check and slice', () => {
+    const match = run('match', bundle, 'return a\\+b', '--replace', 'return b+a');
+    expect(match.json).toMatchObject({ status: 'UNIQUE', matchCount: 1, preview: { replacedText: 'return b+a' } });
+    const check = run('patch-check', bundle, 'outer');
+    expect(check.code).toBe(1);
+    expect(check.json.status).toBe('AMBIGUOUS');
+    expect(run('slice', bundle, '8', '10').json.code).toBe(SRC.slice(8, 18));
+  });
+
+  test('map and diff-fns', () => {
+    const map = run('map', bundle).json;
+    expect(map).toMatchObject({ total: 3, output: bundle + '.map.json' });
+    const diff = run('diff-fns', bundle, bundle).json;
+    expect(diff).toMatchObject({ command: 'diff-fns', v1: { functions: 3 }, added: [], removed: [] });
+    expect(diff.unchanged).toHaveLength(3);
+  });
+
+  test('vendors build, vendors and --exclude-vendor', () => {
+    const pkg = join(dir, 'node_modules', 'fake-lib');
+    mkdirSync(pkg, { recursive: true });
+    writeFileSync(join(pkg, 'package.json'), JSON.stringify({ name: 'fake-lib', version: '2.0.0' }));
+    const strings = ['fake-lib first message', 'fake-lib second message', 'fake-lib third message', 'fake-lib fourth message', 'fake-lib fifth message'];
+    writeFileSync(join(pkg, 'index.js'), `module.exports = ${JSON.stringify(strings)};`);
+    const file = join(dir, 'vendored.js');
+    writeFileSync(file, `function lib(){return ${JSON.stringify(strings)}}function app(){return lib()}`);
+    const db = join(dir, 'signatures.json');
+
+    expect(run('vendors', 'build', dir, '--db', db).json).toMatchObject({ command: 'vendors build', db, total: 1 });
+    const failed = run('vendors', 'build', join(dir, 'missing'), '--db', db);
+    expect(failed.code).toBe(1);
+    expect(failed.json.error).toContain('does not exist');
+    const vendors = run('vendors', file, '--db', db).json;
+    expect(vendors.packages).toMatchObject([{ name: 'fake-lib', version: '2.0.0', functions: 1 }]);
+    expect(run('map', file, '--exclude-vendor', '--db', db).json.total).toBe(1);
+    expect(run('diff-fns', file, file, '--exclude-vendor', '--db', db).json.v1).toMatchObject({ functions: 1, excluded: 1 });
+    expect(run('vendors', file, '--db', join(dir, 'none.json')).code).toBe(1);
+  });
+
+  test('modules, and --module scoping', () => {
+    const src = 'var H=(A,B)=>()=>(B||A((B={exports:{}}).exports,B),B.exports);' +
+      'var Xa=H((A,B)=>{A.name="module-a"});var Yb=H((A,B)=>{Xa();A.other="module-b"});';
+    const file = join(dir, 'modules.js');
+    writeFileSync(file, src);
+    const modules = run('modules', file).json;
+    expect(modules).toMatchObject({ command: 'modules', total: 2, counts: { cjs: 2 }, helpers: [{ name: 'H', kind: 'cjs' }] });
+    expect(modules.modules[1]).toMatchObject({ id: 'Yb', exports: ['other'], imports: ['Xa'] });
+    expect(run('modules', file, '--module', 'Xa').json.modules).toEqual([modules.modules[0]]);
+
+    const found = run('find', file, 'module-', '--module', 'Yb').json;
+    expect(found).toMatchObject({ module: 'Yb', totalMatches: 1 });
+    expect(found.groups[0].matches[0].offset).toBe(src.indexOf('module-b'));
+    expect(run('strings', file, '--module', 'Xa').json.strings.map(s => s.content)).toEqual(['module-a']);
+    expect(run('map', file, '--module', 'Zz')).toMatchObject({ code: 1, json: { error: expect.stringContaining('No module Zz') } });
+  });
+
+  test('telemetry and telemetry --diff', () => {
+    const events = run('telemetry', bundle).json;
+    expect(events).toMatchObject({ command: 'telemetry', total: 1, calls: 1 });
+    expect(events.events[0]).toMatchObject({ name: 'tengu_evt', keys: [], calls: [{ emitter: 'send', function: { name: 'h' } }] });
+
+    const file = join(dir, 'telemetry.js');
+    writeFileSync(file, SRC.replace('send("tengu_evt")', 'send("tengu_evt",{ok:1});send("tengu_new")'));
+    const diff = run('telemetry', '--diff', bundle, file).json;
+    expect(diff).toMatchObject({ command: 'telemetry --diff', removed: [], changed: [{ name: 'tengu_evt', added: ['ok'], removed: [] }] });
+    expect(diff.added.map(e => e.name)).toEqual(['tengu_new']);
+  });
+
+  test('env and env --diff', () => {
+    const file1 = join(dir, 'env1.js');
+    const file2 = join(dir, 'env2.js');
+    writeFileSync(file1, 'function f(){return process.env.CLAUDE_X||"a"}');
+    writeFileSync(file2, 'function f(){return [process.env.CLAUDE_X||"b",Z1("tengu_gate",!1)]}');
+    const env = run('env', file2).json;
+    expect(env).toMatchObject({ command: 'env', totalEnv: 1, totalGates: 1, env: [{ name: 'CLAUDE_X', defaults: ['"b"'] }], gates: [{ name: 'tengu_gate' }] });
+    const diff = run('env', '--diff', file1, file2).json;
+    expect(diff).toMatchObject({ command: 'env --diff', env: { changed: [{ name: 'CLAUDE_X', defaults: { before: ['"a"'], after: ['"b"'] } }] } });
+    expect(diff.gates.added.map(g => g.name)).toEqual(['tengu_gate']);
+  });
+
+  test('cli-options and cli-options --diff', () => {
+    const file1 = join(dir, 'cli1.js');
+    const file2 = join(dir, 'cli2.js');
+    writeFileSync(file1, 'var p=new C();p.name("tool").option("-v, --verbose","Verbose");');
+    writeFileSync(file2, 'var p=new C();p.name("tool").option("-v, --verbose","Verbose").option("--json","JSON");');
+    const tree = run('cli-options', file1).json;
+    expect(tree).toMatchObject({ command: 'cli-options', total: { commands: 1, options: 1 }, programs: [{ name: 'tool', options: [{ long: '--verbose' }] }] });
+    const diff = run('cli-options', '--diff', file1, file2).json;
+    expect(diff).toMatchObject({ command: 'cli-options --diff', options: { added: [{ command: 'tool', long: '--json' }], removed: [] } });
+  });
+
+  test('schemas and schemas --diff', () => {
+    const file1 = join(dir, 'schemas1.js');
+    const file2 = join(dir, 'schemas2.js');
+    writeFileSync(file1, 'var z={};var S=z.object({name:z.string(),mode:z.enum(["a","b"]).optional()});');
+    writeFileSync(file2, 'var z={};var S=z.object({name:z.string(),mode:z.enum(["a","b"]).optional(),port:z.number()});');
+    const found = run('schemas', file1, '--filter', 'mode').json;
+    expect(found).toMatchObject({ command: 'schemas', filter: 'mode', namespaces: ['z'], total: 1, schemas: [{ name: 'S', properties: 2 }] });
+    expect(found.schemas[0].schema.required).toEqual(['name']);
+    const diff = run('schemas', '--diff', file1, file2).json;
+    expect(diff).toMatchObject({ command: 'schemas --diff', added: [], removed: [], changed: [{ name: 'S', properties: { added: ['port'] } }] });
+  });
+
+  test('tools and tools --diff', () => {
+    const file1 = join(dir, 'tools1.js');
+    const file2 = join(dir, 'tools2.js');
+    writeFileSync(file1, 'var T={name:"Echo",description:"Echo input",call(A){return A},isReadOnly(){return!0}};');
+    writeFileSync(file2, 'var T={name:"Echo",description:"Echo the input",call(A){return A},isReadOnly(){return!0}};');
+    const found = run('tools', file1).json;
+    expect(found).toMatchObject({ command: 'tools', total: 1, tools: [{ name: 'Echo', readOnly: true, description: { text: 'Echo input' } }] });
+    const diff = run('tools', '--diff', file1, file2).json;
+    expect(diff).toMatchObject({ command: 'tools --diff', changed: [{ name: 'Echo', changes: { description: { before: 'Echo input', after: 'Echo the input' } } }] });
+  });
+
+  test('prompts and prompts --diff', () => {
+    const file1 = join(dir, 'prompts1.js');
+    const file2 = join(dir, 'prompts2.js');
+    const text = 'You are a careful assistant that reads every file before editing it and explains each change it makes to the user in plain words.';
+    writeFileSync(file1, `function p(A){return \`${text} Work in \${A.cwd}.\`}`);
+    writeFileSync(file2, `function p(A){return \`${text} Always work in \${A.cwd}.\`}`);
+    const found = run('prompts', file1, '--min-length', '100').json;
+    expect(found).toMatchObject({ command: 'prompts', total: 1, prompts: [{ text: `${text} Work in \${cwd}.`, placeholders: [{ name: 'cwd' }] }] });
+    const diff = run('prompts', '--diff', file1, file2, '--min-length', '100').json;
+    expect(diff).toMatchObject({ command: 'prompts --diff', unchanged: 0, changed: [{ words: [{ removed: 'Work', added: 'Always work' }] }] });
+  });
+});
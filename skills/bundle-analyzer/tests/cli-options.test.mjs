@@ -0,0 +1,74 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { diffCliOptions, findCliOptions } from '../lib/cli-options.mjs';
+
+const PROGRAM = `async function main(){let A=new Cm();A.name("claude").description("Claude Code").argument("[prompt]","Your prompt",String)
+.option("-d, --debug [filter]","Enable debug mode").option("-p, --print","Print response",!1)
+.addOption(new Op("--model <model>","Model").default("sonnet").choices(["a","b"]).env("MODEL").hideHelp())
+.option("--max-turns <n>","Max turns",parseInt,5).version("1.0.0","-v, --version").action(async(B)=>{});
+let M=A.command("mcp").description("Configure MCP servers");
+M.command("serve",{hidden:!0}).description("Start server").option("--port <n>","Port").action(()=>{});
+M.command("add <name> [args...]").description("Add a server").alias("a");
+A.addCommand(new Cm("doctor").description("Check health"));
+A.parse(process.argv)}`;
+
+async function cliOf(src) {
+  return findCliOptions(await parseSource(src), src);
+}
+
+describe('findCliOptions', () => {
+  test('rebuilds the command tree with options, arguments and subcommands', async () => {
+    const { programs, total } = await cliOf(PROGRAM);
+    expect(total).toEqual({ commands: 5, options: 5, arguments: 3 });
+    const [claude] = programs;
+    expect(claude).toMatchObject({ name: 'claude', path: 'claude', description: 'Claude Code', version: '1.0.0' });
+    expect(claude.arguments).toEqual([{ name: 'prompt', required: false, variadic: false, description: 'Your prompt', default: null }]);
+    expect(claude.options.map(o => [o.long, o.short, o.argument, o.default])).toEqual([
+      ['--debug', '-d', '[filter]', null],
+      ['--print', '-p', null, '!1'],
+      ['--model', null, '<model>', '"sonnet"'],
+      ['--max-turns', null, '<n>', '5'],
+    ]);
+    expect(claude.options[0].offset).toBe(PROGRAM.indexOf('option("-d'));
+    expect(claude.options[2]).toMatchObject({ hidden: true, choices: ['a', 'b'], env: 'MODEL', description: 'Model' });
+
+    expect(claude.commands.map(c => c.path)).toEqual(['claude mcp', 'claude doctor']);
+    const [serve, add] = claude.commands[0].commands;
+    expect(serve).toMatchObject({ path: 'claude mcp serve', hidden: true, description: 'Start server', options: [{ long: '--port' }] });
+    expect(add).toMatchObject({ aliases: ['a'], arguments: [{ name: 'name', required: true }, { name: 'args', required: false, variadic: true }] });
+  });
+
+  test('tells same-named receivers in different functions apart, in either order', async () => {
+    const src = 'function a(c){c.description("Install packages");c.option("-g, --global","Global")}' +
+      'function b(c){c.option("--json","JSON output");c.description("List packages")}';
+    const { programs } = await cliOf(src);
+    expect(programs.map(p => [p.path, p.description, p.options.map(o => o.long)])).toEqual([
+      ['(unnamed 1)', 'Install packages', ['--global']],
+      ['(unnamed 2)', 'List packages', ['--json']],
+    ]);
+  });
+
+  test('ignores builder-like chains of other libraries', async () => {
+    const src = 'yargs.command("serve","Start").option("port",{type:"number"});x.name("a").description("b");';
+    expect(await cliOf(src)).toEqual({ programs: [], total: { commands: 0, options: 0, arguments: 0 } });
+  });
+});
+
+describe('diffCliOptions', () => {
+  test('reports added, removed and changed commands, options and arguments', async () => {
+    const a = await cliOf(PROGRAM);
+    const b = await cliOf(PROGRAM
+      .replace('.option("-d, --debug [filter]","Enable debug mode")', '')
+      .replace('"Print response"', '"Print the response"')
+      .replace('.option("--port <n>","Port")', '.option("--port <n>","Port").option("--host <h>","Host")')
+      .replace('A.addCommand(new Cm("doctor").description("Check health"));', ''));
+    const diff = diffCliOptions(a, b);
+    expect(diff.commands).toMatchObject({ added: [], removed: [{ command: 'claude doctor', description: 'Check health' }], changed: [] });
+    expect(diff.options.added).toMatchObject([{ command: 'claude mcp serve', long: '--host' }]);
+    expect(diff.options.removed).toMatchObject([{ command: 'claude', long: '--debug' }]);
+    expect(diff.options.changed).toEqual([
+      { command: 'claude', name: '--print', changes: { description: { before: 'Print response', after: 'Print the response' } } },
+    ]);
+    expect(diff.arguments).toEqual({ added: [], removed: [], changed: [] });
+  });
+});
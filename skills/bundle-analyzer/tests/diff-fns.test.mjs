@@ -1,7 +1,7 @@
 import { describe, test, expect } from 'bun:test';
 import { parseSource } from '../lib/parse.mjs';
 import { buildFunctionMap } from '../lib/map.mjs';
-import { diffFunctions, diffFunctionBody, diffStringSets, categorizeDiff } from '../lib/diff-fns.mjs';
+import { diffFunctions, diffFunctionBody, diffStringSets, categorizeDiff, maxWeightMatching } from '../lib/diff-fns.mjs';
 
 async function mapFromSrc(src) {
   const ast = await parseSource(src);
@@ -63,6 +63,191 @@ describe('diffFunctions', () => {
   });
 });
 
+describe('structural matching', () => {
+  async function shapedMap(src) {
+    const ast = await parseSource(src);
+    return buildFunctionMap(ast, src, { strings: true, shapes: true });
+  }
+
+  // No string literals, so only the structural pass can pair these
+  const LOGIC_V1 = 'function zO6(A,B){let C=0;for(let D=0;D<A.length;D++)if(A[D]>B)C+=A[D]*2;else C-=1;return C}';
+  const LOGIC_V2 = 'var pad=1;function PE7(items,limit){let total=0;for(let index=0;index<items.length;index++)if(items[index]>limit)total+=items[index]*2;else total-=1;return total}';
+
+  test('matches string-less functions whose names all changed', async () => {
+    const diff = diffFunctions(await shapedMap(LOGIC_V1), await shapedMap(LOGIC_V2));
+    expect(diff.unchanged).toHaveLength(1);
+    expect(diff.unchanged[0]).toMatchObject({ name: 'zO6', match: 'shape', confidence: 1, v2Start: LOGIC_V2.indexOf('function PE7') });
+    expect(diff.added).toHaveLength(0);
+  });
+
+  test('lowers confidence when several functions share a shape', async () => {
+    const twice = LOGIC_V1 + LOGIC_V1.replace('zO6', 'zO7');
+    const diff = diffFunctions(await shapedMap(twice), await shapedMap(twice.replace(/zO/g, 'PE')));
+    // Same fingerprint (same size), so pass 1 pairs them before the structural pass
+    expect(diff.unchanged.every(u => u.match === 'fingerprint' && u.confidence === 1)).toBe(true);
+
+    const renamed = twice.replace(/\bA\b/g, 'items').replace(/\bC\b/g, 'total').replace(/zO/g, 'P');
+    const shapeDiff = diffFunctions(await shapedMap(twice), await shapedMap(renamed));
+    expect(shapeDiff.unchanged.map(u => [u.match, u.confidence])).toEqual([['shape', 0.5], ['shape', 0.5]]);
+  });
+
+  test('pairs same-size string-free functions by shape when they swap places', async () => {
+    const v1 = 'function aa(a,b){return a+b*2-a/b+1}function bb(a,b){return a<b?a*b:b-a}';
+    const v2 = 'function cc(x,y){return x<y?x*y:y-x}function dd(x,y){return x+y*2-x/y+1}';
+    const diff = diffFunctions(await shapedMap(v1), await shapedMap(v2));
+    const pairs = Object.fromEntries(diff.unchanged.map(u => [u.name, u.v2Start]));
+    expect(pairs).toEqual({ aa: v2.indexOf('function dd'), bb: 0 });
+    expect(diff.added).toHaveLength(0);
+  });
+
+  test('leaves trivial shapes unmatched', async () => {
+    const diff = diffFunctions(await shapedMap('function a(b){return b}'), await shapedMap('function identity(value){return value}'));
+    expect(diff.unchanged).toHaveLength(0);
+    expect(diff.removed).toHaveLength(1);
+  });
+
+  test('string matches carry their similarity as confidence', async () => {
+    const diff = diffFunctions(
+      await mapFromSrc('function foo(a){return "m1"+"m2"+"m3"}'),
+      await mapFromSrc('function foo(a){if(a)return "m1"+"m2"+"m3"+"m4";return null}'),
+    );
+    expect(diff.modified[0]).toMatchObject({ match: 'strings', confidence: 0.75 });
+  });
+});
+
+describe('string matching assignment', () => {
+  const fn = (name, strings) => `function ${name}(a){return ${strings.map(s => `"${s}"`).join('+')}}`;
+
+  test('does not let an earlier function take a later one\'s only partner', async () => {
+    // X is closest to P, but Y can only pair with P; the best overall pairing is X→Q, Y→P
+    const v1 = [fn('X', ['a', 'b', 'c', 'd', 'e', 'f']), fn('Y', ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'z'])];
+    const v2 = [fn('P', ['a', 'b', 'c', 'd', 'e', 'f', 'g']), fn('Q', ['a', 'b', 'c', 'd', 'e', 'x', 'y'])];
+    const diff = diffFunctions(await mapFromSrc(v1.join('\n')), await mapFromSrc(v2.join('\n')));
+    expect(diff.modified.map(m => [m.name, v2.join('\n').slice(m.v2Start + 9, m.v2Start + 10)])).toEqual([['X', 'Q'], ['Y', 'P']]);
+    expect(diff.removed).toHaveLength(0);
+    expect(diff.added).toHaveLength(0);
+  });
+
+  test('breaks string ties by position', async () => {
+    const strings = ['s1', 's2', 's3'];
+    const v1 = `${fn('A', strings)}\n${fn('B', strings)}`;
+    const v2 = `${fn('C', [...strings, 'n1'])}\n${fn('D', [...strings, 'n2'])}`;
+    const diff = diffFunctions(await mapFromSrc(v1), await mapFromSrc(v2));
+    expect(diff.modified.map(m => m.v2Start)).toEqual([0, v2.indexOf('function D')]);
+  });
+
+  test('pairs thousands of competing functions', async () => {
+    // Every pair is above the similarity threshold; only the own strings tell the partners apart
+    const shared = Array.from({ length: 8 }, (_, i) => `common${i}`);
+    const fns = (tag) => Array.from({ length: 2000 }, (_, i) => fn(`f${i}`, [...shared, `own${i}`, `${tag}${i}`])).join('\n');
+    const map1 = await mapFromSrc(fns('old'));
+    const map2 = await mapFromSrc(fns('new'));
+    const diff = diffFunctions(map1, map2);
+    expect(diff.modified).toHaveLength(2000);
+    expect(diff.modified.every(m => m.v2Start === map2.find(f => f.name === m.name).start)).toBe(true);
+  });
+});
+
+describe('maxWeightMatching', () => {
+  test('solves a large component exactly in a bounded number of steps', () => {
+    // 200 linked copies of a→x 3, a→y 2, b→x 2: taking the heaviest edge first gives 3.1 per copy,
+    // the best pairing a→y, b→x gives 4
+    const edges = [];
+    for (let g = 0; g < 200; g++) {
+      edges.push({ i: 2 * g, j: 2 * g, weight: 3 }, { i: 2 * g, j: 2 * g + 1, weight: 2 }, { i: 2 * g + 1, j: 2 * g, weight: 2 });
+      if (g < 199) edges.push({ i: 2 * g + 1, j: 2 * g + 3, weight: 0.1 });
+    }
+    const { chosen, steps } = maxWeightMatching(edges);
+    expect(chosen.reduce((sum, e) => sum + e.weight, 0)).toBe(800);
+    expect(chosen.every(e => e.weight === 2)).toBe(true);
+    expect(steps).toBeLessThanOrEqual(2 * edges.length);
+  });
+
+  test('leaves a row unmatched rather than lose weight', () => {
+    const { chosen } = maxWeightMatching([{ i: 0, j: 0, weight: 1 }, { i: 1, j: 0, weight: 0.5 }]);
+    expect(chosen).toEqual([{ i: 0, j: 0, weight: 1 }]);
+  });
+});
+
+describe('split, merged and inlined functions', () => {
+  async function shapedMap(src) {
+    return buildFunctionMap(await parseSource(src), src, { strings: true, shapes: true });
+  }
+  async function diffSources(v1, v2) {
+    return diffFunctions(await shapedMap(v1), await shapedMap(v2));
+  }
+
+  test('detects a helper inlined into its caller', async () => {
+    const diff = await diffSources(
+      'function helper(a){return a.x+a.y*2+"tag_alpha"}function caller(q){const m="caller_msg"+"caller_two";const v=helper(q);if(v>3){log(m)}return v}',
+      'function caller(q){const m="caller_msg"+"caller_two";const v=q.x+q.y*2+"tag_alpha";if(v>3){log(m)}return v}',
+    );
+    expect(diff.removed.map(f => f.name)).toEqual(['helper']);
+    expect(diff.inlined).toEqual([{
+      name: 'helper',
+      v1Start: 0,
+      v1End: 48,
+      size: 48,
+      coverage: 1,
+      into: { name: 'caller', v1Start: 48, v2Start: 0, v2End: 107 },
+    }]);
+    expect(diff.split).toEqual([]);
+    expect(diff.merged).toEqual([]);
+  });
+
+  test('counts strings passed as call arguments', async () => {
+    const diff = await diffSources(
+      'function helper(a){log("helper_start");track("helper_done");return a.x}function caller(q){const m="caller_msg"+"caller_two"+"caller_three"+"caller_four";const v=helper(q);if(v>3){log(m)}return v}',
+      'function caller(q){const m="caller_msg"+"caller_two"+"caller_three"+"caller_four";log("helper_start");track("helper_done");const v=q.x;if(v>3){log(m)}return v}',
+    );
+    expect(diff.removed.map(f => f.name)).toEqual(['helper']);
+    expect(diff.inlined.map(f => [f.name, f.into.name])).toEqual([['helper', 'caller']]);
+  });
+
+  test('detects a helper inlined into a string-free caller', async () => {
+    const diff = await diffSources(
+      'function h(x){x.count+=x.step*2;x.total=x.count+x.total*3;return x.total}function c(y){var z=h(y);if(z>4){y.push(z)}for(var i=0;i<z;i++){y.pop()}while(y.length>z*3){y.shift();y.total-=y.step}switch(y.mode){case 1:y.sort();break;default:y.reverse()}return y.length}',
+      'function c(y){y.count+=y.step*2;y.total=y.count+y.total*3;var z=y.total;if(z>4){y.push(z)}for(var i=0;i<z;i++){y.pop()}while(y.length>z*3){y.shift();y.total-=y.step}switch(y.mode){case 1:y.sort();break;default:y.reverse()}return y.length}',
+    );
+    expect(diff.inlined).toEqual([{
+      name: 'h',
+      v1Start: 0,
+      v1End: 73,
+      size: 73,
+      coverage: 1,
+      into: { name: 'c', v1Start: 73, v2Start: 0, v2End: 238 },
+    }]);
+    expect(diff.merged).toEqual([]);
+  });
+
+  test('detects a function split in two', async () => {
+    const diff = await diffSources(
+      'function big(a){const m="split_one"+"split_two";const n=a.p+a.q*3;return "split_three"+"split_four"+n+m}',
+      'function big(a){const m="split_one"+"split_two";return part(a)+m}function part(a){const n=a.p+a.q*3;return "split_three"+"split_four"+n}',
+    );
+    expect(diff.split).toHaveLength(1);
+    expect(diff.split[0]).toMatchObject({ name: 'big', v1Start: 0 });
+    expect(diff.split[0].into.map(f => f.name)).toEqual(['big', 'part']);
+    expect(diff.merged).toEqual([]);
+  });
+
+  test('detects two functions merged into one', async () => {
+    const diff = await diffSources(
+      'function p1(a){return "m_one"+"m_two"+a.k}function p2(b){return "m_three"+"m_four"+b.j}',
+      'function both(a,b){const x="m_one"+"m_two"+a.k;const y="m_three"+"m_four"+b.j;return [x,y]}',
+    );
+    expect(diff.merged).toHaveLength(1);
+    expect(diff.merged[0]).toMatchObject({ name: 'both', v2Start: 0 });
+    expect(diff.merged[0].from.map(f => [f.name, f.coverage])).toEqual([['p1', 1], ['p2', 1]]);
+    expect(diff.inlined).toEqual([]);
+  });
+
+  test('ignores plain additions and removals', async () => {
+    const diff = await diffSources('function a(){return "old_one"+"old_two"}', 'function b(){return "new_one"+"new_two"}');
+    expect(diff).toMatchObject({ split: [], merged: [], inlined: [] });
+  });
+});
+
 describe('diffFunctionBody', () => {
   test('produces unified diff for modified functions', () => {
     const src1 = 'function foo(a){return a+1}';
@@ -0,0 +1,77 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { buildFunctionMap } from '../lib/map.mjs';
+import { diff3Functions } from '../lib/diff3.mjs';
+
+const BASE = `function zO6(A,B){let C=A.items;if(!C)return null;for(const D of C)B.push(D);return B.length}
+function hA(A){let B=0;for(let C=0;C<A;C++)B+=C*2;return "sum:"+B}
+function kQ(A){let B=A.x;let C=A.y;if(B>C)return "big";return "small"}
+function mM(A){let B=A.q;return B*3+"x"}`;
+
+// Our hand patches: one line in each of zO6, kQ and mM
+const OURS = BASE
+  .replace('if(!C)return null;', 'if(!C)return [];')
+  .replace('let B=A.x;', 'let B=A.x+1;')
+  .replace('let B=A.q;', 'let B=A.q+Z9;');
+
+// Upstream renamed zO6 wholesale, added a line to kQ and changed the line we patched in mM
+const THEIRS = `var pad=1;function PE7(x,y){let z=x.items;if(!z)return null;for(const w of z)y.push(w);return y.length}
+function gB(x){let y=0;for(let z=0;z<x;z++)y+=z*2;return "sum:"+y}
+function kQ(A){let B=A.x;let C=A.y;if(B>C)return "big";log("cmp");return "small"}
+function mM(A){let B=A.q||0;return B*3+"x"}`;
+
+async function bundle(src) {
+  return { src, functions: buildFunctionMap(await parseSource(src), src, { strings: true, shapes: true }) };
+}
+
+describe('diff3Functions', () => {
+  test('classifies each function we changed', async () => {
+    const result = diff3Functions(await bundle(BASE), await bundle(OURS), await bundle(THEIRS));
+    expect(result.counts).toEqual({ changed: 3, clean: 1, merged: 1, conflict: 1 });
+    expect(result.functions.map(fn => [fn.name, fn.status])).toEqual([['zO6', 'clean'], ['kQ', 'merged'], ['mM', 'conflict']]);
+    expect(result.addedByUs).toEqual([]);
+  });
+
+  test('replays edits onto renamed code in theirs\' names', async () => {
+    const [zO6] = (diff3Functions(await bundle(BASE), await bundle(OURS), await bundle(THEIRS))).functions;
+    expect(zO6.theirs).toEqual({ start: THEIRS.indexOf('function PE7'), end: THEIRS.indexOf('\nfunction gB') });
+    expect(zO6.renames).toMatchObject({ zO6: 'PE7', A: 'x', C: 'z' });
+    expect(zO6.edits).toEqual([{ line: 3, remove: ['  if(!z)return null;'], add: ['  if(!z)return [];'] }]);
+    expect(zO6.merged).toContain('if(!z)return [];');
+  });
+
+  test('merges around upstream lines and reports overlapping ones', async () => {
+    const [, kQ, mM] = diff3Functions(await bundle(BASE), await bundle(OURS), await bundle(THEIRS)).functions;
+    expect(kQ.merged).toContain('let B=A.x+1;');
+    expect(kQ.merged).toContain('log("cmp")');
+    expect(mM.conflicts).toEqual([{ line: 2, base: ['  let B=A.q;'], ours: ['  let B=A.q+Z9;'], theirs: ['  let B=A.q||0;'] }]);
+    expect(mM.newNames).toEqual(['Z9']);
+    expect(mM.merged).toBeUndefined();
+  });
+
+  test('reports only the innermost changed function', async () => {
+    const base = 'function outer(a){const f=function inner(b){return b+"one"};return a.map(f)+"two"}';
+    const ours = base.replace('b+"one"', 'b+"ONE"');
+    const result = diff3Functions(await bundle(base), await bundle(ours), await bundle(base));
+    expect(result.functions.map(fn => [fn.name, fn.status])).toEqual([['inner', 'clean']]);
+  });
+
+  test('pairs string-free functions with ours by position', async () => {
+    // alpha and gamma share a shape, so after our edit to alpha only its position tells them apart
+    const base = 'function alpha(a){return a+1}\nfunction beta(a){return a*2}\nfunction gamma(a){return a+1}';
+    const ours = base.replace('a*2', 'a*2+Z').replace('a+1}', 'a+1+Z}');
+    const result = diff3Functions(await bundle(base), await bundle(ours), await bundle(base.replace('a*2', 'a*4')));
+    expect(result.functions.map(fn => [fn.name, fn.status, fn.ours.start])).toEqual([
+      ['alpha', 'clean', 0],
+      ['beta', 'conflict', ours.indexOf('function beta')],
+    ]);
+    expect(result.addedByUs).toEqual([]);
+  });
+
+  test('conflicts when upstream dropped the function', async () => {
+    const result = diff3Functions(await bundle(BASE), await bundle(OURS), await bundle('function other(){return "unrelated"}'));
+    expect(result.counts.conflict).toBe(3);
+    expect(result.functions[0]).toMatchObject({ theirs: null, reason: expect.stringContaining('not found in theirs') });
+    expect(result.functions[0].edits).toHaveLength(1);
+  });
+});
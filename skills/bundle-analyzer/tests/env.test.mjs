@@ -0,0 +1,61 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { diffEnv, findEnv } from '../lib/env.mjs';
+
+const TRUTHY = 'function Y0(A){if(!A)return!1;let B=A.toLowerCase().trim();return["1","true","yes","on"].includes(B)}';
+
+async function envOf(src) {
+  return findEnv(await parseSource(src), src);
+}
+
+describe('findEnv', () => {
+  test('collects member, computed, destructured and `in` reads, and writes', async () => {
+    const src = 'function f(){let b=process.env["CLAUDE_B"]||"dflt";const{HOME:h,CLAUDE_F="x",...rest}=process.env;' +
+      'process.env.CLAUDE_E="1";return "CLAUDE_G" in process.env}var v=process.env.X??(process.env.Y&&1);';
+    const { env, gates } = await envOf(src);
+    expect(gates).toEqual([]);
+    const byName = Object.fromEntries(env.map(e => [e.name, e]));
+    expect(Object.keys(byName)).toEqual(['CLAUDE_B', 'CLAUDE_E', 'CLAUDE_F', 'CLAUDE_G', 'HOME', 'X', 'Y']);
+    expect(byName.CLAUDE_B.reads).toEqual([{ offset: src.indexOf('process.env["'), via: 'computed', default: '"dflt"', boolean: false, function: { name: 'f', start: 0 } }]);
+    expect(byName.CLAUDE_F).toMatchObject({ defaults: ['"x"'], reads: [{ via: 'destructure', offset: src.indexOf('CLAUDE_F') }] });
+    expect(byName.CLAUDE_E.reads[0]).toMatchObject({ via: 'write', default: null });
+    expect(byName.CLAUDE_G).toMatchObject({ boolean: true, reads: [{ via: 'in' }] });
+    expect(byName.X).toMatchObject({ defaults: ['(process.env.Y&&1)'], reads: [{ function: null }] });
+  });
+
+  test('tells boolean reads from value reads', async () => {
+    const src = `${TRUTHY}function f(){if(Y0(process.env.A))x();let c=!!process.env.B;if(process.env.C==="1"&&y)z();` +
+      'let d=process.env.D&&process.env.E?1:2;return Y0(process.env.F,1)||process.env.G}';
+    const { env } = await envOf(src);
+    expect(env.map(e => [e.name, e.boolean])).toEqual([
+      ['A', true], ['B', true], ['C', true], ['D', true], ['E', true], ['F', false], ['G', false],
+    ]);
+  });
+
+  test('finds gate checks by their literal defaults or their names', async () => {
+    const src = 'function f(){return Z1("tengu_gate_a",!1)?Z1("tengu_gate_b"):S.checkGate("tengu_gate_c")}' +
+      'Q("tengu_event",{a:1});R("tengu_other");if(W("tengu_gate_d",5))x();';
+    const { gates } = await envOf(src);
+    expect(gates.map(g => [g.name, g.reads[0].via, g.defaults, g.boolean])).toEqual([
+      ['tengu_gate_a', 'Z1', ['!1'], true],
+      ['tengu_gate_b', 'Z1', [], false],
+      ['tengu_gate_c', 'S.checkGate', [], false],
+      ['tengu_gate_d', 'W', ['5'], true],
+    ]);
+  });
+});
+
+describe('diffEnv', () => {
+  test('reports added, removed and changed env vars and gates', async () => {
+    const a = await envOf(`${TRUTHY}function f(){if(Y0(process.env.A))x();return [process.env.B||"d1",process.env.C,Z1("tengu_a",!1)]}`);
+    const b = await envOf(`${TRUTHY}function f(){return [process.env.A,process.env.B||"d2",process.env.N,Z1("tengu_b",!0)]}`);
+    const diff = diffEnv(a, b);
+    expect(diff.env.added.map(e => e.name)).toEqual(['N']);
+    expect(diff.env.removed.map(e => e.name)).toEqual(['C']);
+    expect(diff.env.changed).toEqual([
+      { name: 'A', defaults: { before: [], after: [] }, boolean: { before: true, after: false } },
+      { name: 'B', defaults: { before: ['"d1"'], after: ['"d2"'] }, boolean: { before: false, after: false } },
+    ]);
+    expect([diff.gates.added.map(g => g.name), diff.gates.removed.map(g => g.name)]).toEqual([['tengu_b'], ['tengu_a']]);
+  });
+});
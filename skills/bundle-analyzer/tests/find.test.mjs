@@ -1,5 +1,6 @@
 import { describe, test, expect } from 'bun:test';
-import { findInFunctions, expandShorthands } from '../lib/find.mjs';
+import { findInFunctions, findInStrings, expandShorthands } from '../lib/find.mjs';
+import { scanStrings } from '../lib/strings.mjs';
 
 describe('findInFunctions', () => {
   test('finds string matches with function context', () => {
@@ -72,6 +73,25 @@ describe('findInFunctions', () => {
   });
 });
 
+describe('findInStrings', () => {
+  test('matches decoded contents and reports the escaped source text', () => {
+    const src = 'function f(){return"Press Enter\\u2026\\nor Esc"}function g(){return`Esc\\u2026 ${x} Press Enter\\u2026`}';
+    const result = findInStrings(src, scanStrings(src), 'Enter…');
+    expect(result.totalMatches).toBe(2);
+    const [first, second] = result.groups.map(g => g.matches[0]);
+    expect(first).toMatchObject({ offset: src.indexOf('Enter'), matchText: 'Enter\\u2026' });
+    expect(second).toMatchObject({ offset: src.lastIndexOf('Enter'), matchText: 'Enter\\u2026' });
+    expect(findInFunctions(src, 'Enter…').totalMatches).toBe(0);
+  });
+
+  test('regex mode runs on the decoded text', () => {
+    const src = 'var a="one\\ntwo";var b="one two"';
+    const result = findInStrings(src, scanStrings(src), 'one\\ntwo', { regex: true });
+    expect(result.totalMatches).toBe(1);
+    expect(result.groups[0].matches[0]).toMatchObject({ offset: 7, matchText: 'one\\ntwo' });
+  });
+});
+
 describe('expandShorthands', () => {
   test('expands %V%', () => {
     expect(expandShorthands('%V%')).toBe('[\\w$]+');
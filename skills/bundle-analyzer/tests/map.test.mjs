@@ -1,6 +1,6 @@
 import { describe, test, expect } from 'bun:test';
 import { parseSource } from '../lib/parse.mjs';
-import { buildFunctionMap } from '../lib/map.mjs';
+import { buildFunctionMap, functionShape } from '../lib/map.mjs';
 
 describe('buildFunctionMap', () => {
   test('collects named functions', async () => {
@@ -50,6 +50,14 @@ describe('buildFunctionMap', () => {
     expect(map[0].strings).toContain('hello');
   });
 
+  test('keeps strings passed only as call arguments apart', async () => {
+    const src = 'function foo(){log("hello",`done`);return "done"}';
+    const ast = await parseSource(src);
+    const map = buildFunctionMap(ast, src, { strings: true });
+    expect(map[0].strings).toEqual(['done']);
+    expect(map[0].argStrings).toEqual(['hello']);
+  });
+
   test('sorts by start offset', async () => {
     const src = 'function b(){return 2}function a(){return 1}';
     const ast = await parseSource(src);
@@ -64,3 +72,44 @@ describe('buildFunctionMap', () => {
     expect(map[0].signature).toContain('function foo');
   });
 });
+
+describe('functionShape', () => {
+  async function shapes(src) {
+    return buildFunctionMap(await parseSource(src), src, { shapes: true }).map(fn => fn.shape);
+  }
+
+  test('ignores minified names but keeps properties, globals and literals', async () => {
+    const base = await shapes('var q;function zO6(A,B){let C=A*2;for(let D=0;D<B;D++)C+=Math.max(D,q);return A.items.map(E=>E+C)}');
+    expect(await shapes('var w;function PE7(x,y){let z=x*2;for(let k=0;k<y;k++)z+=Math.max(k,w);return x.items.map(m=>m+z)}')).toEqual(base);
+    expect(await shapes('var w;function PE7(x,y){let z=x*3;for(let k=0;k<y;k++)z+=Math.max(k,w);return x.items.map(m=>m+z)}')).not.toEqual(base);
+    expect(await shapes('var w;function PE7(x,y){let z=x*2;for(let k=0;k<y;k++)z+=Math.min(k,w);return x.items.map(m=>m+z)}')).not.toEqual(base);
+    expect(await shapes('var w;function PE7(x,y){let z=x*2;for(let k=0;k<y;k++)z+=Math.max(k,w);return x.list.map(m=>m+z)}')).not.toEqual(base);
+  });
+
+  test('tells apart closures over different outer variables', async () => {
+    const [outer, inner] = await shapes('function f(a,b){return function(){return a}}');
+    const [outer2, inner2] = await shapes('function f(a,b){return function(){return b}}');
+    expect(inner2).toBe(inner);
+    expect(outer2).not.toBe(outer);
+  });
+
+  test('reuses nested shapes through the memo', async () => {
+    const src = 'function f(a){return function g(b){return a+b}}';
+    const ast = await parseSource(src);
+    const memo = new Map();
+    const shape = functionShape(ast.body[0], memo);
+    expect(memo.size).toBe(2);
+    expect(shape.free).toEqual([]);
+    expect([...memo.values()][0].free).toEqual(['a']);
+  });
+
+  test('sub-shapes follow statements into other functions under other names', async () => {
+    const src = 'function h(a){return a.x+a.y*2}function c(q){const v=q.x+q.y*2;if(v>3){log(v)}return v}function d(){return 1}';
+    const [h, c, d] = buildFunctionMap(await parseSource(src), src, { shapes: true });
+    expect(h.subShapes).toHaveLength(1);
+    expect(c.subShapes).toHaveLength(2); // the initializer and the if statement
+    expect(c.subShapes).toContain(h.subShapes[0]);
+    expect(d.subShapes).toEqual([]); // too small to say anything
+  });
+});
+
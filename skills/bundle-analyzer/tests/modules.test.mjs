@@ -0,0 +1,77 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { findModules } from '../lib/modules.mjs';
+
+// Minified esbuild/bun output: helpers first, then cjs wrappers and esm lazy inits
+const ESBUILD = `var M=Object.defineProperty;
+var H=(A,B)=>()=>(B||A((B={exports:{}}).exports,B),B.exports);
+var L=(A,B)=>()=>(A&&(B=A(A=0)),B);
+var P=(A,B)=>{for(var Q in B)M(A,Q,{get:B[Q],enumerable:!0,configurable:!0})};
+var Xa=H((A,B)=>{A.readConfig=function(){return "config.json"};A.x=1;function f(A){A.shadowed=2}});
+var Yb=H((A,B)=>{var c=Xa();B.exports={load:c.readConfig,save(){return "save-file"}}});
+var Zc={};P(Zc,{render:()=>r1,Tool:()=>T1});
+function draw(){return "draw-frame"}
+var r1,T1;
+var Wd=L(()=>{Xa();r1=function(){return draw()},T1=class{}});
+var Ve=L(()=>{Wd();q=1});
+Ve();Yb();`;
+
+async function modulesOf(src) {
+  return findModules(await parseSource(src), src);
+}
+
+describe('findModules', () => {
+  test('recognises esbuild helpers by what they do', async () => {
+    const { helpers } = await modulesOf(ESBUILD);
+    expect(helpers.map(h => [h.name, h.kind])).toEqual([['H', 'cjs'], ['L', 'esm'], ['P', 'export']]);
+    expect(helpers[0].start).toBe(ESBUILD.indexOf('H=('));
+  });
+
+  test('lists cjs and esm modules with exports, import edges and strings', async () => {
+    const { modules } = await modulesOf(ESBUILD);
+    expect(modules.map(m => [m.id, m.kind])).toEqual([['Xa', 'cjs'], ['Yb', 'cjs'], ['Wd', 'esm'], ['Ve', 'esm']]);
+    const [xa, yb, wd, ve] = modules;
+
+    expect(xa).toMatchObject({ start: ESBUILD.indexOf('Xa=H'), exports: ['readConfig', 'x'], imports: [], importedBy: ['Yb', 'Wd'] });
+    expect(xa.end).toBe(ESBUILD.indexOf(';\nvar Yb'));
+    expect(yb).toMatchObject({ exports: ['load', 'save'], imports: ['Xa'], strings: ['save-file'] });
+    // The esm module takes in the __export call and hoisted declarations ahead of its init
+    expect(wd).toMatchObject({ start: ESBUILD.indexOf('var Zc'), exports: ['render', 'Tool'], imports: ['Xa'], importedBy: ['Ve'] });
+    expect(wd.strings).toEqual(['draw-frame']);
+    // Without __export, an esm module exports the bindings its init assigns
+    expect(ve).toMatchObject({ start: ESBUILD.indexOf('Ve=L'), exports: ['q'], imports: ['Wd'] });
+  });
+
+  test('takes module paths from unminified wrappers', async () => {
+    const src = `var __commonJS = (cb, mod) => function __require() {
+  return mod || (0, cb[Object.keys(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+};
+var require_util = __commonJS({ "node_modules/util/index.js"(exports, module) { module.exports = function util() {}; } });
+var require_app = __commonJS({ "src/app.js"(exports) { exports.run = require_util(); } });`;
+    const { modules } = await modulesOf(src);
+    expect(modules).toMatchObject([
+      { id: 'require_util', path: 'node_modules/util/index.js', exports: ['default'], importedBy: ['require_app'] },
+      { id: 'require_app', path: 'src/app.js', exports: ['run'], imports: ['require_util'] },
+    ]);
+  });
+
+  test('reads webpack module tables', async () => {
+    const src = `(()=>{var e={12:(e,t,n)=>{n.d(t,{a:()=>o});var r=n(34);function o(){return r+"webpack-a"}},
+34:e=>{e.exports="webpack-b"}};function n(t){}})();
+!function(e){}([function(e,t,n){t.x=n(1)},function(e,t){t.y="webpack-c"}]);`;
+    const { helpers, modules } = await modulesOf(src);
+    expect(helpers).toEqual([]);
+    expect(modules.map(m => [m.id, m.kind, m.exports, m.imports])).toEqual([
+      ['12', 'webpack', ['a'], ['34']],
+      ['34', 'webpack', ['default'], []],
+      ['0', 'webpack', ['x'], ['1']],
+      ['1', 'webpack', ['y'], []],
+    ]);
+    expect(modules[0].start).toBe(src.indexOf('12:'));
+  });
+
+  test('ignores plain code and arrays of callbacks', async () => {
+    const src = 'var a=[function(x){return x},function(y){return y}];var b={1:()=>1,"./c":(e,t)=>t};function c(){}';
+    expect(await modulesOf(src)).toEqual({ helpers: [], modules: [] });
+  });
+});
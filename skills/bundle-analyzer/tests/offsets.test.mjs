@@ -0,0 +1,90 @@
+import { describe, test, expect } from 'bun:test';
+import { createOffsetMap, charToLineColumn, lineColumnToChar } from '../lib/offsets.mjs';
+import { beautify } from '../lib/beautify.mjs';
+import { parseSource } from '../lib/parse.mjs';
+import { findInFunctions } from '../lib/find.mjs';
+import { findCalls } from '../lib/calls.mjs';
+
+describe('createOffsetMap', () => {
+  test('is the identity for ASCII sources', () => {
+    const map = createOffsetMap('var a=1;');
+    expect(map.ascii).toBe(true);
+    expect(map.byteLength).toBe(8);
+    expect(map.byteToChar(5)).toBe(5);
+  });
+
+  test('accounts for 2-, 3- and 4-byte characters', () => {
+    const src = 'a"é✓😀"b';
+    const map = createOffsetMap(src);
+    expect(map.byteLength).toBe(Buffer.byteLength(src));
+    const b = src.indexOf('b');
+    expect(map.charToByte(b)).toBe(Buffer.byteLength(src.slice(0, b)));
+    expect(map.byteToChar(map.charToByte(b))).toBe(b);
+    for (let i = 0; i <= src.length; i++) {
+      if (i === src.indexOf('😀') + 1) continue; // low surrogate has no byte position of its own
+      expect(map.byteToChar(map.charToByte(i))).toBe(i);
+    }
+  });
+
+  test('snaps positions inside a multi-byte character to its start', () => {
+    const map = createOffsetMap('x✓y');
+    expect(map.byteToChar(2)).toBe(1);
+    expect(map.byteToChar(3)).toBe(1);
+    expect(map.byteToChar(4)).toBe(2);
+  });
+});
+
+describe('parseSource spans', () => {
+  test('are char offsets after non-ASCII strings', async () => {
+    const src = 'var s="⠋⠙⠹─│";function zO6(A){helper(A)}function helper(){}';
+    const ast = await parseSource(src);
+    const fn = ast.body[1];
+    expect(src.slice(fn.span.start, fn.span.end)).toBe('function zO6(A){helper(A)}');
+
+    // AST-based and string-based tools agree on offsets
+    const found = findInFunctions(src, 'helper(A)');
+    const calls = findCalls(ast, src, src.indexOf('helper(A)'));
+    expect(calls.outgoing[0].offsets).toEqual([found.groups[0].matches[0].offset]);
+  });
+
+  test('start at the file start when it opens with comments', async () => {
+    const src = '/* license ©️ */\n// more\nvar a=1;';
+    const ast = await parseSource(src);
+    expect(ast.body[0].span.start).toBe(src.indexOf('var'));
+  });
+
+  test('stay right for files parsed concurrently', async () => {
+    const srcs = ['/* a */\nvar a=1;', '// ©️\nvar b="é";', 'var c=3;'];
+    const asts = await Promise.all(srcs.map(src => parseSource(src)));
+    expect(asts.map((ast, i) => srcs[i].slice(ast.body[0].span.start, ast.body[0].span.end))).toEqual(['var a=1;', 'var b="é";', 'var c=3;']);
+  });
+
+  test('cover spread arguments', async () => {
+    const src = 'f("é",...xs)';
+    const arg = (await parseSource(src)).body[0].expression.arguments[1];
+    expect(src.slice(arg.spread.start, arg.expression.span.end)).toBe('...xs');
+  });
+});
+
+describe('beautified line:column', () => {
+  const src = 'function f(a){if(a){return 1}return 2}';
+  const beautified = beautify(src);
+
+  test('maps chars to beautified positions and back', () => {
+    const ret = src.indexOf('return 1');
+    const pos = charToLineColumn(src, beautified, ret);
+    expect(beautified.text.split('\n')[pos.line - 1].slice(pos.column - 1)).toBe('return 1');
+    expect(lineColumnToChar(src, beautified, pos.line, pos.column)).toBe(ret);
+  });
+
+  test('maps closing braces to their own offset', () => {
+    const lines = beautified.text.split('\n');
+    const last = lines.length;
+    expect(lineColumnToChar(src, beautified, last, lines[last - 1].indexOf('}') + 1)).toBe(src.length - 1);
+  });
+
+  test('reports out-of-range positions', () => {
+    expect(lineColumnToChar(src, beautified, 99, 1).error).toContain('outside the beautified output');
+    expect(charToLineColumn(src, beautified, src.length + 5).error).toContain('outside the file');
+  });
+});
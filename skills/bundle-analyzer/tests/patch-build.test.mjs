@@ -0,0 +1,107 @@
+import { describe, test, expect } from 'bun:test';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { buildPatchScript, parseReplaceTemplate, renderTemplate, resolveCaptureNames } from '../lib/patch-build.mjs';
+
+const SRC = 'var x=1;async function zO6(A,q){if((await A()).queuedCommands.length===0)return;q(1)}';
+const SPEC = {
+  name: 'task-notification',
+  match: 'async function (%V%)\\((%V%),(%V%)\\)\\{',
+  captures: ['dequeueFn', 'paramA', 'paramQ'],
+  replaceTemplate: 'async function ${dequeueFn}(${paramA},${paramQ}){/*PATCHED:task-notification*/${paramQ}(0);',
+};
+
+describe('parseReplaceTemplate', () => {
+  test('splits text and identifier placeholders', () => {
+    expect(parseReplaceTemplate('a${x}b')).toEqual([{ text: 'a' }, { name: 'x' }, { text: 'b' }]);
+  });
+
+  test('keeps non-identifier ${...} as text', () => {
+    expect(parseReplaceTemplate('`id_${A.id}`')).toEqual([{ text: '`id_${A.id}`' }]);
+  });
+
+  test('\\${ escapes a literal placeholder', () => {
+    expect(renderTemplate('\\${x}', { x: 'nope' })).toBe('${x}');
+  });
+});
+
+describe('resolveCaptureNames', () => {
+  test('fills unnamed groups with $N', () => {
+    expect(resolveCaptureNames(['fn'], 3).names).toEqual(['fn', '$2', '$3']);
+  });
+
+  test('rejects more names than groups', () => {
+    expect(resolveCaptureNames(['a', 'b'], 1).error).toBeDefined();
+  });
+
+  test('rejects names reserved by the generated script', () => {
+    expect(resolveCaptureNames(['src'], 1).error).toContain('reserved');
+  });
+});
+
+describe('buildPatchScript', () => {
+  test('generates a script for a unique match', () => {
+    const result = buildPatchScript(SRC, SPEC);
+    expect(result.error).toBeUndefined();
+    expect(result.status).toBe('UNIQUE');
+    expect(result.bindings).toEqual({ dequeueFn: 'zO6', paramA: 'A', paramQ: 'q' });
+    expect(result.preview.replacedText).toBe('async function zO6(A,q){/*PATCHED:task-notification*/q(0);');
+    expect(result.script).toContain("const MARKER = \"/*PATCHED:task-notification*/\"");
+    expect(result.script).toContain('const [fullMatch, dequeueFn, paramA, paramQ] = match;');
+  });
+
+  test('refuses ambiguous patterns', () => {
+    const result = buildPatchScript('function a(){}function b(){}', { ...SPEC, match: 'function (%V%)\\(\\)', captures: ['fn'] });
+    expect(result.status).toBe('AMBIGUOUS');
+    expect(result.script).toBeUndefined();
+    expect(result.error).toContain('ambiguous');
+  });
+
+  test('refuses patterns that are not found', () => {
+    const result = buildPatchScript('var y=2', SPEC);
+    expect(result.status).toBe('NOT_FOUND');
+    expect(result.script).toBeUndefined();
+  });
+
+  test('refuses an already patched bundle', () => {
+    const result = buildPatchScript(SRC + '/*PATCHED:task-notification*/', SPEC);
+    expect(result.error).toContain('already contains marker');
+  });
+
+  test('rejects placeholders that are not captures', () => {
+    const result = buildPatchScript(SRC, { ...SPEC, replaceTemplate: '${dequeueFn}${hstCheck}' });
+    expect(result.error).toContain('hstCheck');
+  });
+
+  test('prepends the marker when the template lacks one', () => {
+    const result = buildPatchScript(SRC, { ...SPEC, replaceTemplate: 'async function ${dequeueFn}(${paramA},${paramQ}){' });
+    expect(result.preview.replacedText.startsWith('/*PATCHED:task-notification*/')).toBe(true);
+    expect(result.warnings.length).toBe(1);
+  });
+
+  test('generated script applies once and is idempotent', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'patch-build-'));
+    try {
+      const cliPath = join(dir, 'cli.js');
+      const scriptPath = join(dir, 'apply.mjs');
+      writeFileSync(cliPath, SRC);
+
+      const result = buildPatchScript(SRC, { ...SPEC, cliPath: 'cli.js' });
+      writeFileSync(scriptPath, result.script);
+
+      const first = execFileSync(process.execPath, [scriptPath], { encoding: 'utf-8' });
+      expect(first).toContain('Patch applied successfully');
+      expect(readFileSync(cliPath, 'utf-8')).toBe(SRC.replace(
+        'async function zO6(A,q){',
+        'async function zO6(A,q){/*PATCHED:task-notification*/q(0);',
+      ));
+
+      const second = execFileSync(process.execPath, [scriptPath, cliPath], { encoding: 'utf-8' });
+      expect(second).toContain('Already patched');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
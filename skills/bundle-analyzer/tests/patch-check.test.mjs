@@ -1,5 +1,6 @@
 import { describe, test, expect } from 'bun:test';
-import { checkPatch } from '../lib/patch-check.mjs';
+import { parseSource } from '../lib/parse.mjs';
+import { checkPatch, checkASTPatch } from '../lib/patch-check.mjs';
 
 describe('checkPatch', () => {
   test('returns UNIQUE for single match', () => {
@@ -84,3 +85,23 @@ describe('checkPatch', () => {
     expect(result.preview.after).toContain('function foo_new(a)');
   });
 });
+
+describe('checkASTPatch', () => {
+  test('checks structural patterns with the same status semantics', async () => {
+    const src = 'function foo(a){return bar(a,1)}function baz(b){return bar(b,2)}';
+    const ast = await parseSource(src);
+
+    expect((await checkASTPatch(src, ast, 'bar($A, $N)')).status).toBe('AMBIGUOUS');
+
+    const result = await checkASTPatch(src, ast, 'bar($A, 2)', 'bar($A, 3)');
+    expect(result.status).toBe('UNIQUE');
+    expect(result.preview.after).toContain('return bar(b, 3)');
+  });
+
+  test('does not warn about metavariables as short identifiers', async () => {
+    const src = 'function foo(a){return fetchData(a,1)}';
+    const result = await checkASTPatch(src, await parseSource(src), 'fetchData($A, $N)');
+    expect(result.warnings).toEqual([]);
+    expect((await checkASTPatch(src, await parseSource(src), 'foo($A)')).warnings[0]).toContain('[foo]');
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, test, expect } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  loadManifest, validateManifest, patchStatus, applyManifest, revertManifest, readPatchState,
+} from '../lib/patch-manifest.mjs';
+
+const SRC = 'var x=1;async function zO6(A,q){if((await A()).queuedCommands.length===0)return;q(1)}function k(a){return a+1}';
+
+const { manifest: MANIFEST } = validateManifest({
+  name: 'demo',
+  steps: [
+    {
+      name: 'one',
+      match: 'async function (%V%)\\((%V%),(%V%)\\)\\{',
+      captures: ['fn', 'a', 'q'],
+      replace: 'async function ${fn}(${a},${q}){/*PATCHED:one*/${q}(0);',
+    },
+    {
+      name: 'two',
+      match: 'function k\\((%V%)\\)\\{return',
+      captures: ['p'],
+      replace: 'function k(${p}){/*PATCHED:two*/return',
+    },
+  ],
+});
+
+describe('validateManifest', () => {
+  test('fills in default markers', () => {
+    expect(MANIFEST.steps[0].marker).toBe('/*PATCHED:one*/');
+  });
+
+  test('rejects duplicate step names', () => {
+    const { error } = validateManifest({ steps: [{ name: 'a', match: 'x', replace: 'y' }, { name: 'a', match: 'x', replace: 'y' }] });
+    expect(error).toContain('Duplicate');
+  });
+
+  test('rejects steps without a replace template', () => {
+    const { error } = validateManifest({ steps: [{ name: 'a', match: 'x' }] });
+    expect(error).toContain('replace');
+  });
+});
+
+describe('loadManifest', () => {
+  test('loads JSON and ESM manifests', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'patch-manifest-'));
+    try {
+      const steps = [{ name: 'a', match: 'x', replace: 'y' }];
+      writeFileSync(join(dir, 'm.json'), JSON.stringify({ name: 'json', steps }));
+      writeFileSync(join(dir, 'm.mjs'), `export default ${JSON.stringify({ name: 'esm', steps })};`);
+
+      expect((await loadManifest(join(dir, 'm.json'))).manifest.name).toBe('json');
+      expect((await loadManifest(join(dir, 'm.mjs'))).manifest.name).toBe('esm');
+      expect((await loadManifest(join(dir, 'missing.json'))).error).toBeDefined();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('readPatchState', () => {
+  test('rejects corrupt state and another manifest\'s pre-images', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'patch-state-'));
+    try {
+      const path = join(dir, 'cli.js.patch-state.json');
+      expect(readPatchState(path, 'demo').state).toEqual({ version: 1, manifest: 'demo', preimages: [] });
+      writeFileSync(path, '{"version":1,');
+      expect(readPatchState(path, 'demo').error).toContain('Could not read patch state');
+      writeFileSync(path, JSON.stringify({ version: 1, manifest: 'other', preimages: [{ name: 'one' }] }));
+      expect(readPatchState(path, 'demo').error).toContain('"other"');
+      expect(readPatchState(path, 'other').state.preimages).toEqual([{ name: 'one' }]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('patchStatus', () => {
+  test('reports applicable steps on a pristine bundle', () => {
+    const { steps } = patchStatus(SRC, MANIFEST);
+    expect(steps.map(s => s.status)).toEqual(['applicable', 'applicable']);
+  });
+
+  test('reports applied, ambiguous and broken steps', () => {
+    const src = SRC.replace('{return', '{/*PATCHED:two*/return') + 'async function b(c,d){}';
+    const broken = { ...MANIFEST.steps[1], name: 'three', marker: '/*PATCHED:three*/', match: 'nope' };
+    const { steps } = patchStatus(src, { steps: [MANIFEST.steps[0], MANIFEST.steps[1], broken] });
+    expect(steps.map(s => s.status)).toEqual(['ambiguous', 'applied', 'broken']);
+  });
+});
+
+describe('applyManifest / revertManifest', () => {
+  test('applies steps in order and records pre-images', () => {
+    const result = applyManifest(SRC, MANIFEST);
+    expect(result.error).toBeUndefined();
+    expect(result.src).toContain('async function zO6(A,q){/*PATCHED:one*/q(0);');
+    expect(result.src).toContain('function k(a){/*PATCHED:two*/return');
+    expect(result.preimages.map(p => p.name)).toEqual(['one', 'two']);
+    expect(result.preimages[0].original).toBe('async function zO6(A,q){');
+  });
+
+  test('skips steps that are already applied', () => {
+    const once = applyManifest(SRC, MANIFEST);
+    const twice = applyManifest(once.src, MANIFEST);
+    expect(twice.src).toBe(once.src);
+    expect(twice.steps.every(s => s.status === 'skipped')).toBe(true);
+  });
+
+  test('leaves source untouched when a step fails', () => {
+    const bad = { steps: [MANIFEST.steps[0], { ...MANIFEST.steps[1], match: 'nope' }] };
+    const result = applyManifest(SRC, bad);
+    expect(result.error).toContain('two');
+    expect(result.src).toBe(SRC);
+    expect(result.preimages).toEqual([]);
+  });
+
+  test('revert restores the original bundle', () => {
+    const applied = applyManifest(SRC, MANIFEST);
+    const reverted = revertManifest(applied.src, MANIFEST, applied.preimages);
+    expect(reverted.error).toBeUndefined();
+    expect(reverted.src).toBe(SRC);
+    expect(reverted.remaining).toEqual([]);
+  });
+
+  test('revert fails without a pre-image for an applied step', () => {
+    const applied = applyManifest(SRC, MANIFEST);
+    const reverted = revertManifest(applied.src, MANIFEST, applied.preimages.slice(0, 1));
+    expect(reverted.error).toContain('pre-image');
+    expect(reverted.src).toBe(applied.src);
+  });
+});
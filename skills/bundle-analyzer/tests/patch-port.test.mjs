@@ -0,0 +1,103 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { buildFunctionMap } from '../lib/map.mjs';
+import { diffFunctions } from '../lib/diff-fns.mjs';
+import { validateManifest, applyManifest } from '../lib/patch-manifest.mjs';
+import { matchPattern } from '../lib/match.mjs';
+import { portManifest } from '../lib/patch-port.mjs';
+
+const V1 = 'var x=1;async function zO6(A,q){if((await A()).queuedCommands.length===0)return;Kq("tick");q(1)}function k(a){return a+1}';
+// Same code, minifier picked new names for the function, its params and the helper
+const V2 = 'var y=2;async function Pa(B,w){if((await B()).queuedCommands.length===0)return;Xz("tick");w(1)}function k(a){return a+1}';
+
+const { manifest: MANIFEST } = validateManifest({
+  name: 'demo',
+  steps: [
+    {
+      name: 'drain',
+      match: 'async function (%V%)\\((%V%),(%V%)\\)\\{if\\(\\(await A\\(\\)\\)\\.queuedCommands\\.length===0\\)return;Kq\\(',
+      captures: ['fn', 'a', 'q'],
+      replace: 'async function ${fn}(${a},${q}){/*PATCHED:drain*/if((await ${a}()).queuedCommands.length===0)return;Kq(',
+    },
+    {
+      name: 'inc',
+      match: 'function k\\((%V%)\\)\\{return',
+      captures: ['p'],
+      replace: 'function k(${p}){/*PATCHED:inc*/return',
+    },
+  ],
+});
+
+async function port(src1, src2, manifest = MANIFEST) {
+  const map1 = buildFunctionMap(await parseSource(src1), src1, { strings: true });
+  const map2 = buildFunctionMap(await parseSource(src2), src2, { strings: true });
+  return portManifest(manifest, { src1, src2, map1, diff: diffFunctions(map1, map2) });
+}
+
+describe('portManifest', () => {
+  test('keeps steps that still match uniquely', async () => {
+    const { report } = await port(V1, V2);
+    const inc = report.find(r => r.name === 'inc');
+    expect(inc.status).toBe('unchanged');
+  });
+
+  test('rewrites renamed identifiers in the pattern as captures', async () => {
+    const { manifest, report } = await port(V1, V2);
+    const drain = report.find(r => r.name === 'drain');
+    expect(drain.status).toBe('ported');
+    expect(drain.renamed).toEqual({ zO6: 'Pa', A: 'B', q: 'w', Kq: 'Xz' });
+    expect(drain.newOffset).toBe(V2.indexOf('async function Pa'));
+
+    const step = manifest.steps[0];
+    expect(step.captures).toEqual(['fn', 'a', 'q', 'renamed_Kq']);
+    // The old param A is the same binding as capture "a" — a backreference, not a new group
+    expect(step.match).toContain('await \\2\\(');
+  });
+
+  test('keeps the general parts of the original pattern', async () => {
+    const { manifest: general } = validateManifest({
+      name: 'general',
+      steps: [{
+        name: 'drain',
+        match: 'async function (%V%)\\([^)]*\\)\\{if\\(\\(await A\\(\\)\\)\\.queuedCommands\\.length\\s*===\\s*0\\)return;(?:Kq|Lq)\\(',
+        captures: ['fn'],
+        replace: 'async function ${fn}(){/*PATCHED:drain*/',
+      }],
+    });
+    const { manifest, report } = await port(V1, V2, general);
+    expect(report[0].status).toBe('ported');
+    const step = manifest.steps[0];
+    expect(step.match).toBe('async function (%V%)\\([^)]*\\)\\{if\\(\\(await (%V%)\\(\\)\\)\\.queuedCommands\\.length\\s*===\\s*0\\)return;(?:(%V%)|Lq)\\(');
+    expect(step.captures).toEqual(['fn', 'renamed_A', 'renamed_Kq']);
+    expect(matchPattern(V2, step.match).matches[0].offset).toBe(V2.indexOf('async function Pa'));
+  });
+
+  test('flags identifiers baked into the replace template', async () => {
+    const { report } = await port(V1, V2);
+    const drain = report.find(r => r.name === 'drain');
+    expect(drain.confidence).toBe('low');
+    expect(drain.warnings.some(w => w.includes('Kq'))).toBe(true);
+  });
+
+  test('ported manifest applies to the new bundle', async () => {
+    const { manifest } = await port(V1, V2);
+    const result = applyManifest(V2, manifest);
+    expect(result.error).toBeUndefined();
+    expect(result.src).toContain('async function Pa(B,w){/*PATCHED:drain*/if((await B()).queuedCommands');
+  });
+
+  test('reports steps whose code is gone', async () => {
+    const v2 = 'var y=2;async function Pa(B,w){return w(2)}function k(a){return a+1}';
+    const { report, manifest } = await port(V1, v2);
+    const drain = report.find(r => r.name === 'drain');
+    expect(drain.status).toBe('failed');
+    expect(drain.reason).toBeDefined();
+    expect(manifest.steps[0]).toBe(MANIFEST.steps[0]);
+  });
+
+  test('refuses to port from an already patched bundle', async () => {
+    const { src } = applyManifest(V1, MANIFEST);
+    const { report } = await port(src, V2);
+    expect(report.find(r => r.name === 'drain').reason).toContain('already patched');
+  });
+});
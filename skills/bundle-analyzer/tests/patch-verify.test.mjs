@@ -0,0 +1,56 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { verifyPatch } from '../lib/patch-verify.mjs';
+
+const SRC = 'var x=1;async function zO6(A,q){if((await A()).queuedCommands.length===0)return;q(1)}function k(a){return a+1}';
+const TARGET = 'if((await A()).queuedCommands.length===0)return;';
+
+async function verify(replacement, target = TARGET, src = SRC) {
+  return verifyPatch(src, await parseSource(src), { offset: src.indexOf(target), length: target.length, replacement });
+}
+
+describe('verifyPatch', () => {
+  test('passes a replacement confined to the target function', async () => {
+    const result = await verify('if(!A)return;');
+    expect(result.ok).toBe(true);
+    expect(result.target).toMatchObject({ name: 'zO6', change: 'modified', v2End: 85 - 35 });
+    expect(result.functions).toMatchObject({ shifted: 1, enclosing: 1 });
+    expect(result.patched).toContain('{if(!A)return;q(1)}');
+  });
+
+  test('fails when the patched bundle does not parse', async () => {
+    const result = await verify('if(');
+    expect(result.ok).toBe(false);
+    expect(result.parseError).toBeDefined();
+    expect(result.errors[0]).toContain('does not parse');
+  });
+
+  test('fails when functions outside the target change', async () => {
+    const result = await verify('if(!A)return;}function j(){');
+    expect(result.ok).toBe(false);
+    expect(result.unexpected.map(u => u.name)).toEqual(['zO6', 'j']);
+  });
+
+  test('flags new identifiers that do not resolve', async () => {
+    const result = await verify('if(!Zz)return;');
+    expect(result.ok).toBe(false);
+    expect(result.identifiers).toEqual([{ name: 'Zz', offset: SRC.indexOf(TARGET) + 4, resolved: false, scope: null }]);
+  });
+
+  test('resolves new identifiers through scopes, hoisting and globals', async () => {
+    const result = await verify('var Qq=x;if(!Qq||typeof Map>"u")return;');
+    expect(result.ok).toBe(true);
+    expect(result.identifiers.map(i => [i.name, i.resolved])).toEqual([['Qq', true], ['x', true], ['Map', true]]);
+  });
+
+  test('ignores property names and object keys', async () => {
+    const result = await verify('if(A.notAVariable||{alsoNot:1})return;');
+    expect(result.identifiers).toEqual([]);
+  });
+
+  test('allows functions inside the replaced text to be added and removed', async () => {
+    const result = await verify('function k(b){return b+2}', 'function k(a){return a+1}');
+    expect(result.ok).toBe(true);
+    expect(result.changed.map(c => c.change)).toEqual(['removed', 'added']);
+  });
+});
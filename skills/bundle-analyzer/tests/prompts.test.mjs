@@ -0,0 +1,80 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { diffPrompts, findPrompts, wordDiff } from '../lib/prompts.mjs';
+
+const FILLER = 'Always explain what you are about to do before you do it, keep answers short, and never guess file contents you have not read.';
+
+const BUNDLE = (rule) => `var Kx="Bash";
+function sys(A,B){return \`You are an interactive agent that helps users with software engineering tasks. Use the \${Kx} tool to run commands.
+The working directory is \${A.cwd}. Today is \${getDate()}. ${FILLER} ${rule}
+\${B?\`When sandboxed, commands cannot reach the network. ${FILLER}\`:""}\`}
+var help="Usage: tool [options]. " + Kx + " runs the command you give it. " + "${FILLER}" + ["", "- first item", "- second item"].join("\\n");
+var d1="${FILLER} Duplicated text.",d2="${FILLER} Duplicated text.";
+var css="body{margin:0;padding:0}a{color:red;text-decoration:none}p{margin:0 0 1em;line-height:1.5}h1{font-size:2em;font-weight:bold}";`;
+
+async function promptsOf(src, options) {
+  return findPrompts(await parseSource(src), src, { minLength: 100, ...options });
+}
+
+describe('findPrompts', () => {
+  test('reassembles templates, concatenations and joined arrays with placeholders', async () => {
+    const src = BUNDLE('Be concise.');
+    const { total, prompts } = await promptsOf(src);
+    expect(total).toBe(4);
+    const [system, help] = prompts;
+
+    expect(system.text.startsWith('You are an interactive agent that helps users with software engineering tasks. Use the Bash tool')).toBe(true);
+    expect(system.text).toContain('The working directory is ${cwd}. Today is ${getDate()}.');
+    expect(system.text.endsWith('Be concise.\n${expr}')).toBe(true);
+    expect(system.placeholders.map(p => [p.name, p.source])).toEqual([['cwd', 'A.cwd'], ['getDate()', 'getDate()'], ['expr', expect.stringMatching(/^B\?`When sandboxed/)]]);
+    expect(system.placeholders[0].offset).toBe(src.indexOf('A.cwd'));
+    expect(system.function).toEqual({ name: 'sys', start: src.indexOf('function sys') });
+
+    expect(help.text).toBe(`Usage: tool [options]. Bash runs the command you give it. ${FILLER}\n- first item\n- second item`);
+    // The join separators are parts too
+    expect(help.parts).toBe(9);
+    expect(help.offset).toBe(src.indexOf('"Usage'));
+  });
+
+  test('ranks by length, dedupes identical texts and leaves out code', async () => {
+    const src = BUNDLE('Be concise.');
+    const { prompts } = await promptsOf(src);
+    expect(prompts.map(p => p.length)).toEqual([...prompts.map(p => p.length)].sort((a, b) => b - a));
+    // The template nested in an interpolation is a text of its own
+    expect(prompts.some(p => p.text.startsWith('When sandboxed'))).toBe(true);
+    const dup = prompts.find(p => p.text.endsWith('Duplicated text.'));
+    expect(dup.offsets).toEqual([src.indexOf(`"${FILLER} Duplicated`), src.lastIndexOf(`"${FILLER} Duplicated`)]);
+    expect(prompts.some(p => p.text.startsWith('body{'))).toBe(false);
+    expect((await promptsOf(src, { filter: 'Usage:' })).prompts).toHaveLength(1);
+    expect((await promptsOf(src, { minLength: 300 })).prompts).toHaveLength(1);
+  });
+});
+
+describe('wordDiff', () => {
+  test('reports word-level edits with context', () => {
+    const edits = wordDiff('one two three four five six', 'one two 3 four five six seven');
+    expect(edits).toEqual([
+      { at: 8, removed: 'three', added: '3', before: 'one two ', after: ' four five six seven' },
+      { at: 23, removed: '', added: ' seven', before: 'one two 3 four five six', after: '' },
+    ]);
+  });
+});
+
+describe('diffPrompts', () => {
+  test('pairs reworded prompts and lists added and removed ones', async () => {
+    const v1 = await promptsOf(BUNDLE('Be concise.'));
+    const v2src = BUNDLE('Be very concise and direct.').replace(/var d1=.*\n/, '');
+    const v2 = await promptsOf(v2src);
+    const diff = diffPrompts(v1, v2);
+    expect(diff.unchanged).toBe(2);
+    expect(diff.added).toEqual([]);
+    expect(diff.removed.map(p => p.text.slice(-16))).toEqual(['Duplicated text.']);
+    expect(diff.changed).toHaveLength(1);
+    const [changed] = diff.changed;
+    expect(changed.offset).toBe(v2src.indexOf('`You are'));
+    expect(changed.length.after - changed.length.before).toBe(16);
+    expect(changed.words).toEqual([{
+      at: changed.text.indexOf('very'), removed: 'concise.', added: 'very concise and direct.', before: 'contents you have not read. Be ', after: '\n${expr}',
+    }]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { buildFunctionMap } from '../lib/map.mjs';
+import { buildScopeTree } from '../lib/scope.mjs';
+import { buildCallIndex } from '../lib/calls.mjs';
+import { buildRenameMap, neighbourVotes, MAX_NEIGHBOURS } from '../lib/rename-map.mjs';
+
+const OLD = `var Qa={get(k){return k}};class Kb{run(){return zO6(1)}}
+function zO6(A){let B=0;for(let C=0;C<A;C++)B+=hA(C);return Qa.get(B)}
+function hA(A){return A*A+1}
+function helperName(){return 1}
+var configDir=process.env.HOME`;
+
+const NEW = `function PE7(x){let y=0;for(let z=0;z<x;z++)y+=gB(z);return Rm.get(y)}
+var Rm={get(k){return k}};class Zc{run(){return PE7(1)}}
+function gB(x){return x*x+1}
+function helperName(){return 1}
+var configDir=process.env.HOME`;
+
+async function bundle(src) {
+  const ast = await parseSource(src);
+  return {
+    functions: buildFunctionMap(ast, src, { strings: true, shapes: true }),
+    scopeTree: buildScopeTree(ast, src.length),
+    calls: buildCallIndex(ast),
+  };
+}
+
+describe('buildRenameMap', () => {
+  test('maps renamed functions, and the bindings they reference', async () => {
+    const result = buildRenameMap(await bundle(OLD), await bundle(NEW));
+    expect(result.mapping).toEqual({ Qa: 'Rm', Kb: 'Zc', zO6: 'PE7', hA: 'gB', helperName: 'helperName', configDir: 'configDir' });
+    expect(result.unmapped).toEqual({ old: [], new: [] });
+
+    const byOld = Object.fromEntries(result.entries.map(e => [e.old, e]));
+    expect(byOld.zO6).toMatchObject({ kind: 'function', oldOffset: OLD.indexOf('function zO6'), newOffset: 0 });
+    expect(byOld.zO6.via).toStartWith('diff-fns');
+    expect(byOld.Qa).toMatchObject({ kind: 'variable', via: 'references', newOffset: NEW.indexOf('Rm=') });
+    expect(byOld.Kb).toMatchObject({ kind: 'class', via: 'references' });
+    expect(byOld.configDir).toMatchObject({ via: 'same name', confidence: 0.5 });
+    for (const e of result.entries) expect(e.confidence).toBeGreaterThan(0);
+  });
+
+  test('maps unchanged long names before neighbours vote', async () => {
+    const old = `function zO6(A){let B=0;for(let C=0;C<A;C++)B+=helperName(C);return B}
+var helperName=function(A){return A*A+1}`;
+    // The caller's partner calls Xy where it called helperName, and helperName changed
+    const cur = `function PE7(x){let y=0;for(let z=0;z<x;z++)y+=Xy(z);return y}
+var Xy=function(x){return x-1};
+var helperName=function(x){if(x>2)return x*x+1;return 0}`;
+    const result = buildRenameMap(await bundle(old), await bundle(cur));
+    expect(result.mapping).toEqual({ zO6: 'PE7', helperName: 'helperName' });
+    expect(result.unmapped.new).toEqual(['Xy']);
+  });
+
+  test('leaves bindings without evidence unmapped', async () => {
+    const result = buildRenameMap(await bundle('var a=1;function fooBar(){return 2}'), await bundle('var b="x";'));
+    expect(result.mapping).toEqual({});
+    expect(result.unmapped).toEqual({ old: ['a', 'fooBar'], new: ['b'] });
+  });
+});
+
+describe('neighbourVotes', () => {
+  const symbols = (prefix, count) => new Set(Array.from({ length: count }, (_, i) => ({ name: `${prefix}${i}`, kind: 'function' })));
+
+  test('splits votes between the open neighbours of a mapped pair', () => {
+    const votes = new Map();
+    neighbourVotes(votes, symbols('a', MAX_NEIGHBOURS), symbols('b', MAX_NEIGHBOURS), new Map(), new Set());
+    expect(votes.size).toBe(MAX_NEIGHBOURS);
+    expect([...votes.values()][0].size).toBe(MAX_NEIGHBOURS);
+  });
+
+  test('skips hubs with more than MAX_NEIGHBOURS open neighbours', () => {
+    const votes = new Map();
+    neighbourVotes(votes, symbols('a', MAX_NEIGHBOURS + 1), symbols('b', 2), new Map(), new Set());
+    neighbourVotes(votes, symbols('a', 2), symbols('b', MAX_NEIGHBOURS + 1), new Map(), new Set());
+    expect(votes.size).toBe(0);
+  });
+});
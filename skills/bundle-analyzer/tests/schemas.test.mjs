@@ -0,0 +1,93 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { diffSchemas, findSchemas } from '../lib/schemas.mjs';
+
+const SETTINGS = `var h={};var Mode=h.enum(["default","plan"]);
+var Hook=h.object({type:h.literal("command"),command:h.string().describe("Shell command"),timeout:h.number().int().positive().optional()});
+var Settings=h.object({enableWeakerNetworkIsolation:h.boolean().default(!1).describe("Weaker isolation"),mode:Mode.optional(),
+hooks:h.record(h.string(),h.array(Hook)).optional(),env:h.record(h.string(),h.string()).nullable(),
+model:h.union([h.string(),h.null()]),port:h.coerce.number().min(1).max(65535)}).passthrough();
+var Bash={name:"Bash",inputSchema:h.strictObject({command:h.string().describe("The command to execute"),timeout:h.number().optional().describe("ms")})};
+function parse(x){return Settings.extend({extra:h.string()}).parse(x)}`;
+
+async function schemasOf(src) {
+  return findSchemas(await parseSource(src), src);
+}
+
+describe('findSchemas', () => {
+  test('reconstructs object schemas with types, optionality, defaults and descriptions', async () => {
+    const { namespaces, schemas } = await schemasOf(SETTINGS);
+    expect(namespaces).toEqual(['h']);
+    expect(schemas.map(s => s.name)).toEqual(['Hook', 'Settings', 'inputSchema', null]);
+
+    const hook = schemas[0];
+    expect(hook.offset).toBe(SETTINGS.indexOf('h.object({type'));
+    expect(hook.schema).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'object',
+      properties: {
+        type: { const: 'command' },
+        command: { type: 'string', description: 'Shell command' },
+        timeout: { type: 'integer', exclusiveMinimum: 0 },
+      },
+      required: ['type', 'command'],
+    });
+
+    const settings = schemas[1].schema;
+    expect(settings.properties.enableWeakerNetworkIsolation).toEqual({ type: 'boolean', default: false, description: 'Weaker isolation' });
+    expect(settings.properties.mode).toEqual({ $ref: '#/$defs/Mode' });
+    expect(settings.properties.hooks).toEqual({ type: 'object', additionalProperties: { type: 'array', items: { $ref: '#/$defs/Hook' } } });
+    expect(settings.properties.env.type).toEqual(['object', 'null']);
+    expect(settings.properties.model).toEqual({ anyOf: [{ type: 'string' }, { type: 'null' }] });
+    expect(settings.properties.port).toEqual({ type: 'number', minimum: 1, maximum: 65535 });
+    expect(settings.required).toEqual(['env', 'model', 'port']);
+    expect(Object.keys(settings.$defs)).toEqual(['Hook', 'Mode']);
+    expect(settings.$defs.Mode).toEqual({ type: 'string', enum: ['default', 'plan'] });
+  });
+
+  test('handles strict objects and extended schemas inside functions', async () => {
+    const { schemas } = await schemasOf(SETTINGS);
+    const input = schemas[2];
+    expect(input.schema).toMatchObject({ additionalProperties: false, required: ['command'] });
+    expect(input.schema.properties.timeout).toEqual({ type: 'number', description: 'ms' });
+
+    const extended = schemas[3];
+    expect(extended.function).toEqual({ name: 'parse', start: SETTINGS.indexOf('function parse') });
+    expect(Object.keys(extended.schema.properties)).toContain('enableWeakerNetworkIsolation');
+    expect(extended.schema.properties.extra).toEqual({ type: 'string' });
+  });
+
+  test('follows schemas exported from TypeScript namespaces', async () => {
+    const src = `var z={};var Browser$1;(function(Browser){Browser.ClientWindowSchema=z.lazy(()=>z.string());
+Browser.InfoSchema=z.object({clientWindow:Browser.ClientWindowSchema,active:z.boolean()})})(Browser$1||(Browser$1={}));
+var Params=z.object({window:Browser$1.ClientWindowSchema.optional(),tags:z.array(z.string())});`;
+    const { schemas } = await schemasOf(src);
+    expect(schemas.map(s => s.name)).toEqual(['InfoSchema', 'Params']);
+    expect(schemas[0].schema.properties.clientWindow).toEqual({ $ref: '#/$defs/Browser.ClientWindowSchema' });
+    expect(schemas[1].schema.properties.window).toEqual({ $ref: '#/$defs/Browser$1.ClientWindowSchema' });
+    expect(schemas[1].schema.$defs).toEqual({ 'Browser$1.ClientWindowSchema': { type: 'string' } });
+  });
+
+  test('needs a namespace used like zod', async () => {
+    expect(await schemasOf('var x=a.object({b:1});a.string();')).toEqual({ namespaces: [], total: 0, schemas: [] });
+  });
+});
+
+describe('diffSchemas', () => {
+  test('pairs renamed schemas by their properties and follows references', async () => {
+    const v1 = await schemasOf(`var h={};var M=h.enum(["a","b"]);var S=h.object({mode:M.optional(),x:h.string(),y:h.number()});
+var T=h.object({q:h.string(),r:h.number()});var U=h.object({gone:h.string()})`);
+    const v2 = await schemasOf(`var h={};var Z=h.enum(["a","b","c"]);var K=h.object({mode:Z.optional(),x:h.string(),y:h.string(),w:h.boolean()});
+var T=h.object({q:h.string(),r:h.number()});var N=h.object({fresh:h.array(h.object({id:h.string()}))})`);
+    const diff = diffSchemas(v1, v2);
+    expect(diff.added.map(s => s.name)).toEqual(['N']);
+    expect(diff.removed.map(s => s.name)).toEqual(['U']);
+    expect(diff.changed).toHaveLength(1);
+    const [changed] = diff.changed;
+    expect(changed).toMatchObject({ name: 'K', v1: { name: 'S' } });
+    expect(changed.properties.added).toEqual(['w']);
+    expect(changed.properties.removed).toEqual([]);
+    expect(changed.properties.changed).toContainEqual({ path: 'y', field: 'type', before: 'number', after: 'string' });
+    expect(changed.properties.changed).toContainEqual({ path: 'mode', field: 'enum', before: ['a', 'b'], after: ['a', 'b', 'c'] });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PassThrough } from 'node:stream';
+import { createAnalyzer, serveStream, serveSocket, connectDaemon, RPC_ERRORS } from '../lib/serve.mjs';
+
+const SRC = 'var x=1;function outer(a){let b=2;return function inner(c){return a+b+c+"hi"}}var h=function(){outer(1)};';
+
+let dir;
+let bundle;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'bundle-serve-'));
+  bundle = join(dir, 'cli.js');
+  writeFileSync(bundle, SRC);
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createAnalyzer', () => {
+  test('answers commands from one loaded bundle', async () => {
+    const analyzer = createAnalyzer({ cache: false });
+    expect(await analyzer.call('load', { file: bundle })).toMatchObject({ size: SRC.length, functions: 3 });
+
+    const scope = await analyzer.call('scope', { file: bundle, offset: SRC.indexOf('a+b') });
+    expect(scope.chain.map(s => s.type)).toEqual(['function', 'function', 'module']);
+    expect(scope.chain[1].vars.map(v => v.name)).toEqual(['a', 'b', 'inner']);
+
+    const calls = await analyzer.call('calls', { file: bundle, offset: SRC.indexOf('outer(1)') });
+    expect(calls.outgoing).toEqual([{ name: 'outer', offsets: [SRC.indexOf('outer(1)')] }]);
+
+    const refs = await analyzer.call('refs', { file: bundle, offset: SRC.indexOf('a+b') });
+    expect(refs.targetScope).toBeUndefined();
+    expect(refs.uniqueNames).toBe(3);
+
+    const found = await analyzer.call('find', { file: bundle, pattern: '$A + $B + $C + "hi"', ast: true, captures: true });
+    expect(found.groups[0].matches[0].namedCaptures).toEqual({ $A: 'a', $B: 'b', $C: 'c' });
+
+    const fn = await analyzer.call('extractFn', { file: bundle, offset: SRC.indexOf('a+b') });
+    expect(fn.signature).toBe('function inner(c)');
+
+    const { diff } = await analyzer.call('diffFns', { file1: bundle, file2: bundle });
+    expect(diff.unchanged.length).toBe(3);
+
+    expect(analyzer.bundles()).toHaveLength(1);
+    expect(analyzer.bundles()[0].parts).toEqual(['src', 'ast', 'functions', 'scopeTree', 'calls']);
+  });
+
+  test('reloads a bundle that changed on disk', async () => {
+    const analyzer = createAnalyzer({ cache: false });
+    await analyzer.call('load', { file: bundle });
+    writeFileSync(bundle, SRC + 'function added(){}');
+    expect((await analyzer.call('load', { file: bundle })).functions).toBe(4);
+  });
+
+  test('returns lib { error } results and rejects protocol errors', async () => {
+    const analyzer = createAnalyzer({ cache: false });
+    expect((await analyzer.call('calls', { file: bundle, offset: 2 })).error).toBeDefined();
+    await expect(analyzer.call('nope', {})).rejects.toMatchObject({ code: RPC_ERRORS.METHOD_NOT_FOUND });
+    await expect(analyzer.call('scope', { file: bundle })).rejects.toMatchObject({ code: RPC_ERRORS.INVALID_PARAMS });
+    await expect(analyzer.call('scope', { file: join(dir, 'missing.js'), offset: 1 }))
+      .rejects.toMatchObject({ code: RPC_ERRORS.SERVER_ERROR });
+  });
+});
+
+describe('serveStream', () => {
+  test('answers JSON-RPC lines in order and stops on shutdown', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let written = '';
+    output.on('data', (chunk) => { written += chunk; });
+    let shutdown = false;
+    const done = serveStream(input, output, createAnalyzer({ cache: false }), () => { shutdown = true; });
+
+    input.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'load', params: { file: bundle } }) + '\n');
+    input.write('{not json\n');
+    input.write(JSON.stringify({ jsonrpc: '2.0', method: 'status' }) + '\n');
+    input.write(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'shutdown' }) + '\n');
+    await done;
+
+    const responses = written.trim().split('\n').map(line => JSON.parse(line));
+    expect(responses).toEqual([
+      { jsonrpc: '2.0', id: 1, result: { file: bundle, size: SRC.length, functions: 3 } },
+      { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: 'Parse error' } },
+      { jsonrpc: '2.0', id: 2, result: { stopping: true } },
+    ]);
+    expect(shutdown).toBe(true);
+  });
+});
+
+describe('serveSocket', () => {
+  test('serves clients over a Unix socket until shut down', async () => {
+    const socketPath = join(dir, 'daemon.sock');
+    expect(await connectDaemon(socketPath)).toBeNull();
+
+    const daemon = await serveSocket(socketPath, createAnalyzer({ cache: false }));
+    expect((await serveSocket(socketPath, createAnalyzer())).error).toContain('already listening');
+
+    const client = await connectDaemon(socketPath);
+    const { chain } = await client.call('scope', { file: bundle, offset: SRC.indexOf('a+b') });
+    expect(chain[0].vars.map(v => v.name)).toEqual(['c']);
+    await expect(client.call('scope', { file: bundle })).rejects.toMatchObject({ code: RPC_ERRORS.INVALID_PARAMS });
+
+    const closed = new Promise(done => daemon.server.once('close', done));
+    expect(await client.call('shutdown')).toEqual({ stopping: true });
+    client.close();
+    await closed;
+    expect(await connectDaemon(socketPath)).toBeNull();
+  });
+});
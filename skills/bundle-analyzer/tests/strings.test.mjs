@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'bun:test';
-import { collectStrings } from '../lib/strings.mjs';
+import { collectStrings, cookString, stringContents } from '../lib/strings.mjs';
 
 describe('collectStrings', () => {
   test('collects single-quoted strings', () => {
@@ -25,10 +25,35 @@ describe('collectStrings', () => {
     expect(result[0].content).toBe('simple template');
   });
 
-  test('skips template literals with expressions', () => {
-    const src = 'var x=`hello ${name}`';
+  test('indexes template literals with expressions: normalized form and static parts', () => {
+    const src = 'var x=`hello ${name}, you have ${n} messages`';
     const result = collectStrings(src);
-    expect(result.length).toBe(0);
+    expect(result.map(s => [s.content, s.offset, s.length, s.quasi ?? false])).toEqual([
+      ['hello ${}, you have ${} messages', 6, src.length - 6, false],
+      ['hello ', 7, 6, true],
+      [', you have ', src.indexOf(', you'), 11, true],
+      [' messages', src.indexOf(' messages'), 9, true],
+    ]);
+    expect(result.every(s => s.template && s.depth === 0)).toBe(true);
+  });
+
+  test('handles templates and strings nested in interpolations', () => {
+    const src = 'var x=`in ${d ? `dir ${d.name}` : "cwd"} {ok} ${ {a:1}.a } ${/[`}]/.test(q)}`;var y="after"';
+    const result = collectStrings(src);
+    const outer = result.find(s => s.offset === 6);
+    expect(outer).toMatchObject({ content: 'in ${} {ok} ${} ${}', template: true, depth: 0 });
+    expect(result.find(s => s.content === 'dir ${}')).toMatchObject({ offset: src.indexOf('`dir'), template: true, depth: 1 });
+    expect(result.find(s => s.content === 'dir ')).toMatchObject({ quasi: true, depth: 1 });
+    expect(result.find(s => s.content === 'cwd')).toEqual(expect.objectContaining({ offset: src.indexOf('"cwd"'), length: 5 }));
+    expect(result.find(s => s.content === 'cwd').template).toBeUndefined();
+    // Scanning resumes after the template
+    expect(result[result.length - 1]).toMatchObject({ content: 'after', offset: src.indexOf('"after"') });
+    expect(result.map(s => s.offset)).toEqual([...result.map(s => s.offset)].sort((a, b) => a - b));
+  });
+
+  test('stringContents leaves out template parts', () => {
+    const result = collectStrings('var x=`a ${b} c`;var y="d"');
+    expect(stringContents(result)).toEqual(['a ${} c', 'd']);
   });
 
   test('records correct offsets', () => {
@@ -63,4 +88,34 @@ describe('collectStrings', () => {
     expect(result.length).toBe(1);
     expect(result[0].content).toContain("it\\'s fine");
   });
+
+  test('keeps raw content and the cooked value, filtering and comparing by the cooked one', () => {
+    const src = 'var x="Loading\\u2026\\n";var y=`\\x1b[1m${b}\\``;var z="Loading…"';
+    const result = collectStrings(src);
+    expect(result.map(s => [s.content, s.cooked])).toEqual([
+      ['Loading\\u2026\\n', 'Loading…\n'],
+      ['\\x1b[1m${}\\`', '\x1b[1m${}`'],
+      ['\\x1b[1m', '\x1b[1m'],
+      ['\\`', '`'],
+      ['Loading…', 'Loading…'],
+    ]);
+    expect(collectStrings(src, { filter: 'Loading…' }).map(s => s.offset)).toEqual([6, src.indexOf('"Loading…"')]);
+    expect(stringContents(result)).toEqual(['Loading…\n', '\x1b[1m${}`', 'Loading…']);
+  });
+});
+
+describe('cookString', () => {
+  test('decodes escape sequences', () => {
+    expect(cookString('a\\tb\\\\c\\\'d\\"e')).toBe('a\tb\\c\'d"e');
+    expect(cookString('\\u{1F600}\\ud83d\\ude00')).toBe('😀😀');
+    expect(cookString('\\0\\101\\7a')).toBe('\0A\x07a');
+    expect(cookString('line\\\nnext')).toBe('linenext');
+    expect(cookString('\\xZZ\\q')).toBe('xZZq');
+  });
+
+  test('maps cooked characters back to raw offsets', () => {
+    const offsets = [];
+    expect(cookString('a\\u2026b\\n', offsets)).toBe('a…b\n');
+    expect(offsets).toEqual([0, 1, 7, 8, 10]);
+  });
 });
@@ -0,0 +1,48 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { diffTelemetry, findTelemetry } from '../lib/telemetry.mjs';
+
+async function telemetryOf(src) {
+  return findTelemetry(await parseSource(src), src);
+}
+
+describe('findTelemetry', () => {
+  test('lists events with their emitter, enclosing function and payload keys', async () => {
+    const src = 'function boot(A){Q("tengu_startup",{model:A,...B,[C]:1,"x-y":2})}' +
+      'var onExit=()=>{A.then(()=>L.logEvent("cli_exit"))};Q("tengu_startup",D);';
+    const { total, events } = await telemetryOf(src);
+    expect(total).toBe(3);
+    expect(events.map(e => e.name)).toEqual(['cli_exit', 'tengu_startup']);
+    const [exit, startup] = events;
+    // The callback passed to then() is the innermost function, though walkAST never sees it
+    expect(exit.calls).toEqual([{ offset: src.indexOf('L.log'), emitter: 'L.logEvent', function: { name: '<anonymous>', start: src.indexOf('()=>L') }, keys: [] }]);
+    expect(startup.keys).toEqual(['...B', '[C]', 'model', 'x-y']);
+    expect(startup.calls.map(c => [c.function?.name ?? null, c.keys])).toEqual([
+      ['boot', ['model', '...B', '[C]', 'x-y']],
+      [null, null],
+    ]);
+  });
+
+  test('names functions after where they are stored', async () => {
+    const src = 'var a=()=>Q("tengu_a");o={b(){Q("tengu_b")},c:function(){Q("tengu_c")}};x.d=function(){Q("tengu_d")};class K{constructor(){Q("tengu_e")}}';
+    const { events } = await telemetryOf(src);
+    expect(events.map(e => e.calls[0].function.name)).toEqual(['a', 'b', 'c', 'd', 'constructor']);
+  });
+
+  test('leaves out feature gates, listeners and non-event strings', async () => {
+    const src = 'Z1("tengu_fast_mode",!1);G("tengu_limit",5);P.on("cli_done",()=>{});Q("tengu_Bad",{});Q("analytics",{});L("tengu_tip",`tip ${n}`);Q("cli_ok",B)';
+    const { events } = await telemetryOf(src);
+    expect(events.map(e => e.name)).toEqual(['cli_ok']);
+  });
+});
+
+describe('diffTelemetry', () => {
+  test('reports added and removed events and changed payload keys', async () => {
+    const a = await telemetryOf('Q("tengu_a",{x:1,y:2});Q("tengu_b");Q("tengu_c",{z:1})');
+    const b = await telemetryOf('Q("tengu_a",{x:1,w:2});Q("tengu_c",{z:3});Q("tengu_d",{v:1})');
+    const diff = diffTelemetry(a, b);
+    expect(diff.added.map(e => e.name)).toEqual(['tengu_d']);
+    expect(diff.removed.map(e => e.name)).toEqual(['tengu_b']);
+    expect(diff.changed).toEqual([{ name: 'tengu_a', keys: ['w', 'x'], added: ['w'], removed: ['y'] }]);
+  });
+});
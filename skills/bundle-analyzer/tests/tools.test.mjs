@@ -0,0 +1,70 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSource } from '../lib/parse.mjs';
+import { diffTools, findTools } from '../lib/tools.mjs';
+
+const TOOLS = `var h={};var Kx="Bash",PROMPT="Executes a given bash command";
+var Yx=h.strictObject({command:h.string().describe("The command to execute"),timeout:h.number().optional()});
+function checkBash(A,B){return{behavior:"ask"}}
+var BashTool={name:Kx,async description({command:A}){return "Run shell command"},async prompt(){return PROMPT},inputSchema:Yx,
+userFacingName(){return"Bash"},isReadOnly(A){return!1},checkPermissions:checkBash,async*call(A,B){yield{type:"result"}}};
+var ReadTool={name:"Read",description:"Read a file",get inputSchema(){return h.object({file_path:h.string()})},isReadOnly:()=>!0,async call(A){return 1}};
+var api=[{name:"web_search",description:"Search",input_schema:{type:"object",properties:{query:{type:"string"}},required:["query"]}}];
+var notATool={name:"x",description:"y",version:1};`;
+
+async function toolsOf(src) {
+  return findTools(await parseSource(src), src);
+}
+
+describe('findTools', () => {
+  test('catalogs tool objects with resolved names, descriptions and method offsets', async () => {
+    const { total, tools } = await toolsOf(TOOLS);
+    expect(total).toBe(3);
+    expect(tools.map(t => t.name)).toEqual(['Bash', 'Read', 'web_search']);
+
+    const [bash] = tools;
+    expect(bash.offset).toBe(TOOLS.indexOf('{name:Kx'));
+    expect(bash.description).toEqual({ offset: TOOLS.indexOf('async description'), text: 'Run shell command' });
+    expect(bash.prompt).toEqual({ offset: TOOLS.indexOf('async prompt'), text: 'Executes a given bash command' });
+    expect(bash.methods.call.offset).toBe(TOOLS.indexOf('async*call'));
+    // A method given by name points at the function declared elsewhere
+    expect(bash.methods.checkPermissions).toEqual({ offset: TOOLS.indexOf('function checkBash'), returns: null });
+    expect(bash.methods.userFacingName.returns).toBe('"Bash"');
+    expect(bash.readOnly).toBe(false);
+  });
+
+  test('rebuilds input schemas from zod, getters and JSON Schema literals', async () => {
+    const { tools } = await toolsOf(TOOLS);
+    const [bash, read, api] = tools;
+    expect(bash.inputSchema).toMatchObject({ offset: TOOLS.indexOf('Yx,'), source: 'Yx', properties: ['command', 'timeout'] });
+    expect(bash.inputSchema.schema).toMatchObject({ required: ['command'], additionalProperties: false });
+    expect(read.inputSchema.properties).toEqual(['file_path']);
+    expect(read.readOnly).toBe(true);
+    expect(api.inputSchema.schema).toEqual({ type: 'object', properties: { query: { type: 'string' } }, required: ['query'] });
+    expect(api.methods).toEqual({});
+  });
+
+  test('reads templates without interpolations in JSON Schema literals', async () => {
+    const src = 'var api=[{name:"grep",description:"Search",input_schema:{type:"object",properties:{pattern:{type:"string",description:`Regex to find`}}}}];';
+    const [grep] = (await toolsOf(src)).tools;
+    expect(grep.inputSchema.schema.properties.pattern).toEqual({ type: 'string', description: 'Regex to find' });
+  });
+});
+
+describe('diffTools', () => {
+  test('pairs tools by name and reports description, key and input changes', async () => {
+    const v2 = TOOLS
+      .replace('return "Run shell command"', 'return "Run a shell command"')
+      .replace('timeout:h.number().optional()', 'timeout:h.string().optional(),background:h.boolean().optional()')
+      .replace('isReadOnly:()=>!0,', '')
+      .replace('var api=[{name:"web_search"', 'var api=[{name:"web_fetch"');
+    const diff = diffTools(await toolsOf(TOOLS), await toolsOf(v2));
+    expect(diff.added.map(t => t.name)).toEqual(['web_fetch']);
+    expect(diff.removed.map(t => t.name)).toEqual(['web_search']);
+    expect(diff.changed.map(c => c.name)).toEqual(['Bash', 'Read']);
+    const [bash, read] = diff.changed;
+    expect(bash.changes.description).toEqual({ before: 'Run shell command', after: 'Run a shell command' });
+    expect(bash.changes.input.added).toEqual(['background']);
+    expect(bash.changes.input.changed).toEqual([{ path: 'timeout', field: 'type', before: 'number', after: 'string' }]);
+    expect(read.changes).toEqual({ readOnly: { before: true, after: null }, keys: { added: [], removed: ['isReadOnly'] } });
+  });
+});
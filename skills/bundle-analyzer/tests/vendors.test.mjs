@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseSource } from '../lib/parse.mjs';
+import { buildFunctionMap } from '../lib/map.mjs';
+import { scanStrings } from '../lib/strings.mjs';
+import { findModules } from '../lib/modules.mjs';
+import { buildSignatures, detectVendors, inRanges, loadSignatures } from '../lib/vendors.mjs';
+
+const FAKE_LIB = (flavor) => `exports.parse = function parse(text) {
+  if (!text) throw new Error("fake-lib: empty document");
+  return text.split("fake-lib separator token");
+};
+exports.stringify = function (value) { return "fake-lib serialized: " + JSON.stringify(value) + " (${flavor} format)"; };
+exports.options = { mode: "strict parsing mode", fallback: "lenient parsing mode", shared: "application/json" };`;
+
+// fake-lib 2.0.0 inlined, the cjs wrapper of another package, and first-party code
+const BUNDLE = `var H=(A,B)=>()=>(B||A((B={exports:{}}).exports,B),B.exports);
+var Gr=H((A,B)=>{B.exports=(n)=>["other-lib message one","other-lib message two","other-lib message three","other-lib message four","other-lib message five"][n]});
+function fkParse(t){if(!t)throw Error("fake-lib: empty document");return t.split("fake-lib separator token")}
+function fkStr(v){return"fake-lib serialized: "+JSON.stringify(v)+" (version two format)"}
+var fkOpts={mode:"strict parsing mode",fallback:"lenient parsing mode"};
+function main(){Gr();return fkParse("application/json")}`;
+
+let root;
+
+function writePackage(dir, meta, files) {
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, 'package.json'), JSON.stringify(meta));
+  for (const [name, content] of Object.entries(files)) writeFileSync(join(dir, name), content);
+}
+
+beforeAll(() => {
+  root = mkdtempSync(join(tmpdir(), 'bundle-vendors-'));
+  const modules = join(root, 'node_modules');
+  writePackage(join(modules, 'fake-lib'), { name: 'fake-lib', version: '2.0.0' }, { 'index.js': FAKE_LIB('version two') });
+  writePackage(join(modules, 'other-lib'), { name: 'other-lib', version: '0.3.1' }, {
+    'main.js': `module.exports = (n) => ["other-lib message one", "other-lib message two", "other-lib message three",
+  "other-lib message four", "other-lib message five", "application/json"][n];`,
+  });
+  // An older copy nested under other-lib
+  writePackage(join(modules, 'other-lib', 'node_modules', 'fake-lib'), { name: 'fake-lib', version: '1.0.0' }, { 'index.js': FAKE_LIB('version one') });
+  writePackage(join(modules, '@scope', 'unused'), { name: '@scope/unused', version: '1.1.0' }, { 'index.mjs': 'export const x = "scoped utility string";' });
+});
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+async function detect(db, src) {
+  const ast = await parseSource(src);
+  return detectVendors(db, {
+    strings: scanStrings(src),
+    functions: buildFunctionMap(ast, src, { strings: true, shapes: true }),
+    modules: findModules(ast, src).modules,
+  });
+}
+
+describe('buildSignatures', () => {
+  test('reads every package version, nested and scoped ones included', async () => {
+    const db = await buildSignatures([root]);
+    expect(db.packages.map(p => `${p.name}@${p.version}`)).toEqual(['@scope/unused@1.1.0', 'fake-lib@1.0.0', 'fake-lib@2.0.0', 'other-lib@0.3.1']);
+    const fake2 = db.packages.find(p => p.version === '2.0.0');
+    expect(fake2.strings).toContain('fake-lib separator token');
+    expect(fake2.strings).toContain(' (version two format)');
+    // Strings of two different packages identify neither
+    expect(fake2.strings).not.toContain('application/json');
+  });
+
+  test('merges into an existing database', async () => {
+    const existing = { version: 1, packages: [{ name: 'left-pad', version: '1.3.0', strings: ['left-pad padding'], shapes: [] }] };
+    const db = await buildSignatures([join(root, 'node_modules', 'other-lib', 'node_modules')], { existing });
+    expect(db.packages.map(p => `${p.name}@${p.version}`)).toEqual(['fake-lib@1.0.0', 'left-pad@1.3.0']);
+  });
+
+  test('rejects a missing directory or one without packages', async () => {
+    expect((await buildSignatures([root, join(root, 'missing')])).error).toContain('does not exist');
+    expect((await buildSignatures([join(root, 'node_modules', 'fake-lib')])).error).toContain('No packages');
+  });
+});
+
+describe('detectVendors', () => {
+  test('identifies packages, the closest version and where their code sits', async () => {
+    const result = await detect(await buildSignatures([root]), BUNDLE);
+    expect(result.packages.map(p => [p.name, p.version])).toEqual([['fake-lib', '2.0.0'], ['other-lib', '0.3.1']]);
+    const [fake, other] = result.packages;
+    expect(fake).toMatchObject({ candidates: ['2.0.0'], strings: { matched: 6, total: 6 }, functions: 2, modules: [] });
+    expect(other).toMatchObject({ modules: ['Gr'] });
+
+    const at = (text) => BUNDLE.indexOf(text);
+    expect(inRanges(result.ranges, at('function fkParse'))).toBe(true);
+    expect(inRanges(result.ranges, at('function fkStr'))).toBe(true);
+    expect(inRanges(result.ranges, at('Gr=H'))).toBe(true);
+    expect(inRanges(result.ranges, at('function main'))).toBe(false);
+  });
+
+  test('needs enough of a signature', async () => {
+    const db = await buildSignatures([root]);
+    expect((await detect(db, 'function f(){return "fake-lib separator token"}')).packages).toEqual([]);
+  });
+});
+
+describe('loadSignatures', () => {
+  test('reports a missing or outdated database', () => {
+    expect(loadSignatures(join(root, 'missing.json')).error).toContain('vendors build');
+    writeFileSync(join(root, 'old.json'), JSON.stringify({ version: 0, packages: [] }));
+    expect(loadSignatures(join(root, 'old.json')).error).toContain('rebuild');
+  });
+});